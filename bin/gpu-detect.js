@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+// gpu-detect: checks a machine's GPU setup without the Playwright test runner.
+import { writeFile } from 'node:fs/promises';
+import { detectGpu, formatReport, parseCliArgs, USAGE, UsageError } from '../src/gpu-detect.js';
+import { loadRedactionConfig, redactReport } from '../src/redaction.js';
+
+async function main() {
+  const options = parseCliArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const redaction = loadRedactionConfig(undefined, { mode: options.redaction });
+  const report = redactReport(await detectGpu(options), redaction);
+  const output = formatReport(report, options.format);
+
+  if (options.output) {
+    await writeFile(options.output, output);
+    console.error(`📝 Report written to ${options.output}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main().catch((error) => {
+  if (error instanceof UsageError) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+  } else {
+    console.error(`❌ GPU detection failed: ${error.message}`);
+    process.exitCode = 1;
+  }
+});
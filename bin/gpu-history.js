@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+// gpu-history: queries the local run history written by the test suite.
+import { UsageError } from '../src/gpu-detect.js';
+import { formatHistoryResult, HISTORY_USAGE, parseHistoryArgs, runHistoryQuery } from '../src/run-history.js';
+
+function main() {
+  const options = parseHistoryArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(HISTORY_USAGE);
+    return;
+  }
+
+  const result = runHistoryQuery(options);
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    formatHistoryResult(options, result).forEach((line) => console.log(line));
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  if (error instanceof UsageError) {
+    console.error(`❌ ${error.message}\n\n${HISTORY_USAGE}`);
+    process.exitCode = 2;
+  } else {
+    console.error(`❌ History query failed: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
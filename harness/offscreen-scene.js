@@ -0,0 +1,150 @@
+// Offscreen scene shared by the main thread and every worker scope.
+//
+// Renders the same tiny scene into an OffscreenCanvas with each context type,
+// WebGPU, WebGL2 and 2D: a blue background with the left half painted red
+// (by a shader for the GPU contexts). The result of each render is handed
+// back as an ImageBitmap, so the page can check the pixels no matter which
+// scope drew them. Only uses APIs that exist in workers.
+
+export const SCENE_SIZE = 8;
+
+export const OFFSCREEN_CONTEXTS = ['webgpu', 'webgl2', '2d'];
+
+async function drawWebGPU(canvas) {
+  if (!globalThis.navigator?.gpu) throw new Error('navigator.gpu is not available');
+  const adapter = await navigator.gpu.requestAdapter();
+  if (!adapter) throw new Error('requestAdapter() returned null');
+  const device = await adapter.requestDevice();
+
+  const context = canvas.getContext('webgpu');
+  if (!context) throw new Error('getContext("webgpu") returned null');
+  const format = navigator.gpu.getPreferredCanvasFormat();
+  context.configure({ device, format, alphaMode: 'opaque' });
+
+  const module = device.createShaderModule({
+    code: /* wgsl */ `
+      @vertex
+      fn vs(@builtin(vertex_index) index: u32) -> @builtin(position) vec4f {
+        let positions = array(
+          vec2f(-1.0, -1.0), vec2f(0.0, -1.0), vec2f(-1.0, 1.0),
+          vec2f(-1.0, 1.0), vec2f(0.0, -1.0), vec2f(0.0, 1.0)
+        );
+        return vec4f(positions[index], 0.0, 1.0);
+      }
+
+      @fragment
+      fn fs() -> @location(0) vec4f {
+        return vec4f(1.0, 0.0, 0.0, 1.0);
+      }
+    `
+  });
+  const pipeline = device.createRenderPipeline({
+    layout: 'auto',
+    vertex: { module, entryPoint: 'vs' },
+    fragment: { module, entryPoint: 'fs', targets: [{ format }] }
+  });
+
+  device.pushErrorScope('validation');
+  const encoder = device.createCommandEncoder();
+  const pass = encoder.beginRenderPass({
+    colorAttachments: [{ view: context.getCurrentTexture().createView(), clearValue: { r: 0, g: 0, b: 1, a: 1 }, loadOp: 'clear', storeOp: 'store' }]
+  });
+  pass.setPipeline(pipeline);
+  pass.draw(6);
+  pass.end();
+  device.queue.submit([encoder.finish()]);
+  const validationError = await device.popErrorScope();
+  await device.queue.onSubmittedWorkDone();
+  if (validationError) throw new Error(validationError.message);
+
+  const info = adapter.info || {};
+  return [info.vendor, info.architecture, info.description].filter(Boolean).join(' ') || null;
+}
+
+function drawWebGL2(canvas) {
+  const gl = canvas.getContext('webgl2');
+  if (!gl) throw new Error('getContext("webgl2") returned null');
+
+  const compile = (type, source) => {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) throw new Error(gl.getShaderInfoLog(shader));
+    return shader;
+  };
+  const program = gl.createProgram();
+  gl.attachShader(program, compile(gl.VERTEX_SHADER, `#version 300 es
+    const vec2 positions[6] = vec2[6](
+      vec2(-1.0, -1.0), vec2(0.0, -1.0), vec2(-1.0, 1.0),
+      vec2(-1.0, 1.0), vec2(0.0, -1.0), vec2(0.0, 1.0)
+    );
+    void main() { gl_Position = vec4(positions[gl_VertexID], 0.0, 1.0); }
+  `));
+  gl.attachShader(program, compile(gl.FRAGMENT_SHADER, `#version 300 es
+    precision mediump float;
+    out vec4 color;
+    void main() { color = vec4(1.0, 0.0, 0.0, 1.0); }
+  `));
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) throw new Error(gl.getProgramInfoLog(program));
+
+  gl.viewport(0, 0, canvas.width, canvas.height);
+  gl.clearColor(0, 0, 1, 1);
+  gl.clear(gl.COLOR_BUFFER_BIT);
+  gl.useProgram(program);
+  gl.drawArrays(gl.TRIANGLES, 0, 6);
+  gl.finish();
+
+  const error = gl.getError();
+  if (error !== gl.NO_ERROR) throw new Error(`WebGL error 0x${error.toString(16)}`);
+  const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+  return gl.getParameter(debugInfo ? debugInfo.UNMASKED_RENDERER_WEBGL : gl.RENDERER);
+}
+
+function draw2D(canvas) {
+  const context = canvas.getContext('2d');
+  if (!context) throw new Error('getContext("2d") returned null');
+  context.fillStyle = '#0000ff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = '#ff0000';
+  context.fillRect(0, 0, canvas.width / 2, canvas.height);
+  return null;
+}
+
+const DRAW = { webgpu: drawWebGPU, webgl2: drawWebGL2, '2d': draw2D };
+
+/**
+ * Draws the scene once per context type. `canvases` may hold an
+ * OffscreenCanvas per context type (from transferControlToOffscreen);
+ * otherwise a new one is created. Each result carries the rendered
+ * ImageBitmap, or the error that stopped it.
+ */
+export async function renderOffscreenScenes({ contexts = OFFSCREEN_CONTEXTS, size = SCENE_SIZE, canvases = {} } = {}) {
+  const results = {};
+  for (const type of contexts) {
+    const result = { available: false, renderer: null, error: null, bitmap: null };
+    try {
+      if (typeof OffscreenCanvas !== 'function') throw new Error('OffscreenCanvas is not available');
+      const canvas = canvases[type] || new OffscreenCanvas(size, size);
+      result.renderer = await DRAW[type](canvas);
+      result.available = true;
+      result.bitmap = canvas.transferToImageBitmap();
+    } catch (error) {
+      result.error = error.message;
+    }
+    results[type] = result;
+  }
+
+  return {
+    navigatorGpu: Boolean(globalThis.navigator?.gpu),
+    offscreenCanvas: typeof OffscreenCanvas === 'function',
+    contexts: results
+  };
+}
+
+/**
+ * ImageBitmaps of a renderOffscreenScenes result, for postMessage transfer.
+ */
+export function sceneTransferables(result) {
+  return Object.values(result.contexts).map((entry) => entry.bitmap).filter(Boolean);
+}
@@ -0,0 +1,364 @@
+// WebGPU compute micro-benchmarks.
+//
+// Fixed workloads (buffer copy, SAXPY, tiled matmul, reduction, texture
+// sampling) run a few warmup passes and then a number of timed ones. GPU
+// time comes from timestamp queries written by empty compute passes around
+// the workload when the adapter supports `timestamp-query`; otherwise the
+// wall-clock time from submit to onSubmittedWorkDone() is used. Each
+// workload checks its output once at the end, so a fast but wrong result
+// does not count. Raw samples are returned; src/gpu-benchmark.js summarises.
+
+const COPY_BYTES = 64 * 1024 * 1024;
+const SAXPY_COUNT = 4 * 1024 * 1024;
+const MATMUL_SIZE = 512;
+const MATMUL_TILE = 16;
+const REDUCTION_COUNT = 4 * 1024 * 1024;
+const REDUCTION_WORKGROUP = 256;
+const TEXTURE_SIZE = 1024;
+const TEXTURE_SAMPLES = 4;
+
+async function readBuffer(device, source, size) {
+  const readback = device.createBuffer({ size, usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ });
+  const encoder = device.createCommandEncoder();
+  encoder.copyBufferToBuffer(source, 0, readback, 0, size);
+  device.queue.submit([encoder.finish()]);
+  await readback.mapAsync(GPUMapMode.READ);
+  const data = readback.getMappedRange().slice(0);
+  readback.unmap();
+  readback.destroy();
+  return data;
+}
+
+function createFilledBuffer(device, ArrayType, count, value, usage) {
+  const buffer = device.createBuffer({ size: count * ArrayType.BYTES_PER_ELEMENT, usage, mappedAtCreation: true });
+  const data = new ArrayType(buffer.getMappedRange());
+  if (typeof value === 'function') {
+    for (let index = 0; index < count; index++) data[index] = value(index);
+  } else {
+    data.fill(value);
+  }
+  buffer.unmap();
+  return buffer;
+}
+
+function createComputePipeline(device, code) {
+  const module = device.createShaderModule({ code });
+  return device.createComputePipeline({ layout: 'auto', compute: { module, entryPoint: 'main' } });
+}
+
+function bindBuffers(device, pipeline, buffers) {
+  return device.createBindGroup({
+    layout: pipeline.getBindGroupLayout(0),
+    entries: buffers.map((buffer, binding) => ({ binding, resource: { buffer } }))
+  });
+}
+
+function dispatch(encoder, pipeline, bindGroup, x, y = 1) {
+  const pass = encoder.beginComputePass();
+  pass.setPipeline(pipeline);
+  pass.setBindGroup(0, bindGroup);
+  pass.dispatchWorkgroups(x, y);
+  pass.end();
+}
+
+// Every workload returns { unit, work, encode(encoder), verify(), destroy() };
+// `work` is the amount of `unit` (GB, GFLOP, Gtexel) one run processes.
+
+function bufferCopy(device) {
+  const words = COPY_BYTES / 4;
+  const source = createFilledBuffer(device, Uint32Array, words, (index) => index, GPUBufferUsage.COPY_SRC);
+  const target = device.createBuffer({ size: COPY_BYTES, usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC });
+
+  return {
+    // Bytes read plus bytes written
+    unit: 'GB/s',
+    work: (2 * COPY_BYTES) / 1e9,
+    encode: (encoder) => encoder.copyBufferToBuffer(source, 0, target, 0, COPY_BYTES),
+    verify: async () => {
+      const data = new Uint32Array(await readBuffer(device, target, COPY_BYTES));
+      return [0, 1, words >> 1, words - 1].every((index) => data[index] === index);
+    },
+    destroy: () => [source, target].forEach((buffer) => buffer.destroy())
+  };
+}
+
+function saxpy(device) {
+  const pipeline = createComputePipeline(device, /* wgsl */ `
+    const A = 3.0;
+
+    @group(0) @binding(0) var<storage, read> x: array<f32>;
+    @group(0) @binding(1) var<storage, read> y: array<f32>;
+    @group(0) @binding(2) var<storage, read_write> z: array<f32>;
+
+    @compute @workgroup_size(256)
+    fn main(@builtin(global_invocation_id) id: vec3u) {
+      if (id.x >= ${SAXPY_COUNT}u) { return; }
+      z[id.x] = A * x[id.x] + y[id.x];
+    }
+  `);
+  const x = createFilledBuffer(device, Float32Array, SAXPY_COUNT, 1, GPUBufferUsage.STORAGE);
+  const y = createFilledBuffer(device, Float32Array, SAXPY_COUNT, 2, GPUBufferUsage.STORAGE);
+  const z = device.createBuffer({ size: SAXPY_COUNT * 4, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC });
+  const bindGroup = bindBuffers(device, pipeline, [x, y, z]);
+
+  return {
+    // Two reads and one write per element
+    unit: 'GB/s',
+    work: (12 * SAXPY_COUNT) / 1e9,
+    encode: (encoder) => dispatch(encoder, pipeline, bindGroup, Math.ceil(SAXPY_COUNT / 256)),
+    verify: async () => new Float32Array(await readBuffer(device, z, SAXPY_COUNT * 4)).every((value) => value === 5),
+    destroy: () => [x, y, z].forEach((buffer) => buffer.destroy())
+  };
+}
+
+function matmul(device) {
+  const n = MATMUL_SIZE;
+  const pipeline = createComputePipeline(device, /* wgsl */ `
+    const N = ${n}u;
+    const TILE = ${MATMUL_TILE}u;
+
+    @group(0) @binding(0) var<storage, read> a: array<f32>;
+    @group(0) @binding(1) var<storage, read> b: array<f32>;
+    @group(0) @binding(2) var<storage, read_write> c: array<f32>;
+
+    var<workgroup> tileA: array<f32, ${MATMUL_TILE * MATMUL_TILE}>;
+    var<workgroup> tileB: array<f32, ${MATMUL_TILE * MATMUL_TILE}>;
+
+    @compute @workgroup_size(${MATMUL_TILE}, ${MATMUL_TILE})
+    fn main(@builtin(global_invocation_id) global: vec3u, @builtin(local_invocation_id) local: vec3u) {
+      var sum = 0.0;
+      for (var tile = 0u; tile < N / TILE; tile++) {
+        tileA[local.y * TILE + local.x] = a[global.y * N + tile * TILE + local.x];
+        tileB[local.y * TILE + local.x] = b[(tile * TILE + local.y) * N + global.x];
+        workgroupBarrier();
+        for (var k = 0u; k < TILE; k++) {
+          sum += tileA[local.y * TILE + k] * tileB[k * TILE + local.x];
+        }
+        workgroupBarrier();
+      }
+      c[global.y * N + global.x] = sum;
+    }
+  `);
+  const a = createFilledBuffer(device, Float32Array, n * n, 1, GPUBufferUsage.STORAGE);
+  const b = createFilledBuffer(device, Float32Array, n * n, 2, GPUBufferUsage.STORAGE);
+  const c = device.createBuffer({ size: n * n * 4, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC });
+  const bindGroup = bindBuffers(device, pipeline, [a, b, c]);
+
+  return {
+    unit: 'GFLOP/s',
+    work: (2 * n ** 3) / 1e9,
+    encode: (encoder) => dispatch(encoder, pipeline, bindGroup, n / MATMUL_TILE, n / MATMUL_TILE),
+    verify: async () => new Float32Array(await readBuffer(device, c, n * n * 4)).every((value) => value === 2 * n),
+    destroy: () => [a, b, c].forEach((buffer) => buffer.destroy())
+  };
+}
+
+function reduction(device) {
+  const pipeline = createComputePipeline(device, /* wgsl */ `
+    @group(0) @binding(0) var<uniform> count: u32;
+    @group(0) @binding(1) var<storage, read> input: array<f32>;
+    @group(0) @binding(2) var<storage, read_write> output: array<f32>;
+
+    var<workgroup> partial: array<f32, ${REDUCTION_WORKGROUP}>;
+
+    @compute @workgroup_size(${REDUCTION_WORKGROUP})
+    fn main(@builtin(global_invocation_id) global: vec3u, @builtin(local_invocation_id) local: vec3u, @builtin(workgroup_id) group: vec3u) {
+      partial[local.x] = select(0.0, input[global.x], global.x < count);
+      workgroupBarrier();
+      for (var stride = ${REDUCTION_WORKGROUP / 2}u; stride > 0u; stride >>= 1u) {
+        if (local.x < stride) {
+          partial[local.x] += partial[local.x + stride];
+        }
+        workgroupBarrier();
+      }
+      if (local.x == 0u) {
+        output[group.x] = partial[0];
+      }
+    }
+  `);
+
+  // One dispatch per stage until a single value is left
+  const buffers = [createFilledBuffer(device, Float32Array, REDUCTION_COUNT, 1, GPUBufferUsage.STORAGE)];
+  const stages = [];
+  for (let count = REDUCTION_COUNT; count > 1; count = Math.ceil(count / REDUCTION_WORKGROUP)) {
+    const groups = Math.ceil(count / REDUCTION_WORKGROUP);
+    const uniform = createFilledBuffer(device, Uint32Array, 4, count, GPUBufferUsage.UNIFORM);
+    const output = device.createBuffer({ size: Math.max(groups, 4) * 4, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC });
+    stages.push({ groups, bindGroup: bindBuffers(device, pipeline, [uniform, buffers.at(-1), output]) });
+    buffers.push(uniform, output);
+  }
+  const result = buffers.at(-1);
+
+  return {
+    unit: 'GB/s',
+    work: (4 * REDUCTION_COUNT) / 1e9,
+    encode: (encoder) => {
+      for (const { groups, bindGroup } of stages) dispatch(encoder, pipeline, bindGroup, groups);
+    },
+    verify: async () => new Float32Array(await readBuffer(device, result, 4))[0] === REDUCTION_COUNT,
+    destroy: () => buffers.forEach((buffer) => buffer.destroy())
+  };
+}
+
+function textureSample(device) {
+  const pipeline = createComputePipeline(device, /* wgsl */ `
+    const SIZE = ${TEXTURE_SIZE}u;
+    const SAMPLES = ${TEXTURE_SAMPLES}u;
+
+    @group(0) @binding(0) var source: texture_2d<f32>;
+    @group(0) @binding(1) var linearSampler: sampler;
+    @group(0) @binding(2) var<storage, read_write> output: array<vec4f>;
+
+    @compute @workgroup_size(8, 8)
+    fn main(@builtin(global_invocation_id) id: vec3u) {
+      let size = vec2f(f32(SIZE));
+      let uv = (vec2f(id.xy) + 0.5) / size;
+      var colour = vec4f(0.0);
+      for (var i = 0u; i < SAMPLES; i++) {
+        colour += textureSampleLevel(source, linearSampler, uv + vec2f(f32(i)) / size, 0.0);
+      }
+      output[id.y * SIZE + id.x] = colour / f32(SAMPLES);
+    }
+  `);
+  const texture = device.createTexture({
+    size: [TEXTURE_SIZE, TEXTURE_SIZE],
+    format: 'rgba8unorm',
+    usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+  });
+  const texels = new Uint8Array(TEXTURE_SIZE * TEXTURE_SIZE * 4);
+  for (let index = 0; index < texels.length; index += 4) texels.set([255, 0, 0, 255], index);
+  device.queue.writeTexture({ texture }, texels, { bytesPerRow: TEXTURE_SIZE * 4 }, [TEXTURE_SIZE, TEXTURE_SIZE]);
+
+  const outputSize = TEXTURE_SIZE * TEXTURE_SIZE * 16;
+  const output = device.createBuffer({ size: outputSize, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC });
+  const bindGroup = device.createBindGroup({
+    layout: pipeline.getBindGroupLayout(0),
+    entries: [
+      { binding: 0, resource: texture.createView() },
+      { binding: 1, resource: device.createSampler({ magFilter: 'linear', minFilter: 'linear', addressModeU: 'clamp-to-edge', addressModeV: 'clamp-to-edge' }) },
+      { binding: 2, resource: { buffer: output } }
+    ]
+  });
+
+  return {
+    unit: 'Gtexel/s',
+    work: (TEXTURE_SIZE * TEXTURE_SIZE * TEXTURE_SAMPLES) / 1e9,
+    encode: (encoder) => dispatch(encoder, pipeline, bindGroup, TEXTURE_SIZE / 8, TEXTURE_SIZE / 8),
+    verify: async () => {
+      const data = new Float32Array(await readBuffer(device, output, outputSize));
+      return [0, data.length >> 1, data.length - 4].every((index) => Math.abs(data[index] - 1) < 0.01 && Math.abs(data[index + 1]) < 0.01);
+    },
+    destroy: () => {
+      texture.destroy();
+      output.destroy();
+    }
+  };
+}
+
+export const BENCHMARKS = {
+  bufferCopy,
+  saxpy,
+  matmul,
+  reduction,
+  textureSample
+};
+
+function createTimer(device, useTimestamps) {
+  if (!useTimestamps) {
+    return {
+      method: 'wall-clock',
+      async time(encode) {
+        const encoder = device.createCommandEncoder();
+        encode(encoder);
+        const commands = encoder.finish();
+        const start = performance.now();
+        device.queue.submit([commands]);
+        await device.queue.onSubmittedWorkDone();
+        return performance.now() - start;
+      },
+      destroy() {}
+    };
+  }
+
+  const querySet = device.createQuerySet({ type: 'timestamp', count: 2 });
+  const resolve = device.createBuffer({ size: 16, usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC });
+  const readback = device.createBuffer({ size: 16, usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ });
+  return {
+    method: 'timestamp-query',
+    async time(encode) {
+      const encoder = device.createCommandEncoder();
+      // Empty passes mark the start and end, so copies can be timed too
+      encoder.beginComputePass({ timestampWrites: { querySet, beginningOfPassWriteIndex: 0 } }).end();
+      encode(encoder);
+      encoder.beginComputePass({ timestampWrites: { querySet, endOfPassWriteIndex: 1 } }).end();
+      encoder.resolveQuerySet(querySet, 0, 2, resolve, 0);
+      encoder.copyBufferToBuffer(resolve, 0, readback, 0, 16);
+      device.queue.submit([encoder.finish()]);
+
+      await readback.mapAsync(GPUMapMode.READ);
+      const [begin, end] = new BigUint64Array(readback.getMappedRange());
+      readback.unmap();
+      return Number(end - begin) / 1e6;
+    },
+    destroy() {
+      querySet.destroy();
+      resolve.destroy();
+      readback.destroy();
+    }
+  };
+}
+
+/**
+ * Runs every benchmark (or those named in `only`) and returns the raw
+ * per-run times in milliseconds.
+ */
+export async function runBenchmarks({ warmup = 3, iterations = 10, only = null } = {}) {
+  if (!navigator.gpu) {
+    return { supported: false, error: 'navigator.gpu is not available', timing: null, warmup, iterations, benchmarks: [] };
+  }
+  const adapter = await navigator.gpu.requestAdapter();
+  if (!adapter) {
+    return { supported: false, error: 'requestAdapter() returned null', timing: null, warmup, iterations, benchmarks: [] };
+  }
+
+  const useTimestamps = adapter.features.has('timestamp-query');
+  const device = await adapter.requestDevice({ requiredFeatures: useTimestamps ? ['timestamp-query'] : [] });
+  const timer = createTimer(device, useTimestamps);
+
+  const benchmarks = [];
+  for (const [name, setup] of Object.entries(BENCHMARKS)) {
+    if (only && !only.includes(name)) continue;
+
+    let workload = null;
+    device.pushErrorScope('validation');
+    try {
+      workload = setup(device);
+      const samples = [];
+      for (let run = 0; run < warmup + iterations; run++) {
+        const milliseconds = await timer.time(workload.encode);
+        if (run >= warmup) samples.push(milliseconds);
+      }
+      const verified = await workload.verify();
+      const validationError = await device.popErrorScope();
+      benchmarks.push({ name, unit: workload.unit, work: workload.work, samples, verified, error: validationError ? validationError.message : null });
+    } catch (error) {
+      await device.popErrorScope();
+      benchmarks.push({ name, unit: workload?.unit ?? null, work: workload?.work ?? null, samples: [], verified: false, error: error.message });
+    } finally {
+      workload?.destroy();
+    }
+  }
+
+  timer.destroy();
+  device.destroy();
+
+  const info = adapter.info || {};
+  return {
+    supported: true,
+    adapter: { vendor: info.vendor, architecture: info.architecture, device: info.device, description: info.description },
+    timing: timer.method,
+    warmup,
+    iterations,
+    benchmarks
+  };
+}
@@ -0,0 +1,398 @@
+// Deterministic WebGPU render harness.
+//
+// Draws a handful of known scenes into offscreen textures, reads the pixels
+// back with copyTextureToBuffer and compares them with the values the scene
+// must produce. Everything is small and exact so it passes the same way on
+// SwiftShader as on real hardware. An animated canvas is kept running as
+// well, for the screenshot-based checks in the rendering test.
+
+const FORMAT = 'rgba8unorm';
+
+// unorm8 conversion may round either way on some backends
+const CHANNEL_TOLERANCE = 1;
+
+const RED = [255, 0, 0, 255];
+const GREEN = [0, 255, 0, 255];
+const BLUE = [0, 0, 255, 255];
+const WHITE = [255, 255, 255, 255];
+const BLACK = [0, 0, 0, 255];
+
+const FULLSCREEN_VERTEX = /* wgsl */ `
+  struct VertexOut {
+    @builtin(position) position: vec4f,
+    @location(0) uv: vec2f,
+  };
+
+  @vertex
+  fn vs(@builtin(vertex_index) index: u32) -> VertexOut {
+    let positions = array(vec2f(-1.0, -1.0), vec2f(3.0, -1.0), vec2f(-1.0, 3.0));
+    let position = positions[index];
+    var out: VertexOut;
+    out.position = vec4f(position, 0.0, 1.0);
+    out.uv = vec2f(position.x * 0.5 + 0.5, 0.5 - position.y * 0.5);
+    return out;
+  }
+`;
+
+async function getDevice() {
+  if (!navigator.gpu) {
+    return { error: 'navigator.gpu is not available' };
+  }
+  const adapter = await navigator.gpu.requestAdapter();
+  if (!adapter) {
+    return { error: 'requestAdapter() returned null' };
+  }
+  const device = await adapter.requestDevice();
+  return { adapter, device };
+}
+
+function createTarget(device, width, height) {
+  return device.createTexture({
+    size: [width, height],
+    format: FORMAT,
+    usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC
+  });
+}
+
+async function readTexture(device, texture, width, height) {
+  const bytesPerRow = Math.ceil((width * 4) / 256) * 256;
+  const buffer = device.createBuffer({
+    size: bytesPerRow * height,
+    usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+  });
+
+  const encoder = device.createCommandEncoder();
+  encoder.copyTextureToBuffer({ texture }, { buffer, bytesPerRow }, [width, height]);
+  device.queue.submit([encoder.finish()]);
+
+  await buffer.mapAsync(GPUMapMode.READ);
+  const padded = new Uint8Array(buffer.getMappedRange());
+  const pixels = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    pixels.set(padded.subarray(y * bytesPerRow, y * bytesPerRow + width * 4), y * width * 4);
+  }
+  buffer.unmap();
+  buffer.destroy();
+  return pixels;
+}
+
+async function readBuffer(device, source, size) {
+  const buffer = device.createBuffer({ size, usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ });
+  const encoder = device.createCommandEncoder();
+  encoder.copyBufferToBuffer(source, 0, buffer, 0, size);
+  device.queue.submit([encoder.finish()]);
+
+  await buffer.mapAsync(GPUMapMode.READ);
+  const data = new Uint32Array(buffer.getMappedRange().slice(0));
+  buffer.unmap();
+  buffer.destroy();
+  return data;
+}
+
+function comparePixels(pixels, width, samples) {
+  return samples.map(({ x, y, expected }) => {
+    const offset = (y * width + x) * 4;
+    const actual = Array.from(pixels.subarray(offset, offset + 4));
+    const passed = actual.every((value, i) => Math.abs(value - expected[i]) <= CHANNEL_TOLERANCE);
+    return { x, y, expected, actual, passed };
+  });
+}
+
+function renderPass(encoder, texture, clearValue) {
+  return encoder.beginRenderPass({
+    colorAttachments: [{ view: texture.createView(), clearValue, loadOp: 'clear', storeOp: 'store' }]
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Scenes
+// ---------------------------------------------------------------------------
+
+async function clearScene(device) {
+  const width = 4;
+  const height = 4;
+  const texture = createTarget(device, width, height);
+
+  const encoder = device.createCommandEncoder();
+  renderPass(encoder, texture, { r: 0.25, g: 0.5, b: 0.75, a: 1 }).end();
+  device.queue.submit([encoder.finish()]);
+
+  const pixels = await readTexture(device, texture, width, height);
+  texture.destroy();
+
+  const expected = [64, 128, 191, 255];
+  return comparePixels(pixels, width, [
+    { x: 0, y: 0, expected },
+    { x: 3, y: 0, expected },
+    { x: 0, y: 3, expected },
+    { x: 3, y: 3, expected }
+  ]);
+}
+
+async function triangleScene(device) {
+  // Covers every pixel strictly below the top-left to bottom-right diagonal.
+  const width = 8;
+  const height = 8;
+  const texture = createTarget(device, width, height);
+  const module = device.createShaderModule({
+    code: /* wgsl */ `
+      @vertex
+      fn vs(@builtin(vertex_index) index: u32) -> @builtin(position) vec4f {
+        let positions = array(vec2f(-1.0, -1.0), vec2f(1.0, -1.0), vec2f(-1.0, 1.0));
+        return vec4f(positions[index], 0.0, 1.0);
+      }
+
+      @fragment
+      fn fs() -> @location(0) vec4f {
+        return vec4f(1.0, 0.0, 0.0, 1.0);
+      }
+    `
+  });
+  const pipeline = device.createRenderPipeline({
+    layout: 'auto',
+    vertex: { module, entryPoint: 'vs' },
+    fragment: { module, entryPoint: 'fs', targets: [{ format: FORMAT }] },
+    primitive: { topology: 'triangle-list' }
+  });
+
+  const encoder = device.createCommandEncoder();
+  const pass = renderPass(encoder, texture, { r: 0, g: 0, b: 0, a: 1 });
+  pass.setPipeline(pipeline);
+  pass.draw(3);
+  pass.end();
+  device.queue.submit([encoder.finish()]);
+
+  const pixels = await readTexture(device, texture, width, height);
+  texture.destroy();
+
+  return comparePixels(pixels, width, [
+    { x: 0, y: 7, expected: RED },
+    { x: 2, y: 5, expected: RED },
+    { x: 0, y: 1, expected: RED },
+    { x: 7, y: 0, expected: BLACK },
+    { x: 5, y: 2, expected: BLACK },
+    { x: 7, y: 6, expected: BLACK }
+  ]);
+}
+
+async function texturedQuadScene(device) {
+  // A 2x2 texture stretched over a 4x4 target with nearest filtering, so
+  // each quadrant must come out as exactly one texel.
+  const width = 4;
+  const height = 4;
+  const texture = createTarget(device, width, height);
+  const source = device.createTexture({
+    size: [2, 2],
+    format: FORMAT,
+    usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+  });
+  device.queue.writeTexture(
+    { texture: source },
+    new Uint8Array([...RED, ...GREEN, ...BLUE, ...WHITE]),
+    { bytesPerRow: 8 },
+    [2, 2]
+  );
+
+  const module = device.createShaderModule({
+    code: FULLSCREEN_VERTEX + /* wgsl */ `
+      @group(0) @binding(0) var sourceSampler: sampler;
+      @group(0) @binding(1) var sourceTexture: texture_2d<f32>;
+
+      @fragment
+      fn fs(in: VertexOut) -> @location(0) vec4f {
+        return textureSample(sourceTexture, sourceSampler, in.uv);
+      }
+    `
+  });
+  const pipeline = device.createRenderPipeline({
+    layout: 'auto',
+    vertex: { module, entryPoint: 'vs' },
+    fragment: { module, entryPoint: 'fs', targets: [{ format: FORMAT }] }
+  });
+  const bindGroup = device.createBindGroup({
+    layout: pipeline.getBindGroupLayout(0),
+    entries: [
+      { binding: 0, resource: device.createSampler({ magFilter: 'nearest', minFilter: 'nearest' }) },
+      { binding: 1, resource: source.createView() }
+    ]
+  });
+
+  const encoder = device.createCommandEncoder();
+  const pass = renderPass(encoder, texture, { r: 0, g: 0, b: 0, a: 1 });
+  pass.setPipeline(pipeline);
+  pass.setBindGroup(0, bindGroup);
+  pass.draw(3);
+  pass.end();
+  device.queue.submit([encoder.finish()]);
+
+  const pixels = await readTexture(device, texture, width, height);
+  texture.destroy();
+  source.destroy();
+
+  return comparePixels(pixels, width, [
+    { x: 0, y: 0, expected: RED },
+    { x: 1, y: 1, expected: RED },
+    { x: 3, y: 0, expected: GREEN },
+    { x: 0, y: 3, expected: BLUE },
+    { x: 3, y: 3, expected: WHITE },
+    { x: 2, y: 2, expected: WHITE }
+  ]);
+}
+
+async function computeBufferScene(device) {
+  const count = 64;
+  const size = count * 4;
+  const storage = device.createBuffer({ size, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC });
+  const module = device.createShaderModule({
+    code: /* wgsl */ `
+      @group(0) @binding(0) var<storage, read_write> output: array<u32>;
+
+      @compute @workgroup_size(64)
+      fn main(@builtin(global_invocation_id) id: vec3u) {
+        output[id.x] = id.x * id.x + 1u;
+      }
+    `
+  });
+  const pipeline = device.createComputePipeline({ layout: 'auto', compute: { module, entryPoint: 'main' } });
+  const bindGroup = device.createBindGroup({
+    layout: pipeline.getBindGroupLayout(0),
+    entries: [{ binding: 0, resource: { buffer: storage } }]
+  });
+
+  const encoder = device.createCommandEncoder();
+  const pass = encoder.beginComputePass();
+  pass.setPipeline(pipeline);
+  pass.setBindGroup(0, bindGroup);
+  pass.dispatchWorkgroups(1);
+  pass.end();
+  device.queue.submit([encoder.finish()]);
+
+  const data = await readBuffer(device, storage, size);
+  storage.destroy();
+
+  return Array.from(data, (actual, index) => {
+    const expected = index * index + 1;
+    return { index, expected, actual, passed: actual === expected };
+  });
+}
+
+export const SCENES = {
+  clear: clearScene,
+  triangle: triangleScene,
+  texturedQuad: texturedQuadScene,
+  computeBuffer: computeBufferScene
+};
+
+/**
+ * Runs every scene and reports per-sample expected and actual values.
+ */
+export async function runScenes() {
+  const { adapter, device, error } = await getDevice();
+  if (error) {
+    return { supported: false, error, scenes: [] };
+  }
+
+  const scenes = [];
+  for (const [name, scene] of Object.entries(SCENES)) {
+    device.pushErrorScope('validation');
+    try {
+      const samples = await scene(device);
+      const validationError = await device.popErrorScope();
+      scenes.push({
+        name,
+        passed: !validationError && samples.every((sample) => sample.passed),
+        error: validationError ? validationError.message : null,
+        mismatches: samples.filter((sample) => !sample.passed),
+        samples
+      });
+    } catch (sceneError) {
+      await device.popErrorScope();
+      scenes.push({ name, passed: false, error: sceneError.message, mismatches: [], samples: [] });
+    }
+  }
+
+  device.destroy();
+
+  const info = adapter.info || {};
+  return {
+    supported: true,
+    adapter: { vendor: info.vendor, architecture: info.architecture, device: info.device, description: info.description },
+    passed: scenes.every((scene) => scene.passed),
+    scenes
+  };
+}
+
+/**
+ * Renders a rotating triangle into the canvas until the page is closed.
+ * Resolves with 'rendering' once the first frame is submitted, or with
+ * 'unsupported' when WebGPU is not available.
+ */
+export async function startAnimation(canvas) {
+  const { device, error } = await getDevice();
+  if (error) return 'unsupported';
+
+  const context = canvas.getContext('webgpu');
+  const format = navigator.gpu.getPreferredCanvasFormat();
+  context.configure({ device, format, alphaMode: 'opaque' });
+
+  const uniforms = device.createBuffer({ size: 4, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+  const module = device.createShaderModule({
+    code: /* wgsl */ `
+      @group(0) @binding(0) var<uniform> angle: f32;
+
+      struct VertexOut {
+        @builtin(position) position: vec4f,
+        @location(0) color: vec3f,
+      };
+
+      @vertex
+      fn vs(@builtin(vertex_index) index: u32) -> VertexOut {
+        let corners = array(vec2f(0.0, 0.8), vec2f(-0.7, -0.5), vec2f(0.7, -0.5));
+        let colors = array(vec3f(1.0, 0.2, 0.2), vec3f(0.2, 1.0, 0.2), vec3f(0.2, 0.2, 1.0));
+        let c = cos(angle);
+        let s = sin(angle);
+        let p = corners[index];
+        var out: VertexOut;
+        out.position = vec4f(p.x * c - p.y * s, p.x * s + p.y * c, 0.0, 1.0);
+        out.color = colors[index];
+        return out;
+      }
+
+      @fragment
+      fn fs(in: VertexOut) -> @location(0) vec4f {
+        return vec4f(in.color, 1.0);
+      }
+    `
+  });
+  const pipeline = device.createRenderPipeline({
+    layout: 'auto',
+    vertex: { module, entryPoint: 'vs' },
+    fragment: { module, entryPoint: 'fs', targets: [{ format }] }
+  });
+  const bindGroup = device.createBindGroup({
+    layout: pipeline.getBindGroupLayout(0),
+    entries: [{ binding: 0, resource: { buffer: uniforms } }]
+  });
+
+  const frame = (time) => {
+    device.queue.writeBuffer(uniforms, 0, new Float32Array([time / 1000]));
+    const encoder = device.createCommandEncoder();
+    const pass = encoder.beginRenderPass({
+      colorAttachments: [{
+        view: context.getCurrentTexture().createView(),
+        clearValue: { r: 0.05, g: 0.05, b: 0.1, a: 1 },
+        loadOp: 'clear',
+        storeOp: 'store'
+      }]
+    });
+    pass.setPipeline(pipeline);
+    pass.setBindGroup(0, bindGroup);
+    pass.draw(3);
+    pass.end();
+    device.queue.submit([encoder.finish()]);
+    requestAnimationFrame(frame);
+  };
+
+  frame(performance.now());
+  return 'rendering';
+}
@@ -0,0 +1,234 @@
+// WGSL feature conformance suite.
+//
+// One small module under wgsl/ per optional feature or WGSL language
+// extension. Each case is only attempted when the adapter advertises it
+// (adapter.features or navigator.gpu.wgslLanguageFeatures); otherwise it is
+// "unsupported". An advertised case must compile without errors from
+// getCompilationInfo(), build a pipeline, run, and produce the expected
+// output, or it "fail"s at the stage that went wrong. Results are returned
+// as they are; src/wgsl-conformance.js renders and checks them.
+
+const READBACK_ROW = 256;
+
+const floatBits = (...values) => [...new Uint32Array(new Float32Array(values).buffer)];
+
+async function readBuffer(device, source, size) {
+  const readback = device.createBuffer({ size, usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ });
+  const encoder = device.createCommandEncoder();
+  encoder.copyBufferToBuffer(source, 0, readback, 0, size);
+  device.queue.submit([encoder.finish()]);
+  await readback.mapAsync(GPUMapMode.READ);
+  const data = readback.getMappedRange().slice(0);
+  readback.unmap();
+  readback.destroy();
+  return data;
+}
+
+// Compute cases get `output` (array<u32>) at binding 0, pre-filled with
+// `input` so shaders work on run-time values, plus optional extra bindings.
+async function runCompute(device, module, { words, input = [], resources }, setStage) {
+  const output = device.createBuffer({ size: words * 4, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC, mappedAtCreation: true });
+  new Uint32Array(output.getMappedRange()).set(input);
+  output.unmap();
+  const extra = resources ? resources(device) : { entries: [], destroy() {} };
+
+  try {
+    const pipeline = await device.createComputePipelineAsync({ layout: 'auto', compute: { module, entryPoint: 'main' } });
+    setStage('run');
+    const bindGroup = device.createBindGroup({
+      layout: pipeline.getBindGroupLayout(0),
+      entries: [{ binding: 0, resource: { buffer: output } }, ...extra.entries]
+    });
+    const encoder = device.createCommandEncoder();
+    const pass = encoder.beginComputePass();
+    pass.setPipeline(pipeline);
+    pass.setBindGroup(0, bindGroup);
+    pass.dispatchWorkgroups(1);
+    pass.end();
+    device.queue.submit([encoder.finish()]);
+    return new Uint32Array(await readBuffer(device, output, words * 4));
+  } finally {
+    output.destroy();
+    extra.destroy();
+  }
+}
+
+// Render cases draw one full-screen triangle (vs/fs) into a `width` x 1
+// rgba8unorm target cleared to transparent black and return its texels.
+async function runRender(device, module, { width, blend }, setStage) {
+  const texture = device.createTexture({
+    size: [width, 1],
+    format: 'rgba8unorm',
+    usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC
+  });
+  const readback = device.createBuffer({ size: READBACK_ROW, usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ });
+
+  try {
+    const pipeline = await device.createRenderPipelineAsync({
+      layout: 'auto',
+      vertex: { module, entryPoint: 'vs' },
+      fragment: { module, entryPoint: 'fs', targets: [{ format: 'rgba8unorm', blend }] },
+      primitive: { topology: 'triangle-list' }
+    });
+    setStage('run');
+    const encoder = device.createCommandEncoder();
+    const pass = encoder.beginRenderPass({
+      colorAttachments: [{ view: texture.createView(), clearValue: [0, 0, 0, 0], loadOp: 'clear', storeOp: 'store' }]
+    });
+    pass.setPipeline(pipeline);
+    pass.draw(3);
+    pass.end();
+    encoder.copyTextureToBuffer({ texture }, { buffer: readback, bytesPerRow: READBACK_ROW }, [width, 1]);
+    device.queue.submit([encoder.finish()]);
+
+    await readback.mapAsync(GPUMapMode.READ);
+    const texels = new Uint8Array(readback.getMappedRange().slice(0, width * 4));
+    readback.unmap();
+    return texels;
+  } finally {
+    texture.destroy();
+    readback.destroy();
+  }
+}
+
+const near = (actual, expected) => actual.every((value, index) => Math.abs(value - expected[index]) <= 1);
+
+// `kind` says where the case is advertised: "feature" in adapter.features,
+// "language" in navigator.gpu.wgslLanguageFeatures.
+export const WGSL_CASES = [
+  {
+    name: 'shader-f16',
+    kind: 'feature',
+    compute: { words: 5, input: floatBits(1.5, 2.25) },
+    verify: (output) => [output[2], output[3], output[4]].join() === '3375,4500,65504'
+  },
+  {
+    name: 'subgroups',
+    kind: 'feature',
+    compute: { words: 256 },
+    // Every invocation's subgroup sum equals its subgroup size, a power of two from 4 to 128
+    verify: (output) => Array.from(output.subarray(0, 128)).every((sum, index) => (
+      sum === output[128 + index] && sum >= 4 && sum <= 128 && (sum & (sum - 1)) === 0
+    ))
+  },
+  {
+    name: 'dual-source-blending',
+    kind: 'feature',
+    render: {
+      width: 1,
+      blend: {
+        color: { srcFactor: 'src1', dstFactor: 'zero', operation: 'add' },
+        alpha: { srcFactor: 'one', dstFactor: 'zero', operation: 'add' }
+      }
+    },
+    verify: (texels) => near(texels, [128, 64, 128, 255])
+  },
+  {
+    name: 'clip-distances',
+    kind: 'feature',
+    render: { width: 4 },
+    verify: (texels) => [texels[3], texels[7], texels[11], texels[15]].join() === '0,0,255,255'
+  },
+  {
+    name: 'packed_4x8_integer_dot_product',
+    kind: 'language',
+    compute: { words: 6, input: [0x01020304, 0x01010101] },
+    verify: (output) => [output[2], output[3], output[4], output[5]].join() === [10, 0xfffffffc, 0x04030201, 0xffffffff].join()
+  },
+  {
+    name: 'pointer_composite_access',
+    kind: 'language',
+    compute: { words: 3, input: [5] },
+    verify: (output) => output[1] === 12 && output[2] === 7
+  },
+  {
+    name: 'unrestricted_pointer_parameters',
+    kind: 'language',
+    compute: { words: 2, input: [3] },
+    verify: (output) => output[0] === 5 && output[1] === 50
+  },
+  {
+    name: 'readonly_and_readwrite_storage_textures',
+    kind: 'language',
+    compute: {
+      words: 2,
+      input: [41],
+      resources: (device) => {
+        const texture = device.createTexture({ size: [1, 1], format: 'r32uint', usage: GPUTextureUsage.STORAGE_BINDING });
+        return { entries: [{ binding: 1, resource: texture.createView() }], destroy: () => texture.destroy() };
+      }
+    },
+    verify: (output) => output[1] === 42
+  }
+];
+
+async function runCase(device, testCase, code) {
+  let stage = 'compile';
+  const setStage = (next) => { stage = next; };
+  const result = { stage: null, error: null, messages: [] };
+
+  device.pushErrorScope('validation');
+  try {
+    const module = device.createShaderModule({ label: testCase.name, code });
+    const info = await module.getCompilationInfo();
+    result.messages = info.messages.map(({ type, lineNum, linePos, message }) => ({ type, line: lineNum, column: linePos, message }));
+    const compileError = result.messages.find((message) => message.type === 'error');
+    if (compileError) throw new Error(`${compileError.line}:${compileError.column} ${compileError.message}`);
+
+    setStage('pipeline');
+    const output = testCase.compute
+      ? await runCompute(device, module, testCase.compute, setStage)
+      : await runRender(device, module, testCase.render, setStage);
+    const validationError = await device.popErrorScope();
+    if (validationError) return { ...result, status: 'fail', stage, error: validationError.message };
+
+    const verified = testCase.verify(output);
+    return { ...result, status: verified ? 'pass' : 'fail', stage: verified ? null : 'verify', error: verified ? null : 'Unexpected output' };
+  } catch (error) {
+    await device.popErrorScope();
+    return { ...result, status: 'fail', stage, error: error.message };
+  }
+}
+
+/**
+ * Runs every case (or those named in `only`) and returns one result per case.
+ */
+export async function runConformance({ only = null } = {}) {
+  if (!navigator.gpu) {
+    return { supported: false, error: 'navigator.gpu is not available', languageFeatures: [], cases: [] };
+  }
+  const adapter = await navigator.gpu.requestAdapter();
+  if (!adapter) {
+    return { supported: false, error: 'requestAdapter() returned null', languageFeatures: [], cases: [] };
+  }
+
+  const cases = WGSL_CASES.filter((testCase) => !only || only.includes(testCase.name));
+  const languageFeatures = [...(navigator.gpu.wgslLanguageFeatures || [])].sort();
+  const isAdvertised = (testCase) => (testCase.kind === 'feature' ? adapter.features.has(testCase.name) : languageFeatures.includes(testCase.name));
+  const requiredFeatures = cases.filter((testCase) => testCase.kind === 'feature' && isAdvertised(testCase)).map((testCase) => testCase.name);
+  const device = await adapter.requestDevice({ requiredFeatures });
+
+  const results = [];
+  for (const testCase of cases) {
+    const entry = { name: testCase.name, kind: testCase.kind };
+    if (!isAdvertised(testCase)) {
+      results.push({ ...entry, status: 'unsupported', stage: null, error: null, messages: [], durationMs: 0 });
+      continue;
+    }
+
+    const start = performance.now();
+    const code = await (await fetch(new URL(`./wgsl/${testCase.name}.wgsl`, import.meta.url))).text();
+    const result = await runCase(device, testCase, code);
+    results.push({ ...entry, ...result, durationMs: Math.round(performance.now() - start) });
+  }
+
+  device.destroy();
+
+  const info = adapter.info || {};
+  return {
+    supported: true,
+    adapter: { vendor: info.vendor, architecture: info.architecture, device: info.device, description: info.description },
+    languageFeatures,
+    cases: results
+  };
+}
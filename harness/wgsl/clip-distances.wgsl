@@ -0,0 +1,22 @@
+// clip-distances: a full-screen triangle whose clip distance is negative on
+// the left half of the viewport, so only the right half is drawn.
+enable clip_distances;
+
+struct VertexOutput {
+  @builtin(position) position: vec4f,
+  @builtin(clip_distances) clipDistances: array<f32, 1>,
+}
+
+@vertex
+fn vs(@builtin(vertex_index) index: u32) -> VertexOutput {
+  let corners = array(vec2f(-1.0, -1.0), vec2f(3.0, -1.0), vec2f(-1.0, 3.0));
+  var output: VertexOutput;
+  output.position = vec4f(corners[index], 0.0, 1.0);
+  output.clipDistances[0] = corners[index].x;
+  return output;
+}
+
+@fragment
+fn fs() -> @location(0) vec4f {
+  return vec4f(1.0);
+}
@@ -0,0 +1,19 @@
+// dual-source-blending: the second blend source scales the first through a
+// "src1" blend factor.
+enable dual_source_blending;
+
+struct FragmentOutput {
+  @location(0) @blend_src(0) colour: vec4f,
+  @location(0) @blend_src(1) factor: vec4f,
+}
+
+@vertex
+fn vs(@builtin(vertex_index) index: u32) -> @builtin(position) vec4f {
+  let corners = array(vec2f(-1.0, -1.0), vec2f(3.0, -1.0), vec2f(-1.0, 3.0));
+  return vec4f(corners[index], 0.0, 1.0);
+}
+
+@fragment
+fn fs() -> FragmentOutput {
+  return FragmentOutput(vec4f(1.0, 1.0, 0.5, 1.0), vec4f(0.5, 0.25, 1.0, 1.0));
+}
@@ -0,0 +1,15 @@
+// packed_4x8_integer_dot_product: packed dot products, packing and unpacking
+// of run-time values.
+requires packed_4x8_integer_dot_product;
+
+@group(0) @binding(0) var<storage, read_write> output: array<u32>;
+
+@compute @workgroup_size(1)
+fn main() {
+  let bytes = output[0];
+  let ones = output[1];
+  output[2] = dot4U8Packed(bytes, ones);
+  output[3] = bitcast<u32>(dot4I8Packed(0xffffffffu, ones));
+  output[4] = pack4xU8(vec4u(ones & 0xffu, 2u, 3u, 4u));
+  output[5] = bitcast<u32>(unpack4xI8(bytes | 0x80ff0000u).z);
+}
@@ -0,0 +1,19 @@
+// pointer_composite_access: member and index access straight through a
+// pointer, without dereferencing it first.
+requires pointer_composite_access;
+
+struct Pair {
+  first: u32,
+  second: vec4u,
+}
+
+@group(0) @binding(0) var<storage, read_write> output: array<u32>;
+
+@compute @workgroup_size(1)
+fn main() {
+  var pair = Pair(output[0], vec4u(0u, 0u, output[0] + 2u, 0u));
+  let p = &pair;
+  output[1] = p.first + p.second.z;
+  let q = &output;
+  q[2] = 7u;
+}
@@ -0,0 +1,13 @@
+// readonly_and_readwrite_storage_textures: a store and a load on the same
+// read_write storage texture.
+requires readonly_and_readwrite_storage_textures;
+
+@group(0) @binding(0) var<storage, read_write> output: array<u32>;
+@group(0) @binding(1) var image: texture_storage_2d<r32uint, read_write>;
+
+@compute @workgroup_size(1)
+fn main() {
+  textureStore(image, vec2i(0, 0), vec4u(output[0] + 1u));
+  textureBarrier();
+  output[1] = textureLoad(image, vec2i(0, 0)).x;
+}
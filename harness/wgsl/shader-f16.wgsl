@@ -0,0 +1,15 @@
+// shader-f16: half-precision arithmetic on values read at run time, so the
+// compiler cannot fold it away.
+enable f16;
+
+@group(0) @binding(0) var<storage, read_write> output: array<u32>;
+
+@compute @workgroup_size(1)
+fn main() {
+  let a = f16(bitcast<f32>(output[0]));
+  let b = f16(bitcast<f32>(output[1]));
+  let product: vec2<f16> = vec2h(a, b) * vec2h(b, 2.0h);
+  output[2] = u32(f32(product.x) * 1000.0);
+  output[3] = u32(f32(product.y) * 1000.0);
+  output[4] = u32(f32(65504.0h));
+}
@@ -0,0 +1,13 @@
+// subgroups: every invocation of a subgroup sums 1, which must equal the
+// subgroup size builtin.
+enable subgroups;
+
+const WORKGROUP = 128u;
+
+@group(0) @binding(0) var<storage, read_write> output: array<u32>;
+
+@compute @workgroup_size(WORKGROUP)
+fn main(@builtin(local_invocation_index) index: u32, @builtin(subgroup_size) size: u32) {
+  output[index] = subgroupAdd(1u);
+  output[WORKGROUP + index] = size;
+}
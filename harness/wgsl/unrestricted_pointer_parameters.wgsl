@@ -0,0 +1,22 @@
+// unrestricted_pointer_parameters: storage and workgroup pointers passed to
+// user functions.
+requires unrestricted_pointer_parameters;
+
+@group(0) @binding(0) var<storage, read_write> output: array<u32>;
+var<workgroup> scratch: u32;
+
+fn increment(p: ptr<storage, u32, read_write>) {
+  *p += 1u;
+}
+
+fn store(p: ptr<workgroup, u32>, value: u32) {
+  *p = value;
+}
+
+@compute @workgroup_size(1)
+fn main() {
+  increment(&output[0]);
+  increment(&output[0]);
+  store(&scratch, output[0] * 10u);
+  output[1] = scratch;
+}
@@ -0,0 +1,27 @@
+// Worker side of the worker probe, loaded as a module by a dedicated worker,
+// a shared worker and a service worker alike. Every request carries a
+// MessagePort; the scene result goes back over it with the ImageBitmaps
+// transferred.
+import { renderOffscreenScenes, sceneTransferables } from './offscreen-scene.js';
+
+async function handleRequest({ data }) {
+  const { port, options } = data;
+  try {
+    const result = await renderOffscreenScenes(options);
+    port.postMessage({ result }, sceneTransferables(result));
+  } catch (error) {
+    port.postMessage({ error: error.message });
+  }
+}
+
+// Shared workers receive their ports through connect events
+self.addEventListener('connect', (event) => {
+  event.ports[0].addEventListener('message', handleRequest);
+  event.ports[0].start();
+});
+
+// Dedicated and service workers receive messages directly
+self.addEventListener('message', handleRequest);
+
+// A new service worker version activates without waiting for old clients
+self.addEventListener('install', () => self.skipWaiting());
@@ -0,0 +1,128 @@
+// Worker and OffscreenCanvas GPU availability probe.
+//
+// Renders the offscreen scene (offscreen-scene.js) on the main thread and in
+// each worker scope an app could render from: a dedicated worker, a
+// dedicated worker drawing into canvases handed over with
+// transferControlToOffscreen ("transferred"), a shared worker and a service
+// worker. Every scope returns its renders as ImageBitmaps, which are checked
+// pixel by pixel here on the main thread. Results are returned as they are;
+// src/worker-probe.js compares the scopes.
+import { OFFSCREEN_CONTEXTS, SCENE_SIZE, renderOffscreenScenes } from './offscreen-scene.js';
+
+export const WORKER_SCOPES = ['main', 'dedicated', 'transferred', 'shared', 'service'];
+
+const WORKER_URL = new URL('./worker-probe-worker.js', import.meta.url);
+
+// unorm8 conversion may round either way on some backends
+const CHANNEL_TOLERANCE = 1;
+
+const RED = [255, 0, 0, 255];
+const BLUE = [0, 0, 255, 255];
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer within ${timeoutMs} ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Sends one scene request to a worker and waits for the reply on a private
+// channel. `errorSource` is the worker object, whose error event fires when
+// the script fails to load.
+function requestScenes(target, options, { transfer = [], errorSource = null } = {}) {
+  const channel = new MessageChannel();
+  const reply = new Promise((resolve, reject) => {
+    channel.port1.onmessage = ({ data }) => (data.error ? reject(new Error(data.error)) : resolve(data.result));
+    errorSource?.addEventListener('error', (event) => reject(new Error(event.message || 'The worker script failed to load')));
+  });
+  target.postMessage({ port: channel.port2, options }, [channel.port2, ...transfer]);
+  return reply.finally(() => channel.port1.close());
+}
+
+async function probeScope(scope, options) {
+  if (scope === 'main') return renderOffscreenScenes(options);
+
+  if (scope === 'dedicated' || scope === 'transferred') {
+    if (typeof Worker !== 'function') throw new Error('Worker is not available');
+    const worker = new Worker(WORKER_URL, { type: 'module' });
+    try {
+      if (scope === 'dedicated') return await requestScenes(worker, options, { errorSource: worker });
+
+      const canvases = Object.fromEntries(options.contexts.map((type) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = options.size;
+        canvas.height = options.size;
+        return [type, canvas.transferControlToOffscreen()];
+      }));
+      return await requestScenes(worker, { ...options, canvases }, { transfer: Object.values(canvases), errorSource: worker });
+    } finally {
+      worker.terminate();
+    }
+  }
+
+  if (scope === 'shared') {
+    if (typeof SharedWorker !== 'function') throw new Error('SharedWorker is not available');
+    const worker = new SharedWorker(WORKER_URL, { type: 'module', name: 'gpu-worker-probe' });
+    worker.port.start();
+    try {
+      return await requestScenes(worker.port, options, { errorSource: worker });
+    } finally {
+      worker.port.close();
+    }
+  }
+
+  if (!navigator.serviceWorker) throw new Error('navigator.serviceWorker is not available');
+  const registration = await navigator.serviceWorker.register(WORKER_URL, { type: 'module' });
+  try {
+    await navigator.serviceWorker.ready;
+    return await requestScenes(registration.active, options);
+  } finally {
+    await registration.unregister();
+  }
+}
+
+// Draws a returned ImageBitmap into a 2D canvas and compares the left (red)
+// and right (blue) halves with the scene.
+function verifyBitmap(bitmap, size) {
+  const canvas = new OffscreenCanvas(size, size);
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  const half = size / 2;
+  const samples = [
+    { x: 0, y: 0, expected: RED },
+    { x: half - 1, y: size - 1, expected: RED },
+    { x: half, y: 0, expected: BLUE },
+    { x: size - 1, y: size - 1, expected: BLUE }
+  ].map(({ x, y, expected }) => {
+    const actual = Array.from(context.getImageData(x, y, 1, 1).data);
+    const passed = actual.every((value, i) => Math.abs(value - expected[i]) <= CHANNEL_TOLERANCE);
+    return { x, y, expected, actual, passed };
+  });
+  return { verified: samples.every((sample) => sample.passed), mismatches: samples.filter((sample) => !sample.passed) };
+}
+
+/**
+ * Probes every scope in turn. Each scope reports whether it could run at
+ * all, navigator.gpu and OffscreenCanvas presence, and per context type
+ * whether it was available, rendered the expected pixels, or why not.
+ */
+export async function runWorkerProbes({ scopes = WORKER_SCOPES, contexts = OFFSCREEN_CONTEXTS, size = SCENE_SIZE, timeoutMs = 10000 } = {}) {
+  const results = [];
+  for (const scope of scopes) {
+    const entry = { scope, supported: false, error: null, navigatorGpu: null, offscreenCanvas: null, contexts: {} };
+    try {
+      const scene = await withTimeout(probeScope(scope, { contexts, size }), timeoutMs);
+      Object.assign(entry, { supported: true, navigatorGpu: scene.navigatorGpu, offscreenCanvas: scene.offscreenCanvas });
+      for (const [type, { bitmap, ...result }] of Object.entries(scene.contexts)) {
+        entry.contexts[type] = { ...result, ...(bitmap ? verifyBitmap(bitmap, size) : { verified: false, mismatches: [] }) };
+      }
+    } catch (error) {
+      entry.error = error.message;
+    }
+    results.push(entry);
+  }
+  return { size, contexts, scopes: results };
+}
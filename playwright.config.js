@@ -1,74 +1,73 @@
 import { defineConfig, devices } from "@playwright/test";
+import {
+  ENGINE_LAUNCH_OPTIONS,
+  ENGINE_POLICY_PROFILES,
+  getDefaultExecutablePath,
+  getLaunchArgs,
+  getPlatformPreset,
+  getPresetPolicyProfile,
+  parsePresetList,
+} from "./src/launch-flags.js";
 
-// Linux-specific WebGPU flags
-const linuxWebGPUFlags = [
-  "--use-angle=vulkan",
-  "--enable-features=WebGPU,Vulkan",
-  "--disable-vulkan-surface",
-  "--enable-unsafe-webgpu",
-  "--ignore-gpu-blocklist",
-  "--disable-gpu-driver-bug-workarounds",
-];
+// Platform-specific WebGPU flag sets live in src/launch-flags.js so the
+// gpu-detect CLI launches Chrome exactly like the test suite does.
 
-// macOS-specific WebGPU flags
-const macWebGPUFlags = [
-  "--use-angle=metal",                    // Use Metal backend on macOS
-  "--enable-features=WebGPU,WebGPUDeveloperFeatures", // Enable WebGPU with developer features
-  "--enable-unsafe-webgpu",               // Allow experimental WebGPU
-  "--ignore-gpu-blocklist",               // Ignore GPU blacklist
-  "--disable-gpu-driver-bug-workarounds", // Prevent software fallback
-  "--enable-gpu",                         // Ensure GPU acceleration
-  "--no-sandbox",                         // Disable sandbox for testing
-  "--disable-dev-shm-usage",             // Disable shared memory usage
-];
-
-// Windows-specific WebGPU flags (if needed)
-const windowsWebGPUFlags = [
-  "--use-angle=d3d11",                    // DirectX backend
-  "--enable-features=WebGPU",
-  "--enable-unsafe-webgpu",
-  "--ignore-gpu-blocklist",
-  "--disable-gpu-driver-bug-workarounds",
-];
+// Creates one project per flag preset
+function presetProject(name, preset, matrixPreset) {
+  return {
+    name,
+    metadata: { flagPreset: preset, matrixPreset },
+    use: {
+      ...devices["Desktop Chrome"],
+      channel: "chrome",
+      executablePath: getDefaultExecutablePath(),
+      policyProfileName: matrixPreset ? getPresetPolicyProfile(preset) : null,
+      launchOptions: {
+        args: getLaunchArgs(preset),
+      },
+    },
+  };
+}
 
-// Get platform-specific flags
-function getPlatformWebGPUFlags() {
-  switch (process.platform) {
-    case "linux":
-      return linuxWebGPUFlags;
-    case "darwin": // macOS
-      return macWebGPUFlags;
-    case "win32":
-      return windowsWebGPUFlags;
-    default:
-      return [
-        "--enable-features=WebGPU",
-        "--enable-unsafe-webgpu",
-        "--ignore-gpu-blocklist",
-      ];
-  }
+// Firefox and WebKit run the browser suite only: the JS probes everywhere,
+// and the GPU info tests from about:support in Firefox
+function engineProject(name, device) {
+  return {
+    name,
+    testMatch: "gpu-comprehensive.test.js",
+    use: {
+      ...devices[device],
+      policyProfileName: ENGINE_POLICY_PROFILES[name],
+      launchOptions: ENGINE_LAUNCH_OPTIONS[name],
+    },
+  };
 }
 
+// GPU_PRESETS=all (or e.g. "angle-vulkan,angle-gl,disable-gpu") adds one
+// project per matrix preset next to the platform one; the global teardown
+// then prints a side-by-side comparison.
+const matrixPresets = parsePresetList(process.env.GPU_PRESETS);
+
 export default defineConfig({
   use: {
     trace: "retain-on-failure",
   },
+  // Lets the teardown ignore reports left over from earlier runs
+  metadata: {
+    runStartedAt: new Date().toISOString(),
+  },
+  // The GPU reporter writes a dashboard, JUnit XML and a Markdown summary
+  // per project into its output directory
+  reporter: [[process.env.CI ? "dot" : "list"], ["./src/gpu-reporter.js"]],
+  globalTeardown: "./tests/global-teardown.js",
   projects: [
-    {
-      name: "chromium",
-      use: {
-        ...devices["Desktop Chrome"],
-        channel: "chrome",
-        executablePath: process.platform === "darwin" ? "/Applications/Google Chrome.app/Contents/MacOS/Google Chrome" : undefined,
-        launchOptions: {
-          args: [
-            ...getPlatformWebGPUFlags(),
-            "--enable-webgpu",
-            "--enable-webgpu-developer-features",
-            "--enable-unsafe-webgpu-developer-features",
-          ],
-        },
-      },
-    },
+    presetProject("chromium", getPlatformPreset()),
+    ...matrixPresets.map((preset) => ({
+      ...presetProject(`chromium-${preset}`, preset, preset),
+      // Unit tests do not depend on launch flags; run them once
+      testMatch: "gpu-comprehensive.test.js",
+    })),
+    engineProject("firefox", "Desktop Firefox"),
+    engineProject("webkit", "Desktop Safari"),
   ],
 });
@@ -0,0 +1,169 @@
+// GPU info read over the Chrome DevTools Protocol.
+//
+// chrome://gpu is scraped from markup that changes between Chrome releases.
+// SystemInfo.getInfo returns most of the same data as structured JSON, so it
+// is collected through a browser CDP session and rewritten into the sections
+// chrome://gpu would show, which buildGpuData folds into the usual GpuData.
+//
+// What CDP covers:
+//   Graphics Feature Status          gpu.featureStatus
+//   Version Information              Browser.getVersion product, commandLine
+//   Driver Information               gpu.devices and a few gpu.auxAttributes
+//   Driver Bug Workarounds           gpu.driverBugWorkarounds
+//   Video Acceleration Information   gpu.videoDecoding / gpu.videoEncoding
+// Problems, Dawn Info, ANGLE features and displays are only on the page.
+import { buildGpuData } from './chrome-gpu-parser.js';
+import { parseCommandLine } from './flag-verification.js';
+
+/**
+ * @typedef {Object} CdpGpuInfo
+ * @property {Object} version        Browser.getVersion result
+ * @property {Object} systemInfo     SystemInfo.getInfo result
+ * @property {Object<string, boolean|null>} featureStates  SystemInfo.getFeatureState per
+ *   --enable-features / --disable-features entry; null when Chrome does not answer for it
+ */
+
+// gpu.featureStatus keys and values, as chrome://gpu labels them
+const FEATURE_NAMES = {
+  '2d_canvas': 'Canvas',
+  canvas_oop_rasterization: 'Canvas out-of-process rasterization',
+  direct_rendering_display_compositor: 'Direct Rendering Display Compositor',
+  gpu_compositing: 'Compositing',
+  multiple_raster_threads: 'Multiple Raster Threads',
+  opengl: 'OpenGL',
+  rasterization: 'Rasterization',
+  raw_draw: 'Raw Draw',
+  skia_graphite: 'Skia Graphite',
+  video_decode: 'Video Decode',
+  video_encode: 'Video Encode',
+  vulkan: 'Vulkan',
+  webgl: 'WebGL',
+  webgl2: 'WebGL2',
+  webgpu: 'WebGPU',
+  webnn: 'WebNN'
+};
+
+const FEATURE_STATUS_TEXT = {
+  disabled_software: 'Software only. Hardware acceleration disabled',
+  disabled_off: 'Disabled',
+  disabled_off_ok: 'Disabled',
+  unavailable_software: 'Software only, hardware acceleration unavailable',
+  unavailable_off: 'Unavailable',
+  unavailable_off_ok: 'Unavailable',
+  enabled_readback: 'Hardware accelerated but at reduced performance',
+  enabled_force: 'Hardware accelerated on all pages',
+  enabled: 'Hardware accelerated',
+  enabled_on: 'Enabled',
+  enabled_force_on: 'Force enabled'
+};
+
+// gpu.auxAttributes worth a Driver Information row
+const AUX_ATTRIBUTE_ROWS = {
+  initializationTime: 'Initialization time',
+  inProcessGpu: 'In-process GPU',
+  passthroughCmdDecoder: 'Passthrough Command Decoder',
+  sandboxed: 'Sandboxed',
+  glImplementationParts: 'GL implementation parts',
+  displayType: 'Display type',
+  glVendor: 'GL_VENDOR',
+  glRenderer: 'GL_RENDERER',
+  glVersion: 'GL_VERSION'
+};
+
+const hex = (value) => `0x${Number(value || 0).toString(16).padStart(4, '0')}`;
+const resolution = (size) => `${size?.width ?? 0}x${size?.height ?? 0}`;
+
+function deviceRow(device, index) {
+  const vendor = `VENDOR= ${hex(device.vendorId)}${device.vendorString ? ` [${device.vendorString}]` : ''}`;
+  const id = `DEVICE=${hex(device.deviceId)}${device.deviceString ? ` [${device.deviceString}]` : ''}`;
+  const driver = [
+    device.driverVendor && `DRIVER_VENDOR=${device.driverVendor}`,
+    device.driverVersion && `DRIVER_VERSION=${device.driverVersion}`
+  ].filter(Boolean);
+  // Element 0 is the primary GPU, which chrome://gpu marks as active
+  return [`GPU${index}`, `${[vendor, id, ...driver].join(', ')}${index === 0 ? ' *ACTIVE*' : ''}`];
+}
+
+/**
+ * Rewrites CDP GPU info as the chrome://gpu sections buildGpuData reads.
+ * @param {CdpGpuInfo} info
+ */
+export function cdpInfoToSections({ version = {}, systemInfo = {} }) {
+  const gpu = systemInfo.gpu || {};
+  const devices = gpu.devices || [];
+  const primary = devices[0] || {};
+  const aux = gpu.auxAttributes || {};
+  const section = (fields) => ({ items: [], rows: [], subsections: [], ...fields });
+
+  return {
+    'Graphics Feature Status': section({
+      items: Object.entries(gpu.featureStatus || {}).map(([name, status]) => (
+        `${FEATURE_NAMES[name] || name}: ${FEATURE_STATUS_TEXT[status] || status}`
+      ))
+    }),
+    'Version Information': section({
+      rows: [['Chrome version', version.product], ['Command Line', systemInfo.commandLine]].filter(([, value]) => value)
+    }),
+    'Driver Information': section({
+      rows: [
+        ...Object.entries(AUX_ATTRIBUTE_ROWS).filter(([key]) => aux[key] !== undefined).map(([key, label]) => [label, String(aux[key])]),
+        ...devices.map(deviceRow),
+        ['Driver vendor', primary.driverVendor],
+        ['Driver version', primary.driverVersion]
+      ].filter(([, value]) => value)
+    }),
+    'Driver Bug Workarounds': section({ items: [...(gpu.driverBugWorkarounds || [])] }),
+    'Video Acceleration Information': section({
+      rows: [
+        ...(gpu.videoDecoding || []).map((entry) => [
+          `Decode ${entry.profile}`,
+          `${resolution(entry.minResolution)} to ${resolution(entry.maxResolution)} pixels`
+        ]),
+        ...(gpu.videoEncoding || []).map((entry) => [
+          `Encode ${entry.profile}`,
+          `0x0 to ${resolution(entry.maxResolution)} pixels, and/or ${(entry.maxFramerateNumerator / (entry.maxFramerateDenominator || 1)).toFixed(3)} fps.`
+        ])
+      ]
+    })
+  };
+}
+
+/**
+ * Folds CDP GPU info into a gpuData object.
+ * @param {CdpGpuInfo} info
+ * @returns {import('./chrome-gpu-parser.js').GpuData}
+ */
+export function parseCdpGpuInfo(info) {
+  return buildGpuData(cdpInfoToSections(info));
+}
+
+/**
+ * Collects GPU info from a Chromium browser over a browser-level CDP session.
+ * Every feature named in --enable-features / --disable-features is also
+ * looked up with SystemInfo.getFeatureState, which Chrome only answers for
+ * some features.
+ * @param {import('@playwright/test').Browser} browser
+ * @returns {Promise<CdpGpuInfo>}
+ */
+export async function collectCdpGpuInfo(browser) {
+  const session = await browser.newBrowserCDPSession();
+  try {
+    const version = await session.send('Browser.getVersion');
+    const systemInfo = await session.send('SystemInfo.getInfo');
+
+    const { enabledFeatures, disabledFeatures } = parseCommandLine(systemInfo.commandLine);
+    const featureStates = {};
+    for (const name of [...new Set([...enabledFeatures, ...disabledFeatures])]) {
+      try {
+        featureStates[name] = (await session.send('SystemInfo.getFeatureState', { featureState: name })).featureEnabled;
+      } catch {
+        featureStates[name] = null;
+      }
+    }
+
+    return { version, systemInfo, featureStates };
+  } finally {
+    await session.detach();
+  }
+}
+
@@ -0,0 +1,669 @@
+// Parser for chrome://gpu.
+//
+// Accepts a live Playwright page, a saved chrome://gpu HTML snapshot or the
+// "Copy Report to Clipboard" text dump. Every source is first reduced to the
+// same flat list of blocks (headings, list items and table rows) and then
+// folded into a single gpuData object, so all three inputs parse identically.
+
+/**
+ * @typedef {Object} DawnAdapter
+ * @property {string} title     Adapter heading, e.g. "<Discrete GPU> Vulkan backend - NVIDIA ..."
+ * @property {Object<string, string[]>} sections  "[Header]" lists for this adapter
+ */
+
+/**
+ * @typedef {Object} AngleFeature
+ * @property {string} name         e.g. "preferCPUForBufferSubData"
+ * @property {string|null} category  e.g. "Vulkan workarounds"
+ * @property {boolean} enabled
+ * @property {string} text         The full item as shown on the page
+ */
+
+/**
+ * @typedef {Object} VideoProfile
+ * @property {string} profile      e.g. "h264 baseline"
+ * @property {string} codec        e.g. "h264"
+ * @property {{width: number, height: number}|null} minResolution
+ * @property {{width: number, height: number}|null} maxResolution
+ * @property {number|null} maxFramerate  Encoders only
+ */
+
+/**
+ * @typedef {Object} VulkanInfo
+ * @property {string|null} apiVersion
+ * @property {string|null} usedApiVersion
+ * @property {string[]} instanceExtensions
+ * @property {Object<string, string>} properties
+ * @property {{name: string|null, type: string|null, apiVersion: string|null, driverVersion: string|null, properties: Object<string, string>}[]} devices
+ */
+
+/**
+ * @typedef {Object} DisplayInfo
+ * @property {string|null} id
+ * @property {{x: number, y: number, width: number, height: number}|null} bounds
+ * @property {number|null} scaleFactor
+ * @property {number|null} rotation
+ * @property {string|null} colorSpace
+ * @property {string|null} bufferFormat
+ * @property {number|null} sdrWhiteLevel
+ * @property {number|null} hdrMaxLuminance  Relative to SDR white
+ * @property {boolean} hdr
+ * @property {number|null} bitsPerColor
+ * @property {number|null} refreshRate
+ * @property {Object<string, string>} properties
+ */
+
+/**
+ * @typedef {Object} LogMessage
+ * @property {string|null} level   ERROR, WARNING, INFO, ... when the entry has a log prefix
+ * @property {string|null} source  e.g. "gpu_init.cc(537)" or "GpuProcessHost"
+ * @property {string} message
+ * @property {string} text
+ */
+
+/**
+ * @typedef {Object} GpuData
+ * @property {string[]} graphicsFeatures        Raw "Feature: Status" lines
+ * @property {Object<string, string>} features  Feature name -> status
+ * @property {Object<string, string>} versionInfo
+ * @property {Object<string, string>} driverInfo
+ * @property {{webgpuStatus?: string, adapters: DawnAdapter[]}} dawnInfo
+ * @property {string[]} problems
+ * @property {Object} status                    Derived flags (webgpu, hardwareAccelerated, graphicsBackend, ...)
+ * @property {string[]} capabilities            WebGPU adapter features reported by Dawn
+ * @property {string[]} backends                Graphics backends mentioned anywhere on the page
+ * @property {string[]} driverBugWorkarounds    Workarounds listed under "Driver Bug Workarounds"
+ * @property {AngleFeature[]} angleFeatures
+ * @property {{decode: VideoProfile[], encode: VideoProfile[]}} videoAcceleration
+ * @property {VulkanInfo|null} vulkanInfo
+ * @property {DisplayInfo[]} displays
+ * @property {Object<string, {native: boolean, usages: string[]}>} gpuMemoryBuffers  Buffer format -> support
+ * @property {Object<string, string>} compositorInfo
+ * @property {LogMessage[]} logMessages
+ * @property {Object<string, import('./gpu-info-sources.js').FieldSource>} [sources]  Comparable field -> where its value came from, set by mergeGpuInfo
+ */
+
+export const SECTION_TITLES = [
+  'Graphics Feature Status',
+  'Graphics Feature Status for Hardware GPU',
+  'Problems Detected',
+  'Problems Detected for Hardware GPU',
+  'Driver Bug Workarounds',
+  'Driver Bug Workarounds for Hardware GPU',
+  'ANGLE Features',
+  'Dawn Info',
+  'DAWN Info',
+  'Version Information',
+  'Driver Information',
+  'Driver Information for Hardware GPU',
+  'Compositor Information',
+  'GpuMemoryBuffers Status',
+  'Display(s) Information',
+  'Video Acceleration Information',
+  'Vulkan Information',
+  'Device Performance Information',
+  'Log Messages',
+  'Diagnostics'
+];
+
+const BACKEND_NAMES = ['Metal', 'Vulkan', 'OpenGL', 'DirectX', 'ANGLE'];
+
+// ---------------------------------------------------------------------------
+// Block extraction
+// ---------------------------------------------------------------------------
+
+/**
+ * Collects blocks from the live chrome://gpu DOM. Runs inside the page via
+ * page.evaluate, so it must stay self-contained.
+ */
+function collectBlocksInPage() {
+  const blocks = [];
+  const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+  const isHidden = (el) => typeof el.checkVisibility === 'function' && !el.checkVisibility();
+
+  const visit = (node) => {
+    for (const child of node.children || []) {
+      if (isHidden(child)) continue;
+      const tag = child.tagName.toLowerCase();
+      if (tag === 'h3' || tag === 'h4') {
+        blocks.push({ type: 'heading', level: tag === 'h3' ? 3 : 4, text: clean(child.textContent) });
+      } else if (tag === 'li') {
+        blocks.push({ type: 'item', text: clean(child.textContent) });
+      } else if (tag === 'tr') {
+        const cells = [...child.children].filter((cell) => /^t[dh]$/i.test(cell.tagName)).map((cell) => clean(cell.textContent));
+        blocks.push({ type: 'row', cells });
+      } else {
+        if (child.shadowRoot) visit(child.shadowRoot);
+        visit(child);
+      }
+    }
+  };
+
+  visit(document.body);
+  return blocks;
+}
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function isHiddenTag(attributes) {
+  return /(^|\s)hidden(\s|=|$)/i.test(attributes) || /display\s*:\s*none/i.test(attributes);
+}
+
+/**
+ * Collects blocks from a saved chrome://gpu HTML snapshot. Only the handful
+ * of tags the page actually uses matter, so a small tokenizer is enough.
+ */
+export function collectBlocksFromHtml(html) {
+  const blocks = [];
+  const source = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, '');
+
+  const stack = [];
+  let capture = null; // { kind: 'heading' | 'item' | 'cell', level?, text }
+  let row = null;
+
+  const hidden = () => stack.length > 0 && stack[stack.length - 1].hidden;
+  const clean = (text) => decodeEntities(text).replace(/\s+/g, ' ').trim();
+
+  const tokenPattern = /<\/?([a-zA-Z][\w-]*)([^>]*)>|([^<]+)/g;
+  let match;
+  while ((match = tokenPattern.exec(source)) !== null) {
+    const [token, rawTag, attributes = '', text] = match;
+
+    if (text !== undefined) {
+      if (capture && !hidden()) capture.text += text;
+      continue;
+    }
+
+    const tag = rawTag.toLowerCase();
+    const closing = token.startsWith('</');
+
+    if (!closing) {
+      if (tag === 'br' && capture) capture.text += ' ';
+      if (VOID_TAGS.has(tag) || attributes.trim().endsWith('/')) continue;
+
+      const isHidden = hidden() || isHiddenTag(attributes);
+      stack.push({ tag, hidden: isHidden });
+      if (isHidden || capture) continue;
+
+      if (tag === 'h3' || tag === 'h4') {
+        capture = { kind: 'heading', level: tag === 'h3' ? 3 : 4, tag, text: '' };
+      } else if (tag === 'li') {
+        capture = { kind: 'item', tag, text: '' };
+      } else if (tag === 'tr') {
+        row = [];
+      } else if ((tag === 'td' || tag === 'th') && row) {
+        capture = { kind: 'cell', tag, text: '' };
+      }
+      continue;
+    }
+
+    // Pop back to the matching open tag, tolerating unclosed children.
+    const index = stack.map((entry) => entry.tag).lastIndexOf(tag);
+    if (index === -1) continue;
+    stack.length = index;
+
+    if (capture && capture.tag === tag) {
+      if (capture.kind === 'heading') {
+        blocks.push({ type: 'heading', level: capture.level, text: clean(capture.text) });
+      } else if (capture.kind === 'item') {
+        blocks.push({ type: 'item', text: clean(capture.text) });
+      } else if (capture.kind === 'cell') {
+        row.push(clean(capture.text));
+      }
+      capture = null;
+    } else if (tag === 'tr' && row) {
+      blocks.push({ type: 'row', cells: row });
+      row = null;
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Collects blocks from the "Copy Report to Clipboard" text dump.
+ *
+ * Section titles are recognised by name (or by a ===/--- underline), "[...]"
+ * and "<...>" lines are sub-headings, tab-separated lines are table rows,
+ * indented lines continue the previous item and everything else is a list
+ * item with any bullet stripped.
+ */
+export function collectBlocksFromText(text) {
+  const blocks = [];
+  const lines = text.split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].replace(/\s+$/, '');
+    const trimmed = line.trim();
+    if (!trimmed || /^[=-]{3,}$/.test(trimmed)) continue;
+
+    const underlined = /^[=-]{3,}$/.test((lines[i + 1] || '').trim());
+    const previous = blocks[blocks.length - 1];
+    if (/^\s/.test(line) && !/^[*•-]\s/.test(trimmed) && previous?.type === 'item') {
+      // Indented continuation of the previous bullet, e.g. "Disabled Features: ..."
+      previous.text += ` ${trimmed}`;
+    } else if (underlined || SECTION_TITLES.includes(trimmed)) {
+      blocks.push({ type: 'heading', level: 3, text: trimmed });
+    } else if (/^\[.+\]$/.test(trimmed) || /^<[^>]+>/.test(trimmed)) {
+      blocks.push({ type: 'heading', level: 4, text: trimmed });
+    } else if (line.includes('\t')) {
+      blocks.push({ type: 'row', cells: line.split('\t').map((cell) => cell.trim()).filter(Boolean) });
+    } else {
+      blocks.push({ type: 'item', text: trimmed.replace(/^[*•-]\s+/, '') });
+    }
+  }
+
+  return blocks;
+}
+
+// ---------------------------------------------------------------------------
+// Sections
+// ---------------------------------------------------------------------------
+
+/**
+ * Groups blocks into sections keyed by their h3 title. Only the first section
+ * with a given title is kept, which skips the hidden duplicates chrome://gpu
+ * renders for some layouts.
+ */
+export function groupSections(blocks) {
+  const sections = {};
+  let current = null;
+  let target = null;
+
+  for (const block of blocks) {
+    if (block.type === 'heading' && block.level === 3) {
+      if (sections[block.text]) {
+        current = null;
+        target = null;
+        continue;
+      }
+      current = { title: block.text, items: [], rows: [], subsections: [] };
+      sections[block.text] = current;
+      target = current;
+    } else if (!current) {
+      continue;
+    } else if (block.type === 'heading') {
+      target = { title: block.text, items: [], rows: [] };
+      current.subsections.push(target);
+    } else if (block.type === 'item') {
+      if (block.text) target.items.push(block.text);
+    } else if (block.type === 'row') {
+      target.rows.push(block.cells);
+    }
+  }
+
+  return sections;
+}
+
+function rowsToObject(rows) {
+  const result = {};
+  for (const cells of rows) {
+    if (cells.length >= 2 && cells[0] && cells[1]) {
+      result[cells[0]] = cells.slice(1).join(' ');
+    }
+  }
+  return result;
+}
+
+function addBackend(gpuData, backend) {
+  if (!gpuData.backends.includes(backend)) {
+    gpuData.backends.push(backend);
+  }
+}
+
+function detectBackend(text) {
+  return BACKEND_NAMES.find((name) => text.includes(name)) || null;
+}
+
+// ---------------------------------------------------------------------------
+// gpuData
+// ---------------------------------------------------------------------------
+
+/** @returns {GpuData} */
+export function createEmptyGpuData() {
+  return {
+    graphicsFeatures: [],
+    features: {},
+    versionInfo: {},
+    driverInfo: {},
+    dawnInfo: { adapters: [] },
+    problems: [],
+    status: {},
+    capabilities: [],
+    backends: [],
+    driverBugWorkarounds: [],
+    angleFeatures: [],
+    videoAcceleration: { decode: [], encode: [] },
+    vulkanInfo: null,
+    displays: [],
+    gpuMemoryBuffers: {},
+    compositorInfo: {},
+    logMessages: []
+  };
+}
+
+function parseGraphicsFeatures(gpuData, section) {
+  for (const cleanText of section.items) {
+    gpuData.graphicsFeatures.push(cleanText);
+
+    const separator = cleanText.indexOf(':');
+    if (separator > 0) {
+      gpuData.features[cleanText.slice(0, separator).trim()] = cleanText.slice(separator + 1).trim();
+    }
+
+    if (cleanText.includes('WebGPU:')) {
+      if (cleanText.includes('Hardware accelerated')) {
+        gpuData.status.webgpu = 'Hardware accelerated';
+      } else if (cleanText.includes('Software only')) {
+        gpuData.status.webgpu = 'Software only';
+      } else if (cleanText.includes('Disabled')) {
+        gpuData.status.webgpu = 'Disabled';
+      }
+    }
+
+    if (cleanText.includes('Hardware accelerated')) {
+      gpuData.status.hardwareAccelerated = true;
+    }
+
+    const backend = detectBackend(cleanText);
+    if (backend) gpuData.status.graphicsBackend = backend;
+  }
+}
+
+function parseDriverInformation(gpuData, section) {
+  gpuData.driverInfo = rowsToObject(section.rows);
+
+  for (const [cleanKey, cleanValue] of Object.entries(gpuData.driverInfo)) {
+    if (cleanKey.includes('Skia Backend')) gpuData.status.skiaBackend = cleanValue;
+    if (cleanKey.includes('Display type')) gpuData.status.displayType = cleanValue;
+    if (cleanKey.includes('GL implementation parts')) gpuData.status.glImplementation = cleanValue;
+    if (cleanKey.includes('ANGLE commit id')) gpuData.status.angleCommit = cleanValue;
+
+    for (const backend of BACKEND_NAMES) {
+      if (cleanValue.includes(backend)) addBackend(gpuData, backend);
+    }
+  }
+}
+
+function parseDawnInfo(gpuData, section) {
+  let adapter = null;
+
+  for (const subsection of section.subsections) {
+    if (subsection.title.startsWith('<')) {
+      adapter = { title: subsection.title, sections: {} };
+      gpuData.dawnInfo.adapters.push(adapter);
+      continue;
+    }
+
+    const header = subsection.title.replace(/^\[|\]$/g, '');
+    if (header === 'WebGPU Status') {
+      const status = subsection.items[0];
+      if (status) {
+        gpuData.dawnInfo.webgpuStatus = status;
+        if (status === 'Available') gpuData.status.webgpuAvailable = true;
+      }
+    } else if (adapter) {
+      adapter.sections[header] = subsection.items;
+    }
+
+    if (header === 'Adapter Supported Features') {
+      for (const feature of subsection.items) {
+        if (!gpuData.capabilities.includes(feature)) gpuData.capabilities.push(feature);
+      }
+    }
+  }
+}
+
+function parseAngleFeatures(gpuData, section) {
+  for (const cleanText of section.items) {
+    const backendMatches = cleanText.match(/(Metal|Vulkan|OpenGL|DirectX)/g) || [];
+    for (const backend of backendMatches) addBackend(gpuData, backend);
+
+    // "name (category): Enabled: true description" or "name (category): Disabled description"
+    const match = /^(\S+)(?: \(([^)]*)\))?: (Enabled|Disabled)/.exec(cleanText);
+    gpuData.angleFeatures.push({
+      name: match ? match[1] : cleanText,
+      category: match?.[2] || null,
+      enabled: match?.[3] === 'Enabled',
+      text: cleanText
+    });
+  }
+}
+
+function parseResolution(text) {
+  const match = /(\d+)x(\d+)/.exec(text || '');
+  return match ? { width: Number(match[1]), height: Number(match[2]) } : null;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number.parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+function parseVideoAcceleration(gpuData, section) {
+  for (const [label, range = ''] of section.rows) {
+    // "Decode h264 baseline" / "16x16 to 4096x2304 pixels[, and/or 30.000 fps.]"
+    const match = /^(Decode|Encode) (.+)$/.exec(label);
+    if (!match) continue;
+    const [min, max] = range.split(/\s+to\s+/);
+    const framerate = /([\d.]+) fps/.exec(range);
+    gpuData.videoAcceleration[match[1] === 'Decode' ? 'decode' : 'encode'].push({
+      profile: match[2],
+      codec: match[2].split(' ')[0],
+      minResolution: parseResolution(min),
+      maxResolution: parseResolution(max),
+      maxFramerate: framerate ? Number(framerate[1]) : null
+    });
+  }
+}
+
+function parseVulkanInformation(gpuData, section) {
+  const properties = rowsToObject(section.rows);
+  const extensions = properties.enabled_instance_extensions || properties.instance_extensions || '';
+
+  gpuData.vulkanInfo = {
+    apiVersion: properties.api_version || null,
+    usedApiVersion: properties.used_api_version || null,
+    instanceExtensions: extensions.split(/[\s,]+/).filter(Boolean),
+    properties,
+    devices: section.subsections.map((subsection) => {
+      const device = rowsToObject(subsection.rows);
+      return {
+        name: device.deviceName || null,
+        type: device.deviceType || null,
+        apiVersion: device.apiVersion || null,
+        driverVersion: device.driverVersion || null,
+        properties: device
+      };
+    })
+  };
+}
+
+function parseDisplayInfo(text) {
+  // "Display[1] bounds=[0,0 1920x1080], workarea=[...], scale=1.25, rotation=0, ..."
+  const id = /Display\[(\d+)\]/.exec(text);
+  const bounds = /bounds=\[(-?\d+),(-?\d+) (\d+)x(\d+)\]/.exec(text);
+  return {
+    id: id ? id[1] : null,
+    bounds: bounds ? { x: Number(bounds[1]), y: Number(bounds[2]), width: Number(bounds[3]), height: Number(bounds[4]) } : null,
+    scaleFactor: toNumber(/scale=([\d.]+)/.exec(text)?.[1]),
+    rotation: toNumber(/(?:^|[\s,])rotation=(\d+)/.exec(text)?.[1])
+  };
+}
+
+function finishDisplay(display) {
+  const { properties } = display;
+  display.colorSpace = properties['Color space (all)'] || properties['Color space'] || null;
+  display.bufferFormat = properties['Buffer format (all)'] || properties['Buffer format'] || null;
+  display.sdrWhiteLevel = toNumber(properties['SDR white level in nits']);
+  display.hdrMaxLuminance = toNumber(properties['HDR relative maximum luminance']);
+  display.bitsPerColor = toNumber(properties['Bits per color component']);
+  display.refreshRate = toNumber(properties['Refresh Rate in Hz']);
+  display.hdr = (display.hdrMaxLuminance ?? 1) > 1 || /transfer:(PQ|HLG|[A-Z_]*HDR)/.test(display.colorSpace || '');
+  return display;
+}
+
+function parseDisplays(gpuData, section) {
+  let display = null;
+  // Each display starts with an "Info" row; the rows after it belong to it
+  for (const [key, ...rest] of section.rows) {
+    const value = rest.join(' ');
+    if (key === 'Info' || !display) {
+      if (display) gpuData.displays.push(finishDisplay(display));
+      display = { ...parseDisplayInfo(key === 'Info' ? value : ''), properties: {} };
+      if (key === 'Info') continue;
+    }
+    if (value) display.properties[key] = value;
+  }
+  if (display) gpuData.displays.push(finishDisplay(display));
+}
+
+function parseGpuMemoryBuffers(gpuData, section) {
+  for (const [format, support] of Object.entries(rowsToObject(section.rows))) {
+    const native = !/^software only/i.test(support);
+    gpuData.gpuMemoryBuffers[format] = { native, usages: native ? support.split(/,\s*/).filter(Boolean) : [] };
+  }
+}
+
+function parseLogMessages(gpuData, section) {
+  for (const cleanText of section.items) {
+    // "[pid:tid:timestamp:LEVEL:file.cc(123)] : message" or "Source: message"
+    const prefixed = /^\[[^\]]*:([A-Z]+):([^\]:]+(?:\(\d+\))?)\]\s*:?\s*(.*)$/.exec(cleanText);
+    const sourced = !prefixed && /^(\w+): (.+)$/.exec(cleanText);
+    gpuData.logMessages.push({
+      level: prefixed ? prefixed[1] : null,
+      source: prefixed ? prefixed[2] : sourced ? sourced[1] : null,
+      message: prefixed ? prefixed[3] : sourced ? sourced[2] : cleanText,
+      text: cleanText
+    });
+  }
+}
+
+/**
+ * Folds grouped sections into a gpuData object.
+ * @returns {GpuData}
+ */
+export function buildGpuData(sections) {
+  const gpuData = createEmptyGpuData();
+
+  if (sections['Graphics Feature Status']) parseGraphicsFeatures(gpuData, sections['Graphics Feature Status']);
+  if (sections['Version Information']) gpuData.versionInfo = rowsToObject(sections['Version Information'].rows);
+  if (sections['Driver Information']) parseDriverInformation(gpuData, sections['Driver Information']);
+
+  const dawnSection = sections['Dawn Info'] || sections['DAWN Info'];
+  if (dawnSection) parseDawnInfo(gpuData, dawnSection);
+
+  if (sections['Problems Detected']) gpuData.problems = [...sections['Problems Detected'].items];
+  if (sections['ANGLE Features']) parseAngleFeatures(gpuData, sections['ANGLE Features']);
+  if (sections['Driver Bug Workarounds']) gpuData.driverBugWorkarounds = [...sections['Driver Bug Workarounds'].items];
+  if (sections['Video Acceleration Information']) parseVideoAcceleration(gpuData, sections['Video Acceleration Information']);
+  if (sections['Vulkan Information']) parseVulkanInformation(gpuData, sections['Vulkan Information']);
+  if (sections['Display(s) Information']) parseDisplays(gpuData, sections['Display(s) Information']);
+  if (sections['GpuMemoryBuffers Status']) parseGpuMemoryBuffers(gpuData, sections['GpuMemoryBuffers Status']);
+  if (sections['Compositor Information']) gpuData.compositorInfo = rowsToObject(sections['Compositor Information'].rows);
+  if (sections['Log Messages']) parseLogMessages(gpuData, sections['Log Messages']);
+
+  return gpuData;
+}
+
+// ---------------------------------------------------------------------------
+// Entry points
+// ---------------------------------------------------------------------------
+
+/** @returns {GpuData} */
+export function parseGpuHtml(html) {
+  return buildGpuData(groupSections(collectBlocksFromHtml(html)));
+}
+
+/** @returns {GpuData} */
+export function parseGpuText(text) {
+  return buildGpuData(groupSections(collectBlocksFromText(text)));
+}
+
+/**
+ * Parses a Playwright page that is already showing chrome://gpu.
+ * @returns {Promise<GpuData>}
+ */
+export async function parseGpuPage(page) {
+  const blocks = await page.evaluate(collectBlocksInPage);
+  return buildGpuData(groupSections(blocks));
+}
+
+/**
+ * Parses any supported source: a Playwright page, an HTML snapshot or a
+ * clipboard text dump.
+ * @returns {Promise<GpuData>}
+ */
+export async function parseGpuInfo(source) {
+  if (source && typeof source.evaluate === 'function') {
+    return parseGpuPage(source);
+  }
+  if (typeof source !== 'string') {
+    throw new TypeError('parseGpuInfo expects a Playwright page or a chrome://gpu HTML/text string');
+  }
+  return looksLikeHtml(source) ? parseGpuHtml(source) : parseGpuText(source);
+}
+
+export function looksLikeHtml(source) {
+  return /<(html|body|h3|ul|table|div|info-view)\b/i.test(source);
+}
+
+/**
+ * Navigates to chrome://gpu and waits for the visible feature list.
+ */
+export async function openGpuPage(page) {
+  await page.goto('chrome://gpu');
+  await page.waitForLoadState('networkidle');
+  await page.locator('h3').filter({ hasText: 'Graphics Feature Status' }).first().waitFor({ timeout: 10000 });
+}
+
+/**
+ * Reduces the feature list to the acceleration flags the acceleration test
+ * checks.
+ */
+export function getAccelerationStatus(gpuData) {
+  const accelerationStatus = {
+    hardwareAccelerated: false,
+    softwareOnly: false,
+    rasterization: false,
+    canvas: false,
+    webgl: false,
+    videoDecode: false,
+    videoEncode: false,
+    compositing: false,
+    backend: null
+  };
+
+  for (const cleanText of gpuData.graphicsFeatures) {
+    const accelerated = cleanText.includes('Hardware accelerated');
+
+    if (accelerated) accelerationStatus.hardwareAccelerated = true;
+    if (cleanText.includes('Software only')) accelerationStatus.softwareOnly = true;
+    if (cleanText.includes('Rasterization') && accelerated) accelerationStatus.rasterization = true;
+    if (cleanText.includes('Canvas') && accelerated) accelerationStatus.canvas = true;
+    if (cleanText.includes('WebGL') && accelerated) accelerationStatus.webgl = true;
+    if (cleanText.includes('Video Decode') && accelerated) accelerationStatus.videoDecode = true;
+    if (cleanText.includes('Video Encode') && accelerated) accelerationStatus.videoEncode = true;
+    if (cleanText.includes('Compositing') && accelerated) accelerationStatus.compositing = true;
+
+    const backend = detectBackend(cleanText);
+    if (backend) accelerationStatus.backend = backend;
+  }
+
+  return accelerationStatus;
+}
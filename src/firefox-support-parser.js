@@ -0,0 +1,220 @@
+// Parser for the Graphics section of Firefox's about:support.
+//
+// Accepts a live Playwright page or the "Copy raw data to clipboard" JSON.
+// Both are first reduced to the same support data (feature rows, GPUs,
+// decision log, workarounds, failures), which is then rewritten into the
+// sections chrome://gpu would show and folded by buildGpuData, so Firefox
+// results land in the same GpuData shape as Chrome's.
+//
+// Feature mapping:
+//   Compositing, Rasterization  the Compositing row: WebRender is hardware,
+//                               WebRender (Software) and Basic are software
+//   Canvas                      the ACCELERATED_CANVAS2D decision
+//   WebGL, WebGL2               the WebGL 1 / WebGL 2 driver renderer
+//   WebGPU                      the WEBGPU decision
+//   Video Decode                the Hardware H264 Decoding row
+import { buildGpuData } from './chrome-gpu-parser.js';
+
+/**
+ * @typedef {Object} FeatureDecision
+ * @property {string} name    gfx feature, e.g. "HW_COMPOSITING"
+ * @property {string} status  Final status, e.g. "available", "blocked", "disabled"
+ * @property {string[]} log   One line per decision, oldest first
+ */
+
+/**
+ * @typedef {Object} SupportData
+ * @property {{name: string|null, version: string|null, os: string|null}} application
+ * @property {Object<string, string>} features   Graphics "Features" rows by label
+ * @property {Object<string, string>[]} gpus     One row object per "GPU #n" table
+ * @property {FeatureDecision[]} decisions
+ * @property {Object<string, string>} workarounds
+ * @property {string[]} failures
+ */
+
+const ENABLED_STATUSES = ['available', 'force_enabled'];
+const DISABLED_STATUSES = ['disabled', 'optin', 'unused'];
+const PROBLEM_STATUS = /^(blocked|blocklisted|denied|failed|broken|crashed)/;
+const SOFTWARE_RENDERER = /llvmpipe|softpipe|swiftshader|software|basic render/i;
+
+/**
+ * Collects the Application Basics and Graphics tables from the live
+ * about:support DOM. Runs inside the page via page.evaluate, so it must stay
+ * self-contained.
+ * @returns {SupportData}
+ */
+function collectSupportInPage() {
+  const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+  const rows = (id) => [...(document.getElementById(`graphics-${id}-tbody`)?.rows || [])];
+  const toObject = (id) => Object.fromEntries(rows(id)
+    .filter((row) => row.cells.length >= 2)
+    .map((row) => [clean(row.cells[0].textContent), clean(row.cells[row.cells.length - 1].textContent)]));
+
+  // Each decision cell holds a nested table with one "<status> by <source>[: message]" row per step
+  const decisions = rows('decisionlog').map((row) => {
+    const log = [...row.cells[row.cells.length - 1].querySelectorAll('tr')].map((entry) => clean(entry.textContent)).filter(Boolean);
+    return { name: clean(row.cells[0].textContent).replace(/^#/, ''), status: (log[log.length - 1] || '').split(' ')[0].toLowerCase(), log };
+  });
+
+  return {
+    application: {
+      name: clean(document.getElementById('application-box')?.textContent) || null,
+      version: clean(document.getElementById('version-box')?.textContent) || null,
+      os: clean(document.getElementById('os-box')?.textContent) || null
+    },
+    features: toObject('features'),
+    gpus: ['gpu-1', 'gpu-2'].map(toObject).filter((gpu) => Object.keys(gpu).length > 0),
+    decisions,
+    workarounds: toObject('workarounds'),
+    failures: rows('failures').map((row) => clean(row.cells[row.cells.length - 1].textContent)).filter(Boolean)
+  };
+}
+
+function definedEntries(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
+
+/**
+ * Reduces about:support raw data (the clipboard JSON) to support data.
+ * @returns {SupportData}
+ */
+export function supportDataFromJson(raw) {
+  const graphics = raw.graphics || {};
+  const gpu = (suffix, active) => definedEntries({
+    Description: graphics[`adapterDescription${suffix}`],
+    'Vendor ID': graphics[`adapterVendorID${suffix}`],
+    'Device ID': graphics[`adapterDeviceID${suffix}`],
+    'Driver Vendor': graphics[`driverVendor${suffix}`],
+    'Driver Version': graphics[`driverVersion${suffix}`],
+    'Driver Date': graphics[`driverDate${suffix}`],
+    Active: active ? 'Yes' : 'No'
+  });
+  const hardwareH264 = graphics.supportsHardwareH264;
+
+  return {
+    application: {
+      name: raw.application?.name ?? null,
+      version: raw.application?.version ?? null,
+      os: raw.application?.osVersion ?? null
+    },
+    features: definedEntries({
+      Compositing: graphics.windowLayerManagerType,
+      'WebGL 1 Driver Renderer': graphics.webgl1Renderer,
+      'WebGL 1 Driver Version': graphics.webgl1Version,
+      'WebGL 2 Driver Renderer': graphics.webgl2Renderer,
+      'WebGL 2 Driver Version': graphics.webgl2Version,
+      'Hardware H264 Decoding': typeof hardwareH264 === 'boolean' ? (hardwareH264 ? 'Yes' : 'No') : hardwareH264
+    }),
+    gpus: [gpu('', !graphics.isGPU2Active), ...(graphics.adapterDescription2 ? [gpu('2', Boolean(graphics.isGPU2Active))] : [])],
+    decisions: (graphics.featureLog?.features || []).map((feature) => ({
+      name: feature.name,
+      status: feature.status,
+      log: (feature.log || []).map((entry) => `${entry.status} by ${entry.type}${entry.message ? `: ${entry.message}` : ''}`)
+    })),
+    workarounds: { ...(graphics.workarounds || {}) },
+    failures: [...(graphics.failures || [])]
+  };
+}
+
+function decisionStatus(decisions, name) {
+  const decision = decisions.find((entry) => entry.name === name);
+  if (!decision) return null;
+  if (ENABLED_STATUSES.includes(decision.status)) return 'Hardware accelerated';
+  if (DISABLED_STATUSES.includes(decision.status)) return 'Disabled';
+  return 'Unavailable';
+}
+
+function compositingStatus(value) {
+  if (!value) return null;
+  if (/software|basic/i.test(value)) return 'Software only';
+  return /webrender/i.test(value) ? 'Hardware accelerated' : 'Unavailable';
+}
+
+function rendererStatus(renderer) {
+  if (!renderer) return null;
+  if (/creation failed|blocklisted|unavailable/i.test(renderer)) return 'Unavailable';
+  return SOFTWARE_RENDERER.test(renderer) ? 'Software only' : 'Hardware accelerated';
+}
+
+/**
+ * Rewrites support data as the chrome://gpu sections buildGpuData reads.
+ */
+export function supportDataToSections(support) {
+  const { features, decisions } = support;
+  const canvas = decisionStatus(decisions, 'ACCELERATED_CANVAS2D');
+  const hardwareH264 = features['Hardware H264 Decoding'];
+  const statuses = {
+    Canvas: canvas && (canvas === 'Hardware accelerated' ? canvas : 'Software only'),
+    Compositing: compositingStatus(features.Compositing),
+    Rasterization: compositingStatus(features.Compositing),
+    'Video Decode': hardwareH264 && (/^yes/i.test(hardwareH264) ? 'Hardware accelerated' : 'Software only'),
+    WebGL: rendererStatus(features['WebGL 1 Driver Renderer']),
+    WebGL2: rendererStatus(features['WebGL 2 Driver Renderer']),
+    WebGPU: decisionStatus(decisions, 'WEBGPU')
+  };
+
+  const driverRows = support.gpus.flatMap((gpu, index) => [
+    [`GPU${index}`, `VENDOR= ${gpu['Vendor ID'] || 'unknown'}, DEVICE=${gpu['Device ID'] || 'unknown'}${gpu.Active === 'Yes' ? ' *ACTIVE*' : ''}`],
+    ...(gpu.Active === 'Yes' ? ['Description', 'Driver Vendor', 'Driver Version', 'Driver Date'].map((label) => [label, gpu[label]]) : [])
+  ]);
+  const section = (fields) => ({ items: [], rows: [], subsections: [], ...fields });
+
+  return {
+    'Graphics Feature Status': section({
+      items: Object.entries(statuses).filter(([, status]) => status).map(([name, status]) => `${name}: ${status}`)
+    }),
+    'Version Information': section({
+      rows: [
+        ['Browser', [support.application.name, support.application.version].filter(Boolean).join(' ')],
+        ['Operating system', support.application.os]
+      ]
+    }),
+    'Driver Information': section({
+      rows: [
+        ...driverRows,
+        ['Compositing', features.Compositing],
+        ['WebGL renderer', features['WebGL 1 Driver Renderer']],
+        ['WebGL2 renderer', features['WebGL 2 Driver Renderer']]
+      ]
+    }),
+    'Problems Detected': section({
+      items: [
+        ...decisions.filter((decision) => PROBLEM_STATUS.test(decision.status)).map((decision) => `${decision.name}: ${decision.log[decision.log.length - 1] || decision.status}`),
+        ...support.failures
+      ]
+    }),
+    'Driver Bug Workarounds': section({
+      items: Object.entries(support.workarounds).map(([name, value]) => `${name}: ${value}`)
+    })
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Entry points
+// ---------------------------------------------------------------------------
+
+/**
+ * Parses about:support raw data, as a JSON string or an already parsed object.
+ * @returns {import('./chrome-gpu-parser.js').GpuData}
+ */
+export function parseSupportJson(source) {
+  const raw = typeof source === 'string' ? JSON.parse(source) : source;
+  return buildGpuData(supportDataToSections(supportDataFromJson(raw)));
+}
+
+/**
+ * Parses a Playwright page that is already showing about:support.
+ * @returns {Promise<import('./chrome-gpu-parser.js').GpuData>}
+ */
+export async function parseSupportPage(page) {
+  const support = await page.evaluate(collectSupportInPage);
+  return buildGpuData(supportDataToSections(support));
+}
+
+/**
+ * Navigates to about:support and waits for the Graphics feature rows.
+ */
+export async function openSupportPage(page) {
+  await page.goto('about:support');
+  await page.locator('#graphics-features-tbody tr').first().waitFor({ timeout: 10000 });
+}
@@ -0,0 +1,227 @@
+// Launch flag verification.
+//
+// Chrome accepts unknown or conflicting switches silently and falls back when
+// a requested backend does not initialise, so passing a flag proves nothing.
+// This module checks each requested flag against chrome://gpu: first that it
+// reached the browser (the "Command Line" row), then, for flags with a
+// visible effect, that the effect shows up in the parsed data.
+//
+// Outcomes:
+//   verified    on the command line and its effect is visible
+//   present     on the command line; chrome://gpu shows nothing to check
+//   overridden  on the command line but Chrome did something else
+//   missing     not on the command line at all
+// The profile's `flags` severities decide which outcomes fail the run.
+import { getAngleBackend, PolicyError, SEVERITIES } from './gpu-policy.js';
+
+export const FLAG_OUTCOMES = ['verified', 'present', 'overridden', 'missing'];
+
+export const DEFAULT_FLAG_SEVERITY = {
+  missing: 'error',
+  overridden: 'error'
+};
+
+// --use-angle values and the backend chrome://gpu reports for them
+const ANGLE_BACKENDS = {
+  gl: 'opengl',
+  gles: 'opengles',
+  'gl-egl': 'opengl',
+  'gles-egl': 'opengles',
+  vulkan: 'vulkan',
+  metal: 'metal',
+  d3d11: 'd3d11',
+  d3d9: 'd3d9',
+  swiftshader: 'swiftshader'
+};
+
+/**
+ * Splits a command line into the executable and its switches, honouring
+ * double quotes. Repeated feature switches are merged.
+ */
+export function parseCommandLine(commandLine = '') {
+  const tokens = commandLine.match(/"[^"]*"|\S+/g) || [];
+  const [executable = null, ...rest] = tokens.map((token) => token.replace(/^"|"$/g, ''));
+  const switches = {};
+  const enabledFeatures = [];
+  const disabledFeatures = [];
+
+  for (const token of rest) {
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(token);
+    if (!match) continue;
+    const [, name, value = true] = match;
+    switches[name] = typeof value === 'string' ? value.replace(/^"|"$/g, '') : value;
+    if (name === 'enable-features') enabledFeatures.push(...switches[name].split(','));
+    if (name === 'disable-features') disabledFeatures.push(...switches[name].split(','));
+  }
+
+  return { executable, switches, enabledFeatures, disabledFeatures };
+}
+
+function splitFlag(flag) {
+  const match = /^--([^=]+)(?:=(.*))?$/.exec(flag);
+  return match ? { name: match[1], value: match[2] ?? true } : { name: flag, value: true };
+}
+
+function isDisabledStatus(status) {
+  return !status || /^(disabled|unavailable|blocklisted)/i.test(status);
+}
+
+function webgpuEffect(gpuData) {
+  const status = gpuData.features.WebGPU;
+  if (isDisabledStatus(status) || gpuData.dawnInfo.webgpuStatus === 'Blocklisted') {
+    const reason = gpuData.problems.find((problem) => /webgpu/i.test(problem));
+    return {
+      ok: false,
+      actual: status || gpuData.dawnInfo.webgpuStatus || null,
+      explanation: `WebGPU is "${status || 'not reported'}" (Dawn: ${gpuData.dawnInfo.webgpuStatus || 'unknown'})${reason ? `: ${reason}` : ''}`
+    };
+  }
+  return { ok: true, actual: status };
+}
+
+// Enabled ANGLE features from a "... workarounds" category. ANGLE applies
+// these on its own and no launch flag turns them off, so they are shown for
+// information only and never decide an outcome.
+function getAngleWorkarounds(gpuData) {
+  return (gpuData.angleFeatures || [])
+    .filter((feature) => feature.enabled && /workarounds$/i.test(feature.category || ''))
+    .map((feature) => feature.name);
+}
+
+// Effect checks for flags whose result is visible on chrome://gpu. Each
+// returns { ok, actual, explanation } or null when there is nothing to check.
+const EFFECTS = {
+  'use-angle': (value, gpuData) => {
+    const expected = ANGLE_BACKENDS[value] || value;
+    const actual = getAngleBackend(gpuData);
+    if (!actual) return { ok: false, actual: null, explanation: 'The GPU process reported no ANGLE backend' };
+    const angleWorkarounds = getAngleWorkarounds(gpuData);
+    const applied = angleWorkarounds.length > 0 ? `ANGLE workaround(s) enabled: ${angleWorkarounds.join(', ')}` : null;
+    if (actual === expected) return { ok: true, actual, explanation: applied };
+    const reason = gpuData.problems.find((problem) => problem.toLowerCase().includes(String(value).toLowerCase()) || /fall(ing)? back/i.test(problem));
+    const explanation = `ANGLE fell back from ${expected} to ${actual}${reason ? `: ${reason}` : ''}`;
+    return { ok: false, actual, explanation: applied ? `${explanation}; ${applied}` : explanation };
+  },
+  'disable-gpu-driver-bug-workarounds': (value, gpuData) => {
+    const applied = [
+      ...(gpuData.driverBugWorkarounds || []),
+      ...gpuData.problems.flatMap((problem) => /Applied Workarounds: (.+)$/.exec(problem)?.[1].split(/,\s*/) || [])
+    ];
+    const workarounds = [...new Set(applied)];
+    const angleWorkarounds = getAngleWorkarounds(gpuData);
+    const angleNote = angleWorkarounds.length > 0 ? `ANGLE workaround(s) enabled: ${angleWorkarounds.join(', ')}` : null;
+    if (workarounds.length === 0) return { ok: true, actual: [], explanation: angleNote };
+    const explanation = `${workarounds.length} driver bug workaround(s) still applied: ${workarounds.join(', ')}`;
+    return { ok: false, actual: workarounds, explanation: angleNote ? `${explanation}; ${angleNote}` : explanation };
+  },
+  'enable-unsafe-webgpu': (value, gpuData) => webgpuEffect(gpuData),
+  'ignore-gpu-blocklist': (value, gpuData) => {
+    if (gpuData.dawnInfo.webgpuStatus === 'Blocklisted') {
+      return { ok: false, actual: 'Blocklisted', explanation: 'Dawn still reports WebGPU as blocklisted' };
+    }
+    return { ok: true, actual: gpuData.dawnInfo.webgpuStatus || null };
+  },
+  'disable-gpu': (value, gpuData) => {
+    const accelerated = Object.entries(gpuData.features).filter(([, status]) => /^hardware accelerated/i.test(status)).map(([name]) => name);
+    if (accelerated.length === 0) return { ok: true, actual: [] };
+    return { ok: false, actual: accelerated, explanation: `Still hardware accelerated: ${accelerated.join(', ')}` };
+  }
+};
+
+// Effects of individual --enable-features / --disable-features entries
+const FEATURE_EFFECTS = {
+  WebGPU: (enabled, gpuData) => {
+    const effect = webgpuEffect(gpuData);
+    if (enabled) return effect;
+    return effect.ok
+      ? { ok: false, actual: effect.actual, explanation: `WebGPU is still "${effect.actual}"` }
+      : { ok: true, actual: effect.actual };
+  },
+  Vulkan: (enabled, gpuData) => {
+    const status = gpuData.features.Vulkan;
+    if (!status) return null;
+    const on = !isDisabledStatus(status);
+    return on === enabled ? { ok: true, actual: status } : { ok: false, actual: status, explanation: `Vulkan is "${status}"` };
+  }
+};
+
+function check(flag, commandLine, gpuData) {
+  const { name, value } = splitFlag(flag);
+  const passed = commandLine.switches[name];
+
+  if (name === 'enable-features' || name === 'disable-features') {
+    return checkFeatureList(flag, name, value, commandLine, gpuData);
+  }
+  if (passed === undefined) {
+    return [{ flag, outcome: 'missing', actual: null, explanation: `--${name} is not on Chrome's command line` }];
+  }
+  if (value !== true && passed !== value) {
+    return [{ flag, outcome: 'overridden', actual: `--${name}=${passed}`, explanation: `Chrome received --${name}=${passed} instead` }];
+  }
+
+  const effect = EFFECTS[name]?.(value, gpuData);
+  if (!effect) return [{ flag, outcome: 'present', actual: passed === true ? null : passed, explanation: null }];
+  return [{ flag, outcome: effect.ok ? 'verified' : 'overridden', actual: effect.actual, explanation: effect.explanation || null }];
+}
+
+function checkFeatureList(flag, name, value, commandLine, gpuData) {
+  const enabled = name === 'enable-features';
+  const received = enabled ? commandLine.enabledFeatures : commandLine.disabledFeatures;
+
+  return String(value).split(',').filter(Boolean).map((feature) => {
+    const entry = `--${name}=${feature}`;
+    if (!received.includes(feature)) {
+      return { flag: entry, outcome: 'missing', actual: null, explanation: `${feature} is not in any --${name} switch Chrome received` };
+    }
+    const effect = FEATURE_EFFECTS[feature]?.(enabled, gpuData);
+    if (!effect) return { flag: entry, outcome: 'present', actual: null, explanation: null };
+    return { flag: entry, outcome: effect.ok ? 'verified' : 'overridden', actual: effect.actual, explanation: effect.explanation || null };
+  });
+}
+
+/**
+ * Checks every requested flag against parsed chrome://gpu data. Feature lists
+ * are checked per feature.
+ */
+export function verifyLaunchFlags(requestedFlags, gpuData) {
+  const commandLineText = gpuData.versionInfo['Command Line'] || '';
+  const commandLine = parseCommandLine(commandLineText);
+  const checks = requestedFlags.flatMap((flag) => check(flag, commandLine, gpuData));
+  return { commandLine: commandLineText || null, checks };
+}
+
+/**
+ * Assigns a severity to each check outcome. `severity` overrides entries of
+ * DEFAULT_FLAG_SEVERITY; verified and present flags are "info" unless
+ * overridden, and checks marked "ignore" are dropped.
+ */
+export function evaluateFlagVerification(verification, severity = {}) {
+  const severities = { ...DEFAULT_FLAG_SEVERITY, ...severity };
+  for (const [outcome, level] of Object.entries(severities)) {
+    if (!SEVERITIES.includes(level)) {
+      throw new PolicyError(`Invalid flag severity "${level}" for ${outcome}. Use one of: ${SEVERITIES.join(', ')}`);
+    }
+  }
+
+  const checks = verification.checks
+    .map((entry) => ({ ...entry, severity: severities[entry.outcome] || 'info' }))
+    .filter((entry) => entry.severity !== 'ignore');
+  return {
+    passed: !checks.some((entry) => entry.severity === 'error'),
+    commandLine: verification.commandLine,
+    checks
+  };
+}
+
+/**
+ * Renders a flag verification result as console lines.
+ */
+export function formatFlagVerification(result) {
+  const icons = { verified: '✅', present: '☑️ ', overridden: '🔀', missing: '❌' };
+  const failing = result.checks.filter((entry) => entry.severity === 'error').length;
+  const lines = [`🚩 Launch flags: ${failing === 0 ? '✅ in effect' : `❌ ${failing} not in effect`}`];
+  for (const entry of result.checks) {
+    lines.push(`   ${icons[entry.outcome]} ${entry.flag} (${entry.outcome})${entry.explanation ? `: ${entry.explanation}` : ''}`);
+  }
+  return lines;
+}
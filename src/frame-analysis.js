@@ -0,0 +1,188 @@
+// Pixel-level analysis of canvas screenshots.
+//
+// Screenshots are decoded and compared per pixel instead of by PNG bytes, so
+// compression noise cannot fake (or hide) animation. A run samples N frames
+// at a fixed interval; consecutive pairs give the changed-pixel ratio and
+// mean colour delta, and every frame is checked for being blank (one colour
+// covers nearly everything) or low in entropy.
+import { PNG } from 'pngjs';
+
+export const DEFAULT_FRAME_THRESHOLDS = {
+  // Sampling
+  frames: 4,
+  intervalMs: 500,
+  // A pixel counts as changed when any RGB channel moves by more than this
+  channelTolerance: 8,
+  // Animation is detected when at least one frame pair changes this share of pixels
+  minChangedRatio: 0.005,
+  // A frame is blank when a single colour covers more than this share
+  maxUniformRatio: 0.98,
+  // Minimum Shannon entropy of the luminance histogram, in bits (0-8)
+  minEntropy: 0.5
+};
+
+/**
+ * Decodes a PNG buffer into { width, height, data } with RGBA bytes.
+ */
+export function decodePng(buffer) {
+  const { width, height, data } = PNG.sync.read(buffer);
+  return { width, height, data };
+}
+
+export function encodePng({ width, height, data }) {
+  const png = new PNG({ width, height });
+  png.data.set(data);
+  return PNG.sync.write(png);
+}
+
+function assertSameSize(a, b) {
+  if (a.width !== b.width || a.height !== b.height) {
+    throw new Error(`Cannot compare frames of different sizes: ${a.width}x${a.height} and ${b.width}x${b.height}`);
+  }
+}
+
+/**
+ * Compares two decoded frames. `meanDelta` is the average absolute RGB
+ * difference per channel over all pixels (0-255).
+ */
+export function compareFrames(a, b, { channelTolerance = DEFAULT_FRAME_THRESHOLDS.channelTolerance } = {}) {
+  assertSameSize(a, b);
+  const pixels = a.width * a.height;
+  let changedPixels = 0;
+  let deltaSum = 0;
+
+  for (let offset = 0; offset < pixels * 4; offset += 4) {
+    const dr = Math.abs(a.data[offset] - b.data[offset]);
+    const dg = Math.abs(a.data[offset + 1] - b.data[offset + 1]);
+    const db = Math.abs(a.data[offset + 2] - b.data[offset + 2]);
+    deltaSum += dr + dg + db;
+    if (Math.max(dr, dg, db) > channelTolerance) changedPixels++;
+  }
+
+  return {
+    changedPixels,
+    changedRatio: pixels ? changedPixels / pixels : 0,
+    meanDelta: pixels ? deltaSum / (pixels * 3) : 0
+  };
+}
+
+/**
+ * Measures how much content a single frame has: the share of its most common
+ * colour and the entropy of its luminance histogram.
+ */
+export function analyzeFrame(frame) {
+  const pixels = frame.width * frame.height;
+  const colours = new Map();
+  const histogram = new Array(256).fill(0);
+
+  for (let offset = 0; offset < pixels * 4; offset += 4) {
+    const r = frame.data[offset];
+    const g = frame.data[offset + 1];
+    const b = frame.data[offset + 2];
+    const key = (r << 16) | (g << 8) | b;
+    colours.set(key, (colours.get(key) || 0) + 1);
+    histogram[Math.round(0.2126 * r + 0.7152 * g + 0.0722 * b)]++;
+  }
+
+  let dominant = 0;
+  for (const count of colours.values()) dominant = Math.max(dominant, count);
+
+  let entropy = 0;
+  for (const count of histogram) {
+    if (count === 0) continue;
+    const p = count / pixels;
+    entropy -= p * Math.log2(p);
+  }
+
+  return {
+    width: frame.width,
+    height: frame.height,
+    distinctColours: colours.size,
+    uniformRatio: pixels ? dominant / pixels : 1,
+    entropy
+  };
+}
+
+/**
+ * Builds a diff image: changed pixels in red over a dimmed grey copy of the
+ * first frame.
+ */
+export function createDiffImage(a, b, { channelTolerance = DEFAULT_FRAME_THRESHOLDS.channelTolerance } = {}) {
+  assertSameSize(a, b);
+  const data = Buffer.alloc(a.width * a.height * 4);
+
+  for (let offset = 0; offset < data.length; offset += 4) {
+    const changed = Math.max(
+      Math.abs(a.data[offset] - b.data[offset]),
+      Math.abs(a.data[offset + 1] - b.data[offset + 1]),
+      Math.abs(a.data[offset + 2] - b.data[offset + 2])
+    ) > channelTolerance;
+
+    if (changed) {
+      data[offset] = 255;
+      data[offset + 1] = 0;
+      data[offset + 2] = 0;
+    } else {
+      const grey = Math.round((a.data[offset] + a.data[offset + 1] + a.data[offset + 2]) / 3 * 0.3 + 178);
+      data[offset] = grey;
+      data[offset + 1] = grey;
+      data[offset + 2] = grey;
+    }
+    data[offset + 3] = 255;
+  }
+
+  return encodePng({ width: a.width, height: a.height, data });
+}
+
+/**
+ * Analyses a sequence of PNG screenshots. Returns per-frame and per-pair
+ * metrics, the verdicts and, for the pair that changed most, a diff image.
+ */
+export function analyzeFrames(screenshots, thresholds = {}) {
+  const options = { ...DEFAULT_FRAME_THRESHOLDS, ...thresholds };
+  if (screenshots.length < 2) {
+    throw new Error(`At least two frames are needed to detect rendering, got ${screenshots.length}`);
+  }
+
+  const frames = screenshots.map(decodePng);
+  const frameStats = frames.map(analyzeFrame);
+  const pairs = [];
+  for (let index = 1; index < frames.length; index++) {
+    pairs.push(compareFrames(frames[index - 1], frames[index], options));
+  }
+
+  const busiest = pairs.reduce((best, pair, index) => (pair.changedRatio > pairs[best].changedRatio ? index : best), 0);
+  const maxChangedRatio = pairs[busiest].changedRatio;
+  const blankFrames = frameStats.filter((stats) => stats.uniformRatio > options.maxUniformRatio).length;
+  const lowEntropyFrames = frameStats.filter((stats) => stats.entropy < options.minEntropy).length;
+
+  const metrics = {
+    thresholds: options,
+    frames: frameStats,
+    pairs,
+    maxChangedRatio,
+    meanChangedRatio: pairs.reduce((sum, pair) => sum + pair.changedRatio, 0) / pairs.length,
+    meanColourDelta: pairs.reduce((sum, pair) => sum + pair.meanDelta, 0) / pairs.length,
+    blankFrames,
+    lowEntropyFrames,
+    animated: maxChangedRatio >= options.minChangedRatio,
+    hasContent: blankFrames === 0 && lowEntropyFrames === 0
+  };
+
+  return {
+    metrics,
+    diffImage: createDiffImage(frames[busiest], frames[busiest + 1], options)
+  };
+}
+
+/**
+ * Takes `frames` screenshots of a locator, `intervalMs` apart.
+ */
+export async function captureFrames(locator, { frames = DEFAULT_FRAME_THRESHOLDS.frames, intervalMs = DEFAULT_FRAME_THRESHOLDS.intervalMs } = {}) {
+  const screenshots = [];
+  for (let index = 0; index < frames; index++) {
+    if (index > 0) await locator.page().waitForTimeout(intervalMs);
+    screenshots.push(await locator.screenshot({ animations: 'allow', caret: 'hide' }));
+  }
+  return screenshots;
+}
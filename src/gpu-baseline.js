@@ -0,0 +1,215 @@
+// Baseline snapshots and drift detection.
+//
+// A baseline is the normalized GPU profile of one machine under one policy
+// profile, committed under baselines/<machine>/<profile>.json (with the flag
+// preset appended for matrix runs). Later runs are
+// diffed against it and every change is categorised; the profile's `drift`
+// severities decide which categories fail the run.
+import { existsSync, readFileSync } from 'node:fs';
+import { mkdir, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { getAngleBackend, PolicyError, SEVERITIES } from './gpu-policy.js';
+
+export const BASELINE_VERSION = 1;
+
+export const DEFAULT_BASELINE_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'baselines');
+
+export const DEFAULT_DRIFT_SEVERITY = {
+  'status-downgrade': 'error',
+  'removed-capability': 'error',
+  'backend-change': 'error',
+  'new-problem': 'warn',
+  'status-change': 'warn',
+  'version-bump': 'info',
+  'status-upgrade': 'info',
+  'added-capability': 'info',
+  'resolved-problem': 'info'
+};
+
+// Higher is better; statuses not listed here can only be reported as changes
+const STATUS_RANKS = [
+  ['hardware accelerated', 3],
+  ['enabled', 3],
+  ['software only', 1],
+  ['disabled', 0],
+  ['unavailable', 0],
+  ['blocklisted', 0]
+];
+
+const VERSION_KEYS = {
+  chromeVersion: 'Chrome version',
+  driverVendor: 'Driver vendor',
+  driverVersion: 'Driver version',
+  angleCommit: 'ANGLE commit'
+};
+
+function statusRank(status) {
+  const normalized = status.toLowerCase();
+  const entry = STATUS_RANKS.find(([prefix]) => normalized.startsWith(prefix));
+  return entry ? entry[1] : null;
+}
+
+/**
+ * Identifies the machine a baseline belongs to. GPU_BASELINE_MACHINE wins
+ * over the host name so CI runners with random names can share one.
+ */
+export function getMachineName() {
+  return (process.env.GPU_BASELINE_MACHINE || os.hostname()).toLowerCase().replace(/[^a-z0-9.-]+/g, '-');
+}
+
+/**
+ * Baseline file for a profile on a machine. Matrix runs pass their flag
+ * preset, since one machine reports differently under each preset.
+ */
+export function getBaselinePath(profileName, { machine = getMachineName(), baselineDir = DEFAULT_BASELINE_DIR, preset } = {}) {
+  return path.join(baselineDir, machine, preset ? `${profileName}.${preset}.json` : `${profileName}.json`);
+}
+
+/**
+ * Reduces gpuData to the fields worth tracking across runs.
+ */
+export function createBaseline(gpuData) {
+  return {
+    baselineVersion: BASELINE_VERSION,
+    recordedAt: new Date().toISOString(),
+    versions: {
+      chromeVersion: gpuData.versionInfo['Chrome version'] || null,
+      driverVendor: gpuData.driverInfo['Driver vendor'] || null,
+      driverVersion: gpuData.driverInfo['Driver version'] || null,
+      angleCommit: gpuData.versionInfo['ANGLE commit id'] || null
+    },
+    angleBackend: getAngleBackend(gpuData),
+    features: { ...gpuData.features },
+    webgpuStatus: gpuData.dawnInfo.webgpuStatus || null,
+    webgpuFeatures: [...gpuData.capabilities].sort(),
+    problems: [...gpuData.problems].sort()
+  };
+}
+
+export function readBaseline(filePath) {
+  if (!existsSync(filePath)) return null;
+  return JSON.parse(readFileSync(filePath, 'utf8'));
+}
+
+export async function writeBaseline(baseline, filePath) {
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(filePath, `${JSON.stringify(baseline, null, 2)}\n`);
+  return filePath;
+}
+
+/**
+ * Lists every difference between a baseline and the current snapshot.
+ */
+export function diffBaseline(baseline, current) {
+  const changes = [];
+  const change = (category, key, before, after, message) => changes.push({ category, key, before, after, message });
+
+  for (const [feature, before] of Object.entries(baseline.features)) {
+    const after = current.features[feature];
+    if (after === undefined) {
+      change('removed-capability', `feature:${feature}`, before, null, `Graphics feature "${feature}" is no longer reported`);
+    } else if (after !== before) {
+      const beforeRank = statusRank(before);
+      const afterRank = statusRank(after);
+      let category = 'status-change';
+      if (beforeRank !== null && afterRank !== null && beforeRank !== afterRank) {
+        category = afterRank < beforeRank ? 'status-downgrade' : 'status-upgrade';
+      }
+      change(category, `feature:${feature}`, before, after, `${feature} changed from "${before}" to "${after}"`);
+    }
+  }
+  for (const [feature, after] of Object.entries(current.features)) {
+    if (baseline.features[feature] === undefined) {
+      change('added-capability', `feature:${feature}`, null, after, `Graphics feature "${feature}" is new ("${after}")`);
+    }
+  }
+
+  if (baseline.webgpuStatus !== current.webgpuStatus) {
+    const category = baseline.webgpuStatus === 'Available' ? 'status-downgrade' : current.webgpuStatus === 'Available' ? 'status-upgrade' : 'status-change';
+    change(category, 'webgpu:status', baseline.webgpuStatus, current.webgpuStatus, `Dawn WebGPU status changed from "${baseline.webgpuStatus}" to "${current.webgpuStatus}"`);
+  }
+  for (const feature of baseline.webgpuFeatures) {
+    if (!current.webgpuFeatures.includes(feature)) {
+      change('removed-capability', `webgpu:${feature}`, feature, null, `WebGPU feature "${feature}" is no longer supported`);
+    }
+  }
+  for (const feature of current.webgpuFeatures) {
+    if (!baseline.webgpuFeatures.includes(feature)) {
+      change('added-capability', `webgpu:${feature}`, null, feature, `WebGPU feature "${feature}" is newly supported`);
+    }
+  }
+
+  for (const problem of current.problems) {
+    if (!baseline.problems.includes(problem)) {
+      change('new-problem', 'problem', null, problem, `New problem detected: ${problem}`);
+    }
+  }
+  for (const problem of baseline.problems) {
+    if (!current.problems.includes(problem)) {
+      change('resolved-problem', 'problem', problem, null, `Problem no longer detected: ${problem}`);
+    }
+  }
+
+  if (baseline.angleBackend !== current.angleBackend) {
+    change('backend-change', 'angleBackend', baseline.angleBackend, current.angleBackend, `ANGLE backend changed from "${baseline.angleBackend}" to "${current.angleBackend}"`);
+  }
+  for (const [key, label] of Object.entries(VERSION_KEYS)) {
+    const before = baseline.versions[key];
+    const after = current.versions[key];
+    if (before !== after) {
+      change('version-bump', `version:${key}`, before, after, `${label} changed from ${before} to ${after}`);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Assigns a severity to each change. `severity` overrides entries of
+ * DEFAULT_DRIFT_SEVERITY; changes marked "ignore" are dropped.
+ */
+export function evaluateDrift(changes, severity = {}) {
+  const severities = { ...DEFAULT_DRIFT_SEVERITY, ...severity };
+  for (const [category, level] of Object.entries(severities)) {
+    if (!SEVERITIES.includes(level)) {
+      throw new PolicyError(`Invalid drift severity "${level}" for ${category}. Use one of: ${SEVERITIES.join(', ')}`);
+    }
+  }
+
+  const rated = changes
+    .map((entry) => ({ ...entry, severity: severities[entry.category] || 'warn' }))
+    .filter((entry) => entry.severity !== 'ignore');
+
+  return {
+    passed: !rated.some((entry) => entry.severity === 'error'),
+    changes: rated
+  };
+}
+
+/**
+ * Decides whether a run should (re)write the baseline, following
+ * Playwright's --update-snapshots setting: "all" always rewrites it,
+ * "changed" rewrites it when drift was found, "missing" (the default) only
+ * creates it and "none" never writes. GPU_UPDATE_BASELINE=1 forces a rewrite
+ * outside the test runner.
+ */
+export function shouldWriteBaseline(updateSnapshots, { exists, changed }) {
+  if (process.env.GPU_UPDATE_BASELINE === '1') return true;
+  if (!exists) return updateSnapshots !== 'none';
+  return updateSnapshots === 'all' || (updateSnapshots === 'changed' && changed);
+}
+
+/**
+ * Renders a drift result as console lines.
+ */
+export function formatDriftResult(result) {
+  const icons = { error: '❌', warn: '⚠️ ', info: 'ℹ️ ' };
+  const errors = result.changes.filter((entry) => entry.severity === 'error').length;
+  const lines = [`🧭 Baseline drift: ${result.changes.length === 0 ? '✅ none' : `${result.changes.length} change(s), ${errors} failing`}`];
+  for (const entry of result.changes) {
+    lines.push(`   ${icons[entry.severity]} [${entry.category}] ${entry.message}`);
+  }
+  return lines;
+}
@@ -0,0 +1,94 @@
+// WebGPU compute benchmark results.
+//
+// The workloads themselves live in harness/webgpu-benchmark.js and return raw
+// per-run times. This module runs them in a page, reduces the samples to
+// median/p95 statistics and a throughput figure, and renders the result. The
+// profile's `benchmarks` section sets the run counts and the thresholds
+// checked by the "benchmarks" policy check.
+
+export const DEFAULT_BENCHMARK_OPTIONS = {
+  warmup: 3,
+  iterations: 10
+};
+
+/**
+ * Runs the benchmark harness in a page that is already on
+ * webgpu-benchmark.html. `options` takes warmup, iterations and `only`, a
+ * list of benchmark names.
+ */
+export async function runWebGPUBenchmarks(page, {
+  warmup = DEFAULT_BENCHMARK_OPTIONS.warmup,
+  iterations = DEFAULT_BENCHMARK_OPTIONS.iterations,
+  only = null
+} = {}) {
+  await page.waitForFunction(() => window.webgpuBenchmark);
+  return page.evaluate((options) => window.webgpuBenchmark.runBenchmarks(options), { warmup, iterations, only });
+}
+
+// Nearest-rank percentile of an ascending list
+function percentile(sorted, fraction) {
+  return sorted[Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1)];
+}
+
+/**
+ * Reduces per-run times (ms) to min, max, mean, median and p95, or null when
+ * there are none.
+ */
+export function summarizeSamples(samples) {
+  if (samples.length === 0) return null;
+  const sorted = [...samples].sort((a, b) => a - b);
+  const middle = sorted.length >> 1;
+  return {
+    runs: sorted.length,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+    p95: percentile(sorted, 0.95)
+  };
+}
+
+/**
+ * Adds statistics and a throughput (work per second at the median time) to
+ * every benchmark of a harness run.
+ */
+export function summarizeBenchmarks(run) {
+  return {
+    ...run,
+    benchmarks: run.benchmarks.map((benchmark) => {
+      const stats = summarizeSamples(benchmark.samples);
+      const throughput = stats && stats.median > 0 && benchmark.work ? benchmark.work / (stats.median / 1000) : null;
+      return { ...benchmark, stats, throughput };
+    })
+  };
+}
+
+/**
+ * Throughput of a summarised benchmark with its unit. Timers are coarse
+ * (timestamp queries are quantised to 100 µs), so a fast run can have a
+ * median of 0 and no throughput.
+ */
+export function formatThroughput(benchmark) {
+  if (benchmark.throughput !== null) return `${benchmark.throughput.toFixed(2)} ${benchmark.unit}`;
+  return benchmark.work && benchmark.stats?.median === 0 ? 'below timer resolution' : 'n/a';
+}
+
+/**
+ * Renders a summarised benchmark run as console lines.
+ */
+export function formatBenchmarkResult(result) {
+  if (!result.supported) return [`⏱️  WebGPU benchmarks: ❌ ${result.error}`];
+
+  const lines = [`⏱️  WebGPU benchmarks (${result.timing}, ${result.warmup} warmup + ${result.iterations} runs):`];
+  for (const benchmark of result.benchmarks) {
+    if (!benchmark.stats) {
+      lines.push(`   ❌ ${benchmark.name}: ${benchmark.error || 'no samples'}`);
+      continue;
+    }
+    const { median, p95 } = benchmark.stats;
+    const icon = benchmark.verified && !benchmark.error ? '✅' : '❌';
+    const note = benchmark.error || (benchmark.verified ? '' : 'wrong result');
+    lines.push(`   ${icon} ${benchmark.name}: ${formatThroughput(benchmark)}, median ${median.toFixed(3)} ms, p95 ${p95.toFixed(3)} ms${note ? ` (${note})` : ''}`);
+  }
+  return lines;
+}
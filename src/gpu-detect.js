@@ -0,0 +1,289 @@
+// Standalone GPU detection, used by the gpu-detect CLI.
+//
+// Launches Chrome with one of the launch flag presets, runs the same
+// chrome://gpu parser, CDP SystemInfo collector and JS probes as the test
+// suite and returns a GPU report document (see
+// schema/gpu-report.schema.json), so CLI output and test reports can be
+// compared directly. Output is redacted like test reports unless
+// --redaction off is given.
+import { chromium } from '@playwright/test';
+import { parseArgs } from 'node:util';
+import { getAccelerationStatus } from './chrome-gpu-parser.js';
+import { collectGpuInfo } from './gpu-info-sources.js';
+import { classifyGpuIssues } from './known-issues.js';
+import { openHarnessPage } from './harness-server.js';
+import { FLAG_PRESETS, getDefaultExecutablePath, getLaunchArgs, getPlatformPreset } from './launch-flags.js';
+import { createGpuReport, finalizeGpuReport, summarizeGpuData } from './gpu-report.js';
+import { getHostFingerprint, REDACTION_MODES } from './redaction.js';
+import { recommendRenderingTier } from './rendering-tier.js';
+import { runWebGLProbe } from './webgl-probe.js';
+import { runWebGPUProbe, compareWithDawnInfo } from './webgpu-probe.js';
+
+export const OUTPUT_FORMATS = ['table', 'json', 'markdown'];
+
+export const USAGE = `Usage: gpu-detect [options]
+
+Launches Chrome, reads chrome://gpu and CDP SystemInfo, and probes WebGL/WebGPU from JavaScript.
+
+Options:
+  -f, --format <format>     Output format: ${OUTPUT_FORMATS.join(', ')} (default: table)
+  -o, --output <file>       Write the output to a file instead of stdout
+  -e, --executable <path>   Chrome executable to launch
+  -c, --channel <channel>   Browser channel when no executable is given (default: chrome)
+  -p, --preset <name>       Launch flag preset: ${Object.keys(FLAG_PRESETS).join(', ')} (default: host platform)
+  -r, --redaction <mode>    Redaction of paths, user names and identifiers: ${REDACTION_MODES.join(', ')}
+                            (default: gpu-redaction.json)
+      --headed              Show the browser window
+  -h, --help                Show this help`;
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Turns command line arguments into detection options.
+ */
+export function parseCliArgs(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        format: { type: 'string', short: 'f', default: 'table' },
+        output: { type: 'string', short: 'o' },
+        executable: { type: 'string', short: 'e' },
+        channel: { type: 'string', short: 'c' },
+        preset: { type: 'string', short: 'p', default: getPlatformPreset() },
+        redaction: { type: 'string', short: 'r' },
+        headed: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    }));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (!OUTPUT_FORMATS.includes(values.format)) {
+    throw new UsageError(`Unknown format "${values.format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (!FLAG_PRESETS[values.preset]) {
+    throw new UsageError(`Unknown flag preset "${values.preset}". Available: ${Object.keys(FLAG_PRESETS).join(', ')}`);
+  }
+  if (values.redaction !== undefined && !REDACTION_MODES.includes(values.redaction)) {
+    throw new UsageError(`Unknown redaction mode "${values.redaction}". Use one of: ${REDACTION_MODES.join(', ')}`);
+  }
+
+  return {
+    format: values.format,
+    output: values.output ?? null,
+    executablePath: values.executable ?? getDefaultExecutablePath(),
+    channel: values.channel ?? 'chrome',
+    preset: values.preset,
+    redaction: values.redaction ?? null,
+    headless: !values.headed,
+    help: values.help
+  };
+}
+
+/**
+ * Launches the browser, collects everything and returns a GPU report.
+ */
+export async function detectGpu({ executablePath, channel = 'chrome', preset = getPlatformPreset(), headless = true } = {}) {
+  const startedAt = Date.now();
+  const args = getLaunchArgs(preset);
+  const browser = await chromium.launch({
+    headless,
+    args,
+    ...(executablePath ? { executablePath } : { channel })
+  });
+
+  try {
+    const report = createGpuReport({
+      test: { title: 'gpu-detect', project: preset },
+      environment: { browserName: 'chromium', browserVersion: browser.version(), launchFlags: args }
+    });
+    const page = await browser.newPage();
+
+    const { gpuData, disagreements, featureStates, errors } = await collectGpuInfo(page, 'chromium');
+    report.gpu = gpuData;
+    report.hostFingerprint = getHostFingerprint(gpuData);
+    report.gpuSources = { disagreements, featureStates, errors };
+    report.summary = summarizeGpuData(gpuData);
+    report.acceleration = getAccelerationStatus(gpuData);
+    report.issues = classifyGpuIssues(gpuData);
+
+    await openHarnessPage(page, 'probe.html');
+    report.webgl = await runWebGLProbe(page);
+    const probe = await runWebGPUProbe(page);
+    report.webgpu = { probe, findings: compareWithDawnInfo(probe, gpuData) };
+    report.renderingTier = recommendRenderingTier({ webgpu: probe, webgl: report.webgl });
+
+    return finalizeGpuReport(report, { status: 'passed', duration: Date.now() - startedAt });
+  } finally {
+    await browser.close();
+  }
+}
+
+function describeWebGL(profile) {
+  if (!profile?.available) return `unavailable${profile?.error ? ` (${profile.error})` : ''}`;
+  return profile.unmaskedRenderer || profile.renderer || 'available';
+}
+
+function describeAdapter(adapter) {
+  if (!adapter.available) return `unavailable${adapter.error ? ` (${adapter.error})` : ''}`;
+  const { vendor, architecture, description, isFallbackAdapter } = adapter.info;
+  const name = [vendor, architecture, description].filter(Boolean).join(' / ') || 'no adapter info';
+  return `${name}${isFallbackAdapter ? ' (fallback)' : ''}, ${adapter.features.length} features`;
+}
+
+// One display as its size followed by scale, refresh rate, colour depth and HDR
+function describeDisplay(display) {
+  const size = display.bounds ? `${display.bounds.width}x${display.bounds.height}` : 'unknown size';
+  const details = [
+    display.scaleFactor && display.scaleFactor !== 1 ? `@${display.scaleFactor}x` : null,
+    display.refreshRate ? `${display.refreshRate} Hz` : null,
+    display.bitsPerColor ? `${display.bitsPerColor} bpc` : null,
+    display.hdr ? 'HDR' : null
+  ].filter(Boolean);
+  return [size, ...details].join(', ');
+}
+
+function describeVideoProfile(entry) {
+  const max = entry.maxResolution ? `up to ${entry.maxResolution.width}x${entry.maxResolution.height}` : 'hardware';
+  return entry.maxFramerate ? `${max} at ${entry.maxFramerate} fps` : max;
+}
+
+/**
+ * Groups the interesting parts of a report into titled key/value sections.
+ */
+export function getReportSections(report) {
+  const sections = [];
+  if (report.summary) {
+    sections.push({
+      title: 'Summary',
+      rows: [
+        ['Chrome version', report.summary.chromeVersion],
+        ['Operating system', report.summary.osInfo],
+        ['Hardware accelerated', report.summary.hardwareAccelerated],
+        ['Graphics backend', report.summary.graphicsBackend],
+        ['Skia backend', report.summary.skiaBackend],
+        ['Display type', report.summary.displayType],
+        ['WebGPU status', report.summary.webgpuStatus],
+        ['Problems detected', String(report.summary.totalProblems)]
+      ]
+    });
+  }
+  if (report.gpu) {
+    sections.push({ title: 'Graphics Feature Status', rows: Object.entries(report.gpu.features) });
+    if (report.gpu.displays?.length) {
+      sections.push({ title: 'Displays', rows: report.gpu.displays.map((display, index) => [`Display ${index + 1}`, describeDisplay(display)]) });
+    }
+    const video = report.gpu.videoAcceleration;
+    if (video && video.decode.length + video.encode.length > 0) {
+      sections.push({
+        title: 'Video Acceleration',
+        rows: [
+          ...video.decode.map((entry) => [`Decode ${entry.profile}`, describeVideoProfile(entry)]),
+          ...video.encode.map((entry) => [`Encode ${entry.profile}`, describeVideoProfile(entry)])
+        ]
+      });
+    }
+  }
+  if (report.issues?.entries.length) {
+    sections.push({
+      title: 'Known Issues',
+      rows: report.issues.entries.map((entry) => (entry.triage
+        ? [`${entry.kind}: needs triage`, entry.text]
+        : [`${entry.kind}: ${entry.impact} impact`, `${entry.summary}${entry.bugs.length ? ` (${entry.bugs.join(', ')})` : ''}`]))
+    });
+  }
+  const gpuSources = report.gpuSources;
+  if (gpuSources && (gpuSources.disagreements.length > 0 || Object.keys(gpuSources.errors).length > 0)) {
+    sections.push({
+      title: 'GPU Info Sources',
+      rows: [
+        ...Object.entries(gpuSources.errors).map(([name, message]) => [`${name} unavailable`, message]),
+        ...gpuSources.disagreements.map(({ field, values }) => [field, Object.entries(values).map(([name, value]) => `${name}: ${value}`).join(' / ')])
+      ]
+    });
+  }
+  if (report.webgl) {
+    sections.push({
+      title: 'WebGL',
+      rows: [
+        ['WebGL 1', describeWebGL(report.webgl.webgl1)],
+        ['WebGL 2', describeWebGL(report.webgl.webgl2)]
+      ]
+    });
+  }
+  if (report.webgpu) {
+    const { probe, findings } = report.webgpu;
+    sections.push({
+      title: 'WebGPU',
+      rows: [
+        ['navigator.gpu', probe.supported ? 'available' : `unavailable${probe.error ? ` (${probe.error})` : ''}`],
+        ...probe.adapters.map((adapter) => [`Adapter: ${adapter.name}`, describeAdapter(adapter)]),
+        ...findings.map((finding) => [`Finding: ${finding.type}`, finding.message])
+      ]
+    });
+  }
+  if (report.renderingTier) {
+    sections.push({
+      title: 'Rendering Tier',
+      rows: [
+        ['Recommended', report.renderingTier.tier],
+        ...report.renderingTier.candidates.map((candidate) => [candidate.tier, `${candidate.usable ? 'usable' : 'skipped'}: ${candidate.reason}`])
+      ]
+    });
+  }
+  return sections;
+}
+
+function formatTable(report) {
+  const sections = getReportSections(report);
+  const width = Math.max(0, ...sections.flatMap((section) => section.rows.map(([key]) => key.length)));
+  const lines = [];
+  for (const section of sections) {
+    if (lines.length > 0) lines.push('');
+    lines.push(section.title, '='.repeat(section.title.length));
+    for (const [key, value] of section.rows) {
+      lines.push(`${key.padEnd(width)}  ${value}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function escapeCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function formatMarkdown(report) {
+  const lines = ['# GPU Detection Report', ''];
+  for (const section of getReportSections(report)) {
+    lines.push(`## ${section.title}`, '', '| Key | Value |', '| --- | --- |');
+    for (const [key, value] of section.rows) {
+      lines.push(`| ${escapeCell(key)} | ${escapeCell(value)} |`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Renders a report in one of OUTPUT_FORMATS.
+ */
+export function formatReport(report, format = 'table') {
+  switch (format) {
+    case 'json':
+      return `${JSON.stringify(report, null, 2)}\n`;
+    case 'markdown':
+      return formatMarkdown(report);
+    case 'table':
+      return formatTable(report);
+    default:
+      throw new UsageError(`Unknown format "${format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
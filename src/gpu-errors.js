@@ -0,0 +1,187 @@
+// GPU error collection.
+//
+// installGpuErrorCollector() must run before the page navigates: it injects
+// instrumentGpuErrors() as an init script, so every WebGPU device and WebGL
+// context the page creates is watched from the start, and it listens for
+// console errors and uncaught page errors. Each entry is classified, and the
+// profile's `errors` severities decide which classes fail the test.
+import { PolicyError, SEVERITIES } from './gpu-policy.js';
+
+export const ERROR_CATEGORIES = ['validation', 'out-of-memory', 'internal', 'context-loss', 'other'];
+
+export const DEFAULT_ERROR_SEVERITY = {
+  validation: 'error',
+  'out-of-memory': 'error',
+  internal: 'error',
+  'context-loss': 'error',
+  other: 'warn'
+};
+
+const CATEGORY_BY_TYPE = {
+  GPUValidationError: 'validation',
+  GPUOutOfMemoryError: 'out-of-memory',
+  GPUInternalError: 'internal'
+};
+
+/**
+ * Runs in the page (as an init script) before any page script. Must stay
+ * self-contained. Entries go to window.__reportGpuError when the collector
+ * binding is present and are always kept in __gpuErrorCollector.errors.
+ */
+export function instrumentGpuErrors() {
+  if (globalThis.__gpuErrorCollector) return;
+  const errors = [];
+  globalThis.__gpuErrorCollector = { errors };
+
+  const report = (entry) => {
+    const record = { ...entry, url: globalThis.location?.href || null, timestamp: Date.now() };
+    errors.push(record);
+    if (typeof globalThis.__reportGpuError === 'function') {
+      Promise.resolve(globalThis.__reportGpuError(record)).catch(() => {});
+    }
+  };
+  const describe = (error) => ({
+    errorType: error?.constructor?.name || 'GPUError',
+    message: error?.message || String(error)
+  });
+
+  if (typeof GPUAdapter !== 'undefined' && typeof GPUDevice !== 'undefined') {
+    const requestDevice = GPUAdapter.prototype.requestDevice;
+    GPUAdapter.prototype.requestDevice = async function (...args) {
+      const device = await requestDevice.apply(this, args);
+      device.addEventListener('uncapturederror', (event) => report({ source: 'uncaptured-error', ...describe(event.error) }));
+      device.lost.then((info) => {
+        // destroy() resolves `lost` too; that is not a failure
+        if (info.reason === 'destroyed') return;
+        report({ source: 'device-lost', errorType: 'GPUDeviceLostInfo', reason: info.reason || 'unknown', message: info.message || 'GPU device lost' });
+      });
+      return device;
+    };
+
+    const popErrorScope = GPUDevice.prototype.popErrorScope;
+    GPUDevice.prototype.popErrorScope = async function () {
+      const error = await popErrorScope.call(this);
+      if (error) report({ source: 'error-scope', ...describe(error) });
+      return error;
+    };
+  }
+
+  for (const Canvas of [globalThis.HTMLCanvasElement, globalThis.OffscreenCanvas]) {
+    if (!Canvas) continue;
+    const getContext = Canvas.prototype.getContext;
+    Canvas.prototype.getContext = function (type, ...args) {
+      const context = getContext.call(this, type, ...args);
+      if (context && /^(experimental-)?webgl2?$/.test(type) && !this.__gpuErrorsWatched) {
+        const canvas = this;
+        canvas.__gpuErrorsWatched = true;
+        canvas.addEventListener('webglcontextlost', (event) => {
+          // Probes hand contexts back with WEBGL_lose_context; that is not a failure
+          if (canvas.__gpuErrorsIntentionalLoss) {
+            canvas.__gpuErrorsIntentionalLoss = false;
+            return;
+          }
+          report({ source: 'webgl-context-lost', errorType: 'WebGLContextEvent', message: event.statusMessage || `${type} context lost` });
+        });
+
+        const getExtension = context.getExtension;
+        context.getExtension = function (name, ...rest) {
+          const extension = getExtension.call(this, name, ...rest);
+          if (extension && /^WEBGL_lose_context$/i.test(name) && !extension.__gpuErrorsWrapped) {
+            const loseContext = extension.loseContext;
+            extension.__gpuErrorsWrapped = true;
+            extension.loseContext = function () {
+              canvas.__gpuErrorsIntentionalLoss = true;
+              return loseContext.call(this);
+            };
+          }
+          return extension;
+        };
+      }
+      return context;
+    };
+  }
+}
+
+/**
+ * Sorts an entry into one of ERROR_CATEGORIES, by error type where the
+ * browser gives one and by message otherwise.
+ */
+export function classifyGpuError({ source, errorType, message = '' }) {
+  if (source === 'device-lost' || source === 'webgl-context-lost') return 'context-loss';
+  if (CATEGORY_BY_TYPE[errorType]) return CATEGORY_BY_TYPE[errorType];
+  if (/out of memory|\bOOM\b/i.test(message)) return 'out-of-memory';
+  if (/(device|context) (was |is )?lost|CONTEXT_LOST/i.test(message)) return 'context-loss';
+  if (/validation|invalid/i.test(message)) return 'validation';
+  if (/internal error/i.test(message)) return 'internal';
+  return 'other';
+}
+
+/**
+ * Starts collecting errors on a page that has not navigated yet. Returns
+ * `{ errors, dispose }`; `errors` fills up as the page runs.
+ */
+export async function installGpuErrorCollector(page) {
+  const errors = [];
+  const add = (entry) => errors.push({ ...entry, category: classifyGpuError(entry) });
+
+  await page.exposeBinding('__reportGpuError', (_source, entry) => add(entry));
+  await page.addInitScript(instrumentGpuErrors);
+
+  const onConsole = (message) => {
+    if (message.type() !== 'error') return;
+    add({ source: 'console', errorType: null, message: message.text(), url: message.location().url || null, timestamp: Date.now() });
+  };
+  const onPageError = (error) => {
+    add({ source: 'pageerror', errorType: error.name, message: error.message, url: page.url(), timestamp: Date.now() });
+  };
+  page.on('console', onConsole);
+  page.on('pageerror', onPageError);
+
+  return {
+    errors,
+    dispose() {
+      page.off('console', onConsole);
+      page.off('pageerror', onPageError);
+    }
+  };
+}
+
+/**
+ * Assigns a severity to each collected error. `severity` overrides entries of
+ * DEFAULT_ERROR_SEVERITY; errors marked "ignore" are dropped.
+ */
+export function evaluateGpuErrors(errors, severity = {}) {
+  const severities = { ...DEFAULT_ERROR_SEVERITY, ...severity };
+  for (const [category, level] of Object.entries(severities)) {
+    if (!SEVERITIES.includes(level)) {
+      throw new PolicyError(`Invalid error severity "${level}" for ${category}. Use one of: ${SEVERITIES.join(', ')}`);
+    }
+  }
+
+  const rated = errors
+    .map((entry) => ({ ...entry, category: entry.category || classifyGpuError(entry) }))
+    .map((entry) => ({ ...entry, severity: severities[entry.category] || 'warn' }))
+    .filter((entry) => entry.severity !== 'ignore');
+
+  const counts = Object.fromEntries(ERROR_CATEGORIES.map((category) => [category, 0]));
+  for (const entry of rated) counts[entry.category]++;
+
+  return {
+    passed: !rated.some((entry) => entry.severity === 'error'),
+    counts,
+    errors: rated
+  };
+}
+
+/**
+ * Renders an error result as console lines.
+ */
+export function formatGpuErrorResult(result) {
+  const icons = { error: '🚨', warn: '⚠️ ', info: 'ℹ️ ' };
+  const failing = result.errors.filter((entry) => entry.severity === 'error').length;
+  const lines = [`🩺 GPU errors: ${result.errors.length === 0 ? '✅ none' : `${result.errors.length} collected, ${failing} failing`}`];
+  for (const entry of result.errors) {
+    lines.push(`   ${icons[entry.severity]} [${entry.category}/${entry.source}] ${entry.message}`);
+  }
+  return lines;
+}
@@ -0,0 +1,172 @@
+// Browser GPU info sources.
+//
+// Chromium describes its GPU setup on chrome://gpu and Firefox in the
+// Graphics section of about:support; WebKit has no such page, so only the
+// JS probes run there. Both parsers produce the same GpuData shape, which
+// lets tests stay engine-neutral.
+//
+// Chromium is also read over CDP (SystemInfo.getInfo), so a markup change on
+// chrome://gpu no longer leaves a run without GPU data. collectGpuInfo reads
+// every source the engine has, merges them and lists the fields they
+// disagree on.
+import { openGpuPage, parseGpuPage } from './chrome-gpu-parser.js';
+import { openSupportPage, parseSupportPage } from './firefox-support-parser.js';
+import { collectCdpGpuInfo, parseCdpGpuInfo } from './cdp-gpu-info.js';
+
+export const GPU_INFO_SOURCES = {
+  chromium: { url: 'chrome://gpu', open: openGpuPage, parse: parseGpuPage, cdp: true },
+  firefox: { url: 'about:support', open: openSupportPage, parse: parseSupportPage }
+};
+
+/**
+ * @typedef {Object} SourceDisagreement
+ * @property {string} field                   e.g. "features.WebGL" or "driverInfo.Driver version"
+ * @property {Object<string, string>} values  Value per source, e.g. {dom: ..., cdp: ...}
+ */
+
+/**
+ * @typedef {Object} FieldSource
+ * @property {string} from           The source whose value the merged data holds
+ * @property {string[]} reportedBy   Every source that reported the field, in priority order
+ */
+
+/**
+ * The info page for a Playwright browser name, or null when the engine has none.
+ */
+export function getGpuInfoSource(browserName) {
+  return GPU_INFO_SOURCES[browserName] || null;
+}
+
+/**
+ * Opens and parses the engine's info page. Resolves to null for engines
+ * without one.
+ * @returns {Promise<import('./chrome-gpu-parser.js').GpuData|null>}
+ */
+export async function readGpuInfo(page, browserName) {
+  const source = getGpuInfoSource(browserName);
+  if (!source) return null;
+  await source.open(page);
+  return source.parse(page);
+}
+
+/**
+ * Flattens the gpuData fields both sources can report into comparable
+ * values. Devices compare by PCI ids and video profiles by their limits,
+ * since the surrounding text differs between sources.
+ */
+export function gpuInfoFields(gpuData) {
+  const fields = {};
+  for (const [name, status] of Object.entries(gpuData.features)) fields[`features.${name}`] = status;
+  for (const key of ['Chrome version', 'Command Line']) {
+    // HeadlessChrome/124.0.6367.207 and Chrome/124.0.6367.207 are the same build
+    const value = gpuData.versionInfo[key];
+    if (value) fields[`versionInfo.${key}`] = key === 'Chrome version' ? value.replace(/^[^/]*\//, '') : value;
+  }
+  for (const [key, value] of Object.entries(gpuData.driverInfo)) {
+    const ids = /^GPU\d+$/.test(key) && /VENDOR\s*=\s*(0x[0-9a-f]+).*?DEVICE\s*=\s*(0x[0-9a-f]+)/i.exec(value);
+    if (ids) fields[`driverInfo.${key}`] = `${ids[1]}/${ids[2]}`.toLowerCase();
+    else if (['Driver vendor', 'Driver version'].includes(key)) fields[`driverInfo.${key}`] = value;
+  }
+  for (const kind of ['decode', 'encode']) {
+    for (const entry of gpuData.videoAcceleration[kind]) {
+      const max = entry.maxResolution ? `${entry.maxResolution.width}x${entry.maxResolution.height}` : 'unknown';
+      fields[`videoAcceleration.${kind}.${entry.profile}`] = entry.maxFramerate ? `${max} @ ${entry.maxFramerate} fps` : max;
+    }
+  }
+  return fields;
+}
+
+function fillGaps(target, donor) {
+  for (const [name, status] of Object.entries(donor.features)) {
+    if (target.features[name] !== undefined) continue;
+    target.features[name] = status;
+    target.graphicsFeatures.push(`${name}: ${status}`);
+  }
+  target.versionInfo = { ...donor.versionInfo, ...target.versionInfo };
+  target.driverInfo = { ...donor.driverInfo, ...target.driverInfo };
+  if (target.driverBugWorkarounds.length === 0) target.driverBugWorkarounds = [...donor.driverBugWorkarounds];
+  for (const kind of ['decode', 'encode']) {
+    const known = new Set(target.videoAcceleration[kind].map((entry) => entry.profile));
+    target.videoAcceleration[kind].push(...donor.videoAcceleration[kind].filter((entry) => !known.has(entry.profile)));
+  }
+}
+
+/**
+ * Merges gpuData from several sources, in priority order (e.g. {dom, cdp}).
+ * The first source wins every field it has; later ones only fill gaps.
+ * Derived status flags come from the first source alone. The merged data's
+ * `sources` records, per comparable field, the source its value came from
+ * and every source that reported it.
+ * @param {Object<string, import('./chrome-gpu-parser.js').GpuData|null>} bySource
+ * @returns {{gpuData: import('./chrome-gpu-parser.js').GpuData|null, disagreements: SourceDisagreement[]}}
+ */
+export function mergeGpuInfo(bySource) {
+  const available = Object.entries(bySource).filter(([, gpuData]) => gpuData);
+  if (available.length === 0) return { gpuData: null, disagreements: [] };
+
+  const [[, primary], ...rest] = available;
+  const gpuData = structuredClone(primary);
+  for (const [, donor] of rest) fillGaps(gpuData, donor);
+
+  const values = {};
+  for (const [name, data] of available) {
+    for (const [field, value] of Object.entries(gpuInfoFields(data))) {
+      (values[field] ||= {})[name] = value;
+    }
+  }
+
+  gpuData.sources = Object.fromEntries(Object.entries(values).map(([field, perSource]) => {
+    const reportedBy = Object.keys(perSource);
+    return [field, { from: reportedBy[0], reportedBy }];
+  }));
+  const disagreements = Object.entries(values)
+    .filter(([, perSource]) => new Set(Object.values(perSource)).size > 1)
+    .map(([field, perSource]) => ({ field, values: perSource }));
+  return { gpuData, disagreements };
+}
+
+/**
+ * Reads every GPU info source the engine has (the info page as "dom", CDP
+ * as "cdp") and merges them. A failing source is recorded in `errors` as
+ * long as another one succeeded.
+ * @returns {Promise<{gpuData: import('./chrome-gpu-parser.js').GpuData|null, disagreements: SourceDisagreement[],
+ *   featureStates: Object<string, boolean|null>|null, errors: Object<string, string>}>}
+ */
+export async function collectGpuInfo(page, browserName) {
+  const source = getGpuInfoSource(browserName);
+  if (!source) return { gpuData: null, disagreements: [], featureStates: null, errors: {} };
+
+  const bySource = { dom: null, cdp: null };
+  const failures = {};
+  let featureStates = null;
+
+  try {
+    bySource.dom = await readGpuInfo(page, browserName);
+  } catch (error) {
+    failures.dom = error;
+  }
+  if (source.cdp) {
+    try {
+      const info = await collectCdpGpuInfo(page.context().browser());
+      bySource.cdp = parseCdpGpuInfo(info);
+      featureStates = info.featureStates;
+    } catch (error) {
+      failures.cdp = error;
+    }
+  }
+
+  if (!bySource.dom && !bySource.cdp) throw failures.dom;
+  const errors = Object.fromEntries(Object.entries(failures).map(([name, error]) => [name, error.message]));
+  return { ...mergeGpuInfo(bySource), featureStates, errors };
+}
+
+/**
+ * Renders the source comparison as console lines.
+ */
+export function formatSourceDisagreements(disagreements) {
+  if (disagreements.length === 0) return ['🔀 GPU info sources agree'];
+  return [
+    `🔀 GPU info sources disagree on ${disagreements.length} field(s):`,
+    ...disagreements.map(({ field, values }) => `   ⚠️  ${field}: ${Object.entries(values).map(([name, value]) => `${name}="${value}"`).join(', ')}`)
+  ];
+}
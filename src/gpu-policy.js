@@ -0,0 +1,342 @@
+// Declarative expectation policy.
+//
+// A policy file holds named profiles (see gpu-policy.json). Each profile
+// describes what a class of machine is expected to report, and evaluating it
+// collects every violation instead of stopping at the first one.
+//
+// Profile shape:
+//   features:    { [featureName | '*']: { required?, allowed?, forbidden? } }
+//                Status lists match case-insensitively by prefix, so
+//                "Hardware accelerated" also matches "Hardware accelerated on
+//                all pages". A status matching `required` passes, one matching
+//                `allowed` is tolerated, one matching `forbidden` (its own or
+//                the '*' rule's) is a violation, and anything else is a
+//                violation when `required` is set.
+//   backend:     ANGLE backends that are acceptable, e.g. ["vulkan"]; ["*"]
+//                accepts any backend as long as one is detected.
+//   maxProblems: Upper bound for "Problems Detected" entries.
+//   webgpu:      { available?, requiredFeatures? } checked against Dawn Info
+//                and, when given, the navigator.gpu probe.
+//   drift:       Severity per baseline drift category, overriding
+//                DEFAULT_DRIFT_SEVERITY in gpu-baseline.js.
+//   errors:      Severity per GPU error class, overriding
+//                DEFAULT_ERROR_SEVERITY in gpu-errors.js.
+//   flags:       Severity per launch flag outcome (missing, overridden),
+//                overriding DEFAULT_FLAG_SEVERITY in flag-verification.js.
+//   limits:      Severity per limit verification outcome (failed, skipped),
+//                overriding DEFAULT_LIMIT_SEVERITY in limit-verification.js,
+//                plus `budgetMs` for the whole verification run.
+//   rendering:   Frame sampling and pixel thresholds for the rendering test,
+//                overriding DEFAULT_FRAME_THRESHOLDS in frame-analysis.js,
+//                plus `allowBlank: true` for runs where the render harness
+//                legitimately draws nothing (WebGPU off or unavailable).
+//   media:       { decode?, encode?: { [codec]: 'hardware' | 'software' },
+//                roundTrip? } minimum support tier per codec, checked
+//                against the media probe's codec matrix; `roundTrip: true`
+//                also fails codecs whose encode/decode round trip broke.
+//   benchmarks:  { warmup?, iterations?, thresholds?: { [benchmark]:
+//                { minThroughput?, maxMedianMs?, maxP95Ms? } } } run counts
+//                for the WebGPU compute benchmarks and the limits their
+//                summarised results are checked against.
+//   wgsl:        { required?: [caseName] } WGSL conformance cases that must
+//                pass; any advertised case that fails is a violation too.
+//   tier:        { allowed: [tier] } rendering tiers (see RENDERING_TIERS in
+//                rendering-tier.js) the in-page recommendation may pick.
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { formatThroughput } from './gpu-benchmark.js';
+import { MEDIA_DIRECTIONS, SUPPORT_TIERS } from './media-probe.js';
+import { RENDERING_TIERS } from './rendering-tier.js';
+
+export const DEFAULT_POLICY_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'gpu-policy.json');
+
+export const POLICY_CHECKS = ['features', 'backend', 'problems', 'webgpu', 'media', 'benchmarks', 'wgsl', 'tier'];
+
+// Levels for every per-category severity map in a profile (drift, errors,
+// flags, limits); each module that reads one validates against this list
+export const SEVERITIES = ['error', 'warn', 'info', 'ignore'];
+
+export class PolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PolicyError';
+  }
+}
+
+/**
+ * Reads a policy file. Defaults to GPU_POLICY_FILE, then gpu-policy.json.
+ */
+export function loadPolicy(policyPath = process.env.GPU_POLICY_FILE || DEFAULT_POLICY_PATH) {
+  let policy;
+  try {
+    policy = JSON.parse(readFileSync(policyPath, 'utf8'));
+  } catch (error) {
+    throw new PolicyError(`Could not read policy file ${policyPath}: ${error.message}`);
+  }
+  if (!policy.profiles || typeof policy.profiles !== 'object') {
+    throw new PolicyError(`Policy file ${policyPath} has no "profiles" object`);
+  }
+  return policy;
+}
+
+/**
+ * Picks a profile by name. Defaults to GPU_POLICY_PROFILE, then the policy's
+ * defaultProfile.
+ */
+export function selectProfile(policy, name = process.env.GPU_POLICY_PROFILE || policy.defaultProfile) {
+  const profile = policy.profiles[name];
+  if (!profile) {
+    throw new PolicyError(`Unknown policy profile "${name}". Available: ${Object.keys(policy.profiles).join(', ')}`);
+  }
+  return { name, ...profile };
+}
+
+/**
+ * Loads the policy file and selects the configured profile in one go.
+ */
+export function loadProfile(name, policyPath) {
+  const policy = loadPolicy(policyPath);
+  return selectProfile(policy, name || undefined);
+}
+
+function matchesStatus(status, patterns = []) {
+  const normalized = status.toLowerCase();
+  return patterns.some((pattern) => normalized.startsWith(pattern.toLowerCase()));
+}
+
+/**
+ * Returns the ANGLE backend in use, e.g. "vulkan", "metal" or "swiftshader".
+ */
+export function getAngleBackend(gpuData) {
+  const fromParts = /angle=([\w-]+)/i.exec(gpuData.status.glImplementation || '');
+  if (fromParts) return fromParts[1].toLowerCase();
+  const fromDisplay = /^ANGLE_(\w+)$/i.exec(gpuData.status.displayType || '');
+  if (fromDisplay) return fromDisplay[1].toLowerCase();
+  return null;
+}
+
+function effectiveRule(rule = {}, wildcard = {}) {
+  return {
+    required: rule.required ?? wildcard.required ?? [],
+    allowed: rule.allowed ?? wildcard.allowed ?? [],
+    forbidden: [...(rule.forbidden || []), ...(wildcard.forbidden || [])]
+  };
+}
+
+function checkFeatures(profile, { gpuData }, violations, tolerated) {
+  const { '*': wildcard, ...rules } = profile.features || {};
+
+  for (const [feature, rule] of Object.entries(rules)) {
+    if (gpuData.features[feature] === undefined && rule.required?.length) {
+      violations.push({ check: 'features', feature, expected: rule, actual: null, message: `${feature} is missing from Graphics Feature Status` });
+    }
+  }
+
+  for (const [feature, status] of Object.entries(gpuData.features)) {
+    if (!rules[feature] && !wildcard) continue;
+    const rule = effectiveRule(rules[feature], wildcard);
+    const finding = { check: 'features', feature, expected: rule, actual: status };
+
+    // Explicit acceptance wins over a forbidden pattern
+    if (matchesStatus(status, rule.required)) continue;
+    if (matchesStatus(status, rule.allowed)) {
+      if (rule.required.length) {
+        tolerated.push({ ...finding, message: `${feature} is "${status}" (allowed, expected ${rule.required.join(' / ')})` });
+      }
+      continue;
+    }
+    if (matchesStatus(status, rule.forbidden)) {
+      violations.push({ ...finding, message: `${feature} is "${status}", which is forbidden` });
+    } else if (rule.required.length) {
+      violations.push({ ...finding, message: `${feature} is "${status}", expected ${rule.required.join(' / ')}` });
+    }
+  }
+}
+
+function checkBackend(profile, { gpuData }, violations) {
+  if (!profile.backend) return;
+  const backend = getAngleBackend(gpuData);
+
+  if (!backend) {
+    violations.push({ check: 'backend', expected: profile.backend, actual: null, message: 'No ANGLE backend detected' });
+  } else if (!profile.backend.includes('*') && !profile.backend.map((name) => name.toLowerCase()).includes(backend)) {
+    violations.push({ check: 'backend', expected: profile.backend, actual: backend, message: `ANGLE backend is "${backend}", expected ${profile.backend.join(' / ')}` });
+  }
+}
+
+function checkProblems(profile, { gpuData }, violations) {
+  if (profile.maxProblems === undefined) return;
+  if (gpuData.problems.length > profile.maxProblems) {
+    violations.push({
+      check: 'problems',
+      expected: profile.maxProblems,
+      actual: gpuData.problems.length,
+      message: `${gpuData.problems.length} problems detected, at most ${profile.maxProblems} allowed`
+    });
+  }
+}
+
+function checkWebGPU(profile, { gpuData, webgpuProbe }, violations) {
+  const rules = profile.webgpu;
+  if (!rules) return;
+
+  if (rules.available && gpuData.dawnInfo.webgpuStatus !== 'Available') {
+    violations.push({
+      check: 'webgpu',
+      expected: 'Available',
+      actual: gpuData.dawnInfo.webgpuStatus || null,
+      message: `Dawn reports WebGPU "${gpuData.dawnInfo.webgpuStatus || 'unknown'}", expected "Available"`
+    });
+  }
+
+  const defaultAdapter = webgpuProbe?.adapters.find((adapter) => adapter.name === 'default' && adapter.available);
+  for (const feature of rules.requiredFeatures || []) {
+    if (!gpuData.capabilities.includes(feature)) {
+      violations.push({ check: 'webgpu', feature, expected: 'present', actual: 'missing', message: `Dawn does not list required WebGPU feature "${feature}"` });
+    }
+    if (webgpuProbe && !defaultAdapter?.features.includes(feature)) {
+      violations.push({ check: 'webgpu', feature, expected: 'present', actual: 'missing', message: `navigator.gpu adapter does not expose required WebGPU feature "${feature}"` });
+    }
+  }
+}
+
+function checkMedia(profile, { mediaMatrix }, violations) {
+  const rules = profile.media;
+  if (!rules || !mediaMatrix) return;
+
+  for (const direction of MEDIA_DIRECTIONS) {
+    for (const [codec, minimum] of Object.entries(rules[direction] || {})) {
+      if (!SUPPORT_TIERS.includes(minimum)) {
+        throw new PolicyError(`Invalid media tier "${minimum}" for ${codec} ${direction}. Use one of: ${SUPPORT_TIERS.join(', ')}`);
+      }
+      const actual = mediaMatrix[codec]?.[direction].support ?? null;
+      if (SUPPORT_TIERS.indexOf(actual) < SUPPORT_TIERS.indexOf(minimum)) {
+        violations.push({ check: 'media', codec, direction, expected: minimum, actual, message: `${codec} ${direction} is ${actual || 'not probed'}, expected ${minimum}` });
+      }
+    }
+  }
+
+  if (!rules.roundTrip) return;
+  for (const [codec, row] of Object.entries(mediaMatrix)) {
+    if (row.roundTrip && !row.roundTrip.passed) {
+      violations.push({
+        check: 'media',
+        codec,
+        expected: 'round trip',
+        actual: row.roundTrip.error || `${row.roundTrip.decodedFrames}/${row.roundTrip.frames} frames`,
+        message: `${codec} encode/decode round trip failed: ${row.roundTrip.error || `${row.roundTrip.decodedFrames} of ${row.roundTrip.frames} frames decoded`}`
+      });
+    }
+  }
+}
+
+function checkBenchmarks(profile, { benchmarks }, violations) {
+  const thresholds = profile.benchmarks?.thresholds;
+  if (!thresholds || !benchmarks) return;
+
+  for (const [name, limits] of Object.entries(thresholds)) {
+    const result = benchmarks.benchmarks.find((benchmark) => benchmark.name === name);
+    const violation = { check: 'benchmarks', benchmark: name, expected: limits };
+    if (!result?.stats) {
+      violations.push({ ...violation, actual: null, message: `Benchmark ${name} did not run: ${result?.error || benchmarks.error || 'no result'}` });
+      continue;
+    }
+    if (!result.verified || result.error) {
+      violations.push({ ...violation, actual: result.error, message: `Benchmark ${name} ${result.error ? `failed: ${result.error}` : 'produced a wrong result'}` });
+    }
+    if (limits.minThroughput !== undefined && result.throughput === null) {
+      violations.push({ ...violation, actual: null, message: `${name} throughput is ${formatThroughput(result)}, expected at least ${limits.minThroughput}` });
+    } else if (limits.minThroughput !== undefined && result.throughput < limits.minThroughput) {
+      violations.push({ ...violation, actual: result.throughput, message: `${name} reached ${formatThroughput(result)}, expected at least ${limits.minThroughput}` });
+    }
+    if (limits.maxMedianMs !== undefined && result.stats.median > limits.maxMedianMs) {
+      violations.push({ ...violation, actual: result.stats.median, message: `${name} median is ${result.stats.median.toFixed(3)} ms, expected at most ${limits.maxMedianMs} ms` });
+    }
+    if (limits.maxP95Ms !== undefined && result.stats.p95 > limits.maxP95Ms) {
+      violations.push({ ...violation, actual: result.stats.p95, message: `${name} p95 is ${result.stats.p95.toFixed(3)} ms, expected at most ${limits.maxP95Ms} ms` });
+    }
+  }
+}
+
+function checkWgsl(profile, { wgslConformance }, violations) {
+  const rules = profile.wgsl;
+  if (!rules || !wgslConformance) return;
+
+  for (const entry of wgslConformance.cases) {
+    if (entry.status === 'fail') {
+      violations.push({ check: 'wgsl', case: entry.name, expected: 'pass', actual: 'fail', message: `${entry.name} is advertised but fails at ${entry.stage}: ${entry.error}` });
+    }
+  }
+  // Failures are already reported above
+  for (const name of rules.required || []) {
+    const entry = wgslConformance.cases.find((candidate) => candidate.name === name);
+    if (!entry || entry.status === 'unsupported') {
+      violations.push({ check: 'wgsl', case: name, expected: 'pass', actual: entry?.status ?? null, message: `Required WGSL case ${name} is ${entry ? entry.status : 'not run'}${wgslConformance.error ? `: ${wgslConformance.error}` : ''}` });
+    }
+  }
+}
+
+function checkTier(profile, { renderingTier }, violations) {
+  const allowed = profile.tier?.allowed;
+  if (!allowed || !renderingTier) return;
+
+  for (const tier of allowed) {
+    if (!RENDERING_TIERS.includes(tier)) {
+      throw new PolicyError(`Invalid rendering tier "${tier}". Use one of: ${RENDERING_TIERS.join(', ')}`);
+    }
+  }
+  if (!allowed.includes(renderingTier.tier)) {
+    violations.push({
+      check: 'tier',
+      expected: allowed,
+      actual: renderingTier.tier,
+      message: `Recommended rendering tier is ${renderingTier.tier} (${renderingTier.reasons.join('; ')}), expected ${allowed.join(' or ')}`
+    });
+  }
+}
+
+const CHECKS = {
+  features: checkFeatures,
+  backend: checkBackend,
+  problems: checkProblems,
+  webgpu: checkWebGPU,
+  media: checkMedia,
+  benchmarks: checkBenchmarks,
+  wgsl: checkWgsl,
+  tier: checkTier
+};
+
+/**
+ * Evaluates a profile against collected data and returns every violation.
+ * `context` holds `gpuData` and optionally `webgpuProbe`, `mediaMatrix`,
+ * `benchmarks`, `wgslConformance` and `renderingTier`; `options.checks`
+ * limits evaluation to a subset of POLICY_CHECKS.
+ */
+export function evaluatePolicy(profile, context, { checks = POLICY_CHECKS } = {}) {
+  const violations = [];
+  const tolerated = [];
+
+  for (const check of checks) {
+    if (!CHECKS[check]) {
+      throw new PolicyError(`Unknown policy check "${check}". Available: ${POLICY_CHECKS.join(', ')}`);
+    }
+    CHECKS[check](profile, context, violations, tolerated);
+  }
+
+  return { profile: profile.name, passed: violations.length === 0, violations, tolerated };
+}
+
+/**
+ * Renders a policy result as console lines.
+ */
+export function formatPolicyResult(result) {
+  const lines = [`📋 Policy "${result.profile}": ${result.passed ? '✅ passed' : `❌ ${result.violations.length} violation(s)`}`];
+  for (const violation of result.violations) {
+    lines.push(`   ❌ [${violation.check}] ${violation.message}`);
+  }
+  for (const entry of result.tolerated) {
+    lines.push(`   ⚠️  [${entry.check}] ${entry.message}`);
+  }
+  return lines;
+}
@@ -0,0 +1,109 @@
+// Machine-readable GPU report.
+//
+// Every test fills one report document (see schema/gpu-report.schema.json)
+// with whatever it collected. The document is attached to the Playwright
+// result and written to a stable path, so dashboards can read it without
+// scraping stdout.
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Bump the minor version for additive changes, the major for breaking ones
+export const REPORT_SCHEMA_VERSION = '1.14.0';
+
+export const REPORT_SCHEMA_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'schema', 'gpu-report.schema.json');
+
+export const DEFAULT_REPORT_DIR = 'gpu-reports';
+
+/**
+ * Creates an empty report. Sections a test does not collect stay null.
+ */
+export function createGpuReport({ test, environment }) {
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    test: {
+      title: test.title,
+      titlePath: test.titlePath || [test.title],
+      project: test.project || '',
+      file: test.file || '',
+      status: null,
+      durationMs: null
+    },
+    environment: {
+      browserName: environment.browserName,
+      browserVersion: environment.browserVersion ?? null,
+      platform: environment.platform || process.platform,
+      arch: environment.arch || process.arch,
+      launchFlags: [...(environment.launchFlags || [])]
+    },
+    gpu: null,
+    summary: null,
+    webgl: null,
+    webgpu: null,
+    rendering: null,
+    acceleration: null,
+    policy: null,
+    drift: null,
+    errors: null,
+    flags: null,
+    media: null,
+    benchmarks: null,
+    limits: null,
+    wgsl: null,
+    gpuSources: null,
+    issues: null,
+    renderingTier: null,
+    hostFingerprint: null,
+    redaction: null,
+    workers: null
+  };
+}
+
+/**
+ * Condenses gpuData into the headline values printed by the detection test.
+ */
+export function summarizeGpuData(gpuData) {
+  return {
+    webgpuStatus: gpuData.status.webgpu || 'Not detected',
+    hardwareAccelerated: gpuData.status.hardwareAccelerated ? 'Yes' : 'No',
+    graphicsBackend: gpuData.status.graphicsBackend || 'Unknown',
+    skiaBackend: gpuData.status.skiaBackend || 'Unknown',
+    displayType: gpuData.status.displayType || 'Unknown',
+    webgpuAvailable: gpuData.status.webgpuAvailable ? 'Yes' : 'No',
+    totalFeatures: gpuData.graphicsFeatures.length,
+    totalProblems: gpuData.problems.length,
+    totalCapabilities: gpuData.capabilities.length,
+    totalBackends: gpuData.backends.length,
+    chromeVersion: gpuData.versionInfo['Chrome version'] || 'Unknown',
+    osInfo: gpuData.versionInfo['Operating system'] || 'Unknown',
+    commandLine: gpuData.versionInfo['Command Line'] || 'Unknown'
+  };
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Stable output path for a test's report: <dir>/<project>/<test-title>.json.
+ * The directory comes from GPU_REPORT_DIR and defaults to gpu-reports/.
+ */
+export function getReportOutputPath({ project, titlePath }, reportDir = process.env.GPU_REPORT_DIR || DEFAULT_REPORT_DIR) {
+  return path.join(reportDir, slugify(project) || 'default', `${slugify(titlePath.join(' '))}.json`);
+}
+
+/**
+ * Records the test outcome once the test body has finished.
+ */
+export function finalizeGpuReport(report, { status, duration }) {
+  report.test.status = status ?? null;
+  report.test.durationMs = duration ?? null;
+  return report;
+}
+
+export async function writeGpuReport(report, filePath) {
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(filePath, `${JSON.stringify(report, null, 2)}\n`);
+  return filePath;
+}
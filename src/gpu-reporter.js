@@ -0,0 +1,358 @@
+// Playwright reporter for GPU runs.
+//
+// Collects the gpu-report.json attachment and PNG attachments of every test
+// and, per project, writes three artifacts to the project's output
+// directory:
+//   gpu-<project>-dashboard.html  Self-contained dashboard: feature status
+//                                 grid, capability lists, problems and
+//                                 embedded screenshots
+//   gpu-<project>-junit.xml       One testcase per checked graphics feature
+//   gpu-<project>-summary.md      Summary for a PR comment
+// Projects without GPU reports (the unit tests) get no artifacts.
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * @typedef {Object} ReportedTest
+ * @property {string} title        Test title path joined with " › "
+ * @property {string} status       Playwright result status
+ * @property {number} durationMs
+ * @property {Object} report       The test's GPU report document
+ * @property {{name: string, dataUrl: string}[]} screenshots
+ */
+
+/**
+ * @typedef {Object} ProjectResult
+ * @property {string} project
+ * @property {ReportedTest[]} tests
+ */
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'default';
+}
+
+/**
+ * Artifact paths for a project inside its output directory.
+ */
+export function getGpuArtifactPaths(outputDir, project) {
+  const base = path.join(outputDir, `gpu-${slugify(project)}`);
+  return { html: `${base}-dashboard.html`, junit: `${base}-junit.xml`, markdown: `${base}-summary.md` };
+}
+
+// ---------------------------------------------------------------------------
+// Shared views of the collected reports
+// ---------------------------------------------------------------------------
+
+function statusClass(status) {
+  if (/^(hardware accelerated|enabled|force enabled)/i.test(status)) return 'ok';
+  if (/^software/i.test(status)) return 'warn';
+  return 'off';
+}
+
+// The report with the richest GPU data: the first one a policy was evaluated on
+function primaryReport(tests) {
+  return (tests.find((test) => test.report.gpu && test.report.policy) || tests.find((test) => test.report.gpu))?.report || null;
+}
+
+function featureOutcome(policy, feature) {
+  if (policy?.violations.some((entry) => entry.check === 'features' && entry.feature === feature)) return 'violation';
+  if (policy?.tolerated.some((entry) => entry.check === 'features' && entry.feature === feature)) return 'tolerated';
+  return 'ok';
+}
+
+/**
+ * Feature name, status and policy outcome for the project's GPU data.
+ */
+export function getFeatureGrid(tests) {
+  const report = primaryReport(tests);
+  if (!report) return [];
+  return Object.entries(report.gpu.features).map(([feature, status]) => ({
+    feature,
+    status,
+    outcome: report.policy ? featureOutcome(report.policy, feature) : null
+  }));
+}
+
+/**
+ * Named capability lists gathered from every report in the project.
+ */
+export function getCapabilityLists(tests) {
+  const lists = {};
+  const add = (name, values) => {
+    if (values?.length) lists[name] = [...new Set([...(lists[name] || []), ...values])].sort();
+  };
+  for (const { report } of tests) {
+    add('Dawn adapter features', report.gpu?.capabilities);
+    for (const adapter of report.webgpu?.probe.adapters || []) add(`WebGPU features (${adapter.name})`, adapter.features);
+    add('WebGL 2 extensions', report.webgl?.webgl2?.extensions);
+    add('WGSL cases passing', report.wgsl?.cases.filter((entry) => entry.status === 'pass').map((entry) => entry.name));
+  }
+  return lists;
+}
+
+/**
+ * Problems with their known-issue classification where available, plus
+ * every policy violation, each listed once.
+ */
+export function getProblemList(tests) {
+  const report = primaryReport(tests);
+  const problems = report?.issues
+    ? report.issues.entries.map((entry) => ({
+      impact: entry.impact,
+      text: entry.triage ? `Needs triage: ${entry.text}` : entry.summary,
+      bugs: entry.bugs
+    }))
+    : (report?.gpu.problems || []).map((text) => ({ impact: 'unknown', text, bugs: [] }));
+
+  const violations = [...new Set(tests.flatMap(({ report: { policy } }) => (policy?.violations || []).map((entry) => `${entry.check}: ${entry.message}`)))];
+  return { problems, violations };
+}
+
+function describeEnvironment(tests) {
+  const { environment } = tests[0].report;
+  return `${environment.browserName} ${environment.browserVersion ?? ''} on ${environment.platform}/${environment.arch}`.replace(/\s+/g, ' ');
+}
+
+function countStatuses(tests) {
+  const counts = {};
+  for (const { status } of tests) counts[status] = (counts[status] || 0) + 1;
+  return counts;
+}
+
+// ---------------------------------------------------------------------------
+// HTML dashboard
+// ---------------------------------------------------------------------------
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+const DASHBOARD_STYLE = `
+body { font: 14px/1.4 system-ui, sans-serif; margin: 2em; color: #1b1f24; }
+h1 { margin-bottom: 0; } .env { color: #57606a; margin-top: .25em; }
+table { border-collapse: collapse; margin: .5em 0 1.5em; } th, td { border: 1px solid #d0d7de; padding: .3em .6em; text-align: left; }
+.grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(16em, 1fr)); gap: .5em; margin-bottom: 1.5em; }
+.feature { border-radius: 6px; padding: .5em .75em; border: 1px solid #d0d7de; }
+.feature b { display: block; } .ok { background: #dafbe1; } .warn { background: #fff8c5; } .off { background: #ffebe9; }
+.violation { outline: 2px solid #cf222e; } .tolerated { outline: 2px dashed #9a6700; }
+.passed { color: #1a7f37; } .failed, .timedOut, .interrupted { color: #cf222e; } .skipped { color: #57606a; }
+details { margin-bottom: .5em; } code { font-size: 12px; } img { max-width: 100%; border: 1px solid #d0d7de; }
+`;
+
+/**
+ * Renders a project's results as a self-contained HTML page.
+ * @param {ProjectResult} result
+ */
+export function renderGpuDashboard({ project, tests }) {
+  const grid = getFeatureGrid(tests);
+  const lists = getCapabilityLists(tests);
+  const { problems, violations } = getProblemList(tests);
+  const counts = countStatuses(tests);
+  const html = [];
+
+  html.push('<!DOCTYPE html>', '<html lang="en">', '<head>', '<meta charset="utf-8">', `<title>GPU dashboard: ${escapeHtml(project)}</title>`, `<style>${DASHBOARD_STYLE}</style>`, '</head>', '<body>');
+  html.push(`<h1>GPU dashboard: ${escapeHtml(project)}</h1>`);
+  html.push(`<p class="env">${escapeHtml(describeEnvironment(tests))} · ${Object.entries(counts).map(([status, count]) => `${count} ${escapeHtml(status)}`).join(', ')}</p>`);
+
+  html.push('<h2>Tests</h2>', '<table>', '<tr><th>Test</th><th>Status</th><th>Duration</th><th>Policy violations</th></tr>');
+  for (const test of tests) {
+    html.push(`<tr><td>${escapeHtml(test.title)}</td><td class="${escapeHtml(test.status)}">${escapeHtml(test.status)}</td><td>${(test.durationMs / 1000).toFixed(1)} s</td><td>${test.report.policy ? test.report.policy.violations.length : '–'}</td></tr>`);
+  }
+  html.push('</table>');
+
+  html.push('<h2>Graphics feature status</h2>');
+  if (grid.length === 0) html.push('<p>No GPU info page data was collected.</p>');
+  else {
+    html.push('<div class="grid">');
+    for (const { feature, status, outcome } of grid) {
+      const classes = [statusClass(status), outcome && outcome !== 'ok' ? outcome : null].filter(Boolean).join(' ');
+      html.push(`<div class="feature ${classes}" title="${escapeHtml(outcome ? `policy: ${outcome}` : '')}"><b>${escapeHtml(feature)}</b>${escapeHtml(status)}</div>`);
+    }
+    html.push('</div>');
+  }
+
+  html.push('<h2>Capabilities</h2>');
+  if (Object.keys(lists).length === 0) html.push('<p>No capabilities were reported.</p>');
+  for (const [name, values] of Object.entries(lists)) {
+    html.push(`<details><summary>${escapeHtml(name)} (${values.length})</summary><p>${values.map((value) => `<code>${escapeHtml(value)}</code>`).join(' ')}</p></details>`);
+  }
+
+  html.push('<h2>Problems</h2>');
+  if (problems.length === 0 && violations.length === 0) html.push('<p>No problems detected.</p>');
+  else {
+    html.push('<table>', '<tr><th>Impact</th><th>Problem</th><th>Bugs</th></tr>');
+    for (const problem of problems) {
+      html.push(`<tr><td>${escapeHtml(problem.impact)}</td><td>${escapeHtml(problem.text)}</td><td>${escapeHtml(problem.bugs.join(', '))}</td></tr>`);
+    }
+    for (const violation of violations) html.push(`<tr><td>policy</td><td>${escapeHtml(violation)}</td><td></td></tr>`);
+    html.push('</table>');
+  }
+
+  const screenshots = tests.flatMap((test) => test.screenshots.map((shot) => ({ ...shot, test: test.title })));
+  if (screenshots.length > 0) {
+    html.push('<h2>Screenshots</h2>');
+    for (const shot of screenshots) {
+      html.push(`<details><summary>${escapeHtml(shot.test)}: ${escapeHtml(shot.name)}</summary><img alt="${escapeHtml(shot.name)}" src="${shot.dataUrl}"></details>`);
+    }
+  }
+
+  html.push('</body>', '</html>');
+  return `${html.join('\n')}\n`;
+}
+
+// ---------------------------------------------------------------------------
+// JUnit XML
+// ---------------------------------------------------------------------------
+
+function escapeXml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char]);
+}
+
+/**
+ * Renders one testsuite per test that evaluated a policy on GPU data, with
+ * one testcase per graphics feature. A feature fails when the policy
+ * reported a violation for it; other policy violations fail the suite's
+ * "policy" testcase.
+ * @param {ProjectResult} result
+ */
+export function renderGpuJUnit({ project, tests }) {
+  const suites = [];
+  let total = 0;
+  let failures = 0;
+
+  for (const test of tests) {
+    const { gpu, policy } = test.report;
+    if (!gpu || !policy) continue;
+
+    const cases = Object.entries(gpu.features).map(([feature, status]) => {
+      const violation = policy.violations.find((entry) => entry.check === 'features' && entry.feature === feature);
+      return { name: feature, output: status, failure: violation?.message ?? null };
+    });
+    const others = policy.violations.filter((entry) => entry.check !== 'features');
+    cases.push({ name: 'policy', output: `profile ${policy.profile}`, failure: others.length ? others.map((entry) => `${entry.check}: ${entry.message}`).join('\n') : null });
+
+    const suiteFailures = cases.filter((entry) => entry.failure).length;
+    total += cases.length;
+    failures += suiteFailures;
+    const classname = escapeXml(`${project}.${test.title}`);
+    suites.push(`  <testsuite name="${escapeXml(test.title)}" tests="${cases.length}" failures="${suiteFailures}" time="${(test.durationMs / 1000).toFixed(3)}">`);
+    for (const entry of cases) {
+      suites.push(`    <testcase name="${escapeXml(entry.name)}" classname="${classname}">`);
+      if (entry.failure) suites.push(`      <failure message="${escapeXml(entry.failure.split('\n')[0])}">${escapeXml(entry.failure)}</failure>`);
+      suites.push(`      <system-out>${escapeXml(entry.output)}</system-out>`, '    </testcase>');
+    }
+    suites.push('  </testsuite>');
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="GPU features: ${escapeXml(project)}" tests="${total}" failures="${failures}">`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Markdown summary
+// ---------------------------------------------------------------------------
+
+function escapeCell(value) {
+  return String(value ?? '–').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Renders a project's results as Markdown for a PR comment.
+ * @param {ProjectResult} result
+ */
+export function renderGpuMarkdown({ project, tests }) {
+  const icons = { passed: '✅', failed: '❌', timedOut: '⏱️', skipped: '⏭️', interrupted: '⛔' };
+  const outcomeIcons = { ok: '✅', tolerated: '⚠️', violation: '❌' };
+  const impactIcons = { high: '🔴', medium: '🟠', low: '🟡', unknown: '❓' };
+  const grid = getFeatureGrid(tests);
+  const { problems, violations } = getProblemList(tests);
+  const counts = countStatuses(tests);
+  const lines = [
+    `## GPU summary: ${project}`,
+    '',
+    `${describeEnvironment(tests)} · ${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ')}`,
+    '',
+    '| Test | Result | Duration |',
+    '| --- | --- | --- |',
+    ...tests.map((test) => `| ${escapeCell(test.title)} | ${icons[test.status] || ''} ${test.status} | ${(test.durationMs / 1000).toFixed(1)} s |`)
+  ];
+
+  if (grid.length > 0) {
+    lines.push('', '### Graphics features', '', '| Feature | Status | Policy |', '| --- | --- | --- |');
+    for (const { feature, status, outcome } of grid) {
+      lines.push(`| ${escapeCell(feature)} | ${escapeCell(status)} | ${outcome ? `${outcomeIcons[outcome]} ${outcome}` : '–'} |`);
+    }
+  }
+
+  if (problems.length > 0 || violations.length > 0) {
+    lines.push('', '### Problems', '');
+    problems.forEach((problem) => lines.push(`- ${impactIcons[problem.impact]} **${problem.impact}** ${problem.text}${problem.bugs.length ? ` (${problem.bugs.join(', ')})` : ''}`));
+    violations.forEach((violation) => lines.push(`- ❌ **policy** ${violation}`));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+// ---------------------------------------------------------------------------
+// Reporter
+// ---------------------------------------------------------------------------
+
+async function readScreenshot(attachment) {
+  const body = attachment.body ?? (attachment.path ? await readFile(attachment.path).catch(() => null) : null);
+  return body ? { name: attachment.name, dataUrl: `data:${attachment.contentType};base64,${Buffer.from(body).toString('base64')}` } : null;
+}
+
+export default class GpuReporter {
+  /**
+   * @param {{outputDir?: string}} options  Overrides each project's outputDir
+   */
+  constructor({ outputDir = null } = {}) {
+    this.outputDir = outputDir;
+    this.results = new Map();
+  }
+
+  printsToStdio() {
+    return false;
+  }
+
+  onTestEnd(test, result) {
+    const attachment = result.attachments.find((entry) => entry.name === 'gpu-report.json' && entry.body);
+    if (!attachment) return;
+
+    const project = test.parent.project();
+    // Retries end the same test again; the last result wins
+    this.results.set(test.id, {
+      project: project?.name || 'default',
+      outputDir: this.outputDir || project?.outputDir || 'test-results',
+      title: test.titlePath().filter(Boolean).slice(2).join(' › '),
+      status: result.status,
+      durationMs: result.duration,
+      report: JSON.parse(attachment.body.toString('utf8')),
+      screenshots: result.attachments.filter((entry) => entry.contentType === 'image/png')
+    });
+  }
+
+  async onEnd() {
+    const byProject = new Map();
+    for (const entry of this.results.values()) {
+      if (!byProject.has(entry.project)) byProject.set(entry.project, { outputDir: entry.outputDir, tests: [] });
+      byProject.get(entry.project).tests.push(entry);
+    }
+
+    for (const [project, { outputDir, tests }] of byProject) {
+      for (const test of tests) test.screenshots = (await Promise.all(test.screenshots.map(readScreenshot))).filter(Boolean);
+      const result = { project, tests };
+      const paths = getGpuArtifactPaths(outputDir, project);
+      await mkdir(outputDir, { recursive: true });
+      await writeFile(paths.html, renderGpuDashboard(result));
+      await writeFile(paths.junit, renderGpuJUnit(result));
+      await writeFile(paths.markdown, renderGpuMarkdown(result));
+      console.log(`📊 GPU dashboard for ${project}: ${paths.html}`);
+    }
+  }
+}
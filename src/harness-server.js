@@ -0,0 +1,56 @@
+// Serves the static pages under harness/ to a Playwright page.
+//
+// Requests are fulfilled with page.route, so no web server or network access
+// is needed. The origin is a *.localhost host, which Chrome treats as a
+// secure context and therefore exposes navigator.gpu on.
+//
+// Paths under /src/ are served from the repository's src/ directory, so
+// harness pages can import the browser-safe modules (such as
+// rendering-tier.js) the way a web app would.
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const HARNESS_ORIGIN = 'http://gpu-harness.localhost';
+export const HARNESS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'harness');
+export const HARNESS_SRC_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.wgsl': 'text/plain; charset=utf-8',
+  '.json': 'application/json; charset=utf-8'
+};
+
+/**
+ * Routes HARNESS_ORIGIN to the harness/ directory, and /src/ to src/, for
+ * the given page or browser context.
+ */
+export async function routeHarness(target) {
+  await target.route(`${HARNESS_ORIGIN}/**`, async (route) => {
+    const pathname = decodeURIComponent(new URL(route.request().url()).pathname);
+    const [root, relative] = pathname.startsWith('/src/') ? [HARNESS_SRC_DIR, pathname.slice('/src'.length)] : [HARNESS_DIR, pathname];
+    const filePath = path.join(root, path.normalize(relative));
+
+    if (!filePath.startsWith(root + path.sep)) {
+      await route.fulfill({ status: 403, body: 'Forbidden' });
+      return;
+    }
+
+    try {
+      const body = await readFile(filePath);
+      const contentType = CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+      await route.fulfill({ status: 200, contentType, body });
+    } catch {
+      await route.fulfill({ status: 404, body: 'Not found' });
+    }
+  });
+}
+
+/**
+ * Routes the harness and navigates the page to one of its files.
+ */
+export async function openHarnessPage(page, file) {
+  await routeHarness(page);
+  await page.goto(`${HARNESS_ORIGIN}/${file}`);
+}
@@ -0,0 +1,28 @@
+// Public entry point: the parser, probes, policy, baseline and report helpers
+// the test suite and the gpu-detect CLI are built from.
+export * from './cdp-gpu-info.js';
+export * from './chrome-gpu-parser.js';
+export * from './firefox-support-parser.js';
+export * from './flag-verification.js';
+export * from './frame-analysis.js';
+export * from './gpu-baseline.js';
+export * from './gpu-benchmark.js';
+export * from './gpu-detect.js';
+export * from './gpu-errors.js';
+export * from './gpu-info-sources.js';
+export * from './gpu-policy.js';
+export * from './gpu-report.js';
+export * from './gpu-reporter.js';
+export * from './harness-server.js';
+export * from './known-issues.js';
+export * from './launch-flags.js';
+export * from './limit-verification.js';
+export * from './media-probe.js';
+export * from './preset-comparison.js';
+export * from './redaction.js';
+export * from './rendering-tier.js';
+export * from './run-history.js';
+export * from './webgl-probe.js';
+export * from './webgpu-probe.js';
+export * from './wgsl-conformance.js';
+export * from './worker-probe.js';
@@ -0,0 +1,147 @@
+// Known-issue knowledge base.
+//
+// known-issues.json is a versioned list of the "Problems Detected" entries
+// and driver bug workarounds we have seen before. Each issue holds a pattern
+// (a case-insensitive regular expression), the features it affects, its
+// impact, crbug references and suggested remediation. Classifying gpuData
+// against it turns the raw strings into findings like "This blocklist entry
+// disables WebGL MSAA on your driver; impact high", and anything that
+// matches no issue is flagged for triage so it can be added.
+//
+// Issue shape:
+//   id:          Stable identifier, e.g. "webgpu-disabled"
+//   kind:        "problem" (Problems Detected) or "workaround" (Driver Bug
+//                Workarounds)
+//   pattern:     Regular expression matched against the entry text
+//   features:    Graphics features the issue affects, e.g. ["WebGL"]
+//   impact:      "high", "medium" or "low"
+//   summary:     One line describing the effect
+//   bugs:        crbug references as plain text, e.g. "crbug.com/1183145"
+//   remediation: [{ type: "driver-upgrade" | "flag" | "config", action }]
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const DEFAULT_KNOWN_ISSUES_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'known-issues.json');
+
+export const ISSUE_KINDS = ['problem', 'workaround'];
+
+// Most severe first; "unknown" is reserved for entries that need triage
+export const ISSUE_IMPACTS = ['high', 'medium', 'low'];
+
+export const REMEDIATION_TYPES = ['driver-upgrade', 'flag', 'config'];
+
+export class KnownIssueError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KnownIssueError';
+  }
+}
+
+function validateIssue(issue, index) {
+  const where = `Known issue ${issue.id ? `"${issue.id}"` : `#${index}`}`;
+  if (!issue.id) throw new KnownIssueError(`${where} has no id`);
+  if (!ISSUE_KINDS.includes(issue.kind)) {
+    throw new KnownIssueError(`${where} has unknown kind "${issue.kind}". Use one of: ${ISSUE_KINDS.join(', ')}`);
+  }
+  if (!ISSUE_IMPACTS.includes(issue.impact)) {
+    throw new KnownIssueError(`${where} has unknown impact "${issue.impact}". Use one of: ${ISSUE_IMPACTS.join(', ')}`);
+  }
+  for (const { type } of issue.remediation || []) {
+    if (!REMEDIATION_TYPES.includes(type)) {
+      throw new KnownIssueError(`${where} has unknown remediation type "${type}". Use one of: ${REMEDIATION_TYPES.join(', ')}`);
+    }
+  }
+  try {
+    return { features: [], bugs: [], remediation: [], ...issue, regex: new RegExp(issue.pattern, 'i') };
+  } catch (error) {
+    throw new KnownIssueError(`${where} has an invalid pattern: ${error.message}`);
+  }
+}
+
+/**
+ * Reads and validates a known-issue database. Defaults to
+ * GPU_KNOWN_ISSUES_FILE, then known-issues.json.
+ */
+export function loadKnownIssues(databasePath = process.env.GPU_KNOWN_ISSUES_FILE || DEFAULT_KNOWN_ISSUES_PATH) {
+  let database;
+  try {
+    database = JSON.parse(readFileSync(databasePath, 'utf8'));
+  } catch (error) {
+    throw new KnownIssueError(`Could not read known-issue database ${databasePath}: ${error.message}`);
+  }
+  if (!Array.isArray(database.issues)) {
+    throw new KnownIssueError(`Known-issue database ${databasePath} has no "issues" list`);
+  }
+
+  const ids = new Set();
+  const issues = database.issues.map((issue, index) => {
+    const validated = validateIssue(issue, index);
+    if (ids.has(issue.id)) throw new KnownIssueError(`Known issue "${issue.id}" is defined twice`);
+    ids.add(issue.id);
+    return validated;
+  });
+  return { version: database.version ?? null, issues };
+}
+
+function classifyEntry(kind, text, issues) {
+  const issue = issues.find((candidate) => candidate.kind === kind && candidate.regex.test(text));
+  // crbug links in the entry itself count even when the issue does not list them
+  const linked = [...text.matchAll(/crbug\.com\/(\d+)/g)].map((match) => `crbug.com/${match[1]}`);
+  return {
+    kind,
+    text,
+    issueId: issue?.id ?? null,
+    impact: issue?.impact ?? 'unknown',
+    features: [...(issue?.features || [])],
+    summary: issue?.summary ?? null,
+    bugs: [...new Set([...(issue?.bugs || []), ...linked])],
+    remediation: (issue?.remediation || []).map(({ type, action }) => ({ type, action })),
+    triage: !issue
+  };
+}
+
+/**
+ * Classifies every Problems Detected entry and driver bug workaround in
+ * gpuData. Entries come back most severe first, unknown ones last.
+ */
+export function classifyGpuIssues(gpuData, database = loadKnownIssues()) {
+  const entries = [
+    ...gpuData.problems.map((text) => classifyEntry('problem', text, database.issues)),
+    ...gpuData.driverBugWorkarounds.map((text) => classifyEntry('workaround', text, database.issues))
+  ];
+  const rank = (entry) => (entry.triage ? ISSUE_IMPACTS.length : ISSUE_IMPACTS.indexOf(entry.impact));
+  entries.sort((a, b) => rank(a) - rank(b));
+
+  const counts = Object.fromEntries([...ISSUE_IMPACTS, 'unknown'].map((impact) => [impact, 0]));
+  for (const entry of entries) counts[entry.impact]++;
+
+  return {
+    databaseVersion: database.version,
+    entries,
+    counts,
+    triage: entries.filter((entry) => entry.triage).map((entry) => entry.text)
+  };
+}
+
+/**
+ * Renders classified issues as console lines.
+ */
+export function formatGpuIssues(result) {
+  if (result.entries.length === 0) return ['🩺 Known issues: no problems or workarounds reported'];
+
+  const icons = { high: '🔴', medium: '🟠', low: '🟡' };
+  const { high, medium, low, unknown } = result.counts;
+  const lines = [`🩺 Known issues (database ${result.databaseVersion ?? 'unversioned'}): ${high} high, ${medium} medium, ${low} low, ${unknown} need triage`];
+  for (const entry of result.entries) {
+    if (entry.triage) {
+      lines.push(`   ❓ Unknown ${entry.kind}, needs triage: ${entry.text}`);
+      continue;
+    }
+    const affects = entry.features.length ? ` (affects ${entry.features.join(', ')})` : '';
+    const bugs = entry.bugs.length ? ` [${entry.bugs.join(', ')}]` : '';
+    lines.push(`   ${icons[entry.impact]} ${entry.summary}; impact ${entry.impact}${affects}${bugs}`);
+    entry.remediation.forEach(({ type, action }) => lines.push(`      ↳ ${type}: ${action}`));
+  }
+  return lines;
+}
@@ -0,0 +1,169 @@
+// Chromium launch flag presets, plus the launch options for other engines.
+//
+// Shared by playwright.config.js and the gpu-detect CLI so both launch the
+// browser the same way. The platform presets (linux, mac, windows, default)
+// are what a normal run uses; the matrix presets force one specific GPU setup
+// so several of them can be compared on the same machine (see GPU_PRESETS in
+// playwright.config.js). Presets with `webgpu: true` also get
+// WEBGPU_DEVELOPER_FLAGS. `policyProfile` names the gpu-policy.json profile
+// a preset is judged by; without one the run's default profile applies.
+
+export const FLAG_PRESETS = {
+  // Linux: ANGLE and Dawn on Vulkan
+  linux: {
+    webgpu: true,
+    args: [
+      '--use-angle=vulkan',
+      '--enable-features=WebGPU,Vulkan',
+      '--disable-vulkan-surface',
+      '--enable-unsafe-webgpu',
+      '--ignore-gpu-blocklist',
+      '--disable-gpu-driver-bug-workarounds'
+    ]
+  },
+  // macOS: Metal backend with WebGPU developer features
+  mac: {
+    webgpu: true,
+    args: [
+      '--use-angle=metal',
+      '--enable-features=WebGPU,WebGPUDeveloperFeatures',
+      '--enable-unsafe-webgpu',
+      '--ignore-gpu-blocklist',
+      '--disable-gpu-driver-bug-workarounds', // Prevent software fallback
+      '--enable-gpu',
+      '--no-sandbox',
+      '--disable-dev-shm-usage'
+    ]
+  },
+  // Windows: DirectX backend
+  windows: {
+    webgpu: true,
+    args: [
+      '--use-angle=d3d11',
+      '--enable-features=WebGPU',
+      '--enable-unsafe-webgpu',
+      '--ignore-gpu-blocklist',
+      '--disable-gpu-driver-bug-workarounds'
+    ]
+  },
+  default: {
+    webgpu: true,
+    args: [
+      '--enable-features=WebGPU',
+      '--enable-unsafe-webgpu',
+      '--ignore-gpu-blocklist'
+    ]
+  },
+
+  // Matrix presets
+  'angle-swiftshader': {
+    webgpu: true,
+    policyProfile: 'ci-swiftshader',
+    args: ['--use-angle=swiftshader', '--enable-features=WebGPU', '--enable-unsafe-webgpu', '--enable-unsafe-swiftshader']
+  },
+  'angle-vulkan': {
+    webgpu: true,
+    args: ['--use-angle=vulkan', '--enable-features=WebGPU,Vulkan', '--enable-unsafe-webgpu', '--ignore-gpu-blocklist']
+  },
+  'angle-gl': {
+    webgpu: true,
+    args: ['--use-angle=gl', '--enable-features=WebGPU', '--enable-unsafe-webgpu', '--ignore-gpu-blocklist']
+  },
+  'webgpu-off': {
+    webgpu: false,
+    policyProfile: 'report-only',
+    args: ['--disable-features=WebGPU', '--ignore-gpu-blocklist']
+  },
+  'disable-gpu': {
+    webgpu: false,
+    policyProfile: 'report-only',
+    args: ['--disable-gpu']
+  }
+};
+
+export const PLATFORM_PRESETS = ['linux', 'mac', 'windows', 'default'];
+
+export const MATRIX_PRESETS = Object.keys(FLAG_PRESETS).filter((name) => !PLATFORM_PRESETS.includes(name));
+
+export const WEBGPU_DEVELOPER_FLAGS = [
+  '--enable-webgpu',
+  '--enable-webgpu-developer-features',
+  '--enable-unsafe-webgpu-developer-features'
+];
+
+const PRESET_BY_PLATFORM = {
+  linux: 'linux',
+  darwin: 'mac',
+  win32: 'windows'
+};
+
+/**
+ * Name of the preset matching the host platform.
+ */
+export function getPlatformPreset(platform = process.platform) {
+  return PRESET_BY_PLATFORM[platform] || 'default';
+}
+
+function getPreset(name) {
+  const preset = FLAG_PRESETS[name];
+  if (!preset) {
+    throw new Error(`Unknown flag preset "${name}". Available: ${Object.keys(FLAG_PRESETS).join(', ')}`);
+  }
+  return preset;
+}
+
+/**
+ * Full argument list for a preset, defaulting to the host platform's.
+ */
+export function getLaunchArgs(name = getPlatformPreset()) {
+  const preset = getPreset(name);
+  return preset.webgpu ? [...preset.args, ...WEBGPU_DEVELOPER_FLAGS] : [...preset.args];
+}
+
+/**
+ * Resolves a GPU_PRESETS value ("all" or a comma separated list) to matrix
+ * preset names. Platform presets are accepted too.
+ */
+export function parsePresetList(value) {
+  if (!value) return [];
+  if (value.trim() === 'all') return [...MATRIX_PRESETS];
+  const names = value.split(',').map((name) => name.trim()).filter(Boolean);
+  names.forEach(getPreset);
+  return [...new Set(names)];
+}
+
+/**
+ * Policy profile a preset should be evaluated against, or null for the run's
+ * default.
+ */
+export function getPresetPolicyProfile(name) {
+  return getPreset(name).policyProfile || null;
+}
+
+// Firefox and WebKit run without Chromium switches. Firefox takes prefs
+// instead: WebGPU is still behind dom.webgpu.enabled on most channels, and
+// the blocklist overrides keep a driver quirk from hiding the APIs under test.
+export const ENGINE_LAUNCH_OPTIONS = {
+  firefox: {
+    firefoxUserPrefs: {
+      'dom.webgpu.enabled': true,
+      'gfx.webgpu.ignore-blocklist': true,
+      'webgl.force-enabled': true
+    }
+  },
+  webkit: {}
+};
+
+// Profiles for the other engines; the Chromium feature rules do not fit them
+export const ENGINE_POLICY_PROFILES = {
+  firefox: 'firefox-webrender',
+  webkit: 'webkit-probes'
+};
+
+/**
+ * Default Chrome executable, needed on macOS where the "chrome" channel is
+ * not always discoverable.
+ */
+export function getDefaultExecutablePath(platform = process.platform) {
+  return platform === 'darwin' ? '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome' : undefined;
+}
@@ -0,0 +1,371 @@
+// Advertised limit verification.
+//
+// Drivers sometimes advertise limits they cannot meet, and every other probe
+// simply reports what the API claims. This one allocates at the limits: it
+// requests a WebGPU device with the adapter's maximum limits, creates
+// buffers at maxBufferSize and maxStorageBufferBindingSize and a texture at
+// maxTextureDimension2D, and a WebGL texture and renderbuffer at
+// MAX_TEXTURE_SIZE / MAX_RENDERBUFFER_SIZE. Each allocation gets data written
+// at both ends and read back, and passes only when the read-back checksum
+// matches.
+//
+// Outcomes:
+//   verified  allocated and the read-back checksum matches
+//   failed    allocation, binding or read-back failed, or the data came back wrong
+//   skipped   not attempted or cut off because the time budget ran out
+// The profile's `limits` severities decide which outcomes fail the run.
+import { PolicyError, SEVERITIES } from './gpu-policy.js';
+
+export const LIMIT_OUTCOMES = ['verified', 'failed', 'skipped'];
+
+export const DEFAULT_LIMIT_SEVERITY = {
+  failed: 'error',
+  skipped: 'warn'
+};
+
+export const DEFAULT_LIMIT_BUDGET_MS = 20000;
+
+/**
+ * Allocates at the advertised WebGPU and WebGL limits and reads data back.
+ * Stops starting new checks once `budgetMs` is spent and frees everything it
+ * created. Runs inside the page via page.evaluate, so it must stay
+ * self-contained.
+ */
+export async function verifyAdvertisedLimits({ budgetMs, webgpu = true, webgl = true }) {
+  const BUDGET_ERROR = 'time budget exhausted';
+  const PATCH = 256;
+  const started = performance.now();
+  const remaining = () => budgetMs - (performance.now() - started);
+
+  const pattern = (seed, length) => Uint8Array.from({ length }, (_, index) => (Math.imul(index + 1, 2654435761) + seed) >>> 24);
+  // Position-weighted, so swapped or shifted bytes change it too
+  const checksum = (bytes) => bytes.reduce((sum, byte, index) => (sum + byte * (index + 1)) >>> 0, 0);
+
+  const run = async (checks, api, limit, advertised, check) => {
+    const entry = { api, limit, advertised, outcome: 'skipped', checksum: null, error: null, durationMs: 0 };
+    checks.push(entry);
+    if (remaining() <= 0) {
+      entry.error = BUDGET_ERROR;
+      return;
+    }
+
+    const start = performance.now();
+    let timer;
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(BUDGET_ERROR)), remaining());
+      });
+      entry.checksum = await Promise.race([check(), timeout]);
+      entry.outcome = entry.checksum.expected === entry.checksum.actual ? 'verified' : 'failed';
+      if (entry.outcome === 'failed') entry.error = 'Read-back checksum mismatch';
+    } catch (error) {
+      entry.outcome = error.message === BUDGET_ERROR ? 'skipped' : 'failed';
+      entry.error = error.message;
+    } finally {
+      clearTimeout(timer);
+      entry.durationMs = Math.round(performance.now() - start);
+    }
+  };
+
+  const verifyWebGPU = async () => {
+    if (!navigator.gpu) return { supported: false, error: 'navigator.gpu is not available', checks: [] };
+    const adapter = await navigator.gpu.requestAdapter();
+    if (!adapter) return { supported: false, error: 'requestAdapter() returned null', checks: [] };
+
+    const limits = {};
+    for (const key in adapter.limits) {
+      if (typeof adapter.limits[key] === 'number') limits[key] = adapter.limits[key];
+    }
+
+    const checks = [];
+    let device;
+    await run(checks, 'webgpu', 'requiredLimits', null, async () => {
+      device = await adapter.requestDevice({ requiredLimits: limits });
+      return { expected: 0, actual: 0 };
+    });
+    if (!device) return { supported: true, error: null, checks };
+
+    // Allocation failures surface through error scopes, not exceptions
+    const allocate = async (create) => {
+      device.pushErrorScope('out-of-memory');
+      device.pushErrorScope('validation');
+      const resource = create();
+      const validationError = await device.popErrorScope();
+      const memoryError = await device.popErrorScope();
+      const error = validationError || memoryError;
+      if (error) {
+        resource.destroy?.();
+        throw new Error(error.message || 'Allocation failed');
+      }
+      return resource;
+    };
+
+    const readRegions = async (encodeCopies, size) => {
+      const readback = device.createBuffer({ size, usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ });
+      try {
+        const encoder = device.createCommandEncoder();
+        encodeCopies(encoder, readback);
+        device.queue.submit([encoder.finish()]);
+        await readback.mapAsync(GPUMapMode.READ);
+        const bytes = new Uint8Array(readback.getMappedRange().slice(0));
+        readback.unmap();
+        return bytes;
+      } finally {
+        readback.destroy();
+      }
+    };
+
+    const verifyBuffer = async (size) => {
+      const buffer = await allocate(() => device.createBuffer({ size, usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC }));
+      try {
+        const offsets = [0, Math.floor((size - PATCH) / 4) * 4];
+        const expected = pattern(size % 251, PATCH * 2);
+        offsets.forEach((offset, index) => device.queue.writeBuffer(buffer, offset, expected, index * PATCH, PATCH));
+        const actual = await readRegions((encoder, readback) => {
+          offsets.forEach((offset, index) => encoder.copyBufferToBuffer(buffer, offset, readback, index * PATCH, PATCH));
+        }, PATCH * 2);
+        return { expected: checksum(expected), actual: checksum(actual) };
+      } finally {
+        buffer.destroy();
+      }
+    };
+
+    const verifyStorageBinding = async (size) => {
+      const buffer = await allocate(() => device.createBuffer({ size, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC }));
+      try {
+        const module = device.createShaderModule({
+          code: /* wgsl */ `
+            @group(0) @binding(0) var<storage, read_write> data: array<u32>;
+
+            @compute @workgroup_size(1)
+            fn main() {
+              let last = arrayLength(&data) - 1u;
+              data[0] = 0x9e3779b9u;
+              data[last] = last ^ 0x9e3779b9u;
+            }
+          `
+        });
+        const pipeline = device.createComputePipeline({ layout: 'auto', compute: { module, entryPoint: 'main' } });
+        const bindGroup = await allocate(() => device.createBindGroup({
+          layout: pipeline.getBindGroupLayout(0),
+          entries: [{ binding: 0, resource: { buffer, size } }]
+        }));
+
+        const last = size / 4 - 1;
+        const expected = new Uint8Array(new Uint32Array([0x9e3779b9, (last ^ 0x9e3779b9) >>> 0]).buffer);
+        const actual = await readRegions((encoder, readback) => {
+          const pass = encoder.beginComputePass();
+          pass.setPipeline(pipeline);
+          pass.setBindGroup(0, bindGroup);
+          pass.dispatchWorkgroups(1);
+          pass.end();
+          encoder.copyBufferToBuffer(buffer, 0, readback, 0, 4);
+          encoder.copyBufferToBuffer(buffer, last * 4, readback, 4, 4);
+        }, 8);
+        return { expected: checksum(expected), actual: checksum(actual) };
+      } finally {
+        buffer.destroy();
+      }
+    };
+
+    const verifyTexture2D = async (dimension) => {
+      const texture = await allocate(() => device.createTexture({
+        size: [dimension, dimension],
+        format: 'r8unorm',
+        usage: GPUTextureUsage.COPY_DST | GPUTextureUsage.COPY_SRC
+      }));
+      try {
+        // One 256-texel row in the first and one in the last row, flush right
+        const origins = [[0, 0], [dimension - PATCH, dimension - 1]];
+        const expected = pattern(dimension % 251, PATCH * 2);
+        origins.forEach(([x, y], index) => {
+          device.queue.writeTexture({ texture, origin: [x, y] }, expected, { offset: index * PATCH, bytesPerRow: PATCH }, [PATCH, 1]);
+        });
+        const actual = await readRegions((encoder, readback) => {
+          origins.forEach(([x, y], index) => {
+            encoder.copyTextureToBuffer({ texture, origin: [x, y] }, { buffer: readback, offset: index * PATCH, bytesPerRow: PATCH }, [PATCH, 1]);
+          });
+        }, PATCH * 2);
+        return { expected: checksum(expected), actual: checksum(actual) };
+      } finally {
+        texture.destroy();
+      }
+    };
+
+    try {
+      await run(checks, 'webgpu', 'maxBufferSize', limits.maxBufferSize, () => verifyBuffer(limits.maxBufferSize));
+      const bindingSize = Math.floor(Math.min(limits.maxStorageBufferBindingSize, limits.maxBufferSize) / 4) * 4;
+      await run(checks, 'webgpu', 'maxStorageBufferBindingSize', limits.maxStorageBufferBindingSize, () => verifyStorageBinding(bindingSize));
+      await run(checks, 'webgpu', 'maxTextureDimension2D', limits.maxTextureDimension2D, () => verifyTexture2D(limits.maxTextureDimension2D));
+    } finally {
+      device.destroy();
+    }
+    return { supported: true, error: null, checks };
+  };
+
+  const verifyWebGL = async () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 1;
+    const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+    if (!gl) return { supported: false, contextType: null, error: 'WebGL is not available', checks: [] };
+
+    const isWebGL2 = typeof gl.texStorage2D === 'function';
+    const SIDE = 16;
+    const throwOnGlError = (action) => {
+      const error = gl.getError();
+      if (error !== gl.NO_ERROR) throw new Error(`${action} failed with GL error 0x${error.toString(16)}`);
+    };
+    const readPatches = (origins) => {
+      const bytes = new Uint8Array(origins.length * SIDE * SIDE * 4);
+      origins.forEach(([x, y], index) => {
+        gl.readPixels(x, y, SIDE, SIDE, gl.RGBA, gl.UNSIGNED_BYTE, bytes.subarray(index * SIDE * SIDE * 4, (index + 1) * SIDE * SIDE * 4));
+      });
+      throwOnGlError('readPixels');
+      return bytes;
+    };
+    const withFramebuffer = (attach, read) => {
+      const framebuffer = gl.createFramebuffer();
+      gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+      try {
+        attach();
+        const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+        if (status !== gl.FRAMEBUFFER_COMPLETE) throw new Error(`Framebuffer incomplete (0x${status.toString(16)})`);
+        return read();
+      } finally {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.deleteFramebuffer(framebuffer);
+      }
+    };
+
+    // WebGL2 uses R8 to keep a max-size texture at a quarter of the memory
+    const verifyTexture = async (size) => {
+      const channels = isWebGL2 ? 1 : 4;
+      const texture = gl.createTexture();
+      try {
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        if (isWebGL2) gl.texStorage2D(gl.TEXTURE_2D, 1, gl.R8, size, size);
+        else gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        throwOnGlError('Texture allocation');
+
+        const origins = [[0, 0], [size - SIDE, size - SIDE]];
+        const expected = pattern(size % 251, origins.length * SIDE * SIDE * channels);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+        origins.forEach(([x, y], index) => {
+          const patch = expected.subarray(index * SIDE * SIDE * channels, (index + 1) * SIDE * SIDE * channels);
+          gl.texSubImage2D(gl.TEXTURE_2D, 0, x, y, SIDE, SIDE, isWebGL2 ? gl.RED : gl.RGBA, gl.UNSIGNED_BYTE, patch);
+        });
+        throwOnGlError('texSubImage2D');
+
+        const pixels = withFramebuffer(() => gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0), () => readPatches(origins));
+        const actual = isWebGL2 ? pixels.filter((_, index) => index % 4 === 0) : pixels;
+        return { expected: checksum(expected), actual: checksum(actual) };
+      } finally {
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        gl.deleteTexture(texture);
+      }
+    };
+
+    // Scissored clears to 0/1 colours survive even RGBA4 storage exactly
+    const verifyRenderbuffer = async (size) => {
+      const renderbuffer = gl.createRenderbuffer();
+      const colours = [[1, 0, 1, 1], [0, 1, 1, 0]];
+      const origins = [[0, 0], [size - SIDE, size - SIDE]];
+      try {
+        gl.bindRenderbuffer(gl.RENDERBUFFER, renderbuffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, isWebGL2 ? gl.RGBA8 : gl.RGBA4, size, size);
+        throwOnGlError('Renderbuffer allocation');
+
+        const pixels = withFramebuffer(() => gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.RENDERBUFFER, renderbuffer), () => {
+          gl.enable(gl.SCISSOR_TEST);
+          origins.forEach(([x, y], index) => {
+            gl.scissor(x, y, SIDE, SIDE);
+            gl.clearColor(...colours[index]);
+            gl.clear(gl.COLOR_BUFFER_BIT);
+          });
+          gl.disable(gl.SCISSOR_TEST);
+          return readPatches(origins);
+        });
+        const expected = new Uint8Array(pixels.length);
+        colours.forEach((colour, index) => {
+          for (let texel = 0; texel < SIDE * SIDE; texel++) {
+            expected.set(colour.map((value) => value * 255), (index * SIDE * SIDE + texel) * 4);
+          }
+        });
+        return { expected: checksum(expected), actual: checksum(pixels) };
+      } finally {
+        gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+        gl.deleteRenderbuffer(renderbuffer);
+      }
+    };
+
+    const checks = [];
+    try {
+      const maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+      const maxRenderbufferSize = gl.getParameter(gl.MAX_RENDERBUFFER_SIZE);
+      await run(checks, isWebGL2 ? 'webgl2' : 'webgl', 'MAX_TEXTURE_SIZE', maxTextureSize, () => verifyTexture(maxTextureSize));
+      await run(checks, isWebGL2 ? 'webgl2' : 'webgl', 'MAX_RENDERBUFFER_SIZE', maxRenderbufferSize, () => verifyRenderbuffer(maxRenderbufferSize));
+    } finally {
+      gl.getExtension('WEBGL_lose_context')?.loseContext();
+    }
+    return { supported: true, contextType: isWebGL2 ? 'webgl2' : 'webgl', error: null, checks };
+  };
+
+  const result = {
+    budgetMs,
+    webgpu: webgpu ? await verifyWebGPU() : null,
+    webgl: webgl ? await verifyWebGL() : null
+  };
+  result.elapsedMs = Math.round(performance.now() - started);
+  return result;
+}
+
+/**
+ * Runs the limit verification in a page that is already on a secure origin.
+ */
+export async function runLimitVerification(page, { budgetMs = DEFAULT_LIMIT_BUDGET_MS, webgpu = true, webgl = true } = {}) {
+  return page.evaluate(verifyAdvertisedLimits, { budgetMs, webgpu, webgl });
+}
+
+/**
+ * Assigns a severity to each check outcome. `severity` overrides entries of
+ * DEFAULT_LIMIT_SEVERITY (a profile's `budgetMs` is ignored here); verified
+ * limits are "info" and checks marked "ignore" are dropped.
+ */
+export function evaluateLimitVerification(verification, { budgetMs, ...severity } = {}) {
+  const severities = { ...DEFAULT_LIMIT_SEVERITY, ...severity };
+  for (const [outcome, level] of Object.entries(severities)) {
+    if (!SEVERITIES.includes(level)) {
+      throw new PolicyError(`Invalid limit severity "${level}" for ${outcome}. Use one of: ${SEVERITIES.join(', ')}`);
+    }
+  }
+
+  const checks = [verification.webgpu, verification.webgl]
+    .flatMap((section) => section?.checks || [])
+    .map((entry) => ({ ...entry, severity: severities[entry.outcome] || 'info' }))
+    .filter((entry) => entry.severity !== 'ignore');
+  return {
+    passed: !checks.some((entry) => entry.severity === 'error'),
+    budgetMs: verification.budgetMs,
+    elapsedMs: verification.elapsedMs,
+    unavailable: [verification.webgpu, verification.webgl].filter((section) => section && !section.supported).map((section) => section.error),
+    checks
+  };
+}
+
+/**
+ * Renders a limit verification result as console lines.
+ */
+export function formatLimitVerification(result) {
+  const icons = { verified: '✅', failed: '❌', skipped: '⏭️ ' };
+  const failing = result.checks.filter((entry) => entry.severity === 'error').length;
+  const lines = [`🧱 Advertised limits: ${failing === 0 ? '✅ met' : `❌ ${failing} not met`} (${result.elapsedMs} of ${result.budgetMs} ms budget)`];
+  for (const reason of result.unavailable) {
+    lines.push(`   ⚠️  ${reason}`);
+  }
+  for (const entry of result.checks) {
+    const advertised = entry.advertised === null ? '' : ` = ${entry.advertised}`;
+    lines.push(`   ${icons[entry.outcome]} [${entry.api}] ${entry.limit}${advertised} (${entry.outcome})${entry.error ? `: ${entry.error}` : ''}`);
+  }
+  return lines;
+}
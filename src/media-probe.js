@@ -0,0 +1,274 @@
+// Media codec acceleration probe.
+//
+// chrome://gpu only says whether video decode/encode is accelerated at all.
+// This probe asks the page per codec and resolution: WebCodecs
+// isConfigSupported() with prefer-hardware and prefer-software, and
+// MediaCapabilities decodingInfo()/encodingInfo(). Optionally it also
+// encodes a few generated frames and decodes them again, to prove the
+// reported codec actually works. buildCodecMatrix() condenses the results
+// into a hardware / software / unsupported tier per codec.
+
+export const MEDIA_CODECS = [
+  { name: 'h264', codec: 'avc1.640034', container: 'video/mp4', webrtc: 'video/H264' },
+  { name: 'vp8', codec: 'vp8', container: 'video/webm', webrtc: 'video/VP8' },
+  { name: 'vp9', codec: 'vp09.00.51.08', container: 'video/webm', webrtc: 'video/VP9' },
+  { name: 'av1', codec: 'av01.0.13M.08', container: 'video/mp4', webrtc: 'video/AV1' },
+  { name: 'hevc', codec: 'hvc1.1.6.L153.B0', container: 'video/mp4', webrtc: 'video/H265' }
+];
+
+export const MEDIA_RESOLUTIONS = [
+  { name: '720p', width: 1280, height: 720 },
+  { name: '1080p', width: 1920, height: 1080 },
+  { name: '2160p', width: 3840, height: 2160 }
+];
+
+// Small enough to stay fast on software codecs
+export const DEFAULT_ROUND_TRIP = { frames: 10, width: 320, height: 240 };
+
+export const MEDIA_DIRECTIONS = ['decode', 'encode'];
+
+// Ordered from worst to best
+export const SUPPORT_TIERS = ['unsupported', 'software', 'hardware'];
+
+/**
+ * Checks every codec at every resolution and, when `roundTrip` is set,
+ * encodes and decodes generated frames per codec. Runs inside the page via
+ * page.evaluate, so it must stay self-contained.
+ */
+export async function probeMediaCodecs({ codecs, resolutions, roundTrip = null }) {
+  const Decoder = globalThis.VideoDecoder;
+  const Encoder = globalThis.VideoEncoder;
+  const mediaCapabilities = globalThis.navigator?.mediaCapabilities;
+  const FRAMERATE = 30;
+
+  const api = {
+    videoDecoder: typeof Decoder === 'function',
+    videoEncoder: typeof Encoder === 'function',
+    mediaCapabilities: Boolean(mediaCapabilities)
+  };
+
+  // Annex B output decodes without a separate description
+  const encoderConfig = (codec, width, height) => ({
+    codec: codec.codec,
+    width,
+    height,
+    bitrate: Math.round(width * height * FRAMERATE * 0.1),
+    framerate: FRAMERATE,
+    ...(codec.name === 'h264' ? { avc: { format: 'annexb' } } : {}),
+    ...(codec.name === 'hevc' ? { hevc: { format: 'annexb' } } : {})
+  });
+
+  // null when the API is missing, false when the config is rejected
+  const isConfigSupported = async (Codec, config) => {
+    if (typeof Codec !== 'function') return null;
+    try {
+      return Boolean((await Codec.isConfigSupported(config)).supported);
+    } catch {
+      return false;
+    }
+  };
+
+  const queryCapabilities = async (method, configuration) => {
+    if (!mediaCapabilities) return null;
+    try {
+      const { supported, smooth, powerEfficient } = await mediaCapabilities[method](configuration);
+      return { supported, smooth, powerEfficient };
+    } catch (error) {
+      return { supported: false, smooth: false, powerEfficient: false, error: error.message };
+    }
+  };
+
+  const results = [];
+  for (const codec of codecs) {
+    for (const { name, width, height } of resolutions) {
+      const decoderConfig = { codec: codec.codec, codedWidth: width, codedHeight: height };
+      const config = encoderConfig(codec, width, height);
+      const video = { contentType: `${codec.container}; codecs="${codec.codec}"`, width, height, bitrate: config.bitrate, framerate: FRAMERATE };
+
+      results.push({
+        codec: codec.name,
+        resolution: name,
+        width,
+        height,
+        decode: {
+          hardware: await isConfigSupported(Decoder, { ...decoderConfig, hardwareAcceleration: 'prefer-hardware' }),
+          software: await isConfigSupported(Decoder, { ...decoderConfig, hardwareAcceleration: 'prefer-software' }),
+          mediaCapabilities: await queryCapabilities('decodingInfo', { type: 'file', video })
+        },
+        encode: {
+          hardware: await isConfigSupported(Encoder, { ...config, hardwareAcceleration: 'prefer-hardware' }),
+          software: await isConfigSupported(Encoder, { ...config, hardwareAcceleration: 'prefer-software' }),
+          mediaCapabilities: await queryCapabilities('encodingInfo', { type: 'webrtc', video: { ...video, contentType: codec.webrtc } })
+        }
+      });
+    }
+  }
+
+  const runRoundTrip = async (codec, { frames, width, height }) => {
+    const config = encoderConfig(codec, width, height);
+    let hardwareAcceleration = null;
+    for (const preference of ['prefer-hardware', 'prefer-software']) {
+      if (await isConfigSupported(Encoder, { ...config, hardwareAcceleration: preference })) {
+        hardwareAcceleration = preference;
+        break;
+      }
+    }
+    if (!hardwareAcceleration) return null;
+
+    const result = { hardwareAcceleration, frames, encodedFrames: 0, decodedFrames: 0, passed: false, error: null };
+    const chunks = [];
+    let decoderConfig = null;
+    let codecError = null;
+    try {
+      const encoder = new Encoder({
+        output: (chunk, metadata) => {
+          chunks.push(chunk);
+          if (metadata?.decoderConfig) decoderConfig = metadata.decoderConfig;
+        },
+        error: (error) => { codecError = error.message; }
+      });
+      encoder.configure({ ...config, hardwareAcceleration });
+
+      const canvas = new OffscreenCanvas(width, height);
+      const context = canvas.getContext('2d');
+      for (let index = 0; index < frames; index++) {
+        context.fillStyle = `hsl(${Math.round((index * 360) / frames)}, 100%, 50%)`;
+        context.fillRect(0, 0, width, height);
+        const frame = new VideoFrame(canvas, { timestamp: Math.round((index * 1e6) / FRAMERATE) });
+        encoder.encode(frame, { keyFrame: index === 0 });
+        frame.close();
+      }
+      await encoder.flush();
+      encoder.close();
+      result.encodedFrames = chunks.length;
+
+      const decoder = new Decoder({
+        output: (frame) => {
+          result.decodedFrames++;
+          frame.close();
+        },
+        error: (error) => { codecError = error.message; }
+      });
+      decoder.configure({ ...(decoderConfig || { codec: codec.codec, codedWidth: width, codedHeight: height }), hardwareAcceleration });
+      for (const chunk of chunks) decoder.decode(chunk);
+      await decoder.flush();
+      decoder.close();
+    } catch (error) {
+      result.error = codecError || error.message;
+    }
+    result.passed = !result.error && result.decodedFrames === frames;
+    return result;
+  };
+
+  const roundTrips = {};
+  if (roundTrip && api.videoDecoder && api.videoEncoder) {
+    for (const codec of codecs) {
+      roundTrips[codec.name] = await runRoundTrip(codec, roundTrip);
+    }
+  }
+
+  return { api, results, roundTrips };
+}
+
+/**
+ * Runs the codec probe in a page that is already on a secure origin.
+ * `roundTrip` is off unless given, e.g. DEFAULT_ROUND_TRIP.
+ */
+export async function runMediaProbe(page, { codecs = MEDIA_CODECS, resolutions = MEDIA_RESOLUTIONS, roundTrip = null } = {}) {
+  return page.evaluate(probeMediaCodecs, { codecs, resolutions, roundTrip });
+}
+
+/**
+ * Sorts one decode or encode result into a SUPPORT_TIERS entry. WebCodecs
+ * decides when it is available; otherwise MediaCapabilities' powerEfficient
+ * flag is taken as the hardware hint.
+ */
+export function classifyCodecSupport({ hardware, software, mediaCapabilities }) {
+  if (hardware) return 'hardware';
+  if (software) return 'software';
+  if (hardware === null && mediaCapabilities?.supported) {
+    return mediaCapabilities.powerEfficient ? 'hardware' : 'software';
+  }
+  return 'unsupported';
+}
+
+/**
+ * Condenses a probe into { [codec]: { decode, encode, roundTrip } }. Each
+ * direction holds the tier per resolution and `support`, the best tier any
+ * resolution reached.
+ */
+export function buildCodecMatrix(probe) {
+  const matrix = {};
+  for (const entry of probe.results) {
+    const row = (matrix[entry.codec] ||= {
+      decode: { support: 'unsupported', resolutions: {} },
+      encode: { support: 'unsupported', resolutions: {} },
+      roundTrip: probe.roundTrips?.[entry.codec] ?? null
+    });
+    for (const direction of MEDIA_DIRECTIONS) {
+      const tier = classifyCodecSupport(entry[direction]);
+      row[direction].resolutions[entry.resolution] = tier;
+      if (SUPPORT_TIERS.indexOf(tier) > SUPPORT_TIERS.indexOf(row[direction].support)) {
+        row[direction].support = tier;
+      }
+    }
+  }
+  return matrix;
+}
+
+/**
+ * Diffs the matrix against the Video Acceleration Information section of
+ * chrome://gpu, which only lists hardware profiles. An empty list means both
+ * sources agree.
+ */
+export function compareWithVideoAcceleration(matrix, gpuData) {
+  const findings = [];
+  const videoAcceleration = gpuData.videoAcceleration || { decode: [], encode: [] };
+
+  for (const [codec, row] of Object.entries(matrix)) {
+    for (const direction of MEDIA_DIRECTIONS) {
+      const listed = videoAcceleration[direction].some((profile) => profile.codec === codec);
+      const hardware = row[direction].support === 'hardware';
+      if (listed && !hardware) {
+        findings.push({
+          type: 'missing-in-webcodecs',
+          codec,
+          direction,
+          message: `chrome://gpu lists hardware ${codec} ${direction} profiles but WebCodecs reports ${codec} ${direction} as ${row[direction].support}`
+        });
+      } else if (!listed && hardware) {
+        findings.push({
+          type: 'missing-in-gpu-info',
+          codec,
+          direction,
+          message: `WebCodecs reports hardware ${codec} ${direction} but chrome://gpu lists no ${codec} ${direction} profile`
+        });
+      }
+    }
+  }
+  return findings;
+}
+
+/**
+ * Renders a media result ({ probe, matrix, findings }) as console lines.
+ */
+export function formatMediaResult({ probe, matrix, findings }) {
+  const icons = { hardware: '✅', software: '🟡', unsupported: '❌' };
+  const missing = Object.entries(probe.api).filter(([, available]) => !available).map(([name]) => name);
+  const lines = [`🎬 Media codecs${missing.length > 0 ? ` (not available: ${missing.join(', ')})` : ''}:`];
+
+  for (const [codec, row] of Object.entries(matrix)) {
+    const cells = MEDIA_DIRECTIONS.map((direction) => `${direction} ${icons[row[direction].support]} ${row[direction].support}`);
+    let roundTrip = '';
+    if (row.roundTrip) {
+      roundTrip = row.roundTrip.passed
+        ? `, round trip ✅ ${row.roundTrip.decodedFrames}/${row.roundTrip.frames} frames`
+        : `, round trip ❌ ${row.roundTrip.error || `${row.roundTrip.decodedFrames}/${row.roundTrip.frames} frames`}`;
+    }
+    lines.push(`   ${codec.padEnd(5)} ${cells.join(', ')}${roundTrip}`);
+  }
+  for (const finding of findings) {
+    lines.push(`   ⚠️  [${finding.type}] ${finding.message}`);
+  }
+  return lines;
+}
@@ -0,0 +1,165 @@
+// Side-by-side comparison of flag preset and engine runs.
+//
+// Every Playwright project writes its reports to gpu-reports/<project>/. This
+// module merges each project's reports into one view and lines the projects
+// up: browser and headline status, Graphics Feature Status, WebGPU features,
+// media codec support, benchmark throughput, advertised limits, WGSL
+// conformance and offscreen rendering per worker scope.
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { getAngleBackend } from './gpu-policy.js';
+import { MEDIA_DIRECTIONS } from './media-probe.js';
+import { describeWorkerContext } from './worker-probe.js';
+
+const MERGED_SECTIONS = ['gpu', 'summary', 'webgl', 'webgpu', 'rendering', 'acceleration', 'media', 'benchmarks', 'limits', 'wgsl', 'renderingTier', 'workers'];
+
+/**
+ * Reads every report under reportDir, grouped by project. Reports generated
+ * before `since` (an ISO timestamp) are left out, so stale runs do not mix in.
+ */
+export function loadProjectReports(reportDir, { since } = {}) {
+  const byProject = {};
+  if (!existsSync(reportDir)) return byProject;
+
+  for (const entry of readdirSync(reportDir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    for (const file of readdirSync(path.join(reportDir, entry.name))) {
+      if (!file.endsWith('.json')) continue;
+      const report = JSON.parse(readFileSync(path.join(reportDir, entry.name, file), 'utf8'));
+      if (since && report.generatedAt < since) continue;
+      const project = report.test.project || entry.name;
+      (byProject[project] ||= []).push(report);
+    }
+  }
+  return byProject;
+}
+
+/**
+ * Combines one project's reports: the first report that has a section wins.
+ */
+export function mergeReports(reports) {
+  const environment = reports[0]?.environment;
+  const merged = {
+    browser: environment ? [environment.browserName, environment.browserVersion].filter(Boolean).join(' ') : null,
+    launchFlags: environment?.launchFlags || []
+  };
+  for (const section of MERGED_SECTIONS) {
+    merged[section] = reports.find((report) => report[section])?.[section] ?? null;
+  }
+  return merged;
+}
+
+function describeWebGPU(merged) {
+  const probe = merged.webgpu?.probe;
+  if (!probe) return null;
+  if (!probe.supported) return 'unavailable';
+  const adapter = probe.adapters.find((entry) => entry.name === 'default');
+  if (!adapter?.available) return 'no adapter';
+  const { vendor, architecture } = adapter.info;
+  return [vendor, architecture].filter(Boolean).join(' ') || 'adapter';
+}
+
+/**
+ * Lines up the merged reports of several projects. Returns the project names
+ * and titled sections whose rows hold one value per project (null when the
+ * project did not report it).
+ */
+export function comparePresets(byProject) {
+  const projects = Object.keys(byProject).sort();
+  const merged = projects.map((project) => mergeReports(byProject[project]));
+  const row = (label, pick) => ({ label, values: merged.map((entry) => pick(entry) ?? null) });
+
+  const status = [
+    row('Browser', (entry) => entry.browser),
+    row('Hardware accelerated', (entry) => entry.summary?.hardwareAccelerated),
+    row('Graphics backend', (entry) => entry.summary?.graphicsBackend),
+    row('ANGLE backend', (entry) => (entry.gpu ? getAngleBackend(entry.gpu) : null)),
+    row('GL implementation', (entry) => entry.gpu?.status.glImplementation),
+    row('Dawn WebGPU status', (entry) => entry.gpu?.dawnInfo.webgpuStatus),
+    row('navigator.gpu', describeWebGPU),
+    row('WebGL renderer', (entry) => entry.webgl?.webgl1?.unmaskedRenderer || entry.webgl?.webgl1?.renderer),
+    row('WebGL2', (entry) => (entry.webgl ? (entry.webgl.webgl2?.available ? 'available' : 'unavailable') : null)),
+    row('Rendering tier', (entry) => entry.renderingTier?.tier),
+    row('Rendering verdict', (entry) => (entry.rendering ? (entry.rendering.verdict ? 'working' : 'not working') : null)),
+    row('Problems detected', (entry) => entry.summary && String(entry.summary.totalProblems))
+  ];
+
+  const featureNames = [...new Set(merged.flatMap((entry) => Object.keys(entry.gpu?.features || {})))];
+  const features = featureNames.map((name) => row(name, (entry) => entry.gpu?.features[name]));
+
+  const capabilities = [...new Set(merged.flatMap((entry) => entry.gpu?.capabilities || []))].sort();
+  const webgpu = capabilities.map((name) => row(name, (entry) => (entry.gpu ? (entry.gpu.capabilities.includes(name) ? 'yes' : 'no') : null)));
+
+  const codecs = [...new Set(merged.flatMap((entry) => Object.keys(entry.media?.matrix || {})))];
+  const media = codecs.flatMap((codec) => MEDIA_DIRECTIONS.map((direction) => (
+    row(`${codec} ${direction}`, (entry) => entry.media?.matrix[codec]?.[direction].support)
+  )));
+
+  const benchmarkNames = [...new Set(merged.flatMap((entry) => (entry.benchmarks?.benchmarks || []).map((benchmark) => benchmark.name)))];
+  const benchmarks = benchmarkNames.map((name) => row(name, (entry) => {
+    const result = entry.benchmarks?.benchmarks.find((benchmark) => benchmark.name === name);
+    return result?.throughput ? `${result.throughput.toFixed(1)} ${result.unit}` : result && 'failed';
+  }));
+
+  const limitNames = [...new Set(merged.flatMap((entry) => (entry.limits?.checks || []).map((check) => check.limit)))];
+  const limits = limitNames.map((name) => row(name, (entry) => {
+    const check = entry.limits?.checks.find((candidate) => candidate.limit === name);
+    return check && (check.advertised === null ? check.outcome : `${check.advertised} (${check.outcome})`);
+  }));
+
+  const caseNames = [...new Set(merged.flatMap((entry) => (entry.wgsl?.cases || []).map((testCase) => testCase.name)))];
+  const wgsl = caseNames.map((name) => row(name, (entry) => entry.wgsl?.cases.find((testCase) => testCase.name === name)?.status));
+
+  const workerScopes = [...new Set(merged.flatMap((entry) => (entry.workers?.probe.scopes || []).map((scope) => scope.scope)))];
+  const workerContexts = [...new Set(merged.flatMap((entry) => entry.workers?.probe.contexts || []))];
+  const workers = workerScopes.flatMap((scope) => workerContexts.map((type) => (
+    row(`${scope} ${type}`, (entry) => {
+      const result = entry.workers?.probe.scopes.find((candidate) => candidate.scope === scope);
+      return result && (result.supported ? describeWorkerContext(result, type) : 'scope unavailable');
+    })
+  )));
+
+  return {
+    projects,
+    sections: [
+      { title: 'Status', rows: status },
+      { title: 'Graphics Feature Status', rows: features },
+      { title: 'WebGPU Features', rows: webgpu },
+      { title: 'Media Codecs', rows: media },
+      { title: 'WebGPU Benchmarks', rows: benchmarks },
+      { title: 'Advertised Limits', rows: limits },
+      { title: 'WGSL Conformance', rows: wgsl },
+      { title: 'Worker Rendering', rows: workers }
+    ].filter((section) => section.rows.length > 0)
+  };
+}
+
+function escapeCell(value) {
+  return String(value ?? '–').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Renders a comparison as Markdown tables, one per section. Rows whose values
+ * differ between projects are marked with ⚡.
+ */
+export function formatComparisonMarkdown({ projects, sections }) {
+  const lines = ['# GPU Flag Preset Comparison', ''];
+  for (const section of sections) {
+    lines.push(`## ${section.title}`, '');
+    lines.push(`| | ${projects.map(escapeCell).join(' | ')} |`);
+    lines.push(`| --- |${' --- |'.repeat(projects.length)}`);
+    for (const { label, values } of section.rows) {
+      const differs = new Set(values.map(String)).size > 1;
+      lines.push(`| ${differs ? '⚡ ' : ''}${escapeCell(label)} | ${values.map(escapeCell).join(' | ')} |`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+export async function writeComparison(comparison, filePath) {
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(filePath, formatComparisonMarkdown(comparison));
+  return filePath;
+}
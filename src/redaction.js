@@ -0,0 +1,266 @@
+// Privacy redaction for shared reports.
+//
+// Reports, screenshots and CLI output carry the full command line, user data
+// directory paths, the user and host name and per-device identifiers. Before
+// anything leaves the machine, every string is passed through the rules
+// below, which replace those values with a short token: `<path:1a2b3c4d>`
+// in "hash" mode (a salted SHA-256 prefix, so equal values still line up
+// across reports) or `<path>` in "strip" mode. gpu-redaction.json (or
+// GPU_REDACTION_FILE) sets the mode, the salt and an allowlist of
+// command-line switches whose values are kept and report fields that are
+// left alone; GPU_REDACTION overrides the mode, "off" turns redaction off.
+//
+// An unsalted hash of a user or host name is easily reversed with a
+// dictionary, so hash mode never runs without a salt: unless one is
+// configured (GPU_REDACTION_SALT, or "salt" in the config), a random salt is
+// generated on first use and kept in gpu-redaction.salt (or
+// GPU_REDACTION_SALT_FILE). Tokens then line up across this machine's
+// reports only; set a shared salt to line them up across machines.
+//
+// The host fingerprint is the shareable counterpart: a stable id derived
+// only from the GPU vendor, device and driver bucket, so redacted reports can
+// still be grouped by hardware class.
+import { createHash, randomBytes } from 'node:crypto';
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { FLAG_PRESETS, WEBGPU_DEVELOPER_FLAGS } from './launch-flags.js';
+
+export const DEFAULT_REDACTION_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'gpu-redaction.json');
+
+export const DEFAULT_SALT_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'gpu-redaction.salt');
+
+export const REDACTION_MODES = ['hash', 'strip', 'off'];
+
+export const REDACTION_KINDS = ['value', 'path', 'user', 'host', 'id'];
+
+// Switches the launch flag presets set are always kept
+const PRESET_SWITCHES = [...Object.values(FLAG_PRESETS).flatMap((preset) => preset.args), ...WEBGPU_DEVELOPER_FLAGS]
+  .map((flag) => /^--([^=]+)/.exec(flag)[1]);
+
+// Object keys whose string values are identifiers as a whole
+const SENSITIVE_KEYS = /serial|uuid|luid/i;
+
+const SWITCH_VALUE = /--([A-Za-z0-9][\w-]*)=("[^"]*"|'[^']*'|[^\s"']+)/g;
+const FILE_URL = /\bfile:\/\/[^\s"'<>)]+/g;
+// Web links are public and kept; a path needs at least two segments and must
+// not be part of a version or a date
+const POSIX_PATH = /(\bhttps?:\/\/[^\s"'<>)]+)|(?<![\w.:/~-])(?:~|\/[\w.@+-]+)(?:\/[\w.@+-]+)+\/?/g;
+const WINDOWS_PATH = /(?<![\w])[A-Za-z]:\\(?:[^\\\n"<>|]*\\)*[^\\\s"<>|]*/g;
+const UUID = /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi;
+const LABELLED_ID = /\b(LUID|SUBSYS(?:_ID)?|serial(?: number)?)(\s*[=:]\s*)(\{[^}]*\}|\S+?)(?=[,;\s]|$)/gi;
+
+export class RedactionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedactionError';
+  }
+}
+
+function localIdentities() {
+  const identities = [];
+  try {
+    identities.push({ kind: 'user', value: os.userInfo().username });
+  } catch {
+    // No passwd entry, e.g. in some containers
+  }
+  identities.push({ kind: 'host', value: os.hostname() });
+  return identities.filter(({ value }) => value && value.length >= 3 && value !== 'localhost');
+}
+
+/**
+ * Returns this install's salt, generating and storing a random one the first
+ * time. The file is only readable by its owner.
+ */
+export function getInstallSalt(saltPath = process.env.GPU_REDACTION_SALT_FILE || DEFAULT_SALT_PATH) {
+  try {
+    return readFileSync(saltPath, 'utf8').trim();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw new RedactionError(`Could not read redaction salt ${saltPath}: ${error.message}`);
+  }
+
+  const salt = randomBytes(32).toString('hex');
+  try {
+    mkdirSync(path.dirname(saltPath), { recursive: true });
+    writeFileSync(saltPath, `${salt}\n`, { mode: 0o600, flag: 'wx' });
+    return salt;
+  } catch (error) {
+    // Another process created it first
+    if (error.code === 'EEXIST') return readFileSync(saltPath, 'utf8').trim();
+    throw new RedactionError(`Could not store redaction salt ${saltPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Reads the redaction config. Defaults to GPU_REDACTION_FILE, then
+ * gpu-redaction.json; `overrides` (mode, salt, saltFile, identities) win over
+ * the file, and GPU_REDACTION over the file's mode. Hash mode without a
+ * configured salt uses the install salt (see getInstallSalt).
+ */
+export function loadRedactionConfig(configPath = process.env.GPU_REDACTION_FILE || DEFAULT_REDACTION_PATH, overrides = {}) {
+  let file;
+  try {
+    file = JSON.parse(readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new RedactionError(`Could not read redaction config ${configPath}: ${error.message}`);
+  }
+
+  const mode = overrides.mode || process.env.GPU_REDACTION || file.mode || 'hash';
+  if (!REDACTION_MODES.includes(mode)) {
+    throw new RedactionError(`Unknown redaction mode "${mode}". Use one of: ${REDACTION_MODES.join(', ')}`);
+  }
+  const allow = file.allow || {};
+  let salt = [overrides.salt, process.env.GPU_REDACTION_SALT, file.salt].find((value) => value) || null;
+  if (mode === 'hash' && !salt) salt = getInstallSalt(overrides.saltFile);
+  return {
+    mode,
+    salt,
+    allowSwitches: new Set([...PRESET_SWITCHES, ...(allow.switches || [])]),
+    allowFields: new Set(allow.fields || []),
+    identities: overrides.identities ?? localIdentities()
+  };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function createToken(config, counts) {
+  return (kind, value) => {
+    counts[kind] = (counts[kind] || 0) + 1;
+    if (config.mode === 'strip') return `<${kind}>`;
+    const hash = createHash('sha256').update(`${config.salt}\u0000${value}`).digest('hex').slice(0, 8);
+    return `<${kind}:${hash}>`;
+  };
+}
+
+function applyRules(text, config, token) {
+  let result = text.replace(SWITCH_VALUE, (match, name, value) => (
+    config.allowSwitches.has(name) ? match : `--${name}=${token('value', value)}`
+  ));
+  result = result
+    .replace(FILE_URL, (match) => token('path', match))
+    .replace(WINDOWS_PATH, (match) => token('path', match))
+    .replace(POSIX_PATH, (match, link) => (link ? match : token('path', match)));
+  for (const { kind, value } of config.identities) {
+    result = result.replace(new RegExp(`(?<![\\w-])${escapeRegExp(value)}(?![\\w-])`, 'gi'), (match) => token(kind, match));
+  }
+  return result
+    .replace(UUID, (match) => token('id', match.toLowerCase()))
+    .replace(LABELLED_ID, (match, label, separator, value) => `${label}${separator}${token('id', value)}`);
+}
+
+/**
+ * Redacts one string. `counts` collects how many values of each kind were
+ * replaced.
+ */
+export function redactText(text, config = loadRedactionConfig(), counts = {}) {
+  if (config.mode === 'off' || typeof text !== 'string') return text;
+  return applyRules(text, config, createToken(config, counts));
+}
+
+function redactValue(value, fieldPath, config, token) {
+  if (typeof value === 'string') {
+    return config.allowFields.has(fieldPath) ? value : applyRules(value, config, token);
+  }
+  if (Array.isArray(value)) return value.map((item) => redactValue(item, fieldPath, config, token));
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+    const itemPath = fieldPath ? `${fieldPath}.${key}` : key;
+    if (typeof item === 'string' && SENSITIVE_KEYS.test(key) && !config.allowFields.has(itemPath) && item) {
+      return [key, token('id', item)];
+    }
+    return [key, redactValue(item, itemPath, config, token)];
+  }));
+}
+
+/**
+ * Returns a redacted copy of a GPU report with a `redaction` section
+ * recording the mode and how many values of each kind were replaced.
+ * Fields listed in the allowlist (dotted paths such as
+ * "gpu.versionInfo.ANGLE commit id") are copied unchanged.
+ */
+export function redactReport(report, config = loadRedactionConfig()) {
+  const counts = Object.fromEntries(REDACTION_KINDS.map((kind) => [kind, 0]));
+  if (config.mode === 'off') return { ...report, redaction: { mode: 'off', counts } };
+
+  const { redaction, ...rest } = report;
+  return { ...redactValue(rest, '', config, createToken(config, counts)), redaction: { mode: config.mode, counts } };
+}
+
+// Reads every text node of the page, including open shadow roots (which
+// chrome://gpu renders into), and optionally replaces some of them. Runs
+// inside the page via page.evaluate, so it must stay self-contained.
+function rewritePageText(replacements) {
+  const nodes = [];
+  const visit = (root) => {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+    for (let node = walker.currentNode; node; node = walker.nextNode()) {
+      if (node.nodeType === Node.TEXT_NODE) nodes.push(node);
+      else if (node.shadowRoot) visit(node.shadowRoot);
+    }
+  };
+  visit(document.documentElement);
+
+  if (!replacements) return nodes.map((node) => node.textContent);
+  for (const [index, text] of replacements) nodes[index].textContent = text;
+  return replacements.length;
+}
+
+/**
+ * Redacts the visible text of the current page in place, so a following
+ * screenshot does not capture paths, user names or identifiers. Returns the
+ * number of text nodes changed.
+ */
+export async function redactPage(page, config = loadRedactionConfig()) {
+  if (config.mode === 'off') return 0;
+  const texts = await page.evaluate(rewritePageText, null);
+  const replacements = [];
+  texts.forEach((text, index) => {
+    const redacted = redactText(text, config);
+    if (redacted !== text) replacements.push([index, redacted]);
+  });
+  if (replacements.length === 0) return 0;
+  return page.evaluate(rewritePageText, replacements);
+}
+
+const VENDOR_NAMES = {
+  '0x1002': 'AMD',
+  '0x106b': 'Apple',
+  '0x10de': 'NVIDIA',
+  '0x13b5': 'ARM',
+  '0x1ae0': 'Google',
+  '0x5143': 'Qualcomm',
+  '0x8086': 'Intel',
+  '0xffff': 'SwiftShader'
+};
+
+/**
+ * Anonymized hardware class of the active GPU: vendor and device id plus a
+ * driver bucket (the first two version components), hashed into a stable
+ * id. Returns null when gpuData names no GPU.
+ */
+export function getHostFingerprint(gpuData) {
+  const gpus = Object.entries(gpuData.driverInfo || {}).filter(([key]) => /^GPU\d+$/.test(key));
+  const [, active] = gpus.find(([, value]) => value.includes('*ACTIVE*')) || gpus[0] || [];
+  const ids = active && /VENDOR\s*=\s*(0x[0-9a-f]+).*?DEVICE\s*=\s*(0x[0-9a-f]+)/i.exec(active);
+  if (!ids) return null;
+
+  const vendorId = ids[1].toLowerCase();
+  const deviceId = ids[2].toLowerCase();
+  const driverVendor = gpuData.driverInfo['Driver vendor'] || /DRIVER_VENDOR=([^,*]+)/.exec(active)?.[1].trim() || null;
+  const driverVersion = gpuData.driverInfo['Driver version'] || /DRIVER_VERSION=([^,\s*]+)/.exec(active)?.[1] || null;
+  const driverBucket = driverVersion ? driverVersion.split('.').slice(0, 2).join('.') : null;
+  const hash = createHash('sha256').update([vendorId, deviceId, driverVendor, driverBucket].join(':')).digest('hex');
+
+  return {
+    id: `gpu-${hash.slice(0, 12)}`,
+    vendor: VENDOR_NAMES[vendorId] || vendorId,
+    vendorId,
+    deviceId,
+    driverVendor,
+    driverBucket
+  };
+}
@@ -0,0 +1,146 @@
+// In-page rendering tier recommendation.
+//
+// The decision a web app actually needs: which renderer to start. This
+// module is browser-safe (no Node imports) so an app can import it directly;
+// it reuses the WebGPU adapter and WebGL probes the test suite runs and
+// returns the best tier the page can use, WebGPU, WebGL2, WebGL1 or Canvas2D,
+// with a reason for every tier it considered. Tiers backed by a software
+// renderer (SwiftShader, llvmpipe and friends, or a fallback WebGPU adapter)
+// are skipped unless `allowSoftware` is set; Canvas2D reports `software:
+// null` since a page cannot tell whether it is accelerated.
+// harness/rendering-tier.html loads it the way an app would.
+import { probeWebGLCapabilities } from './webgl-probe.js';
+import { probeWebGPUAdapters } from './webgpu-probe.js';
+
+// Best first
+export const RENDERING_TIERS = ['WebGPU', 'WebGL2', 'WebGL1', 'Canvas2D'];
+
+export const SOFTWARE_RENDERER_PATTERN = /swiftshader|llvmpipe|lavapipe|softpipe|software|basic render|mesa offscreen/i;
+
+export const DEFAULT_TIER_OPTIONS = {
+  allowSoftware: false,
+  // Smallest MAX_TEXTURE_SIZE a WebGL tier must offer
+  minTextureSize: 4096,
+  // WebGPU features or WebGL extensions a tier must expose, per tier
+  requiredFeatures: { WebGPU: [], WebGL2: [], WebGL1: [] }
+};
+
+export function isSoftwareRenderer(name) {
+  return Boolean(name) && SOFTWARE_RENDERER_PATTERN.test(name);
+}
+
+function missingFeatures(available, required = []) {
+  return required.filter((name) => !available.includes(name));
+}
+
+function judgeWebGPU(probe, options) {
+  const candidate = { tier: 'WebGPU', usable: false, software: false, renderer: null, reason: null };
+  if (!probe?.supported) return { ...candidate, reason: probe?.error || 'navigator.gpu is not available' };
+  const adapter = probe.adapters.find((entry) => entry.name === 'default');
+  if (!adapter?.available) return { ...candidate, reason: `no adapter (${adapter?.error || 'requestAdapter() returned null'})` };
+
+  const { vendor, architecture, description, isFallbackAdapter } = adapter.info;
+  const renderer = [vendor, architecture, description].filter(Boolean).join(' ') || null;
+  const software = isFallbackAdapter || isSoftwareRenderer(renderer);
+  const judged = { ...candidate, renderer, software };
+  if (software && !options.allowSoftware) {
+    return { ...judged, reason: isFallbackAdapter ? 'the default adapter is a fallback (software) adapter' : `adapter "${renderer}" is a software renderer` };
+  }
+  const missing = missingFeatures(adapter.features, options.requiredFeatures.WebGPU);
+  if (missing.length > 0) return { ...judged, reason: `adapter lacks ${missing.join(', ')}` };
+  return { ...judged, usable: true, reason: `${software ? 'software' : 'hardware'} adapter ${renderer ? `"${renderer}"` : 'without adapter info'}` };
+}
+
+function judgeWebGL(tier, profile, caveat, options) {
+  const candidate = { tier, usable: false, software: false, renderer: null, reason: null };
+  if (!profile?.available) return { ...candidate, reason: profile?.error || 'no context' };
+
+  const renderer = profile.unmaskedRenderer || profile.renderer || null;
+  // Masked renderer strings say nothing, so the performance caveat decides
+  const software = isSoftwareRenderer(renderer) || caveat === true;
+  const judged = { ...candidate, renderer, software };
+  if (software && !options.allowSoftware) {
+    return {
+      ...judged,
+      reason: isSoftwareRenderer(renderer)
+        ? `renderer "${renderer}" is a software renderer`
+        : 'context creation fails with failIfMajorPerformanceCaveat'
+    };
+  }
+  const textureSize = profile.limits?.MAX_TEXTURE_SIZE ?? null;
+  if (textureSize !== null && textureSize < options.minTextureSize) {
+    return { ...judged, reason: `MAX_TEXTURE_SIZE ${textureSize} is below ${options.minTextureSize}` };
+  }
+  const missing = missingFeatures(profile.extensions || [], options.requiredFeatures[tier]);
+  if (missing.length > 0) return { ...judged, reason: `missing extension ${missing.join(', ')}` };
+  return { ...judged, usable: true, reason: `${software ? 'software' : 'hardware'} renderer "${renderer || 'unknown'}"` };
+}
+
+/**
+ * Picks the best usable tier from probe results: `webgpu` from
+ * probeWebGPUAdapters, `webgl` from probeWebGLCapabilities, and `caveats`,
+ * whether each WebGL context type fails with failIfMajorPerformanceCaveat.
+ * Canvas2D is the floor and always usable.
+ */
+export function recommendRenderingTier({ webgpu, webgl, caveats = {} }, options = {}) {
+  const settings = {
+    ...DEFAULT_TIER_OPTIONS,
+    ...options,
+    requiredFeatures: { ...DEFAULT_TIER_OPTIONS.requiredFeatures, ...options.requiredFeatures }
+  };
+  const candidates = [
+    judgeWebGPU(webgpu, settings),
+    judgeWebGL('WebGL2', webgl?.webgl2, caveats.webgl2, settings),
+    judgeWebGL('WebGL1', webgl?.webgl1, caveats.webgl1, settings),
+    { tier: 'Canvas2D', usable: true, software: null, renderer: null, reason: 'no GPU tier is usable' }
+  ];
+  const chosen = candidates.find((candidate) => candidate.usable);
+  const considered = candidates.slice(0, candidates.indexOf(chosen) + 1);
+
+  return {
+    tier: chosen.tier,
+    software: chosen.software,
+    renderer: chosen.renderer,
+    reasons: considered.map((candidate) => `${candidate.tier}: ${candidate.reason}`),
+    candidates
+  };
+}
+
+function failsPerformanceCaveat(contextType) {
+  const context = document.createElement('canvas').getContext(contextType, { failIfMajorPerformanceCaveat: true });
+  context?.getExtension('WEBGL_lose_context')?.loseContext();
+  return !context;
+}
+
+/**
+ * Probes the current page and recommends a tier. This is the entry point a
+ * web app calls; `options` is merged over DEFAULT_TIER_OPTIONS.
+ */
+export async function detectRenderingTier(options = {}) {
+  const webgpu = await probeWebGPUAdapters([{ name: 'default', options: {} }]);
+  const webgl = probeWebGLCapabilities();
+  const caveats = {
+    webgl2: webgl.webgl2.available ? failsPerformanceCaveat('webgl2') : null,
+    webgl1: webgl.webgl1.available ? failsPerformanceCaveat('webgl') : null
+  };
+  return recommendRenderingTier({ webgpu, webgl, caveats }, options);
+}
+
+/**
+ * Runs detectRenderingTier in a page that is already on
+ * rendering-tier.html.
+ */
+export async function runRenderingTier(page, options = {}) {
+  await page.waitForFunction(() => window.renderingTier);
+  return page.evaluate((tierOptions) => window.renderingTier.detectRenderingTier(tierOptions), options);
+}
+
+/**
+ * Renders a recommendation as console lines.
+ */
+export function formatRenderingTier(result) {
+  return [
+    `🎯 Recommended rendering tier: ${result.tier}${result.software ? ' (software renderer)' : ''}`,
+    ...result.reasons.map((reason) => `   • ${reason}`)
+  ];
+}
@@ -0,0 +1,361 @@
+// Local run history.
+//
+// Every test run appends one record per project to a JSONL file
+// (gpu-history/history.jsonl, or GPU_HISTORY_FILE): the normalized GPU
+// profile from createBaseline, the browser and driver versions, and the
+// benchmark medians. Records are keyed by host, project, flag preset and
+// browser/driver version, so the queries below can answer questions like
+// "when did WebGPU go Software only on this host" or "what was the
+// benchmark median over the last 30 runs". The gpu-history CLI wraps them.
+import { existsSync, readFileSync } from 'node:fs';
+import { appendFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { createBaseline, getMachineName } from './gpu-baseline.js';
+import { summarizeSamples } from './gpu-benchmark.js';
+import { UsageError } from './gpu-detect.js';
+import { mergeReports } from './preset-comparison.js';
+
+export const HISTORY_VERSION = 1;
+
+export const DEFAULT_HISTORY_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'gpu-history', 'history.jsonl');
+
+export const HISTORY_QUERIES = ['runs', 'transitions', 'benchmark', 'first-version'];
+
+export const DEFAULT_TREND_RUNS = 30;
+
+export const HISTORY_USAGE = `Usage: gpu-history <query> [arguments] [options]
+
+Answers questions about earlier runs from the local run history.
+
+Queries:
+  runs                          List the recorded runs
+  transitions <feature> [status]
+                                When a graphics feature changed status, e.g.
+                                transitions WebGPU "Software only"
+  benchmark <name>              Median of a WebGPU benchmark over the last runs
+  first-version <feature>       First browser version that reported a graphics
+                                feature as enabled or a WebGPU feature
+
+Options:
+      --file <path>       History file (default: GPU_HISTORY_FILE or gpu-history/history.jsonl)
+      --host <name>       Only runs from this host; "." is this machine
+      --project <name>    Only runs of this Playwright project
+      --preset <name>     Only runs with this flag preset
+      --browser <name>    Only runs of this browser (chromium, firefox, webkit)
+  -n, --last <count>      Only the most recent runs (default: ${DEFAULT_TREND_RUNS} for benchmark)
+      --json              Print the result as JSON
+  -h, --help              Show this help`;
+
+export class HistoryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HistoryError';
+  }
+}
+
+export function getHistoryPath() {
+  return process.env.GPU_HISTORY_FILE || DEFAULT_HISTORY_PATH;
+}
+
+function countStatuses(reports) {
+  const counts = {};
+  for (const report of reports) {
+    const status = report.test.status || 'unknown';
+    counts[status] = (counts[status] || 0) + 1;
+  }
+  return counts;
+}
+
+function summarizeRunBenchmarks(benchmarks) {
+  const byName = {};
+  for (const benchmark of benchmarks?.benchmarks || []) {
+    if (!benchmark.stats) continue;
+    byName[benchmark.name] = {
+      unit: benchmark.unit ?? null,
+      medianMs: benchmark.stats.median,
+      p95Ms: benchmark.stats.p95,
+      throughput: benchmark.throughput,
+      verified: benchmark.verified
+    };
+  }
+  return byName;
+}
+
+/**
+ * Builds the history record of one project from its GPU reports.
+ */
+export function createHistoryRecord(reports, { project, flagPreset = null, host = getMachineName(), runStartedAt = null } = {}) {
+  const merged = mergeReports(reports);
+  const environment = reports[0]?.environment || {};
+  let profile = null;
+  if (merged.gpu) {
+    const { baselineVersion, recordedAt, ...normalized } = createBaseline(merged.gpu);
+    profile = normalized;
+  }
+  const adapter = merged.webgpu?.probe?.adapters?.find((entry) => entry.name === 'default');
+
+  return {
+    historyVersion: HISTORY_VERSION,
+    recordedAt: new Date().toISOString(),
+    runStartedAt,
+    host,
+    project: project || reports[0]?.test.project || '',
+    flagPreset,
+    browserName: environment.browserName ?? null,
+    browserVersion: environment.browserVersion || profile?.versions.chromeVersion?.replace(/^\D+/, '') || null,
+    driverVersion: profile?.versions.driverVersion ?? null,
+    platform: environment.platform ?? null,
+    arch: environment.arch ?? null,
+    tests: countStatuses(reports),
+    profile,
+    adapterFeatures: adapter?.available ? [...adapter.features].sort() : null,
+    benchmarkTiming: merged.benchmarks?.timing ?? null,
+    benchmarks: summarizeRunBenchmarks(merged.benchmarks)
+  };
+}
+
+export async function appendHistory(records, filePath = getHistoryPath()) {
+  if (records.length === 0) return filePath;
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await appendFile(filePath, records.map((record) => `${JSON.stringify(record)}\n`).join(''));
+  return filePath;
+}
+
+/**
+ * Reads every record of a history file, oldest first. A missing file is an
+ * empty history.
+ */
+export function readHistory(filePath = getHistoryPath()) {
+  if (!existsSync(filePath)) return [];
+  return readFileSync(filePath, 'utf8')
+    .split('\n')
+    .map((line, index) => {
+      if (!line.trim()) return null;
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new HistoryError(`${filePath}:${index + 1} is not valid JSON: ${error.message}`);
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+}
+
+/**
+ * Keeps the records matching every given key; `last` keeps only the most
+ * recent ones.
+ */
+export function filterHistory(records, { host, project, preset, browser, last } = {}) {
+  const filtered = records.filter((record) => (!host || record.host === host)
+    && (!project || record.project === project)
+    && (!preset || record.flagPreset === preset)
+    && (!browser || record.browserName === browser));
+  return last ? filtered.slice(-last) : filtered;
+}
+
+/**
+ * Numeric comparison of dotted version strings, e.g. 124.0.6367.207.
+ */
+export function compareVersions(a, b) {
+  const left = String(a).split('.').map((part) => parseInt(part, 10) || 0);
+  const right = String(b).split('.').map((part) => parseInt(part, 10) || 0);
+  for (let index = 0; index < Math.max(left.length, right.length); index++) {
+    const difference = (left[index] || 0) - (right[index] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+function describeRun(record) {
+  return {
+    recordedAt: record.recordedAt,
+    host: record.host,
+    project: record.project,
+    browserVersion: record.browserVersion,
+    driverVersion: record.driverVersion
+  };
+}
+
+/**
+ * Status changes of a graphics feature (as named on chrome://gpu), tracked
+ * separately per host and project. With `status`, only changes to a status
+ * starting with it are returned.
+ */
+export function queryFeatureTransitions(records, feature, { status } = {}) {
+  const previous = new Map();
+  const transitions = [];
+  for (const record of records) {
+    if (!record.profile) continue;
+    const key = `${record.host}\u0000${record.project}`;
+    const value = record.profile.features[feature] ?? null;
+    if (previous.has(key) && previous.get(key) !== value) {
+      transitions.push({ ...describeRun(record), from: previous.get(key), to: value });
+    }
+    previous.set(key, value);
+  }
+  if (!status) return transitions;
+  const wanted = status.toLowerCase();
+  return transitions.filter((transition) => transition.to?.toLowerCase().startsWith(wanted));
+}
+
+/**
+ * Median times of one benchmark across runs, with statistics over those
+ * medians. Failed runs of the benchmark are left out.
+ */
+export function queryBenchmarkTrend(records, name, { last = DEFAULT_TREND_RUNS } = {}) {
+  const runs = records
+    .filter((record) => record.benchmarks?.[name]?.medianMs != null)
+    .slice(-last)
+    .map((record) => ({ ...describeRun(record), timing: record.benchmarkTiming, ...record.benchmarks[name] }));
+  return {
+    name,
+    unit: runs.at(-1)?.unit ?? null,
+    runs,
+    stats: summarizeSamples(runs.map((run) => run.medianMs))
+  };
+}
+
+function hasFeature(record, feature) {
+  const status = record.profile?.features[feature];
+  if (status && /^(hardware accelerated|enabled)/i.test(status)) return true;
+  return Boolean(record.profile?.webgpuFeatures.includes(feature) || record.adapterFeatures?.includes(feature));
+}
+
+/**
+ * The first browser version, per browser, in which any run reported the
+ * feature: a graphics feature that is enabled, or a WebGPU feature from Dawn
+ * or the live adapter. `previousVersion` is the newest earlier version
+ * recorded without it, null when the feature predates the history.
+ */
+export function queryFirstVersion(records, feature) {
+  const byBrowser = new Map();
+  for (const record of records) {
+    if (!record.browserVersion) continue;
+    const versions = byBrowser.get(record.browserName) || new Map();
+    versions.set(record.browserVersion, versions.get(record.browserVersion) || hasFeature(record, feature));
+    byBrowser.set(record.browserName, versions);
+  }
+
+  const results = [];
+  for (const [browserName, versions] of byBrowser) {
+    const ordered = [...versions.keys()].sort(compareVersions);
+    const index = ordered.findIndex((version) => versions.get(version));
+    if (index === -1) continue;
+    results.push({ browserName, feature, version: ordered[index], previousVersion: index > 0 ? ordered[index - 1] : null });
+  }
+  return results;
+}
+
+/**
+ * Turns command line arguments into a history query.
+ */
+export function parseHistoryArgs(argv) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        file: { type: 'string' },
+        host: { type: 'string' },
+        project: { type: 'string' },
+        preset: { type: 'string' },
+        browser: { type: 'string' },
+        last: { type: 'string', short: 'n' },
+        json: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    }));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const [query = 'runs', ...args] = positionals;
+  if (values.help) return { help: true };
+  if (!HISTORY_QUERIES.includes(query)) {
+    throw new UsageError(`Unknown query "${query}". Use one of: ${HISTORY_QUERIES.join(', ')}`);
+  }
+  if (query !== 'runs' && args.length === 0) {
+    throw new UsageError(`The ${query} query needs a ${query === 'benchmark' ? 'benchmark name' : 'feature name'}`);
+  }
+  const last = values.last === undefined ? null : Number(values.last);
+  if (last !== null && !(Number.isInteger(last) && last > 0)) {
+    throw new UsageError(`--last must be a positive whole number, got "${values.last}"`);
+  }
+
+  return {
+    query,
+    args,
+    file: values.file ?? getHistoryPath(),
+    filter: {
+      host: values.host === '.' ? getMachineName() : values.host ?? null,
+      project: values.project ?? null,
+      preset: values.preset ?? null,
+      browser: values.browser ?? null
+    },
+    last,
+    json: values.json,
+    help: false
+  };
+}
+
+/**
+ * Runs a parsed query against the history file.
+ */
+export function runHistoryQuery({ query, args, file, filter, last }) {
+  const records = filterHistory(readHistory(file), filter);
+  switch (query) {
+    case 'transitions': {
+      const transitions = queryFeatureTransitions(records, args[0], { status: args[1] });
+      return last ? transitions.slice(-last) : transitions;
+    }
+    case 'benchmark':
+      return queryBenchmarkTrend(records, args[0], { last: last ?? DEFAULT_TREND_RUNS });
+    case 'first-version':
+      return queryFirstVersion(records, args[0]);
+    default:
+      return filterHistory(records, { last });
+  }
+}
+
+const formatMs = (value) => `${value.toFixed(2)} ms`;
+
+/**
+ * Renders a query result as console lines.
+ */
+export function formatHistoryResult({ query, args }, result) {
+  switch (query) {
+    case 'transitions': {
+      const [feature, status] = args;
+      if (result.length === 0) return [`🕒 No recorded run changed ${feature}${status ? ` to "${status}"` : ''}`];
+      return [
+        `🕒 ${feature} changed status ${result.length} time(s):`,
+        ...result.map((entry) => `   ${entry.recordedAt} ${entry.host}/${entry.project}: ${entry.from ?? 'not reported'} → ${entry.to ?? 'not reported'} (browser ${entry.browserVersion ?? 'unknown'}, driver ${entry.driverVersion ?? 'unknown'})`)
+      ];
+    }
+    case 'benchmark': {
+      if (!result.stats) return [`📈 No recorded runs of benchmark "${result.name}"`];
+      const { runs, median, min, max } = result.stats;
+      return [
+        `📈 ${result.name}: median ${formatMs(median)} over the last ${runs} run(s) (min ${formatMs(min)}, max ${formatMs(max)})`,
+        ...result.runs.map((run) => `   ${run.recordedAt} ${run.host}/${run.project}: ${formatMs(run.medianMs)} (p95 ${formatMs(run.p95Ms)}${run.timing ? `, ${run.timing}` : ''})`)
+      ];
+    }
+    case 'first-version': {
+      const [feature] = args;
+      if (result.length === 0) return [`🔎 No recorded run reported ${feature}`];
+      return result.map((entry) => (entry.previousVersion
+        ? `🔎 ${entry.feature} first appeared in ${entry.browserName} ${entry.version} (missing in ${entry.previousVersion})`
+        : `🔎 ${entry.feature} was already in ${entry.browserName} ${entry.version}, the oldest recorded version`));
+    }
+    default:
+      if (result.length === 0) return ['🗂️ The run history is empty'];
+      return [
+        `🗂️ ${result.length} recorded run(s):`,
+        ...result.map((record) => `   ${record.recordedAt} ${record.host}/${record.project}${record.flagPreset ? ` [${record.flagPreset}]` : ''}: ${record.browserName} ${record.browserVersion ?? 'unknown'}, driver ${record.driverVersion ?? 'unknown'}, WebGPU ${record.profile?.features.WebGPU ?? 'not reported'}`)
+      ];
+  }
+}
@@ -0,0 +1,167 @@
+// WebGL1/WebGL2 capability probe.
+//
+// Builds a full profile per context type: every implementation limit, the
+// extension list, shader precision formats, unmasked vendor/renderer and MSAA
+// sample counts.
+
+/**
+ * Collects a WebGL1 and a WebGL2 profile. Runs inside the page via
+ * page.evaluate, so it must stay self-contained.
+ */
+export function probeWebGLCapabilities() {
+  const WEBGL1_LIMITS = [
+    'MAX_COMBINED_TEXTURE_IMAGE_UNITS',
+    'MAX_CUBE_MAP_TEXTURE_SIZE',
+    'MAX_FRAGMENT_UNIFORM_VECTORS',
+    'MAX_RENDERBUFFER_SIZE',
+    'MAX_TEXTURE_IMAGE_UNITS',
+    'MAX_TEXTURE_SIZE',
+    'MAX_VARYING_VECTORS',
+    'MAX_VERTEX_ATTRIBS',
+    'MAX_VERTEX_TEXTURE_IMAGE_UNITS',
+    'MAX_VERTEX_UNIFORM_VECTORS',
+    'MAX_VIEWPORT_DIMS',
+    'ALIASED_LINE_WIDTH_RANGE',
+    'ALIASED_POINT_SIZE_RANGE',
+    'SUBPIXEL_BITS',
+    'RED_BITS',
+    'GREEN_BITS',
+    'BLUE_BITS',
+    'ALPHA_BITS',
+    'DEPTH_BITS',
+    'STENCIL_BITS',
+    'SAMPLES',
+    'SAMPLE_BUFFERS'
+  ];
+
+  const WEBGL2_LIMITS = [
+    'MAX_3D_TEXTURE_SIZE',
+    'MAX_ARRAY_TEXTURE_LAYERS',
+    'MAX_CLIENT_WAIT_TIMEOUT_WEBGL',
+    'MAX_COLOR_ATTACHMENTS',
+    'MAX_COMBINED_FRAGMENT_UNIFORM_COMPONENTS',
+    'MAX_COMBINED_UNIFORM_BLOCKS',
+    'MAX_COMBINED_VERTEX_UNIFORM_COMPONENTS',
+    'MAX_DRAW_BUFFERS',
+    'MAX_ELEMENT_INDEX',
+    'MAX_ELEMENTS_INDICES',
+    'MAX_ELEMENTS_VERTICES',
+    'MAX_FRAGMENT_INPUT_COMPONENTS',
+    'MAX_FRAGMENT_UNIFORM_BLOCKS',
+    'MAX_FRAGMENT_UNIFORM_COMPONENTS',
+    'MAX_PROGRAM_TEXEL_OFFSET',
+    'MIN_PROGRAM_TEXEL_OFFSET',
+    'MAX_SAMPLES',
+    'MAX_SERVER_WAIT_TIMEOUT',
+    'MAX_TEXTURE_LOD_BIAS',
+    'MAX_TRANSFORM_FEEDBACK_INTERLEAVED_COMPONENTS',
+    'MAX_TRANSFORM_FEEDBACK_SEPARATE_ATTRIBS',
+    'MAX_TRANSFORM_FEEDBACK_SEPARATE_COMPONENTS',
+    'MAX_UNIFORM_BLOCK_SIZE',
+    'MAX_UNIFORM_BUFFER_BINDINGS',
+    'MAX_VARYING_COMPONENTS',
+    'MAX_VERTEX_OUTPUT_COMPONENTS',
+    'MAX_VERTEX_UNIFORM_BLOCKS',
+    'MAX_VERTEX_UNIFORM_COMPONENTS',
+    'UNIFORM_BUFFER_OFFSET_ALIGNMENT'
+  ];
+
+  // Limits that only exist once their extension is enabled
+  const EXTENSION_LIMITS = {
+    EXT_texture_filter_anisotropic: ['MAX_TEXTURE_MAX_ANISOTROPY_EXT'],
+    WEBGL_draw_buffers: ['MAX_DRAW_BUFFERS_WEBGL', 'MAX_COLOR_ATTACHMENTS_WEBGL']
+  };
+
+  const SHADER_TYPES = ['VERTEX_SHADER', 'FRAGMENT_SHADER'];
+  const PRECISIONS = ['LOW_FLOAT', 'MEDIUM_FLOAT', 'HIGH_FLOAT', 'LOW_INT', 'MEDIUM_INT', 'HIGH_INT'];
+  const MSAA_FORMATS = ['RGBA8', 'RGBA16F', 'RGBA32F', 'DEPTH24_STENCIL8', 'DEPTH_COMPONENT32F'];
+
+  const toPlain = (value) => (ArrayBuffer.isView(value) ? Array.from(value) : value);
+
+  const profile = (contextType) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = 16;
+    canvas.height = 16;
+
+    let gl;
+    try {
+      gl = canvas.getContext(contextType, { antialias: true });
+    } catch (error) {
+      return { available: false, error: error.message };
+    }
+    if (!gl) {
+      return { available: false, error: `getContext('${contextType}') returned null` };
+    }
+
+    const extensions = [...(gl.getSupportedExtensions() || [])].sort();
+    const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+
+    const limits = {};
+    const limitNames = contextType === 'webgl2' ? [...WEBGL1_LIMITS, ...WEBGL2_LIMITS] : WEBGL1_LIMITS;
+    for (const name of limitNames) {
+      if (gl[name] !== undefined) limits[name] = toPlain(gl.getParameter(gl[name]));
+    }
+    for (const [extensionName, names] of Object.entries(EXTENSION_LIMITS)) {
+      const extension = extensions.includes(extensionName) ? gl.getExtension(extensionName) : null;
+      if (!extension) continue;
+      for (const name of names) {
+        if (extension[name] !== undefined) limits[name] = toPlain(gl.getParameter(extension[name]));
+      }
+    }
+
+    const shaderPrecision = {};
+    for (const shaderType of SHADER_TYPES) {
+      shaderPrecision[shaderType] = {};
+      for (const precision of PRECISIONS) {
+        const format = gl.getShaderPrecisionFormat(gl[shaderType], gl[precision]);
+        shaderPrecision[shaderType][precision] = format
+          ? { rangeMin: format.rangeMin, rangeMax: format.rangeMax, precision: format.precision }
+          : null;
+      }
+    }
+
+    const msaa = {
+      antialias: Boolean(gl.getContextAttributes()?.antialias),
+      samples: gl.getParameter(gl.SAMPLES),
+      maxSamples: contextType === 'webgl2' ? gl.getParameter(gl.MAX_SAMPLES) : null,
+      formatSamples: {}
+    };
+    if (contextType === 'webgl2') {
+      for (const format of MSAA_FORMATS) {
+        const samples = gl.getInternalformatParameter(gl.RENDERBUFFER, gl[format], gl.SAMPLES);
+        msaa.formatSamples[format] = samples ? Array.from(samples) : [];
+      }
+    }
+
+    const result = {
+      available: true,
+      contextAttributes: gl.getContextAttributes(),
+      vendor: gl.getParameter(gl.VENDOR),
+      renderer: gl.getParameter(gl.RENDERER),
+      version: gl.getParameter(gl.VERSION),
+      shadingLanguageVersion: gl.getParameter(gl.SHADING_LANGUAGE_VERSION),
+      unmaskedVendor: debugInfo ? gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL) : null,
+      unmaskedRenderer: debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : null,
+      limits,
+      extensions,
+      shaderPrecision,
+      msaa
+    };
+
+    // Give the context back instead of waiting for GC
+    gl.getExtension('WEBGL_lose_context')?.loseContext();
+    return result;
+  };
+
+  return {
+    webgl1: profile('webgl'),
+    webgl2: profile('webgl2')
+  };
+}
+
+/**
+ * Runs the WebGL probe in the given page.
+ */
+export async function runWebGLProbe(page) {
+  return page.evaluate(probeWebGLCapabilities);
+}
@@ -0,0 +1,155 @@
+// Live WebGPU adapter probe.
+//
+// Asks navigator.gpu for an adapter under every request option, records what
+// each one reports and diffs the result against the Dawn Info section parsed
+// from chrome://gpu.
+
+export const ADAPTER_REQUESTS = [
+  { name: 'default', options: {} },
+  { name: 'low-power', options: { powerPreference: 'low-power' } },
+  { name: 'high-performance', options: { powerPreference: 'high-performance' } },
+  { name: 'fallback', options: { forceFallbackAdapter: true } }
+];
+
+/**
+ * Requests an adapter for each entry of `requests` and records its info,
+ * limits and features. Runs inside the page via page.evaluate, so it must
+ * stay self-contained.
+ */
+export async function probeWebGPUAdapters(requests) {
+  if (!navigator.gpu) {
+    return { supported: false, error: 'navigator.gpu is not available', wgslLanguageFeatures: [], adapters: [] };
+  }
+
+  const adapters = [];
+  for (const { name, options } of requests) {
+    try {
+      const adapter = await navigator.gpu.requestAdapter(options);
+      if (!adapter) {
+        adapters.push({ name, options, available: false, error: 'requestAdapter() returned null' });
+        continue;
+      }
+
+      const info = adapter.info || (adapter.requestAdapterInfo ? await adapter.requestAdapterInfo() : {});
+      const limits = {};
+      for (const key in adapter.limits) {
+        if (typeof adapter.limits[key] === 'number') limits[key] = adapter.limits[key];
+      }
+
+      adapters.push({
+        name,
+        options,
+        available: true,
+        info: {
+          vendor: info.vendor || '',
+          architecture: info.architecture || '',
+          device: info.device || '',
+          description: info.description || '',
+          isFallbackAdapter: Boolean(info.isFallbackAdapter ?? adapter.isFallbackAdapter),
+          subgroupMinSize: info.subgroupMinSize ?? null,
+          subgroupMaxSize: info.subgroupMaxSize ?? null
+        },
+        limits,
+        features: [...adapter.features].sort()
+      });
+    } catch (error) {
+      adapters.push({ name, options, available: false, error: error.message });
+    }
+  }
+
+  return {
+    supported: true,
+    preferredCanvasFormat: navigator.gpu.getPreferredCanvasFormat(),
+    wgslLanguageFeatures: [...(navigator.gpu.wgslLanguageFeatures || [])].sort(),
+    adapters
+  };
+}
+
+/**
+ * Runs the adapter probe in a page that is already on a secure origin.
+ */
+export async function runWebGPUProbe(page, requests = ADAPTER_REQUESTS) {
+  return page.evaluate(probeWebGPUAdapters, requests);
+}
+
+/**
+ * Picks the Dawn Info adapter a JS adapter most likely corresponds to:
+ * by description when the browser exposes one, otherwise the CPU adapter for
+ * fallback requests and the first hardware adapter for everything else.
+ */
+export function matchDawnAdapter(adapterResult, dawnAdapters) {
+  const { description, isFallbackAdapter } = adapterResult.info;
+  const isCpu = (dawnAdapter) => dawnAdapter.title.startsWith('<CPU>');
+
+  if (description) {
+    const byDescription = dawnAdapters.find((dawnAdapter) => dawnAdapter.title.includes(description));
+    if (byDescription) return byDescription;
+  }
+  if (isFallbackAdapter) {
+    return dawnAdapters.find(isCpu) || null;
+  }
+  return dawnAdapters.find((dawnAdapter) => !isCpu(dawnAdapter)) || dawnAdapters[0] || null;
+}
+
+/**
+ * Diffs the live probe against what chrome://gpu claims. Every disagreement
+ * becomes a finding; an empty list means both sources agree.
+ *
+ * Only the WebGPU status and adapter features are compared. Limits and
+ * wgslLanguageFeatures are deliberately left out: Dawn Info lists neither,
+ * so there is nothing on chrome://gpu to diff them with. Limits are checked
+ * by allocating at them (limit-verification.js) and WGSL features by
+ * compiling them (wgsl-conformance.js) instead.
+ */
+export function compareWithDawnInfo(probe, gpuData) {
+  const findings = [];
+  const dawnAvailable = gpuData.dawnInfo.webgpuStatus === 'Available';
+  const defaultAdapter = probe.adapters.find((adapter) => adapter.name === 'default');
+  const jsAvailable = Boolean(probe.supported && defaultAdapter?.available);
+
+  if (dawnAvailable !== jsAvailable) {
+    findings.push({
+      type: 'status-mismatch',
+      request: 'default',
+      message: `Dawn reports WebGPU "${gpuData.dawnInfo.webgpuStatus || 'unknown'}" but navigator.gpu ${jsAvailable ? 'returned an adapter' : `did not (${probe.error || defaultAdapter?.error || 'no adapter'})`}`
+    });
+  }
+
+  for (const adapter of probe.adapters) {
+    if (!adapter.available) continue;
+
+    const dawnAdapter = matchDawnAdapter(adapter, gpuData.dawnInfo.adapters);
+    if (!dawnAdapter) {
+      findings.push({
+        type: 'adapter-unmatched',
+        request: adapter.name,
+        message: `No Dawn Info adapter matches the "${adapter.name}" adapter (${adapter.info.vendor || 'unknown vendor'})`
+      });
+      continue;
+    }
+
+    const dawnFeatures = dawnAdapter.sections['Adapter Supported Features'] || [];
+    for (const feature of dawnFeatures) {
+      if (!adapter.features.includes(feature)) {
+        findings.push({
+          type: 'missing-in-js',
+          request: adapter.name,
+          feature,
+          message: `"${feature}" is listed by Dawn for ${dawnAdapter.title} but not exposed by the "${adapter.name}" adapter`
+        });
+      }
+    }
+    for (const feature of adapter.features) {
+      if (!dawnFeatures.includes(feature)) {
+        findings.push({
+          type: 'missing-in-dawn',
+          request: adapter.name,
+          feature,
+          message: `"${feature}" is exposed by the "${adapter.name}" adapter but not listed by Dawn for ${dawnAdapter.title}`
+        });
+      }
+    }
+  }
+
+  return findings;
+}
@@ -0,0 +1,43 @@
+// WGSL feature conformance results.
+//
+// The cases live in harness/wgsl-conformance.js and harness/wgsl/. Dawn's
+// feature list only says what is advertised; these results say whether the
+// advertised features actually compile, run and compute the right thing.
+// The profile's `wgsl` section turns them into policy violations.
+
+export const WGSL_STATUSES = ['pass', 'fail', 'unsupported'];
+
+/**
+ * Runs the conformance suite in a page that is already on
+ * wgsl-conformance.html. `only` limits it to the named cases.
+ */
+export async function runWgslConformance(page, { only = null } = {}) {
+  await page.waitForFunction(() => window.wgslConformance);
+  return page.evaluate((options) => window.wgslConformance.runConformance(options), { only });
+}
+
+/**
+ * Counts cases per status.
+ */
+export function summarizeWgslConformance(result) {
+  const counts = Object.fromEntries(WGSL_STATUSES.map((status) => [status, 0]));
+  for (const entry of result.cases) counts[entry.status]++;
+  return counts;
+}
+
+/**
+ * Renders a conformance run as a pass / fail / unsupported table.
+ */
+export function formatWgslConformance(result) {
+  if (!result.supported) return [`🧪 WGSL conformance: ❌ ${result.error}`];
+
+  const icons = { pass: '✅', fail: '❌', unsupported: '➖' };
+  const counts = summarizeWgslConformance(result);
+  const lines = [`🧪 WGSL conformance: ${counts.pass} pass, ${counts.fail} fail, ${counts.unsupported} unsupported`];
+  const width = Math.max(0, ...result.cases.map((entry) => entry.name.length));
+  for (const entry of result.cases) {
+    const detail = entry.status === 'fail' ? ` at ${entry.stage}: ${entry.error}` : '';
+    lines.push(`   ${icons[entry.status]} ${entry.name.padEnd(width)}  ${entry.kind.padEnd(8)}  ${entry.status}${detail}`);
+  }
+  return lines;
+}
@@ -0,0 +1,96 @@
+// Worker and OffscreenCanvas GPU availability results.
+//
+// The probe lives in harness/worker-probe.js: it renders a small scene with
+// WebGPU, WebGL2 and 2D on OffscreenCanvas, on the main thread and in each
+// worker scope, and checks the returned ImageBitmaps pixel by pixel. This
+// module runs it and diffs every worker scope against the main thread. The
+// scope and context names come with each result (probe.scopes, probe.contexts).
+// Shared and service worker scripts are fetched outside the page, so the
+// harness must be routed on the browser context (routeHarness(page.context()))
+// for those scopes to load.
+
+const SCOPE_LABELS = {
+  main: 'main thread',
+  dedicated: 'dedicated worker',
+  transferred: 'dedicated worker (transferControlToOffscreen)',
+  shared: 'shared worker',
+  service: 'service worker'
+};
+
+/**
+ * Runs the worker probe in a page that is already on worker-probe.html.
+ * `scopes`, `contexts`, `size` and `timeoutMs` (per scope) are optional.
+ */
+export async function runWorkerProbe(page, options = {}) {
+  await page.waitForFunction(() => window.workerProbe);
+  return page.evaluate((probeOptions) => window.workerProbe.runWorkerProbes(probeOptions), options);
+}
+
+/**
+ * One context in one scope as 'rendered', 'wrong pixels', 'unavailable', or
+ * null when the scope did not run or did not probe it.
+ */
+export function describeWorkerContext(entry, type) {
+  const result = entry?.contexts[type];
+  if (!result) return null;
+  if (!result.available) return 'unavailable';
+  return result.verified ? 'rendered' : 'wrong pixels';
+}
+
+/**
+ * Lists scopes that could not run, renders with wrong pixels, and contexts
+ * that work on the main thread but not in a worker scope or the other way
+ * round. An empty list means every scope behaves like the main thread.
+ */
+export function compareWorkerScopes(probe) {
+  const findings = [];
+  const main = probe.scopes.find((entry) => entry.scope === 'main');
+
+  for (const entry of probe.scopes) {
+    const label = SCOPE_LABELS[entry.scope] || entry.scope;
+    if (!entry.supported) {
+      findings.push({ type: 'scope-unavailable', scope: entry.scope, context: null, message: `The ${label} could not run the probe: ${entry.error}` });
+      continue;
+    }
+
+    for (const [type, result] of Object.entries(entry.contexts)) {
+      if (result.available && !result.verified) {
+        const pixels = result.mismatches.map(({ x, y, expected, actual }) => `(${x}, ${y}) is ${actual.join(',')} instead of ${expected.join(',')}`);
+        findings.push({ type: 'pixel-mismatch', scope: entry.scope, context: type, message: `${type} in the ${label} rendered wrong pixels: ${pixels.join('; ') || 'no image returned'}` });
+      }
+      if (entry === main || !main?.supported || !main.contexts[type]) continue;
+
+      const onMain = main.contexts[type].available;
+      if (onMain && !result.available) {
+        findings.push({ type: 'missing-in-worker', scope: entry.scope, context: type, message: `${type} works on the main thread but not in the ${label}: ${result.error}` });
+      } else if (!onMain && result.available) {
+        findings.push({ type: 'worker-only', scope: entry.scope, context: type, message: `${type} works in the ${label} but not on the main thread: ${main.contexts[type].error}` });
+      }
+    }
+  }
+  return findings;
+}
+
+/**
+ * Renders a worker result ({ probe, findings }) as one line per scope
+ * followed by the findings.
+ */
+export function formatWorkerProbe({ probe, findings }) {
+  const icons = { rendered: '✅', 'wrong pixels': '🟡', unavailable: '❌' };
+  const width = Math.max(0, ...probe.scopes.map((entry) => entry.scope.length));
+  const lines = ['🧵 Offscreen rendering by scope:'];
+
+  for (const entry of probe.scopes) {
+    const name = entry.scope.padEnd(width);
+    if (!entry.supported) {
+      lines.push(`   ${name}  ❌ ${entry.error}`);
+      continue;
+    }
+    const cells = probe.contexts.map((type) => `${type} ${icons[describeWorkerContext(entry, type)] || '➖'}`);
+    lines.push(`   ${name}  ${cells.join('  ')}  (navigator.gpu ${entry.navigatorGpu ? 'present' : 'missing'})`);
+  }
+  for (const finding of findings) {
+    lines.push(`   ⚠️  [${finding.type}] ${finding.message}`);
+  }
+  return lines;
+}
@@ -0,0 +1,113 @@
+import { test, expect } from '@playwright/test';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseGpuText } from '../src/chrome-gpu-parser.js';
+import { collectCdpGpuInfo, parseCdpGpuInfo } from '../src/cdp-gpu-info.js';
+import { collectGpuInfo, formatSourceDisagreements, mergeGpuInfo } from '../src/gpu-info-sources.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const readFixture = (name) => readFileSync(path.join(fixturesDir, name), 'utf8');
+const cdpFixture = () => JSON.parse(readFixture('cdp-system-info/windows-amd-d3d11.json'));
+
+function fakeBrowser(info, sent = []) {
+  const session = {
+    send: async (method, params) => {
+      sent.push(params ? [method, params] : method);
+      if (method === 'Browser.getVersion') return info.version;
+      if (method === 'SystemInfo.getInfo') return info.systemInfo;
+      if (params.featureState in info.featureStates) return { featureEnabled: info.featureStates[params.featureState] };
+      throw new Error(`Unknown feature state name ${params.featureState}`);
+    },
+    detach: async () => sent.push('detach')
+  };
+  return { newBrowserCDPSession: async () => session };
+}
+
+test.describe('CDP GPU info', () => {
+
+  test('should fill the chrome://gpu data model from SystemInfo', () => {
+    const gpuData = parseCdpGpuInfo(cdpFixture());
+    const domData = parseGpuText(readFixture('chrome-gpu/windows-amd-d3d11.txt'));
+
+    expect(gpuData.features).toEqual(domData.features);
+    expect(gpuData.videoAcceleration).toEqual(domData.videoAcceleration);
+    expect(gpuData.driverInfo).toMatchObject({
+      GPU0: 'VENDOR= 0x1002, DEVICE=0x73bf, DRIVER_VENDOR=Advanced Micro Devices, Inc., DRIVER_VERSION=31.0.24027.1012 *ACTIVE*',
+      'Driver vendor': 'Advanced Micro Devices, Inc.',
+      'Driver version': '31.0.24027.1012',
+      'Display type': 'ANGLE_D3D11'
+    });
+    expect(gpuData.versionInfo['Chrome version']).toBe('Chrome/124.0.6367.208');
+    expect(gpuData.status).toMatchObject({ hardwareAccelerated: true, webgpu: 'Hardware accelerated', displayType: 'ANGLE_D3D11' });
+  });
+
+  test('should keep unknown feature names and statuses as reported', () => {
+    const info = cdpFixture();
+    info.systemInfo.gpu.featureStatus = { trees_in_viz: 'enabled_on', webgpu: 'unavailable_software' };
+    expect(parseCdpGpuInfo(info).features).toEqual({ trees_in_viz: 'Enabled', WebGPU: 'Software only, hardware acceleration unavailable' });
+  });
+
+  test('should query feature states for the command-line features and detach', async () => {
+    const sent = [];
+    const info = await collectCdpGpuInfo(fakeBrowser(cdpFixture(), sent));
+
+    expect(sent).toEqual([
+      'Browser.getVersion',
+      'SystemInfo.getInfo',
+      ['SystemInfo.getFeatureState', { featureState: 'WebGPU' }],
+      'detach'
+    ]);
+    expect(info.featureStates).toEqual({ WebGPU: true });
+
+    const unanswered = cdpFixture();
+    unanswered.systemInfo.commandLine += ' --disable-features=Vulkan';
+    expect((await collectCdpGpuInfo(fakeBrowser(unanswered))).featureStates).toEqual({ WebGPU: true, Vulkan: null });
+  });
+
+  test('should list the fields where the page and CDP disagree', () => {
+    const info = cdpFixture();
+    info.systemInfo.gpu.featureStatus.video_encode = 'disabled_software';
+    info.systemInfo.gpu.devices[0].driverVersion = '31.0.24033.1003';
+    info.systemInfo.gpu.videoDecoding.push({ profile: 'av1 profile high', maxResolution: { width: 8192, height: 8192 }, minResolution: { width: 64, height: 64 } });
+    const domData = parseGpuText(readFixture('chrome-gpu/windows-amd-d3d11.txt'));
+
+    const { gpuData, disagreements } = mergeGpuInfo({ dom: domData, cdp: parseCdpGpuInfo(info) });
+
+    expect(disagreements).toEqual([
+      { field: 'features.Video Encode', values: { dom: 'Hardware accelerated', cdp: 'Software only. Hardware acceleration disabled' } },
+      { field: 'driverInfo.Driver version', values: { dom: '31.0.24027.1012', cdp: '31.0.24033.1003' } }
+    ]);
+    expect(gpuData.features['Video Encode']).toBe('Hardware accelerated');
+    expect(gpuData.problems).toEqual(domData.problems);
+    expect(gpuData.videoAcceleration.decode.map((entry) => entry.profile)).toContain('av1 profile high');
+    expect(gpuData.sources['features.WebGL']).toEqual({ from: 'dom', reportedBy: ['dom', 'cdp'] });
+    expect(gpuData.sources['features.Video Encode']).toEqual({ from: 'dom', reportedBy: ['dom', 'cdp'] });
+    expect(gpuData.sources['videoAcceleration.decode.av1 profile high']).toEqual({ from: 'cdp', reportedBy: ['cdp'] });
+    expect(formatSourceDisagreements(disagreements)).toEqual([
+      '🔀 GPU info sources disagree on 2 field(s):',
+      '   ⚠️  features.Video Encode: dom="Hardware accelerated", cdp="Software only. Hardware acceleration disabled"',
+      '   ⚠️  driverInfo.Driver version: dom="31.0.24027.1012", cdp="31.0.24033.1003"'
+    ]);
+    expect(mergeGpuInfo({ dom: null, cdp: null })).toEqual({ gpuData: null, disagreements: [] });
+  });
+
+  test('should fall back to CDP when the page cannot be parsed', async () => {
+    const browser = fakeBrowser(cdpFixture());
+    const page = {
+      goto: async () => {},
+      waitForLoadState: async () => {},
+      locator: () => ({ filter: () => ({ first: () => ({ waitFor: async () => { throw new Error('Timeout 10000ms exceeded'); } }) }) }),
+      context: () => ({ browser: () => browser })
+    };
+
+    const result = await collectGpuInfo(page, 'chromium');
+    expect(result.errors).toEqual({ dom: 'Timeout 10000ms exceeded' });
+    expect(result.featureStates).toEqual({ WebGPU: true });
+    expect(result.gpuData.features.WebGPU).toBe('Hardware accelerated');
+    expect(result.gpuData.sources['features.WebGPU']).toEqual({ from: 'cdp', reportedBy: ['cdp'] });
+
+    await expect(collectGpuInfo({ ...page, context: () => ({ browser: () => ({}) }) }, 'chromium')).rejects.toThrow('Timeout 10000ms exceeded');
+    expect(await collectGpuInfo(page, 'webkit')).toEqual({ gpuData: null, disagreements: [], featureStates: null, errors: {} });
+  });
+});
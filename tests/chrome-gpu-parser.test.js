@@ -0,0 +1,212 @@
+import { test, expect } from '@playwright/test';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  parseGpuInfo,
+  parseGpuHtml,
+  parseGpuText,
+  collectBlocksFromText,
+  getAccelerationStatus
+} from '../src/chrome-gpu-parser.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'chrome-gpu');
+const readFixture = (name) => readFileSync(path.join(fixturesDir, name), 'utf8');
+
+test.describe('chrome://gpu parser', () => {
+
+  test('should parse a Linux Vulkan HTML snapshot', () => {
+    const gpuData = parseGpuHtml(readFixture('linux-nvidia-vulkan.html'));
+
+    expect(gpuData.graphicsFeatures).toHaveLength(15);
+    expect(gpuData.features['WebGPU']).toBe('Hardware accelerated');
+    expect(gpuData.features['Rasterization']).toBe('Hardware accelerated on all pages');
+    expect(gpuData.status.webgpu).toBe('Hardware accelerated');
+    expect(gpuData.status.hardwareAccelerated).toBe(true);
+    expect(gpuData.status.graphicsBackend).toBe('Vulkan');
+    expect(gpuData.status.skiaBackend).toBe('GaneshGL');
+    expect(gpuData.status.displayType).toBe('ANGLE_VULKAN');
+    expect(gpuData.status.glImplementation).toBe('(gl=egl-angle,angle=vulkan)');
+    expect(gpuData.status.webgpuAvailable).toBe(true);
+    expect(gpuData.versionInfo['Chrome version']).toBe('Chrome/124.0.6367.207');
+    expect(gpuData.driverInfo['Driver version']).toBe('535.171.04');
+    expect(gpuData.problems).toEqual([
+      'Accelerated video encode has been disabled, either via blocklist, about:flags or the command line. Disabled Features: video_encode'
+    ]);
+    expect(gpuData.backends).toEqual(['Vulkan', 'ANGLE', 'OpenGL']);
+  });
+
+  test('should keep Dawn adapters separate and merge their supported features', () => {
+    const gpuData = parseGpuHtml(readFixture('linux-nvidia-vulkan.html'));
+
+    expect(gpuData.dawnInfo.webgpuStatus).toBe('Available');
+    expect(gpuData.dawnInfo.adapters.map(adapter => adapter.title)).toEqual([
+      '<Discrete GPU> Vulkan backend - NVIDIA GeForce RTX 3080',
+      '<CPU> Vulkan backend - SwiftShader Device (Subzero)'
+    ]);
+    expect(gpuData.dawnInfo.adapters[0].sections['Default Toggle Names']).toHaveLength(2);
+    expect(gpuData.dawnInfo.adapters[1].sections['Adapter Supported Features']).toHaveLength(3);
+    expect(gpuData.capabilities).toContain('shader-f16');
+    expect(gpuData.capabilities).toContain('texture-compression-etc2');
+    expect(new Set(gpuData.capabilities).size).toBe(gpuData.capabilities.length);
+  });
+
+  test('should skip hidden duplicate sections in shadow-root snapshots', () => {
+    const gpuData = parseGpuHtml(readFixture('mac-apple-metal.html'));
+
+    expect(gpuData.features['Canvas']).toBe('Hardware accelerated');
+    expect(gpuData.graphicsFeatures).toHaveLength(15);
+    expect(gpuData.problems).toEqual([]);
+    expect(gpuData.status.skiaBackend).toBe('GraphiteDawnMetal');
+    expect(gpuData.backends).toContain('Metal');
+    expect(gpuData.capabilities).toContain('dual-source-blending');
+  });
+
+  test('should parse a SwiftShader clipboard dump', () => {
+    const gpuData = parseGpuText(readFixture('linux-swiftshader.txt'));
+    const accelerationStatus = getAccelerationStatus(gpuData);
+
+    expect(gpuData.status.webgpu).toBe('Software only');
+    expect(gpuData.status.hardwareAccelerated).toBeUndefined();
+    expect(gpuData.status.displayType).toBe('ANGLE_SWIFTSHADER');
+    expect(gpuData.problems).toHaveLength(3);
+    expect(gpuData.problems[0]).toBe('GPU process was unable to boot: GPU access is disabled in chrome://settings. Disabled Features: all');
+    expect(gpuData.dawnInfo.adapters[0].title).toBe('<CPU> Vulkan backend - SwiftShader Device (Subzero)');
+    expect(gpuData.versionInfo['Command Line']).toContain('--use-angle=swiftshader');
+
+    expect(accelerationStatus.hardwareAccelerated).toBe(false);
+    expect(accelerationStatus.softwareOnly).toBe(true);
+    expect(accelerationStatus.canvas).toBe(false);
+  });
+
+  test('should parse an ANGLE OpenGL clipboard dump with WebGPU blocklisted', () => {
+    const gpuData = parseGpuText(readFixture('linux-intel-angle-gl.txt'));
+
+    expect(gpuData.status.webgpu).toBe('Disabled');
+    expect(gpuData.status.webgpuAvailable).toBeUndefined();
+    expect(gpuData.dawnInfo.webgpuStatus).toBe('Blocklisted');
+    expect(gpuData.dawnInfo.adapters).toEqual([]);
+    expect(gpuData.capabilities).toEqual([]);
+    expect(gpuData.status.glImplementation).toBe('(gl=egl-angle,angle=opengl)');
+    expect(gpuData.backends).toEqual(['OpenGL', 'ANGLE']);
+  });
+
+  test('should parse a Windows D3D clipboard dump', () => {
+    const gpuData = parseGpuText(readFixture('windows-amd-d3d11.txt'));
+    const accelerationStatus = getAccelerationStatus(gpuData);
+
+    expect(gpuData.status.displayType).toBe('ANGLE_D3D11');
+    expect(gpuData.driverInfo['Driver vendor']).toBe('Advanced Micro Devices, Inc.');
+    expect(gpuData.versionInfo['Command Line']).toContain('--use-angle=d3d11');
+    expect(gpuData.dawnInfo.adapters).toHaveLength(2);
+    expect(gpuData.capabilities).toContain('dual-source-blending');
+    expect(gpuData.backends).toContain('DirectX');
+
+    expect(accelerationStatus.hardwareAccelerated).toBe(true);
+    expect(accelerationStatus.rasterization).toBe(true);
+    expect(accelerationStatus.videoEncode).toBe(true);
+  });
+
+  test('should produce the same gpuData from HTML and text for the same report', async () => {
+    const html = [
+      '<div><h3>Graphics Feature Status</h3><ul><li><span>WebGL</span>: <span>Hardware accelerated</span></li></ul></div>',
+      '<div><h3>Version Information</h3><table class="info-table"><tr><td>Chrome version</td><td>Chrome/124.0.0.0</td></tr></table></div>'
+    ].join('');
+    const text = 'Graphics Feature Status\n*   WebGL: Hardware accelerated\nVersion Information\nChrome version\tChrome/124.0.0.0\n';
+
+    expect(await parseGpuInfo(html)).toEqual(await parseGpuInfo(text));
+  });
+
+  test('should treat indented lines as continuations of the previous item', () => {
+    const blocks = collectBlocksFromText('Problems Detected\n*   First problem\n    Disabled Features: webgl\n*   Second problem\n');
+
+    expect(blocks).toEqual([
+      { type: 'heading', level: 3, text: 'Problems Detected' },
+      { type: 'item', text: 'First problem Disabled Features: webgl' },
+      { type: 'item', text: 'Second problem' }
+    ]);
+  });
+
+  test('should parse driver bug workarounds and ANGLE features', () => {
+    const gpuData = parseGpuText(readFixture('linux-vulkan-fallback.txt'));
+
+    expect(gpuData.driverBugWorkarounds).toEqual(['clear_uniforms_before_first_program_use', 'exit_on_context_lost', 'disable_discard_framebuffer']);
+    expect(gpuData.angleFeatures).toEqual([
+      { name: 'allowCompressedFormats', category: 'Frontend workarounds', enabled: true, text: 'allowCompressedFormats (Frontend workarounds): Enabled: true' },
+      { name: 'supportsVulkanDynamicRendering', category: 'Vulkan features', enabled: false, text: 'supportsVulkanDynamicRendering (Vulkan features): Disabled' },
+      { name: 'preferCPUForBufferSubData', category: 'Vulkan workarounds', enabled: true, text: 'preferCPUForBufferSubData (Vulkan workarounds): Enabled: true' }
+    ]);
+    expect(parseGpuHtml(readFixture('linux-nvidia-vulkan.html')).driverBugWorkarounds).toEqual([]);
+  });
+
+  test('should parse video acceleration, displays and Vulkan info from a text dump', () => {
+    const gpuData = parseGpuText(readFixture('windows-amd-d3d11.txt'));
+
+    expect(gpuData.videoAcceleration.decode.map((entry) => entry.profile)).toEqual(['h264 baseline', 'hevc main 10', 'vp9 profile0', 'av1 profile main']);
+    expect(gpuData.videoAcceleration.decode[0]).toEqual({
+      profile: 'h264 baseline',
+      codec: 'h264',
+      minResolution: { width: 16, height: 16 },
+      maxResolution: { width: 4096, height: 2304 },
+      maxFramerate: null
+    });
+    expect(gpuData.videoAcceleration.encode[1]).toMatchObject({ codec: 'hevc', maxResolution: { width: 7680, height: 4320 }, maxFramerate: 30 });
+
+    expect(gpuData.displays).toHaveLength(2);
+    expect(gpuData.displays[0]).toMatchObject({
+      id: '2528732444',
+      bounds: { x: 0, y: 0, width: 2560, height: 1440 },
+      scaleFactor: 1.25,
+      bitsPerColor: 10,
+      refreshRate: 143.998,
+      hdr: true
+    });
+    expect(gpuData.displays[1]).toMatchObject({ bounds: { x: 2560, y: 0, width: 1920, height: 1080 }, rotation: 90, hdr: false });
+
+    expect(gpuData.vulkanInfo).toMatchObject({ apiVersion: '1.3.277', usedApiVersion: '1.1.0' });
+    expect(gpuData.vulkanInfo.instanceExtensions).toContain('VK_KHR_win32_surface');
+    expect(gpuData.vulkanInfo.devices).toEqual([
+      expect.objectContaining({ name: 'AMD Radeon RX 6800 XT', type: 'DISCRETE_GPU', driverVersion: '2.0.279' })
+    ]);
+
+    expect(gpuData.gpuMemoryBuffers.R_8).toEqual({ native: false, usages: [] });
+    expect(gpuData.gpuMemoryBuffers.BGRA_8888).toEqual({ native: true, usages: ['GPU_READ', 'SCANOUT'] });
+    expect(gpuData.compositorInfo['Tile Update Mode']).toBe('One-copy');
+  });
+
+  test('should split log messages into level, source and message', () => {
+    const { logMessages } = parseGpuText(readFixture('windows-amd-d3d11.txt'));
+
+    expect(logMessages.map(({ level, source }) => [level, source])).toEqual([
+      ['WARNING', 'dxgi_support.cc(58)'],
+      [null, 'GpuProcessHost'],
+      ['ERROR', 'shared_image_manager.cc(215)']
+    ]);
+    expect(logMessages[0].message).toBe('Failed to query HDR metadata for display 2528732445');
+  });
+
+  test('should parse the additional sections from an HTML snapshot', () => {
+    const gpuData = parseGpuHtml(readFixture('linux-nvidia-vulkan.html'));
+
+    expect(gpuData.videoAcceleration.decode.map((entry) => entry.profile)).toEqual(['h264 high', 'vp9 profile2']);
+    expect(gpuData.videoAcceleration.encode).toEqual([]);
+    expect(gpuData.displays).toEqual([expect.objectContaining({ scaleFactor: 2, refreshRate: 59.997, hdr: false })]);
+    expect(gpuData.vulkanInfo.devices.map((device) => device.type)).toEqual(['DISCRETE_GPU', 'CPU']);
+    expect(gpuData.compositorInfo['Tile Update Mode']).toBe('Zero-copy');
+    expect(gpuData.logMessages).toEqual([
+      expect.objectContaining({ level: 'ERROR', source: 'gpu_memory_buffer_support_x11.cc(49)', message: 'dri3 extension not supported.' })
+    ]);
+  });
+
+  test('should leave the additional sections empty when they are missing', () => {
+    const gpuData = parseGpuText(readFixture('linux-vulkan-fallback.txt'));
+
+    expect(gpuData.vulkanInfo).toBeNull();
+    expect(gpuData.displays).toEqual([]);
+    expect(gpuData.logMessages).toEqual([]);
+  });
+
+  test('should reject unsupported sources', async () => {
+    await expect(parseGpuInfo(42)).rejects.toThrow(TypeError);
+  });
+});
@@ -0,0 +1,110 @@
+import { test, expect } from '@playwright/test';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseSupportJson, parseSupportPage, supportDataFromJson } from '../src/firefox-support-parser.js';
+import { getGpuInfoSource, readGpuInfo } from '../src/gpu-info-sources.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'firefox-support');
+const readFixture = (name) => readFileSync(path.join(fixturesDir, name), 'utf8');
+
+test.describe('Firefox about:support parser', () => {
+
+  test('should map raw data onto the chrome://gpu feature names', () => {
+    const gpuData = parseSupportJson(readFixture('linux-intel-mesa.json'));
+
+    expect(gpuData.features).toEqual({
+      Canvas: 'Software only',
+      Compositing: 'Hardware accelerated',
+      Rasterization: 'Hardware accelerated',
+      'Video Decode': 'Hardware accelerated',
+      WebGL: 'Hardware accelerated',
+      WebGL2: 'Unavailable',
+      WebGPU: 'Disabled'
+    });
+    expect(gpuData.status.hardwareAccelerated).toBe(true);
+  });
+
+  test('should fill version, driver, problem and workaround sections', () => {
+    const gpuData = parseSupportJson(JSON.parse(readFixture('linux-intel-mesa.json')));
+
+    expect(gpuData.versionInfo).toEqual({ Browser: 'Firefox 131.0.2', 'Operating system': 'Linux 6.8.0-45-generic' });
+    expect(gpuData.driverInfo).toMatchObject({
+      GPU0: 'VENDOR= 0x8086, DEVICE=0x5917 *ACTIVE*',
+      Description: 'Mesa Intel(R) UHD Graphics 620 (KBL GT2)',
+      'Driver Vendor': 'mesa/iris',
+      'Driver Version': '24.0.9.0',
+      Compositing: 'WebRender'
+    });
+    expect(gpuData.driverInfo).not.toHaveProperty('Driver Date');
+    expect(gpuData.problems).toEqual([
+      'ACCELERATED_CANVAS2D: blocked by env: Blocklisted by gfxInfo',
+      'glxtest: libEGL missing'
+    ]);
+    expect(gpuData.driverBugWorkarounds).toEqual(['DMABUF: disabled on Mesa < 21']);
+  });
+
+  test('should classify software compositing and renderers', () => {
+    const gpuData = parseSupportJson({
+      application: { name: 'Firefox', version: '131.0' },
+      graphics: {
+        windowLayerManagerType: 'WebRender (Software)',
+        webgl1Renderer: 'Mesa -- llvmpipe (LLVM 17.0.6, 256 bits)',
+        webgl2Renderer: 'Mesa -- llvmpipe (LLVM 17.0.6, 256 bits)',
+        supportsHardwareH264: false,
+        featureLog: { features: [{ name: 'WEBGPU', status: 'available', log: [{ type: 'default', status: 'available' }] }] }
+      }
+    });
+
+    expect(gpuData.features).toEqual({
+      Compositing: 'Software only',
+      Rasterization: 'Software only',
+      'Video Decode': 'Software only',
+      WebGL: 'Software only',
+      WebGL2: 'Software only',
+      WebGPU: 'Hardware accelerated'
+    });
+    expect(gpuData.problems).toEqual([]);
+  });
+
+  test('should report the second GPU and which one is active', () => {
+    const support = supportDataFromJson({
+      graphics: {
+        adapterDescription: 'Intel(R) UHD Graphics 630',
+        adapterDescription2: 'NVIDIA GeForce RTX 3060 Laptop GPU',
+        adapterVendorID2: '0x10de',
+        isGPU2Active: true
+      }
+    });
+
+    expect(support.gpus).toEqual([
+      { Description: 'Intel(R) UHD Graphics 630', Active: 'No' },
+      { Description: 'NVIDIA GeForce RTX 3060 Laptop GPU', 'Vendor ID': '0x10de', Active: 'Yes' }
+    ]);
+  });
+
+  test('should parse support data collected from a live page', async () => {
+    const page = { evaluate: async () => supportDataFromJson(JSON.parse(readFixture('linux-intel-mesa.json'))) };
+    const gpuData = await parseSupportPage(page);
+
+    expect(gpuData.features.WebGL).toBe('Hardware accelerated');
+    expect(gpuData.versionInfo.Browser).toBe('Firefox 131.0.2');
+  });
+
+  test('should pick the info page per engine', async () => {
+    expect(getGpuInfoSource('chromium').url).toBe('chrome://gpu');
+    expect(getGpuInfoSource('firefox').url).toBe('about:support');
+    expect(getGpuInfoSource('webkit')).toBeNull();
+    expect(await readGpuInfo({}, 'webkit')).toBeNull();
+
+    const visited = [];
+    const page = {
+      goto: async (url) => visited.push(url),
+      locator: () => ({ first: () => ({ waitFor: async () => {} }) }),
+      evaluate: async () => supportDataFromJson(JSON.parse(readFixture('linux-intel-mesa.json')))
+    };
+    const gpuData = await readGpuInfo(page, 'firefox');
+    expect(visited).toEqual(['about:support']);
+    expect(gpuData.features.Compositing).toBe('Hardware accelerated');
+  });
+});
@@ -0,0 +1,143 @@
+import { test, expect } from '@playwright/test';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseGpuHtml, parseGpuText } from '../src/chrome-gpu-parser.js';
+import { PolicyError, loadProfile } from '../src/gpu-policy.js';
+import { getLaunchArgs } from '../src/launch-flags.js';
+import {
+  evaluateFlagVerification,
+  formatFlagVerification,
+  parseCommandLine,
+  verifyLaunchFlags
+} from '../src/flag-verification.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'chrome-gpu');
+const readFixture = (name) => readFileSync(path.join(fixturesDir, name), 'utf8');
+
+const nvidia = parseGpuHtml(readFixture('linux-nvidia-vulkan.html'));
+const windows = parseGpuText(readFixture('windows-amd-d3d11.txt'));
+const fallback = parseGpuText(readFixture('linux-vulkan-fallback.txt'));
+
+const outcomes = (verification) => Object.fromEntries(verification.checks.map((entry) => [entry.flag, entry.outcome]));
+
+test.describe('Launch flag verification', () => {
+
+  test('should split command lines with quoted paths and repeated feature switches', () => {
+    const parsed = parseCommandLine('"C:\\Program Files\\Chrome\\chrome.exe" --use-angle=d3d11 --enable-features=WebGPU --enable-features=Vulkan,SkiaGraphite --user-data-dir="C:\\Temp\\profile" --headless');
+    expect(parsed.executable).toBe('C:\\Program Files\\Chrome\\chrome.exe');
+    expect(parsed.switches).toMatchObject({ 'use-angle': 'd3d11', 'user-data-dir': 'C:\\Temp\\profile', headless: true });
+    expect(parsed.enabledFeatures).toEqual(['WebGPU', 'Vulkan', 'SkiaGraphite']);
+    expect(parseCommandLine(undefined)).toEqual({ executable: null, switches: {}, enabledFeatures: [], disabledFeatures: [] });
+  });
+
+  test('should verify flags whose effect is visible on chrome://gpu', () => {
+    const verification = verifyLaunchFlags([
+      '--use-angle=d3d11',
+      '--enable-features=WebGPU',
+      '--enable-unsafe-webgpu',
+      '--ignore-gpu-blocklist',
+      '--disable-gpu-driver-bug-workarounds'
+    ], windows);
+
+    expect(outcomes(verification)).toEqual({
+      '--use-angle=d3d11': 'verified',
+      '--enable-features=WebGPU': 'verified',
+      '--enable-unsafe-webgpu': 'verified',
+      '--ignore-gpu-blocklist': 'verified',
+      // A workaround is still applied despite the flag
+      '--disable-gpu-driver-bug-workarounds': 'overridden'
+    });
+    expect(verification.commandLine).toContain('chrome.exe');
+  });
+
+  test('should report flags that never reached Chrome as missing', () => {
+    const verification = verifyLaunchFlags(getLaunchArgs('linux'), nvidia);
+    const result = outcomes(verification);
+
+    expect(result['--use-angle=vulkan']).toBe('verified');
+    expect(result['--enable-features=Vulkan']).toBe('verified');
+    expect(result['--disable-vulkan-surface']).toBe('missing');
+    expect(result['--enable-webgpu']).toBe('missing');
+    expect(verification.checks.find((entry) => entry.flag === '--disable-vulkan-surface').explanation).toBe('--disable-vulkan-surface is not on Chrome\'s command line');
+  });
+
+  test('should explain fallbacks and overrides', () => {
+    const verification = verifyLaunchFlags([
+      '--use-angle=vulkan',
+      '--enable-features=WebGPU,Vulkan',
+      '--enable-unsafe-webgpu',
+      '--disable-gpu-driver-bug-workarounds',
+      '--enable-webgpu-developer-features'
+    ], fallback);
+    const byFlag = Object.fromEntries(verification.checks.map((entry) => [entry.flag, entry]));
+
+    expect(byFlag['--use-angle=vulkan']).toMatchObject({ outcome: 'overridden', actual: 'swiftshader' });
+    expect(byFlag['--use-angle=vulkan'].explanation).toMatch(/^ANGLE fell back from vulkan to swiftshader: Vulkan initialization failed/);
+    expect(byFlag['--enable-features=Vulkan']).toMatchObject({ outcome: 'overridden', explanation: 'Vulkan is "Disabled"' });
+    expect(byFlag['--enable-unsafe-webgpu'].explanation).toContain('WebGPU is "Disabled" (Dawn: Blocklisted): WebGPU has been disabled');
+    expect(byFlag['--disable-gpu-driver-bug-workarounds'].actual).toEqual(['clear_uniforms_before_first_program_use', 'exit_on_context_lost', 'disable_discard_framebuffer']);
+    expect(byFlag['--enable-webgpu-developer-features'].outcome).toBe('present');
+  });
+
+  test('should show enabled ANGLE workarounds without failing the flags', () => {
+    // No driver bug workarounds on this machine, only ANGLE's own
+    const commandLine = `${nvidia.versionInfo['Command Line']} --disable-gpu-driver-bug-workarounds`;
+    const gpuData = { ...nvidia, versionInfo: { ...nvidia.versionInfo, 'Command Line': commandLine } };
+    const byFlag = Object.fromEntries(verifyLaunchFlags(['--use-angle=vulkan', '--disable-gpu-driver-bug-workarounds'], gpuData).checks.map((entry) => [entry.flag, entry]));
+
+    expect(gpuData.driverBugWorkarounds).toEqual([]);
+    expect(byFlag['--use-angle=vulkan']).toEqual({
+      flag: '--use-angle=vulkan',
+      outcome: 'verified',
+      actual: 'vulkan',
+      explanation: 'ANGLE workaround(s) enabled: allowCompressedFormats'
+    });
+    expect(byFlag['--disable-gpu-driver-bug-workarounds']).toEqual({
+      flag: '--disable-gpu-driver-bug-workarounds',
+      outcome: 'verified',
+      actual: [],
+      explanation: 'ANGLE workaround(s) enabled: allowCompressedFormats'
+    });
+    expect(evaluateFlagVerification(verifyLaunchFlags(['--disable-gpu-driver-bug-workarounds'], gpuData)).passed).toBe(true);
+
+    // Driver bug workarounds still decide the outcome; ANGLE's are only noted
+    const fallbackChecks = verifyLaunchFlags(['--use-angle=vulkan', '--disable-gpu-driver-bug-workarounds'], fallback).checks;
+    expect(fallbackChecks[0].explanation).toMatch(/; ANGLE workaround\(s\) enabled: allowCompressedFormats, preferCPUForBufferSubData$/);
+    expect(fallbackChecks[1]).toMatchObject({
+      outcome: 'overridden',
+      explanation: '3 driver bug workaround(s) still applied: clear_uniforms_before_first_program_use, exit_on_context_lost, disable_discard_framebuffer; ANGLE workaround(s) enabled: allowCompressedFormats, preferCPUForBufferSubData'
+    });
+
+    // Disabled workarounds and enabled non-workaround features are not listed
+    const angleFeatures = nvidia.angleFeatures.filter((feature) => feature.name !== 'allowCompressedFormats');
+    expect(verifyLaunchFlags(['--disable-gpu-driver-bug-workarounds'], { ...gpuData, angleFeatures }).checks[0]).toMatchObject({ outcome: 'verified', explanation: null });
+  });
+
+  test('should flag a switch Chrome received with a different value', () => {
+    expect(verifyLaunchFlags(['--use-angle=metal'], nvidia).checks[0]).toMatchObject({
+      outcome: 'overridden',
+      actual: '--use-angle=vulkan',
+      explanation: 'Chrome received --use-angle=vulkan instead'
+    });
+  });
+
+  test('should apply profile severities to the outcomes', () => {
+    const verification = verifyLaunchFlags(['--use-angle=vulkan', '--enable-unsafe-webgpu', '--ignore-gpu-blocklist'], fallback);
+
+    const strict = evaluateFlagVerification(verification);
+    expect(strict.passed).toBe(false);
+    expect(strict.checks.map((entry) => entry.severity)).toEqual(['error', 'error', 'error']);
+
+    const ci = evaluateFlagVerification(verification, loadProfile('ci-swiftshader').flags);
+    expect(ci.passed).toBe(false);
+    expect(ci.checks.map((entry) => [entry.outcome, entry.severity])).toEqual([['overridden', 'warn'], ['overridden', 'warn'], ['missing', 'error']]);
+
+    const relaxed = evaluateFlagVerification(verification, { missing: 'ignore', overridden: 'warn' });
+    expect(relaxed.passed).toBe(true);
+    expect(relaxed.checks).toHaveLength(2);
+    expect(formatFlagVerification(relaxed)[0]).toContain('in effect');
+
+    expect(() => evaluateFlagVerification(verification, { missing: 'maybe' })).toThrow(PolicyError);
+  });
+});
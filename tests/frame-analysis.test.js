@@ -0,0 +1,92 @@
+import { test, expect } from '@playwright/test';
+import {
+  analyzeFrame,
+  analyzeFrames,
+  compareFrames,
+  decodePng,
+  encodePng,
+  DEFAULT_FRAME_THRESHOLDS
+} from '../src/frame-analysis.js';
+
+const SIZE = 64;
+
+// Dark background with a colour gradient square whose position depends on `shift`
+function renderFrame(shift, { square = true, noise = 0 } = {}) {
+  const data = Buffer.alloc(SIZE * SIZE * 4);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const offset = (y * SIZE + x) * 4;
+      const inside = square && x >= 8 + shift && x < 40 + shift && y >= 16 && y < 48;
+      const jitter = noise && (x + y) % 2 ? noise : 0;
+      data[offset] = inside ? x * 4 : 13 + jitter;
+      data[offset + 1] = inside ? y * 4 : 13 + jitter;
+      data[offset + 2] = inside ? 200 : 26 + jitter;
+      data[offset + 3] = 255;
+    }
+  }
+  return { width: SIZE, height: SIZE, data };
+}
+
+const png = (frame) => encodePng(frame);
+
+test.describe('Canvas frame analysis', () => {
+
+  test('should round-trip frames through PNG', () => {
+    const frame = renderFrame(0);
+    const decoded = decodePng(png(frame));
+    expect(decoded.width).toBe(SIZE);
+    expect(Buffer.compare(Buffer.from(decoded.data), frame.data)).toBe(0);
+  });
+
+  test('should measure changed pixels and mean colour delta', () => {
+    expect(compareFrames(renderFrame(0), renderFrame(0))).toEqual({ changedPixels: 0, changedRatio: 0, meanDelta: 0 });
+
+    const moved = compareFrames(renderFrame(0), renderFrame(8));
+    expect(moved.changedPixels).toBeGreaterThan(0);
+    expect(moved.changedRatio).toBeCloseTo(moved.changedPixels / (SIZE * SIZE));
+    expect(moved.meanDelta).toBeGreaterThan(0);
+
+    expect(() => compareFrames(renderFrame(0), { width: 1, height: 1, data: Buffer.alloc(4) })).toThrow(/different sizes/);
+  });
+
+  test('should ignore noise below the channel tolerance', () => {
+    const noisy = compareFrames(renderFrame(0), renderFrame(0, { noise: 3 }));
+    expect(noisy.changedPixels).toBe(0);
+    expect(noisy.meanDelta).toBeGreaterThan(0);
+  });
+
+  test('should flag uniform frames as blank and low in entropy', () => {
+    const blank = analyzeFrame(renderFrame(0, { square: false }));
+    expect(blank.uniformRatio).toBe(1);
+    expect(blank.entropy).toBe(0);
+    expect(blank.distinctColours).toBe(1);
+
+    const content = analyzeFrame(renderFrame(0));
+    expect(content.uniformRatio).toBeLessThan(DEFAULT_FRAME_THRESHOLDS.maxUniformRatio);
+    expect(content.entropy).toBeGreaterThan(DEFAULT_FRAME_THRESHOLDS.minEntropy);
+  });
+
+  test('should detect animation across sampled frames and return a diff image', () => {
+    const { metrics, diffImage } = analyzeFrames([0, 0, 6, 12].map((shift) => png(renderFrame(shift))));
+
+    expect(metrics.pairs).toHaveLength(3);
+    expect(metrics.pairs[0].changedRatio).toBe(0);
+    expect(metrics.animated).toBe(true);
+    expect(metrics.hasContent).toBe(true);
+    expect(metrics.maxChangedRatio).toBeGreaterThan(metrics.meanChangedRatio);
+
+    const diff = decodePng(diffImage);
+    expect([diff.data[(32 * SIZE + 10) * 4], diff.data[(32 * SIZE + 10) * 4 + 1]]).toEqual([255, 0]);
+  });
+
+  test('should report static and blank canvases with configurable thresholds', () => {
+    const frames = [png(renderFrame(0)), png(renderFrame(1))];
+    expect(analyzeFrames(frames).metrics.animated).toBe(true);
+    expect(analyzeFrames(frames, { minChangedRatio: 0.5 }).metrics.animated).toBe(false);
+
+    const blank = analyzeFrames([0, 0].map(() => png(renderFrame(0, { square: false })))).metrics;
+    expect(blank).toMatchObject({ animated: false, hasContent: false, blankFrames: 2, lowEntropyFrames: 2 });
+
+    expect(() => analyzeFrames([png(renderFrame(0))])).toThrow(/At least two frames/);
+  });
+});
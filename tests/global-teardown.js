@@ -0,0 +1,31 @@
+// After every run, appends each project's GPU profile and benchmark numbers
+// to the run history. After a run with several projects (flag presets, other
+// engines), also prints the side-by-side comparison and saves it next to the
+// reports.
+import path from 'node:path';
+import { DEFAULT_REPORT_DIR } from '../src/gpu-report.js';
+import { comparePresets, formatComparisonMarkdown, loadProjectReports, writeComparison } from '../src/preset-comparison.js';
+import { appendHistory, createHistoryRecord } from '../src/run-history.js';
+
+export default async function globalTeardown(config) {
+  const reportDir = process.env.GPU_REPORT_DIR || DEFAULT_REPORT_DIR;
+  const { runStartedAt } = config.metadata;
+  const byProject = loadProjectReports(reportDir, { since: runStartedAt });
+  const projects = Object.keys(byProject);
+  if (projects.length === 0) return;
+
+  const records = projects.map((project) => createHistoryRecord(byProject[project], {
+    project,
+    flagPreset: config.projects.find((entry) => entry.name === project)?.metadata.flagPreset ?? null,
+    runStartedAt
+  }));
+  const historyPath = await appendHistory(records);
+  console.log(`🗂️ ${records.length} run(s) added to the history in ${historyPath}`);
+
+  if (projects.length < 2) return;
+
+  const comparison = comparePresets(byProject);
+  const filePath = await writeComparison(comparison, path.join(reportDir, 'preset-comparison.md'));
+  console.log(`\n${formatComparisonMarkdown(comparison)}`);
+  console.log(`📝 Preset comparison written to ${filePath}`);
+}
@@ -0,0 +1,113 @@
+import { test, expect } from '@playwright/test';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseGpuHtml } from '../src/chrome-gpu-parser.js';
+import { loadProfile, PolicyError } from '../src/gpu-policy.js';
+import {
+  createBaseline,
+  diffBaseline,
+  evaluateDrift,
+  formatDriftResult,
+  getBaselinePath,
+  readBaseline,
+  shouldWriteBaseline,
+  writeBaseline
+} from '../src/gpu-baseline.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'chrome-gpu');
+const gpuData = parseGpuHtml(readFileSync(path.join(fixturesDir, 'linux-nvidia-vulkan.html'), 'utf8'));
+
+// The same machine after a driver update that broke WebGPU
+function driftedSnapshot() {
+  const current = createBaseline(gpuData);
+  current.features.WebGPU = 'Disabled';
+  current.webgpuStatus = 'Blocklisted';
+  current.webgpuFeatures = current.webgpuFeatures.filter((feature) => feature !== 'shader-f16');
+  current.problems.push('WebGPU has been disabled via blocklist');
+  current.versions.driverVersion = '550.54.14';
+  return current;
+}
+
+test.describe('GPU baseline drift', () => {
+
+  test('should report no changes against an identical snapshot', () => {
+    const baseline = createBaseline(gpuData);
+    expect(baseline.angleBackend).toBe('vulkan');
+    expect(baseline.versions.driverVersion).toBe('535.171.04');
+    expect(diffBaseline(baseline, createBaseline(gpuData))).toEqual([]);
+  });
+
+  test('should categorise every change', () => {
+    const changes = diffBaseline(createBaseline(gpuData), driftedSnapshot());
+    const byKey = Object.fromEntries(changes.map((change) => [change.key, change.category]));
+
+    expect(byKey).toEqual({
+      'feature:WebGPU': 'status-downgrade',
+      'webgpu:status': 'status-downgrade',
+      'webgpu:shader-f16': 'removed-capability',
+      problem: 'new-problem',
+      'version:driverVersion': 'version-bump'
+    });
+    expect(changes.find((change) => change.key === 'version:driverVersion')).toMatchObject({ before: '535.171.04', after: '550.54.14' });
+  });
+
+  test('should detect upgrades, added capabilities and backend changes', () => {
+    const baseline = createBaseline(gpuData);
+    baseline.features['Video Encode'] = 'Disabled';
+    const current = createBaseline(gpuData);
+    current.webgpuFeatures.push('texture-compression-astc');
+    current.angleBackend = 'opengl';
+
+    const categories = diffBaseline(baseline, current).map((change) => change.category).sort();
+    expect(categories).toEqual(['added-capability', 'backend-change', 'status-upgrade']);
+  });
+
+  test('should apply profile severities and drop ignored categories', () => {
+    const changes = diffBaseline(createBaseline(gpuData), driftedSnapshot());
+
+    const defaults = evaluateDrift(changes);
+    expect(defaults.passed).toBe(false);
+    expect(defaults.changes.find((change) => change.category === 'new-problem').severity).toBe('warn');
+
+    const lab = evaluateDrift(changes, loadProfile('lab-nvidia-vulkan').drift);
+    expect(lab.changes.find((change) => change.category === 'new-problem').severity).toBe('error');
+
+    const ci = evaluateDrift(changes, loadProfile('ci-swiftshader').drift);
+    expect(ci.changes.map((change) => change.category)).not.toContain('version-bump');
+
+    const relaxed = evaluateDrift(changes, { 'status-downgrade': 'warn', 'removed-capability': 'info' });
+    expect(relaxed.passed).toBe(true);
+    expect(formatDriftResult(relaxed)[0]).toContain('0 failing');
+  });
+
+  test('should reject unknown severities with a PolicyError', () => {
+    expect(() => evaluateDrift([], { 'new-problem': 'fatal' })).toThrow(PolicyError);
+  });
+
+  test('should follow --update-snapshots when deciding to write', () => {
+    expect(shouldWriteBaseline('missing', { exists: false, changed: false })).toBe(true);
+    expect(shouldWriteBaseline('none', { exists: false, changed: false })).toBe(false);
+    expect(shouldWriteBaseline('missing', { exists: true, changed: true })).toBe(false);
+    expect(shouldWriteBaseline('changed', { exists: true, changed: true })).toBe(true);
+    expect(shouldWriteBaseline('changed', { exists: true, changed: false })).toBe(false);
+    expect(shouldWriteBaseline('all', { exists: true, changed: false })).toBe(true);
+  });
+
+  test('should round-trip a baseline through its per-machine path', async () => {
+    const dir = mkdtempSync(path.join(os.tmpdir(), 'gpu-baseline-'));
+    try {
+      const filePath = getBaselinePath('lab-nvidia-vulkan', { machine: 'lab-01', baselineDir: dir });
+      expect(filePath).toBe(path.join(dir, 'lab-01', 'lab-nvidia-vulkan.json'));
+      expect(getBaselinePath('report-only', { machine: 'lab-01', baselineDir: dir, preset: 'disable-gpu' })).toBe(path.join(dir, 'lab-01', 'report-only.disable-gpu.json'));
+      expect(readBaseline(filePath)).toBeNull();
+
+      const baseline = createBaseline(gpuData);
+      await writeBaseline(baseline, filePath);
+      expect(readBaseline(filePath)).toEqual(baseline);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
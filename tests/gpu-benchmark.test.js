@@ -0,0 +1,128 @@
+import { test, expect } from '@playwright/test';
+import {
+  DEFAULT_BENCHMARK_OPTIONS,
+  runWebGPUBenchmarks,
+  summarizeSamples,
+  summarizeBenchmarks,
+  formatBenchmarkResult,
+  formatThroughput
+} from '../src/gpu-benchmark.js';
+import { evaluatePolicy } from '../src/gpu-policy.js';
+
+function harnessRun(benchmarks) {
+  return {
+    supported: true,
+    adapter: { vendor: 'nvidia', architecture: 'ampere' },
+    timing: 'timestamp-query',
+    warmup: 3,
+    iterations: 4,
+    benchmarks
+  };
+}
+
+const saxpy = { name: 'saxpy', unit: 'GB/s', work: 0.05, samples: [0.5, 0.25, 1, 0.25], verified: true, error: null };
+const matmul = { name: 'matmul', unit: 'GFLOP/s', work: 0.268435456, samples: [2, 2.5, 3, 40], verified: false, error: null };
+const reduction = { name: 'reduction', unit: null, work: null, samples: [], verified: false, error: 'Pipeline creation failed' };
+// Faster than the 100 µs timestamp quantum: every sample reads 0
+const copy = { name: 'copy', unit: 'GB/s', work: 0.001, samples: [0, 0, 0.1, 0], verified: true, error: null };
+
+test.describe('WebGPU benchmarks', () => {
+
+  test('should pass the run options to the harness page', async () => {
+    const calls = [];
+    const page = {
+      waitForFunction: async () => calls.push('wait'),
+      evaluate: async (fn, options) => {
+        calls.push(options);
+        return harnessRun([]);
+      }
+    };
+
+    await runWebGPUBenchmarks(page);
+    await runWebGPUBenchmarks(page, { iterations: 2, only: ['saxpy'] });
+    expect(calls).toEqual([
+      'wait',
+      { ...DEFAULT_BENCHMARK_OPTIONS, only: null },
+      'wait',
+      { warmup: DEFAULT_BENCHMARK_OPTIONS.warmup, iterations: 2, only: ['saxpy'] }
+    ]);
+  });
+
+  test('should summarise samples with median and nearest-rank p95', () => {
+    expect(summarizeSamples([])).toBeNull();
+    expect(summarizeSamples([3, 1, 2])).toEqual({ runs: 3, min: 1, max: 3, mean: 2, median: 2, p95: 3 });
+
+    const stats = summarizeSamples(Array.from({ length: 20 }, (_, index) => index + 1));
+    expect(stats.median).toBe(10.5);
+    expect(stats.p95).toBe(19);
+  });
+
+  test('should derive throughput from the median time', () => {
+    const result = summarizeBenchmarks(harnessRun([saxpy, reduction]));
+
+    expect(result.timing).toBe('timestamp-query');
+    expect(result.benchmarks[0].stats).toMatchObject({ runs: 4, median: 0.375, p95: 1 });
+    expect(result.benchmarks[0].throughput).toBeCloseTo(0.05 / 0.000375, 6);
+    expect(result.benchmarks[1]).toMatchObject({ stats: null, throughput: null, error: 'Pipeline creation failed' });
+  });
+
+  test('should check results against the profile thresholds', () => {
+    const benchmarks = summarizeBenchmarks(harnessRun([saxpy, matmul, reduction]));
+    const profile = {
+      name: 'bench',
+      benchmarks: {
+        thresholds: {
+          saxpy: { minThroughput: 100, maxMedianMs: 1 },
+          matmul: { maxP95Ms: 5 },
+          reduction: { minThroughput: 1 },
+          textureSample: { minThroughput: 1 }
+        }
+      }
+    };
+    const result = evaluatePolicy(profile, { gpuData: {}, benchmarks }, { checks: ['benchmarks'] });
+
+    expect(result.violations.map((violation) => violation.message)).toEqual([
+      'Benchmark matmul produced a wrong result',
+      'matmul p95 is 40.000 ms, expected at most 5 ms',
+      'Benchmark reduction did not run: Pipeline creation failed',
+      'Benchmark textureSample did not run: no result'
+    ]);
+    expect(evaluatePolicy(profile, { gpuData: {} }, { checks: ['benchmarks'] }).violations).toEqual([]);
+  });
+
+  test('should fail every threshold when WebGPU is unavailable', () => {
+    const benchmarks = summarizeBenchmarks({ supported: false, error: 'navigator.gpu is not available', timing: null, warmup: 3, iterations: 10, benchmarks: [] });
+    const profile = { name: 'bench', benchmarks: { thresholds: { saxpy: { minThroughput: 1 } } } };
+
+    expect(evaluatePolicy(profile, { gpuData: {}, benchmarks }, { checks: ['benchmarks'] }).violations).toEqual([
+      expect.objectContaining({ benchmark: 'saxpy', message: 'Benchmark saxpy did not run: navigator.gpu is not available' })
+    ]);
+    expect(formatBenchmarkResult(benchmarks)).toEqual(['⏱️  WebGPU benchmarks: ❌ navigator.gpu is not available']);
+  });
+
+  test('should not fail on a median below the timer resolution', () => {
+    const benchmarks = summarizeBenchmarks(harnessRun([copy, { ...copy, name: 'uncounted', work: null }]));
+    const profile = { name: 'bench', benchmarks: { thresholds: { copy: { minThroughput: 10 }, uncounted: { minThroughput: 10 } } } };
+
+    expect(benchmarks.benchmarks[0]).toMatchObject({ stats: { median: 0 }, throughput: null });
+    expect(formatThroughput(benchmarks.benchmarks[0])).toBe('below timer resolution');
+    expect(formatThroughput(benchmarks.benchmarks[1])).toBe('n/a');
+    expect(evaluatePolicy(profile, { gpuData: {}, benchmarks }, { checks: ['benchmarks'] }).violations).toEqual([
+      expect.objectContaining({ benchmark: 'copy', actual: null, message: 'copy throughput is below timer resolution, expected at least 10' }),
+      expect.objectContaining({ benchmark: 'uncounted', actual: null, message: 'uncounted throughput is n/a, expected at least 10' })
+    ]);
+    expect(formatBenchmarkResult(benchmarks).slice(1)).toEqual([
+      '   ✅ copy: below timer resolution, median 0.000 ms, p95 0.100 ms',
+      '   ✅ uncounted: n/a, median 0.000 ms, p95 0.100 ms'
+    ]);
+  });
+
+  test('should render one line per benchmark', () => {
+    expect(formatBenchmarkResult(summarizeBenchmarks(harnessRun([saxpy, matmul, reduction])))).toEqual([
+      '⏱️  WebGPU benchmarks (timestamp-query, 3 warmup + 4 runs):',
+      '   ✅ saxpy: 133.33 GB/s, median 0.375 ms, p95 1.000 ms',
+      '   ❌ matmul: 97.61 GFLOP/s, median 2.750 ms, p95 40.000 ms (wrong result)',
+      '   ❌ reduction: Pipeline creation failed'
+    ]);
+  });
+});
@@ -1,215 +1,61 @@
-import { test, expect } from '@playwright/test';
+import { test, expect } from './gpu-test.js';
+import { createEmptyGpuData, getAccelerationStatus } from '../src/chrome-gpu-parser.js';
+import { classifyGpuIssues, formatGpuIssues } from '../src/known-issues.js';
+import { collectGpuInfo, formatSourceDisagreements, getGpuInfoSource } from '../src/gpu-info-sources.js';
+import { HARNESS_ORIGIN, openHarnessPage, routeHarness } from '../src/harness-server.js';
+import { runWebGPUProbe, compareWithDawnInfo } from '../src/webgpu-probe.js';
+import { runWebGLProbe } from '../src/webgl-probe.js';
+import { DEFAULT_ROUND_TRIP, runMediaProbe, buildCodecMatrix, compareWithVideoAcceleration, formatMediaResult } from '../src/media-probe.js';
+import { DEFAULT_FRAME_THRESHOLDS, analyzeFrames, captureFrames } from '../src/frame-analysis.js';
+import { evaluateGpuErrors, formatGpuErrorResult } from '../src/gpu-errors.js';
+import { DEFAULT_BENCHMARK_OPTIONS, runWebGPUBenchmarks, summarizeBenchmarks, formatBenchmarkResult } from '../src/gpu-benchmark.js';
+import { evaluatePolicy, formatPolicyResult } from '../src/gpu-policy.js';
+import { verifyLaunchFlags, evaluateFlagVerification, formatFlagVerification } from '../src/flag-verification.js';
+import { DEFAULT_LIMIT_BUDGET_MS, runLimitVerification, evaluateLimitVerification, formatLimitVerification } from '../src/limit-verification.js';
+import { runWgslConformance, formatWgslConformance } from '../src/wgsl-conformance.js';
+import { runRenderingTier, formatRenderingTier } from '../src/rendering-tier.js';
+import { redactPage, redactText } from '../src/redaction.js';
+import { runWorkerProbe, compareWorkerScopes, formatWorkerProbe } from '../src/worker-probe.js';
+import { summarizeGpuData } from '../src/gpu-report.js';
+import {
+  getBaselinePath,
+  readBaseline,
+  createBaseline,
+  diffBaseline,
+  evaluateDrift,
+  formatDriftResult,
+  shouldWriteBaseline,
+  writeBaseline
+} from '../src/gpu-baseline.js';
 
 test.describe('Comprehensive GPU Testing Suite', () => {
   
-  test('should extract comprehensive GPU information from chrome://gpu', async ({ page }) => {
-    console.log('🔍 Extracting comprehensive GPU information from chrome://gpu...');
-    
-    // Navigate and wait for page to be ready using proper Playwright practices
-    await page.goto('chrome://gpu');
-    await page.waitForLoadState('networkidle');
-    
-    // Wait for the visible GPU info to be populated (avoiding hidden duplicates)
-    await page.locator('h3').filter({ hasText: 'Graphics Feature Status' }).first().waitFor({ timeout: 10000 });
-    
-    console.log('✅ Successfully accessed chrome://gpu');
-    
-    // Comprehensive GPU data structure
-    const gpuData = {
-      graphicsFeatures: [],
-      versionInfo: {},
-      driverInfo: {},
-      dawnInfo: {},
-      problems: [],
-      status: {},
-      capabilities: [],
-      backends: []
-    };
-    
-    // 1. Extract Graphics Feature Status using Playwright best practices
-    try {
-      const featureStatusSection = page.locator('h3').filter({ hasText: 'Graphics Feature Status' }).and(page.locator(':visible')).locator('..').first();
-      const featureTexts = await featureStatusSection.locator('ul li').allTextContents();
-      
-      for (const featureText of featureTexts) {
-        if (featureText?.trim()) {
-          const cleanText = featureText.trim();
-          gpuData.graphicsFeatures.push(cleanText);
-          
-          // Parse specific features
-          if (cleanText.includes('WebGPU:')) {
-            if (cleanText.includes('Hardware accelerated')) {
-              gpuData.status.webgpu = 'Hardware accelerated';
-            } else if (cleanText.includes('Software only')) {
-              gpuData.status.webgpu = 'Software only';
-            } else if (cleanText.includes('Disabled')) {
-              gpuData.status.webgpu = 'Disabled';
-            }
-          }
-          
-          if (cleanText.includes('Hardware accelerated')) {
-            gpuData.status.hardwareAccelerated = true;
-          }
-          
-          // Detect graphics backend
-          if (cleanText.includes('Metal')) gpuData.status.graphicsBackend = 'Metal';
-          else if (cleanText.includes('Vulkan')) gpuData.status.graphicsBackend = 'Vulkan';
-          else if (cleanText.includes('OpenGL')) gpuData.status.graphicsBackend = 'OpenGL';
-          else if (cleanText.includes('DirectX')) gpuData.status.graphicsBackend = 'DirectX';
-          else if (cleanText.includes('ANGLE')) gpuData.status.graphicsBackend = 'ANGLE';
-        }
-      }
-    } catch (error) {
-      console.log('⚠️  Could not extract Graphics Feature Status:', error.message);
-    }
-    
-    // 2. Extract Version Information using best practices
-    try {
-      const versionSection = page.locator('h3').filter({ hasText: 'Version Information' }).locator('..').first();
-      const versionRows = await versionSection.locator('table.info-table tr').all();
-      
-      for (const row of versionRows) {
-        const cells = await row.locator('td').allTextContents();
-        if (cells.length >= 2 && cells[0]?.trim() && cells[1]?.trim()) {
-          const cleanKey = cells[0].trim();
-          const cleanValue = cells[1].trim();
-          gpuData.versionInfo[cleanKey] = cleanValue;
-        }
-      }
-    } catch (error) {
-      console.log('⚠️  Could not extract Version Information:', error.message);
-    }
-    
-    // 3. Extract Driver Information using best practices
-    try {
-      const driverSection = page.locator('h3').filter({ hasText: 'Driver Information' }).locator('..').first();
-      const driverRows = await driverSection.locator('table.info-table tr').all();
-      
-      for (const row of driverRows) {
-        const cells = await row.locator('td').allTextContents();
-        if (cells.length >= 2 && cells[0]?.trim() && cells[1]?.trim()) {
-          const cleanKey = cells[0].trim();
-          const cleanValue = cells[1].trim();
-          
-          // Parse specific driver info
-          if (cleanKey.includes('Skia Backend')) {
-            gpuData.status.skiaBackend = cleanValue;
-          }
-          if (cleanKey.includes('Display type')) {
-            gpuData.status.displayType = cleanValue;
-          }
-          if (cleanKey.includes('GL implementation parts')) {
-            gpuData.status.glImplementation = cleanValue;
-          }
-          if (cleanKey.includes('ANGLE commit id')) {
-            gpuData.status.angleCommit = cleanValue;
-          }
-          
-          // Check for specific backends (avoid duplicates)
-          const backendChecks = [
-            { name: 'Metal', check: cleanValue.includes('Metal') },
-            { name: 'Vulkan', check: cleanValue.includes('Vulkan') },
-            { name: 'OpenGL', check: cleanValue.includes('OpenGL') },
-            { name: 'DirectX', check: cleanValue.includes('DirectX') },
-            { name: 'ANGLE', check: cleanValue.includes('ANGLE') }
-          ];
-          
-          for (const backend of backendChecks) {
-            if (backend.check && !gpuData.backends.includes(backend.name)) {
-              gpuData.backends.push(backend.name);
-            }
-          }
-        }
-      }
-    } catch (error) {
-      console.log('⚠️  Could not extract Driver Information:', error.message);
-    }
-    
-    // 4. Extract Dawn Info (WebGPU specific) using best practices
-    try {
-      const dawnSection = page.locator('h3').filter({ hasText: 'Dawn Info' }).locator('..').first();
-      
-      // Look for WebGPU Status
-      const webgpuStatusItems = await dawnSection.locator('h4').filter({ hasText: '[WebGPU Status]' }).locator('..').locator('li').allTextContents();
-      if (webgpuStatusItems.length > 0) {
-        const status = webgpuStatusItems[0]?.trim();
-        if (status) {
-          gpuData.dawnInfo.webgpuStatus = status;
-          if (status === 'Available') {
-            gpuData.status.webgpuAvailable = true;
-          }
-        }
-      }
-      
-      // Look for Adapter Supported Features
-      const supportedFeatures = await dawnSection.locator('h4').filter({ hasText: '[Adapter Supported Features]' }).locator('..').locator('li').allTextContents();
-      for (const feature of supportedFeatures) {
-        if (feature?.trim()) {
-          gpuData.capabilities.push(feature.trim());
-        }
-      }
-    } catch (error) {
-      console.log('⚠️  Could not extract Dawn Info:', error.message);
-    }
+  test('should extract comprehensive GPU information from chrome://gpu', async ({ page, browserName, gpuReport, policyProfile }, testInfo) => {
+    // chrome://gpu in Chromium, about:support in Firefox; WebKit has no such page
+    const source = getGpuInfoSource(browserName);
+    test.skip(!source, `${browserName} has no GPU info page`);
+    console.log(`🔍 Extracting comprehensive GPU information from ${source.url}...`);
     
-    // 5. Extract Problems Detected using best practices
-    try {
-      const problemsSection = page.locator('h3').filter({ hasText: 'Problems Detected' }).locator('..').first();
-      const problemTexts = await problemsSection.locator('ul li').allTextContents();
-      
-      for (const problemText of problemTexts) {
-        if (problemText?.trim()) {
-          gpuData.problems.push(problemText.trim());
-        }
-      }
-    } catch (error) {
-      console.log('⚠️  Could not extract Problems Detected:', error.message);
-    }
+    // Parse the live page and, in Chromium, cross-check it against CDP SystemInfo
+    const { gpuData, disagreements, featureStates, errors } = await collectGpuInfo(page, browserName);
+    gpuReport.gpuSources = { disagreements, featureStates, errors };
+    Object.entries(errors).forEach(([name, message]) => console.log(`⚠️  ${name} GPU info unavailable: ${message}`));
+    formatSourceDisagreements(disagreements).forEach(line => console.log(line));
     
-    // 6. Extract ANGLE Features using best practices
-    try {
-      const angleSection = page.locator('h3').filter({ hasText: 'ANGLE Features' }).locator('..').first();
-      const angleTexts = await angleSection.locator('ul li').allTextContents();
-      
-      for (const angleText of angleTexts) {
-        if (angleText?.trim()) {
-          const cleanText = angleText.trim();
-          
-          // Check for specific ANGLE features
-          const backendMatches = cleanText.match(/(Metal|Vulkan|OpenGL|DirectX)/g);
-          if (backendMatches) {
-            for (const backend of backendMatches) {
-              if (!gpuData.backends.includes(backend)) {
-                gpuData.backends.push(backend);
-              }
-            }
-          }
-        }
-      }
-    } catch (error) {
-      console.log('⚠️  Could not extract ANGLE Features:', error.message);
-    }
+    console.log(`✅ Successfully collected GPU information (${Object.keys(errors).length ? 'partial' : 'all sources'})`);
     
-    // Take a comprehensive screenshot
-    await page.screenshot({ path: 'comprehensive-gpu-info.png', fullPage: true });
-    console.log('📸 Screenshot saved as comprehensive-gpu-info.png');
+    // Take a comprehensive screenshot; the GPU reporter embeds it in the dashboard,
+    // so paths and identifiers on the page are redacted first
+    const screenshotPath = testInfo.outputPath('comprehensive-gpu-info.png');
+    await redactPage(page);
+    await page.screenshot({ path: screenshotPath, fullPage: true });
+    await testInfo.attach('comprehensive-gpu-info.png', { path: screenshotPath, contentType: 'image/png' });
+    console.log(`📸 Screenshot saved as ${screenshotPath}`);
     
     // Build comprehensive summary
-    const summary = {
-      webgpuStatus: gpuData.status.webgpu || 'Not detected',
-      hardwareAccelerated: gpuData.status.hardwareAccelerated ? 'Yes' : 'No',
-      graphicsBackend: gpuData.status.graphicsBackend || 'Unknown',
-      skiaBackend: gpuData.status.skiaBackend || 'Unknown',
-      displayType: gpuData.status.displayType || 'Unknown',
-      webgpuAvailable: gpuData.status.webgpuAvailable ? 'Yes' : 'No',
-      totalFeatures: gpuData.graphicsFeatures.length,
-      totalProblems: gpuData.problems.length,
-      totalCapabilities: gpuData.capabilities.length,
-      totalBackends: gpuData.backends.length,
-      chromeVersion: gpuData.versionInfo['Chrome version'] || 'Unknown',
-      osInfo: gpuData.versionInfo['Operating system'] || 'Unknown',
-      commandLine: gpuData.versionInfo['Command Line'] || 'Unknown'
-    };
+    const summary = summarizeGpuData(gpuData);
+    gpuReport.gpu = gpuData;
+    gpuReport.summary = summary;
     
     // Print comprehensive summary
     console.log('🎯 **Comprehensive GPU Status Summary**');
@@ -226,7 +72,7 @@ test.describe('Comprehensive GPU Testing Suite', () => {
     console.log(`🎭 Total Backends: ${summary.totalBackends}`);
     console.log(`🌐 Chrome Version: ${summary.chromeVersion}`);
     console.log(`💻 OS: ${summary.osInfo}`);
-    console.log(`⚙️  Command Line: ${summary.commandLine.substring(0, 100)}...`);
+    console.log(`⚙️  Command Line: ${redactText(summary.commandLine).substring(0, 100)}...`);
     
     // Show key graphics features
     if (gpuData.graphicsFeatures.length > 0) {
@@ -258,25 +104,55 @@ test.describe('Comprehensive GPU Testing Suite', () => {
       console.log(`\n🎭 **Detected Graphics Backends:** ${gpuData.backends.join(', ')}`);
     }
     
+    // Explain Problems Detected and workarounds with the known-issue database
+    const issues = classifyGpuIssues(gpuData);
+    gpuReport.issues = issues;
+    console.log('');
+    formatGpuIssues(issues).forEach(line => console.log(line));
+    
     // Basic expectations with proper Playwright assertions
-    await expect(page.locator('h3').filter({ hasText: 'Graphics Feature Status' }).first()).toBeVisible();
     expect(gpuData.graphicsFeatures.length).toBeGreaterThan(0);
-    expect(gpuData.status.hardwareAccelerated).toBe(true);
-    expect(gpuData.status.graphicsBackend).toBeTruthy();
+    
+    // Evaluate the selected expectation profile and report every violation at once
+    const policyResult = evaluatePolicy(policyProfile, { gpuData });
+    gpuReport.policy = policyResult;
+    console.log('');
+    formatPolicyResult(policyResult).forEach(line => console.log(line));
+    expect(policyResult.violations.map(violation => violation.message)).toEqual([]);
     
     console.log('✅ All GPU information extracted successfully!');
   });
   
-  test('should test WebGPU rendering functionality', async ({ page }) => {
+  test('should apply the configured launch flags', async ({ page, browserName, gpuReport, policyProfile, launchOptions }) => {
+    test.skip(browserName !== 'chromium', 'Launch flags are Chromium switches');
+    console.log('🚩 Verifying that the launch flags took effect...');
+    
+    const { gpuData } = await collectGpuInfo(page, browserName);
+    gpuReport.gpu = gpuData;
+    
+    // Compare the requested flags with Chrome's command line and what chrome://gpu reports
+    const flagResult = evaluateFlagVerification(verifyLaunchFlags(launchOptions.args || [], gpuData), policyProfile.flags);
+    gpuReport.flags = flagResult;
+    
+    console.log(`⚙️  Command Line: ${redactText(flagResult.commandLine) || 'not reported'}`);
+    formatFlagVerification(flagResult).forEach(line => console.log(redactText(line)));
+    
+    expect(flagResult.commandLine, 'chrome://gpu should report the command line').not.toBeNull();
+    expect(flagResult.checks.filter(entry => entry.severity === 'error').map(entry => `${entry.flag}: ${entry.explanation}`)).toEqual([]);
+    
+    console.log('✅ Launch flag verification completed!');
+  });
+  
+  test('should test WebGPU rendering functionality', async ({ page, gpuReport, policyProfile, gpuErrors }, testInfo) => {
     console.log('🚀 Testing WebGPU rendering functionality...');
     
     try {
-      // Navigate to a real WebGPU application
-      console.log('🌐 Navigating to WebGPU water example...');
-      await page.goto('https://wgpu.rs/examples/?backend=webgpu&example=water');
+      // Navigate to the self-hosted render harness (served via page.route, no network)
+      console.log('🌐 Opening local WebGPU render harness...');
+      await openHarnessPage(page, 'webgpu-render.html');
       
-      // Wait for the page to load and rendering to start
-      await page.waitForLoadState('networkidle');
+      // Wait for the harness to either start rendering or report that WebGPU is missing
+      await expect(page.locator('body')).not.toHaveAttribute('data-status', 'loading', { timeout: 15000 });
       
       // Wait for the canvas to be available and visible
       const canvas = page.locator('canvas');
@@ -305,55 +181,20 @@ test.describe('Comprehensive GPU Testing Suite', () => {
       console.log(`   Dimensions: ${canvasInfo.width} x ${canvasInfo.height}`);
       console.log(`   WebGPU Context: ${canvasInfo.hasWebGPUContext ? '✅ Available' : '❌ Not Available'}`);
       
-      // Test WebGL and 2D contexts on separate canvas elements (not the one used by WebGPU)
-      const contextAvailability = await page.evaluate(() => {
-        // Create separate test canvases
-        const webglCanvas = document.createElement('canvas');
-        const canvas2d = document.createElement('canvas');
-        
-        // Set reasonable dimensions
-        webglCanvas.width = 100;
-        webglCanvas.height = 100;
-        canvas2d.width = 100;
-        canvas2d.height = 100;
-        
-        return {
-          hasWebGL: !!webglCanvas.getContext('webgl'),
-          has2D: !!canvas2d.getContext('2d'),
-          webglVendor: null,
-          webglRenderer: null
-        };
-      });
-      
-      // Get WebGL details if available
-      if (contextAvailability.hasWebGL) {
-        const webglDetails = await page.evaluate(() => {
-          const testCanvas = document.createElement('canvas');
-          testCanvas.width = 100;
-          testCanvas.height = 100;
-          const gl = testCanvas.getContext('webgl');
-          
-          if (!gl) return null;
-          
-          const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
-          
-          return {
-            vendor: gl.getParameter(gl.VENDOR),
-            renderer: gl.getParameter(gl.RENDERER),
-            version: gl.getParameter(gl.VERSION),
-            maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
-            extensions: gl.getSupportedExtensions().length
-          };
-        });
-        
-        if (webglDetails) {
-          contextAvailability.webglVendor = webglDetails.vendor;
-          contextAvailability.webglRenderer = webglDetails.renderer;
-        }
-      }
+      // Test WebGL and 2D contexts on separate canvas elements (not the one used by WebGPU);
+      // the WebGL probe releases its contexts when done
+      const webglProfile = await runWebGLProbe(page);
+      const { webgl1 } = webglProfile;
+      const contextAvailability = {
+        hasWebGL: webgl1.available,
+        has2D: await page.evaluate(() => !!document.createElement('canvas').getContext('2d')),
+        webglVendor: webgl1.available ? webgl1.unmaskedVendor || webgl1.vendor : null,
+        webglRenderer: webgl1.available ? webgl1.unmaskedRenderer || webgl1.renderer : null
+      };
       
       console.log('🔧 **Context Availability (Separate Test):**');
       console.log(`   WebGL Context: ${contextAvailability.hasWebGL ? '✅ Available' : '❌ Not Available'}`);
+      console.log(`   WebGL2 Context: ${webglProfile.webgl2.available ? '✅ Available' : '❌ Not Available'}`);
       console.log(`   2D Context: ${contextAvailability.has2D ? '✅ Available' : '❌ Not Available'}`);
       
       if (contextAvailability.hasWebGL && contextAvailability.webglVendor) {
@@ -362,94 +203,103 @@ test.describe('Comprehensive GPU Testing Suite', () => {
         console.log(`   Renderer: ${contextAvailability.webglRenderer}`);
       }
       
-      // Take screenshot of the canvas
-      console.log('📸 Taking canvas screenshot...');
-      const canvasScreenshot = await canvas.screenshot();
-      
-      // Check if the screenshot has meaningful content (not just blank/white)
-      const screenshotSize = canvasScreenshot.length;
-      console.log(`📊 Screenshot size: ${screenshotSize} bytes`);
+      for (const [name, profile] of Object.entries(webglProfile)) {
+        if (!profile.available) continue;
+        console.log(`📐 **${name.toUpperCase()} Profile:** ${profile.version}`);
+        console.log(`   Max Texture Size: ${profile.limits.MAX_TEXTURE_SIZE}`);
+        console.log(`   Max Renderbuffer Size: ${profile.limits.MAX_RENDERBUFFER_SIZE}`);
+        console.log(`   Max Samples: ${profile.msaa.maxSamples ?? profile.msaa.samples}`);
+        console.log(`   Extensions: ${profile.extensions.length}`);
+      }
       
-      // Basic validation: screenshot should be substantial
-      expect(screenshotSize).toBeGreaterThan(1000);
-      console.log('✅ Screenshot size validation passed');
+      gpuReport.webgl = webglProfile;
       
-      // Check if the canvas is actually rendering (not just a static image)
-      // Wait a bit more and take another screenshot to see if it's animated
-      await page.waitForTimeout(2000);
-      const secondScreenshot = await canvas.screenshot();
+      // Sample frames and compare the decoded pixels
+      const { allowBlank = false, ...renderingThresholds } = policyProfile.rendering || {};
+      const frameThresholds = { ...DEFAULT_FRAME_THRESHOLDS, ...renderingThresholds };
+      console.log(`📸 Sampling ${frameThresholds.frames} canvas frames every ${frameThresholds.intervalMs}ms...`);
+      const screenshots = await captureFrames(canvas, frameThresholds);
+      const { metrics: frameMetrics, diffImage } = analyzeFrames(screenshots, frameThresholds);
+      await testInfo.attach('canvas-frame-diff.png', { body: diffImage, contentType: 'image/png' });
       
-      // Compare screenshots to see if there's animation/rendering happening
-      const screenshotsIdentical = Buffer.compare(canvasScreenshot, secondScreenshot) === 0;
-      console.log(`🔄 Screenshots identical: ${screenshotsIdentical ? '❌ Static (no rendering)' : '✅ Dynamic (rendering detected)'}`);
+      console.log('🖼️  **Frame Analysis:**');
+      frameMetrics.frames.forEach((frame, index) => {
+        console.log(`   Frame ${index}: ${frame.distinctColours} colours, ${(frame.uniformRatio * 100).toFixed(1)}% dominant, entropy ${frame.entropy.toFixed(2)} bits`);
+      });
+      console.log(`   Changed pixels: max ${(frameMetrics.maxChangedRatio * 100).toFixed(2)}%, mean ${(frameMetrics.meanChangedRatio * 100).toFixed(2)}%`);
+      console.log(`   Mean colour delta: ${frameMetrics.meanColourDelta.toFixed(2)}`);
+      console.log(`🔄 Animation: ${frameMetrics.animated ? '✅ Dynamic (rendering detected)' : '❌ Static (no rendering)'}`);
       
-      // If screenshots are identical, the canvas might not be actively rendering
-      if (screenshotsIdentical) {
-        console.log('⚠️  Canvas appears to be static - WebGPU might not be actively rendering');
-      } else {
-        console.log('✅ Canvas is actively rendering - WebGPU is working!');
+      if (!frameMetrics.hasContent) {
+        console.log(`⚠️  ${frameMetrics.blankFrames} blank and ${frameMetrics.lowEntropyFrames} low-entropy frame(s) captured`);
       }
       
-      // Check for any WebGPU-related errors in the console
-      const consoleErrors = [];
-      page.on('console', msg => {
-        if (msg.type() === 'error') {
-          consoleErrors.push(msg.text());
-        }
-      });
-      
-      // Wait a bit more to catch any delayed errors
-      await page.waitForTimeout(2000);
+      // Render the deterministic scenes and compare read-back pixels
+      const sceneResults = await page.evaluate(() => window.webgpuHarness.runScenes());
       
-      if (consoleErrors.length > 0) {
-        console.log('⚠️  **Console Errors Detected:**');
-        consoleErrors.forEach(error => {
-          if (error.includes('WebGPU') || error.includes('wgpu') || error.includes('GPU')) {
-            console.log(`   🚨 ${error}`);
+      console.log('🧪 **Deterministic Scene Results:**');
+      if (!sceneResults.supported) {
+        console.log(`   ⚠️  Scenes skipped: ${sceneResults.error}`);
+      } else {
+        console.log(`   Adapter: ${sceneResults.adapter.vendor || 'unknown'} ${sceneResults.adapter.architecture || ''}`.trimEnd());
+        sceneResults.scenes.forEach(scene => {
+          console.log(`   ${scene.passed ? '✅' : '❌'} ${scene.name} (${scene.samples.length} samples)`);
+          if (scene.error) {
+            console.log(`      🚨 ${scene.error}`);
           }
+          scene.mismatches.forEach(mismatch => {
+            const where = mismatch.index !== undefined ? `[${mismatch.index}]` : `(${mismatch.x}, ${mismatch.y})`;
+            console.log(`      ${where} expected ${JSON.stringify(mismatch.expected)}, got ${JSON.stringify(mismatch.actual)}`);
+          });
         });
-      } else {
-        console.log('✅ No WebGPU-related console errors detected');
       }
       
-      // Check if the page shows WebGPU backend information
-      const backendInfo = await page.evaluate(() => {
-        // Look for any text indicating WebGPU backend
-        const bodyText = document.body.textContent || '';
-        const webgpuIndicators = [
-          bodyText.includes('WebGPU'),
-          bodyText.includes('wgpu'),
-          bodyText.includes('Dawn'),
-          bodyText.includes('GPU')
-        ];
-        
-        return {
-          hasWebGPUText: webgpuIndicators.some(Boolean),
-          indicators: webgpuIndicators
-        };
-      });
-      
-      console.log('🔍 **Page Content Analysis:**');
-      console.log(`   WebGPU-related text found: ${backendInfo.hasWebGPUText ? '✅ Yes' : '❌ No'}`);
+      // Errors collected since before navigation, including those raised by the scenes
+      const errorResult = evaluateGpuErrors(gpuErrors.errors, policyProfile.errors);
+      formatGpuErrorResult(errorResult).forEach(line => console.log(line));
+      gpuReport.errors = errorResult;
       
       // Final WebGPU availability assessment
-      const webgpuWorking = canvasInfo.hasWebGPUContext && !screenshotsIdentical && screenshotSize > 1000;
+      const scenesPassed = sceneResults.supported && sceneResults.passed;
+      const webgpuWorking = canvasInfo.hasWebGPUContext && frameMetrics.animated && frameMetrics.hasContent && scenesPassed;
       
       console.log('\n🎯 **WebGPU Rendering Assessment:**');
       console.log('=====================================');
       console.log(`🚀 WebGPU Context: ${canvasInfo.hasWebGPUContext ? '✅ Available' : '❌ Not Available'}`);
-      console.log(`🎨 Active Rendering: ${!screenshotsIdentical ? '✅ Detected' : '❌ Not Detected'}`);
-      console.log(`📊 Content Quality: ${screenshotSize > 1000 ? '✅ Good' : '❌ Poor'}`);
+      console.log(`🎨 Active Rendering: ${frameMetrics.animated ? '✅ Detected' : '❌ Not Detected'}`);
+      console.log(`📊 Content Quality: ${frameMetrics.hasContent ? '✅ Good' : '❌ Blank or Uniform'}`);
+      console.log(`🧪 Scene Read-back: ${scenesPassed ? '✅ Exact' : '❌ Mismatch or Unsupported'}`);
       console.log(`🔍 Overall Status: ${webgpuWorking ? '✅ WebGPU is Working!' : '❌ WebGPU Not Working'}`);
       
+      gpuReport.rendering = {
+        verdict: webgpuWorking,
+        canvas: canvasInfo,
+        contexts: contextAvailability,
+        activeRendering: frameMetrics.animated,
+        frames: frameMetrics,
+        scenes: sceneResults
+      };
+      
       // Expectations
       expect(canvasInfo.exists).toBe(true);
       expect(canvasInfo.width).toBeGreaterThan(0);
       expect(canvasInfo.height).toBeGreaterThan(0);
-      expect(screenshotSize).toBeGreaterThan(1000);
+      if (webgl1.available) {
+        expect(webgl1.limits.MAX_TEXTURE_SIZE).toBeGreaterThan(0);
+      }
+      expect(errorResult.errors.filter(entry => entry.severity === 'error').map(entry => `[${entry.category}] ${entry.message}`)).toEqual([]);
+      
+      // Only profiles for runs that draw nothing (no WebGPU) may leave the canvas blank
+      if (!allowBlank) {
+        expect(frameMetrics.hasContent, 'canvas frames should not be blank or uniform').toBe(true);
+      }
       
       // If WebGPU context is available, it should be working
       if (canvasInfo.hasWebGPUContext) {
+        for (const scene of sceneResults.scenes) {
+          expect(scene.mismatches, `${scene.name} read-back mismatches`).toEqual([]);
+          expect(scene.error, `${scene.name} error`).toBeNull();
+        }
         expect(webgpuWorking).toBe(true);
       }
       
@@ -460,8 +310,10 @@ test.describe('Comprehensive GPU Testing Suite', () => {
       
       // Take a screenshot of the failed state for debugging
       try {
-        await page.screenshot({ path: 'webgpu-test-failure.png', fullPage: true });
-        console.log('📸 Failure screenshot saved as webgpu-test-failure.png');
+        const failurePath = testInfo.outputPath('webgpu-test-failure.png');
+        await page.screenshot({ path: failurePath, fullPage: true });
+        await testInfo.attach('webgpu-test-failure.png', { path: failurePath, contentType: 'image/png' });
+        console.log(`📸 Failure screenshot saved as ${failurePath}`);
       } catch (screenshotError) {
         console.log('⚠️  Could not save failure screenshot:', screenshotError.message);
       }
@@ -470,85 +322,207 @@ test.describe('Comprehensive GPU Testing Suite', () => {
     }
   });
   
-  test('should verify GPU acceleration and performance', async ({ page }) => {
-    console.log('⚡ Verifying GPU acceleration and performance...');
+  test('should cross-check live WebGPU adapters against Dawn Info', async ({ page, browserName, gpuReport, policyProfile }) => {
+    console.log('🔌 Probing navigator.gpu adapters...');
     
-    // Navigate to chrome://gpu for acceleration status
-    await page.goto('chrome://gpu');
-    await page.waitForLoadState('networkidle');
-    
-    // Wait for GPU info to load (avoiding hidden duplicates)
-    await page.locator('h3').filter({ hasText: 'Graphics Feature Status' }).first().waitFor({ timeout: 10000 });
-    
-    // Extract acceleration status using best practices
-    const accelerationStatus = {
-      hardwareAccelerated: false,
-      softwareOnly: false,
-      rasterization: false,
-      canvas: false,
-      webgl: false,
-      videoDecode: false,
-      videoEncode: false,
-      compositing: false,
-      backend: null
-    };
-    
-    // Extract Graphics Feature Status
-    try {
-      const featureStatusSection = page.locator('h3').filter({ hasText: 'Graphics Feature Status' }).and(page.locator(':visible')).locator('..').first();
-      const featureTexts = await featureStatusSection.locator('ul li').allTextContents();
-      
-      for (const featureText of featureTexts) {
-        if (featureText?.trim()) {
-          const cleanText = featureText.trim();
-          
-          // Check for hardware acceleration indicators
-          if (cleanText.includes('Hardware accelerated')) {
-            accelerationStatus.hardwareAccelerated = true;
-          }
-          if (cleanText.includes('Software only')) {
-            accelerationStatus.softwareOnly = true;
-          }
-          if (cleanText.includes('Rasterization') && cleanText.includes('Hardware accelerated')) {
-            accelerationStatus.rasterization = true;
-          }
-          if (cleanText.includes('Canvas') && cleanText.includes('Hardware accelerated')) {
-            accelerationStatus.canvas = true;
-          }
-          if (cleanText.includes('WebGL') && cleanText.includes('Hardware accelerated')) {
-            accelerationStatus.webgl = true;
-          }
-          if (cleanText.includes('Video Decode') && cleanText.includes('Hardware accelerated')) {
-            accelerationStatus.videoDecode = true;
-          }
-          if (cleanText.includes('Video Encode') && cleanText.includes('Hardware accelerated')) {
-            accelerationStatus.videoEncode = true;
-          }
-          if (cleanText.includes('Compositing') && cleanText.includes('Hardware accelerated')) {
-            accelerationStatus.compositing = true;
-          }
-          
-          // Detect graphics backend
-          if (cleanText.includes('Metal')) {
-            accelerationStatus.backend = 'Metal';
-          } else if (cleanText.includes('Vulkan')) {
-            accelerationStatus.backend = 'Vulkan';
-          } else if (cleanText.includes('OpenGL')) {
-            accelerationStatus.backend = 'OpenGL';
-          } else if (cleanText.includes('DirectX')) {
-            accelerationStatus.backend = 'DirectX';
-          } else if (cleanText.includes('ANGLE')) {
-            accelerationStatus.backend = 'ANGLE';
-          }
-        }
+    // What chrome://gpu claims; Dawn Info only exists in Chromium
+    const gpuData = browserName === 'chromium' ? (await collectGpuInfo(page, browserName)).gpuData : null;
+    
+    // What the JS API actually returns, from a secure-context page
+    await openHarnessPage(page, 'probe.html');
+    const probe = await runWebGPUProbe(page);
+    
+    console.log('🔌 **WebGPU Adapter Probe:**');
+    console.log('=====================================');
+    if (!probe.supported) {
+      console.log(`   ❌ ${probe.error}`);
+    }
+    probe.adapters.forEach(adapter => {
+      if (!adapter.available) {
+        console.log(`   ❌ ${adapter.name}: ${adapter.error}`);
+        return;
       }
-    } catch (error) {
-      console.log('⚠️  Could not extract Graphics Feature Status:', error.message);
+      const { vendor, architecture, description, isFallbackAdapter } = adapter.info;
+      console.log(`   ✅ ${adapter.name}: ${[vendor, architecture, description].filter(Boolean).join(' / ') || 'no adapter info'}${isFallbackAdapter ? ' (fallback)' : ''}`);
+      console.log(`      ${adapter.features.length} features, ${Object.keys(adapter.limits).length} limits`);
+    });
+    if (probe.supported) {
+      console.log(`   🧾 WGSL language features: ${probe.wgslLanguageFeatures.join(', ') || 'none'}`);
+    }
+    
+    const findings = gpuData ? compareWithDawnInfo(probe, gpuData) : [];
+    if (!gpuData) {
+      console.log(`\n➖ No Dawn Info in ${browserName}; probe only`);
+    } else if (findings.length > 0) {
+      console.log(`\n🔎 **Dawn Info vs navigator.gpu Findings:** ${findings.length}`);
+      findings.forEach(finding => {
+        console.log(`   ⚠️  [${finding.type}] ${finding.message}`);
+      });
+    } else {
+      console.log('\n✅ Dawn Info and navigator.gpu agree');
+    }
+    
+    gpuReport.gpu = gpuData;
+    gpuReport.webgpu = { probe, findings };
+    
+    // Both sources must at least agree on whether WebGPU is available at all
+    expect(findings.filter(finding => finding.type === 'status-mismatch')).toEqual([]);
+    
+    // Required WebGPU features must be listed by Dawn and exposed to JS
+    const policyResult = evaluatePolicy(policyProfile, { gpuData: gpuData || createEmptyGpuData(), webgpuProbe: probe }, { checks: ['webgpu'] });
+    gpuReport.policy = policyResult;
+    formatPolicyResult(policyResult).forEach(line => console.log(line));
+    expect(policyResult.violations.map(violation => violation.message)).toEqual([]);
+    
+    console.log('✅ WebGPU adapter probe completed!');
+  });
+  
+  test('should match the recorded GPU baseline', async ({ page, browserName, gpuReport, policyProfile }, testInfo) => {
+    test.skip(!getGpuInfoSource(browserName), `${browserName} has no GPU info page to baseline`);
+    console.log('🧭 Comparing GPU profile against the recorded baseline...');
+    
+    const { gpuData } = await collectGpuInfo(page, browserName);
+    gpuReport.gpu = gpuData;
+    
+    // Baselines live under baselines/<machine>/<profile>[.<matrix preset>].json
+    const baselinePath = getBaselinePath(policyProfile.name, { preset: testInfo.project.metadata.matrixPreset });
+    const baseline = readBaseline(baselinePath);
+    const current = createBaseline(gpuData);
+    const changes = baseline ? diffBaseline(baseline, current) : [];
+    
+    // Refresh on purpose with `npm run baseline:update` (--update-snapshots)
+    if (shouldWriteBaseline(testInfo.config.updateSnapshots, { exists: Boolean(baseline), changed: changes.length > 0 })) {
+      await writeBaseline(current, baselinePath);
+      gpuReport.drift = { baselinePath, baselineUpdated: true, passed: true, changes: [] };
+      console.log(`📝 Baseline ${baseline ? 'updated' : 'recorded'}: ${baselinePath}`);
+      return;
     }
     
-    // Take screenshot
-    await page.screenshot({ path: 'gpu-acceleration-verification.png', fullPage: true });
-    console.log('📸 Screenshot saved as gpu-acceleration-verification.png');
+    test.skip(!baseline, `No baseline at ${baselinePath}; run with --update-snapshots to record one`);
+    
+    const driftResult = evaluateDrift(changes, policyProfile.drift);
+    gpuReport.drift = { baselinePath, baselineUpdated: false, ...driftResult };
+    formatDriftResult(driftResult).forEach(line => console.log(line));
+    
+    expect(driftResult.changes.filter(change => change.severity === 'error').map(change => change.message)).toEqual([]);
+    
+    console.log('✅ Baseline comparison completed!');
+  });
+  
+  test('should probe media codec acceleration with WebCodecs', async ({ page, browserName, gpuReport, policyProfile }) => {
+    console.log('🎬 Probing hardware media codecs...');
+    
+    // The hardware profiles chrome://gpu claims; other engines list none to compare with
+    const gpuData = browserName === 'chromium' ? (await collectGpuInfo(page, browserName)).gpuData : null;
+    
+    // What WebCodecs and MediaCapabilities report, plus a real encode/decode per codec
+    await openHarnessPage(page, 'probe.html');
+    const probe = await runMediaProbe(page, { roundTrip: DEFAULT_ROUND_TRIP });
+    const matrix = buildCodecMatrix(probe);
+    const findings = gpuData ? compareWithVideoAcceleration(matrix, gpuData) : [];
+    
+    gpuReport.gpu = gpuData;
+    gpuReport.media = { probe, matrix, findings };
+    formatMediaResult(gpuReport.media).forEach(line => console.log(line));
+    
+    expect(probe.api.videoDecoder || probe.api.mediaCapabilities, 'WebCodecs or MediaCapabilities should be available').toBe(true);
+    
+    // Minimum codec tiers come from the selected policy profile
+    const policyResult = evaluatePolicy(policyProfile, { gpuData, mediaMatrix: matrix }, { checks: ['media'] });
+    gpuReport.policy = policyResult;
+    formatPolicyResult(policyResult).forEach(line => console.log(line));
+    expect(policyResult.violations.map(violation => violation.message)).toEqual([]);
+    
+    console.log('✅ Media codec probe completed!');
+  });
+  
+  test('should meet the advertised WebGPU and WebGL limits', async ({ page, gpuReport, policyProfile }) => {
+    console.log('🧱 Allocating at the advertised limits...');
+    
+    // Allocate at every checked limit and read data back, within the profile's time budget
+    const { budgetMs = DEFAULT_LIMIT_BUDGET_MS, ...severity } = policyProfile.limits || {};
+    test.setTimeout(Math.max(test.info().timeout, budgetMs * 2));
+    await openHarnessPage(page, 'probe.html');
+    const limitResult = evaluateLimitVerification(await runLimitVerification(page, { budgetMs }), severity);
+    gpuReport.limits = limitResult;
+    formatLimitVerification(limitResult).forEach(line => console.log(line));
+    
+    expect(limitResult.checks.filter(entry => entry.severity === 'error').map(entry => `${entry.limit}: ${entry.error}`)).toEqual([]);
+    
+    console.log('✅ Advertised limit verification completed!');
+  });
+  
+  test('should run the WGSL feature conformance suite', async ({ page, gpuReport, policyProfile }) => {
+    console.log('🧪 Compiling and running the WGSL feature modules...');
+    
+    // Each advertised feature and language extension must compile, run and compute the right output
+    await openHarnessPage(page, 'wgsl-conformance.html');
+    const conformance = await runWgslConformance(page);
+    gpuReport.wgsl = conformance;
+    formatWgslConformance(conformance).forEach(line => console.log(line));
+    
+    // Broken and required cases come from the selected policy profile
+    const policyResult = evaluatePolicy(policyProfile, { gpuData: {}, wgslConformance: conformance }, { checks: ['wgsl'] });
+    gpuReport.policy = policyResult;
+    formatPolicyResult(policyResult).forEach(line => console.log(line));
+    expect(policyResult.violations.map(violation => violation.message)).toEqual([]);
+    
+    console.log('✅ WGSL conformance suite completed!');
+  });
+  
+  test('should recommend a rendering tier from in-page probes', async ({ page, gpuReport, policyProfile }) => {
+    console.log('🎯 Choosing a rendering tier the way the web app does...');
+    
+    // The page imports src/rendering-tier.js directly, without chrome://gpu
+    await openHarnessPage(page, 'rendering-tier.html');
+    const tierResult = await runRenderingTier(page);
+    gpuReport.renderingTier = tierResult;
+    formatRenderingTier(tierResult).forEach(line => console.log(line));
+    
+    // Which tiers each flag preset may end up on comes from its policy profile
+    const policyResult = evaluatePolicy(policyProfile, { gpuData: {}, renderingTier: tierResult }, { checks: ['tier'] });
+    gpuReport.policy = policyResult;
+    formatPolicyResult(policyResult).forEach(line => console.log(line));
+    expect(policyResult.violations.map(violation => violation.message)).toEqual([]);
+    
+    console.log('✅ Rendering tier recommendation completed!');
+  });
+  
+  test('should render offscreen on the main thread and in worker scopes', async ({ page, gpuReport }) => {
+    console.log('🧵 Rendering offscreen in dedicated, shared and service workers...');
+    
+    // Shared and service worker scripts are fetched outside the page, so route the whole context
+    await routeHarness(page.context());
+    await page.goto(`${HARNESS_ORIGIN}/worker-probe.html`);
+    const probe = await runWorkerProbe(page);
+    const findings = compareWorkerScopes(probe);
+    gpuReport.workers = { probe, findings };
+    formatWorkerProbe(gpuReport.workers).forEach(line => console.log(line));
+    
+    // The renderer runs in a dedicated worker, so it must draw whatever the main thread can; other scopes are informational
+    const rendererFindings = findings.filter(finding => ['dedicated', 'transferred'].includes(finding.scope) || finding.type === 'pixel-mismatch');
+    expect(rendererFindings.map(finding => finding.message)).toEqual([]);
+    
+    console.log('✅ Worker probe completed!');
+  });
+  
+  test('should verify GPU acceleration and performance', async ({ page, browserName, gpuReport, policyProfile }, testInfo) => {
+    test.skip(!getGpuInfoSource(browserName), `${browserName} has no GPU info page to read acceleration from`);
+    console.log('⚡ Verifying GPU acceleration and performance...');
+    
+    // Read the engine's GPU info (falling back to CDP in Chromium) and extract
+    // acceleration status from the Graphics Feature Status list
+    const { gpuData } = await collectGpuInfo(page, browserName);
+    const accelerationStatus = getAccelerationStatus(gpuData);
+    gpuReport.gpu = gpuData;
+    gpuReport.acceleration = accelerationStatus;
+    
+    // Take screenshot, with paths and identifiers on the page redacted
+    const screenshotPath = testInfo.outputPath('gpu-acceleration-verification.png');
+    await redactPage(page);
+    await page.screenshot({ path: screenshotPath, fullPage: true });
+    await testInfo.attach('gpu-acceleration-verification.png', { path: screenshotPath, contentType: 'image/png' });
+    console.log(`📸 Screenshot saved as ${screenshotPath}`);
     
     // Print acceleration summary
     console.log('📊 **GPU Acceleration Summary:**');
@@ -564,12 +538,21 @@ test.describe('Comprehensive GPU Testing Suite', () => {
     console.log(`🔄 Compositing: ${accelerationStatus.compositing ? '✅ Active' : '❌ Inactive'}`);
     
     // Proper Playwright assertions
-    await expect(page.locator('h3').filter({ hasText: 'Graphics Feature Status' }).first()).toBeVisible();
-    expect(accelerationStatus.hardwareAccelerated).toBe(true);
-    expect(accelerationStatus.softwareOnly).toBe(false);
-    expect(accelerationStatus.rasterization).toBe(true);
-    expect(accelerationStatus.canvas).toBe(true);
-    expect(accelerationStatus.backend).toBeTruthy();
+    expect(gpuData.graphicsFeatures.length).toBeGreaterThan(0);
+    
+    // Time the fixed compute workloads on the local benchmark page
+    test.slow();
+    const { warmup, iterations } = { ...DEFAULT_BENCHMARK_OPTIONS, ...policyProfile.benchmarks };
+    await openHarnessPage(page, 'webgpu-benchmark.html');
+    const benchmarks = summarizeBenchmarks(await runWebGPUBenchmarks(page, { warmup, iterations }));
+    gpuReport.benchmarks = benchmarks;
+    formatBenchmarkResult(benchmarks).forEach(line => console.log(line));
+    
+    // Acceleration and performance expectations come from the selected policy profile
+    const policyResult = evaluatePolicy(policyProfile, { gpuData, benchmarks }, { checks: ['features', 'backend', 'benchmarks'] });
+    gpuReport.policy = policyResult;
+    formatPolicyResult(policyResult).forEach(line => console.log(line));
+    expect(policyResult.violations.map(violation => violation.message)).toEqual([]);
     
     console.log('✅ GPU acceleration verification completed!');
   });
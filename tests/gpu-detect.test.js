@@ -0,0 +1,120 @@
+import { test, expect } from '@playwright/test';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Ajv2020 from 'ajv/dist/2020.js';
+import { parseGpuHtml, getAccelerationStatus } from '../src/chrome-gpu-parser.js';
+import { formatReport, getReportSections, parseCliArgs, UsageError } from '../src/gpu-detect.js';
+import { classifyGpuIssues } from '../src/known-issues.js';
+import { createGpuReport, summarizeGpuData, REPORT_SCHEMA_PATH } from '../src/gpu-report.js';
+import { loadRedactionConfig, redactReport } from '../src/redaction.js';
+import { recommendRenderingTier } from '../src/rendering-tier.js';
+import { getLaunchArgs, getPlatformPreset, WEBGPU_DEVELOPER_FLAGS } from '../src/launch-flags.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'chrome-gpu');
+const gpuData = parseGpuHtml(readFileSync(path.join(fixturesDir, 'linux-nvidia-vulkan.html'), 'utf8'));
+
+function sampleReport() {
+  const report = createGpuReport({
+    test: { title: 'gpu-detect', project: 'linux' },
+    environment: { browserName: 'chromium', browserVersion: '124.0.6367.207', launchFlags: getLaunchArgs('linux') }
+  });
+  report.gpu = gpuData;
+  report.summary = summarizeGpuData(gpuData);
+  report.acceleration = getAccelerationStatus(gpuData);
+  report.issues = classifyGpuIssues(gpuData);
+  report.webgl = {
+    webgl1: { available: true, renderer: 'WebKit WebGL', unmaskedRenderer: 'ANGLE (NVIDIA, Vulkan 1.3.277 (NVIDIA GeForce RTX 4070))' },
+    webgl2: { available: false, error: "getContext('webgl2') returned null" }
+  };
+  report.webgpu = {
+    probe: {
+      supported: true,
+      adapters: [
+        { name: 'default', available: true, info: { vendor: 'nvidia', architecture: 'lovelace' }, limits: {}, features: ['shader-f16'] },
+        { name: 'fallback', available: false, error: 'requestAdapter() returned null' }
+      ]
+    },
+    findings: [{ type: 'missing-in-js', request: 'default', message: 'Dawn lists "timestamp-query" | not exposed' }]
+  };
+  report.renderingTier = recommendRenderingTier({ webgpu: report.webgpu.probe, webgl: report.webgl });
+  return report;
+}
+
+test.describe('gpu-detect CLI', () => {
+
+  test('should parse options with platform defaults', () => {
+    const options = parseCliArgs([]);
+    expect(options).toMatchObject({ format: 'table', output: null, channel: 'chrome', preset: getPlatformPreset(), redaction: null, headless: true, help: false });
+
+    expect(parseCliArgs(['-f', 'markdown', '-o', 'gpu.md', '--preset', 'mac', '-r', 'strip', '--headed', '-e', '/opt/chrome/chrome'])).toMatchObject({
+      format: 'markdown',
+      output: 'gpu.md',
+      preset: 'mac',
+      redaction: 'strip',
+      headless: false,
+      executablePath: '/opt/chrome/chrome'
+    });
+  });
+
+  test('should reject unknown options, formats and presets with a UsageError', () => {
+    expect(() => parseCliArgs(['--verbose'])).toThrow(UsageError);
+    expect(() => parseCliArgs(['--format', 'xml'])).toThrow(/Use one of: table, json, markdown/);
+    expect(() => parseCliArgs(['--preset', 'amiga'])).toThrow(/Available: linux, mac, windows, default/);
+    expect(() => parseCliArgs(['--redaction', 'blur'])).toThrow(/Use one of: hash, strip, off/);
+  });
+
+  test('should build launch arguments from the shared flag presets', () => {
+    expect(getPlatformPreset('linux')).toBe('linux');
+    expect(getPlatformPreset('darwin')).toBe('mac');
+    expect(getPlatformPreset('freebsd')).toBe('default');
+    expect(getLaunchArgs('linux')).toContain('--use-angle=vulkan');
+    expect(getLaunchArgs('windows').slice(-WEBGPU_DEVELOPER_FLAGS.length)).toEqual(WEBGPU_DEVELOPER_FLAGS);
+    expect(() => getLaunchArgs('amiga')).toThrow(/Unknown flag preset/);
+  });
+
+  test('should render the report as an aligned table', () => {
+    const output = formatReport(sampleReport(), 'table');
+    expect(output).toContain('Summary\n=======\n');
+    expect(output).toMatch(/^Chrome version\s{2,}Chrome\/124\.0\.6367\.207$/m);
+    expect(output).toMatch(/^Adapter: fallback\s+unavailable \(requestAdapter\(\) returned null\)$/m);
+    expect(output).toMatch(/^WebGL 1\s+ANGLE \(NVIDIA, Vulkan/m);
+    expect(output).toMatch(/^Display 1\s+3840x2160, @2x, 59\.997 Hz, 8 bpc$/m);
+    expect(output).toMatch(/^Decode vp9 profile2\s+up to 8192x8192$/m);
+    expect(output).toMatch(/^problem: low impact\s+Video encodes on the CPU/m);
+  });
+
+  test('should render Markdown tables with escaped cells', () => {
+    const output = formatReport(sampleReport(), 'markdown');
+    expect(output.startsWith('# GPU Detection Report\n')).toBe(true);
+    expect(output).toContain('## Graphics Feature Status\n\n| Key | Value |\n| --- | --- |\n| Canvas | Hardware accelerated |');
+    expect(output).toContain('"timestamp-query" \\| not exposed');
+    expect(getReportSections(sampleReport()).map((section) => section.title)).toEqual(['Summary', 'Graphics Feature Status', 'Displays', 'Video Acceleration', 'Known Issues', 'WebGL', 'WebGPU', 'Rendering Tier']);
+    expect(output).toContain('| Recommended | WebGPU |\n| WebGPU | usable: hardware adapter "nvidia lovelace" |');
+  });
+
+  test('should list GPU info source failures and disagreements', () => {
+    const report = sampleReport();
+    report.gpuSources = { disagreements: [], featureStates: { WebGPU: true }, errors: {} };
+    expect(getReportSections(report).map((section) => section.title)).not.toContain('GPU Info Sources');
+
+    report.gpuSources = {
+      disagreements: [{ field: 'features.Video Encode', values: { dom: 'Hardware accelerated', cdp: 'Disabled' } }],
+      featureStates: null,
+      errors: { cdp: 'SystemInfo.getInfo is not supported' }
+    };
+    expect(getReportSections(report).find((section) => section.title === 'GPU Info Sources').rows).toEqual([
+      ['cdp unavailable', 'SystemInfo.getInfo is not supported'],
+      ['features.Video Encode', 'dom: Hardware accelerated / cdp: Disabled']
+    ]);
+  });
+
+  test('should emit JSON that follows the report schema', () => {
+    const schema = JSON.parse(readFileSync(REPORT_SCHEMA_PATH, 'utf8'));
+    const validate = new Ajv2020({ allErrors: true, validateFormats: false }).compile(schema);
+    const report = JSON.parse(formatReport(redactReport(sampleReport(), loadRedactionConfig(undefined, { identities: [], salt: 'gpu-detect-test' })), 'json'));
+    expect(validate(report), JSON.stringify(validate.errors)).toBe(true);
+    expect(report.gpu.versionInfo['Command Line']).toMatch(/^<path:[0-9a-f]{8}> --use-angle=vulkan .* --user-data-dir=<value:[0-9a-f]{8}> /);
+    expect(report.test.project).toBe('linux');
+  });
+});
@@ -0,0 +1,173 @@
+import { test, expect } from '@playwright/test';
+import { EventEmitter } from 'node:events';
+import { PolicyError } from '../src/gpu-policy.js';
+import {
+  classifyGpuError,
+  evaluateGpuErrors,
+  formatGpuErrorResult,
+  installGpuErrorCollector,
+  instrumentGpuErrors
+} from '../src/gpu-errors.js';
+
+class GPUValidationError extends Error {}
+class GPUOutOfMemoryError extends Error {}
+
+// Minimal stand-ins for the WebGPU and canvas globals the init script patches
+function installFakeGpuGlobals() {
+  class FakeDevice extends EventTarget {
+    constructor() {
+      super();
+      this.scopeErrors = [];
+      this.lost = new Promise((resolve) => { this.loseDevice = resolve; });
+    }
+    async popErrorScope() {
+      return this.scopeErrors.shift() ?? null;
+    }
+  }
+  class FakeAdapter {
+    async requestDevice() {
+      return new FakeDevice();
+    }
+  }
+  class FakeCanvas extends EventTarget {
+    getContext(type) {
+      if (type !== 'webgl2' && type !== 'webgl') return null;
+      const loseContext = { loseContext: () => this.dispatchEvent(new Event('webglcontextlost')) };
+      this.context ||= { getExtension: (name) => (name === 'WEBGL_lose_context' ? loseContext : null) };
+      return this.context;
+    }
+  }
+  Object.assign(globalThis, { GPUAdapter: FakeAdapter, GPUDevice: FakeDevice, HTMLCanvasElement: FakeCanvas });
+  return () => {
+    for (const name of ['GPUAdapter', 'GPUDevice', 'HTMLCanvasElement', '__gpuErrorCollector', '__reportGpuError']) {
+      delete globalThis[name];
+    }
+  };
+}
+
+function createFakePage() {
+  const page = new EventEmitter();
+  page.initScripts = [];
+  page.exposeBinding = async (name, callback) => { page.binding = { name, callback }; };
+  page.addInitScript = async (script) => { page.initScripts.push(script); };
+  page.url = () => 'http://gpu-harness.localhost/webgpu-render.html';
+  return page;
+}
+
+test.describe('GPU error collector', () => {
+
+  test('should classify errors by type, source and message', () => {
+    expect(classifyGpuError({ source: 'uncaptured-error', errorType: 'GPUValidationError', message: 'Invalid BindGroup' })).toBe('validation');
+    expect(classifyGpuError({ source: 'error-scope', errorType: 'GPUOutOfMemoryError', message: '' })).toBe('out-of-memory');
+    expect(classifyGpuError({ source: 'uncaptured-error', errorType: 'GPUInternalError', message: '' })).toBe('internal');
+    expect(classifyGpuError({ source: 'device-lost', errorType: 'GPUDeviceLostInfo', message: 'unknown' })).toBe('context-loss');
+    expect(classifyGpuError({ source: 'webgl-context-lost', errorType: 'WebGLContextEvent', message: '' })).toBe('context-loss');
+    expect(classifyGpuError({ source: 'console', errorType: null, message: 'WebGL: CONTEXT_LOST_WEBGL: loseContext: context lost' })).toBe('context-loss');
+    expect(classifyGpuError({ source: 'console', errorType: null, message: '[Invalid Texture] is invalid.' })).toBe('validation');
+    expect(classifyGpuError({ source: 'console', errorType: null, message: 'Failed to load resource: favicon.ico' })).toBe('other');
+  });
+
+  test('should report WebGPU and WebGL errors from the init script', async () => {
+    const cleanup = installFakeGpuGlobals();
+    try {
+      const received = [];
+      globalThis.__reportGpuError = async (entry) => received.push(entry);
+      instrumentGpuErrors();
+      instrumentGpuErrors(); // a second injection must not double-wrap
+
+      const device = await new GPUAdapter().requestDevice();
+      const event = new Event('uncapturederror');
+      event.error = new GPUValidationError('Buffer usage is invalid');
+      device.dispatchEvent(event);
+
+      device.scopeErrors.push(new GPUOutOfMemoryError('Allocation failed'));
+      expect(await device.popErrorScope()).toBeInstanceOf(GPUOutOfMemoryError);
+      expect(await device.popErrorScope()).toBeNull();
+
+      device.loseDevice({ reason: 'unknown', message: 'GPU process crashed' });
+      const destroyed = await new GPUAdapter().requestDevice();
+      destroyed.loseDevice({ reason: 'destroyed', message: '' });
+
+      const canvas = new HTMLCanvasElement();
+      canvas.getContext('webgl2');
+      canvas.getContext('webgl2');
+      canvas.dispatchEvent(new Event('webglcontextlost'));
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(received.map(({ source, errorType }) => [source, errorType])).toEqual([
+        ['uncaptured-error', 'GPUValidationError'],
+        ['error-scope', 'GPUOutOfMemoryError'],
+        ['device-lost', 'GPUDeviceLostInfo'],
+        ['webgl-context-lost', 'WebGLContextEvent']
+      ]);
+      expect(globalThis.__gpuErrorCollector.errors).toHaveLength(4);
+      expect(received[2]).toMatchObject({ reason: 'unknown', message: 'GPU process crashed' });
+      expect(received[3].message).toBe('webgl2 context lost');
+    } finally {
+      cleanup();
+    }
+  });
+
+  test('should ignore contexts a probe loses on purpose', async () => {
+    const cleanup = installFakeGpuGlobals();
+    try {
+      const received = [];
+      globalThis.__reportGpuError = async (entry) => received.push(entry);
+      instrumentGpuErrors();
+
+      // The teardown probeWebGLCapabilities does after reading a context
+      const probed = new HTMLCanvasElement();
+      probed.getContext('webgl').getExtension('WEBGL_lose_context').loseContext();
+      probed.getContext('webgl').getExtension('WEBGL_lose_context').loseContext();
+
+      // A real loss on the same canvas afterwards is still reported
+      probed.dispatchEvent(new Event('webglcontextlost'));
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(received.map(({ source, message }) => [source, message])).toEqual([['webgl-context-lost', 'webgl context lost']]);
+    } finally {
+      cleanup();
+    }
+  });
+
+  test('should install before navigation and collect console and page errors', async () => {
+    const page = createFakePage();
+    const collector = await installGpuErrorCollector(page);
+
+    expect(page.binding.name).toBe('__reportGpuError');
+    expect(page.initScripts).toEqual([instrumentGpuErrors]);
+
+    await page.binding.callback({}, { source: 'uncaptured-error', errorType: 'GPUValidationError', message: 'Invalid' });
+    page.emit('console', { type: () => 'warning', text: () => 'ignored', location: () => ({}) });
+    page.emit('console', { type: () => 'error', text: () => 'WebGPU device was lost', location: () => ({ url: 'webgpu-render.js' }) });
+    page.emit('pageerror', new TypeError('adapter is null'));
+    collector.dispose();
+    page.emit('pageerror', new Error('after dispose'));
+
+    expect(collector.errors.map(({ source, category }) => [source, category])).toEqual([
+      ['uncaptured-error', 'validation'],
+      ['console', 'context-loss'],
+      ['pageerror', 'other']
+    ]);
+  });
+
+  test('should apply profile severities and fail on error-level classes', () => {
+    const errors = [
+      { source: 'error-scope', errorType: 'GPUValidationError', message: 'Invalid' },
+      { source: 'console', errorType: null, message: 'favicon.ico 404' }
+    ];
+
+    const defaults = evaluateGpuErrors(errors);
+    expect(defaults.passed).toBe(false);
+    expect(defaults.counts).toMatchObject({ validation: 1, other: 1, internal: 0 });
+    expect(defaults.errors.map((entry) => entry.severity)).toEqual(['error', 'warn']);
+
+    const relaxed = evaluateGpuErrors(errors, { validation: 'warn', other: 'ignore' });
+    expect(relaxed.passed).toBe(true);
+    expect(relaxed.errors).toHaveLength(1);
+    expect(formatGpuErrorResult(relaxed)[0]).toContain('1 collected, 0 failing');
+    expect(formatGpuErrorResult(evaluateGpuErrors([]))[0]).toContain('none');
+
+    expect(() => evaluateGpuErrors(errors, { validation: 'fatal' })).toThrow(PolicyError);
+  });
+});
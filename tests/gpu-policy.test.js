@@ -0,0 +1,118 @@
+import { test, expect } from '@playwright/test';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseGpuHtml, parseGpuText } from '../src/chrome-gpu-parser.js';
+import {
+  loadPolicy,
+  selectProfile,
+  evaluatePolicy,
+  getAngleBackend,
+  formatPolicyResult,
+  PolicyError
+} from '../src/gpu-policy.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'chrome-gpu');
+const readFixture = (name) => readFileSync(path.join(fixturesDir, name), 'utf8');
+
+const policy = loadPolicy();
+const nvidia = parseGpuHtml(readFixture('linux-nvidia-vulkan.html'));
+const mac = parseGpuHtml(readFixture('mac-apple-metal.html'));
+const swiftshader = parseGpuText(readFixture('linux-swiftshader.txt'));
+
+test.describe('GPU expectation policy', () => {
+
+  test('should select profiles by name and reject unknown ones', () => {
+    expect(selectProfile(policy, 'mac-metal').name).toBe('mac-metal');
+    expect(selectProfile(policy, policy.defaultProfile).name).toBe('hardware-accelerated');
+    expect(() => selectProfile(policy, 'no-such-profile')).toThrow(PolicyError);
+    expect(() => selectProfile(policy, 'no-such-profile')).toThrow(/Available: hardware-accelerated, ci-swiftshader/);
+  });
+
+  test('should fail to load a missing policy file with a PolicyError', () => {
+    expect(() => loadPolicy('/nonexistent/gpu-policy.json')).toThrow(PolicyError);
+  });
+
+  test('should derive the ANGLE backend from the driver information', () => {
+    expect(getAngleBackend(nvidia)).toBe('vulkan');
+    expect(getAngleBackend(mac)).toBe('metal');
+    expect(getAngleBackend(swiftshader)).toBe('swiftshader');
+    expect(getAngleBackend({ status: { displayType: 'ANGLE_D3D11' } })).toBe('d3d11');
+    expect(getAngleBackend({ status: {} })).toBeNull();
+  });
+
+  test('should pass each fixture against its own profile', () => {
+    expect(evaluatePolicy(selectProfile(policy, 'mac-metal'), { gpuData: mac }).violations).toEqual([]);
+    expect(evaluatePolicy(selectProfile(policy, 'ci-swiftshader'), { gpuData: swiftshader }).violations).toEqual([]);
+  });
+
+  test('should report a forbidden wildcard status on an otherwise healthy lab machine', () => {
+    const result = evaluatePolicy(selectProfile(policy, 'lab-nvidia-vulkan'), { gpuData: nvidia });
+
+    expect(result.passed).toBe(false);
+    expect(result.violations.map(violation => violation.message)).toEqual([
+      'Video Encode is "Software only. Hardware acceleration disabled", which is forbidden'
+    ]);
+  });
+
+  test('should collect every violation instead of stopping at the first', () => {
+    const result = evaluatePolicy(selectProfile(policy, 'mac-metal'), { gpuData: swiftshader });
+    const checks = new Set(result.violations.map(violation => violation.check));
+
+    expect(checks).toEqual(new Set(['features', 'backend', 'problems', 'webgpu']));
+    expect(result.violations.filter(violation => violation.check === 'features').length).toBeGreaterThan(5);
+    expect(result.violations).toContainEqual(expect.objectContaining({
+      check: 'problems',
+      expected: 0,
+      actual: 3
+    }));
+  });
+
+  test('should tolerate allowed statuses without failing', () => {
+    const result = evaluatePolicy(selectProfile(policy, 'ci-swiftshader'), { gpuData: nvidia });
+
+    expect(result.passed).toBe(true);
+    expect(result.tolerated.map(entry => entry.feature)).toEqual(['Canvas', 'Rasterization', 'WebGL', 'WebGL2', 'WebGPU']);
+  });
+
+  test('should report features listed in the profile but missing from the page', () => {
+    const profile = { name: 'custom', features: { 'WebNN': { required: ['Hardware accelerated'] }, 'Quantum': { required: ['Enabled'] } } };
+
+    const result = evaluatePolicy(profile, { gpuData: nvidia });
+
+    expect(result.violations.map(violation => violation.message)).toEqual([
+      'Quantum is missing from Graphics Feature Status',
+      'WebNN is "Disabled", expected Hardware accelerated'
+    ]);
+  });
+
+  test('should check required WebGPU features against the live adapter probe', () => {
+    const profile = selectProfile(policy, 'lab-nvidia-vulkan');
+    const webgpuProbe = {
+      supported: true,
+      adapters: [{ name: 'default', available: true, features: ['texture-compression-bc', 'timestamp-query'] }]
+    };
+
+    const result = evaluatePolicy(profile, { gpuData: nvidia, webgpuProbe }, { checks: ['webgpu'] });
+
+    expect(result.violations.map(violation => violation.message)).toEqual([
+      'navigator.gpu adapter does not expose required WebGPU feature "shader-f16"'
+    ]);
+  });
+
+  test('should limit evaluation to the requested checks', () => {
+    const profile = selectProfile(policy, 'mac-metal');
+
+    expect(evaluatePolicy(profile, { gpuData: swiftshader }, { checks: ['problems'] }).violations).toHaveLength(1);
+    expect(() => evaluatePolicy(profile, { gpuData: swiftshader }, { checks: ['colour'] })).toThrow(PolicyError);
+  });
+
+  test('should format results for the console', () => {
+    const result = evaluatePolicy(selectProfile(policy, 'lab-nvidia-vulkan'), { gpuData: nvidia });
+
+    expect(formatPolicyResult(result)).toEqual([
+      '📋 Policy "lab-nvidia-vulkan": ❌ 1 violation(s)',
+      '   ❌ [features] Video Encode is "Software only. Hardware acceleration disabled", which is forbidden'
+    ]);
+  });
+});
@@ -0,0 +1,238 @@
+import { test, expect } from '@playwright/test';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Ajv2020 from 'ajv/dist/2020.js';
+import { parseGpuHtml, getAccelerationStatus } from '../src/chrome-gpu-parser.js';
+import { loadProfile, evaluatePolicy } from '../src/gpu-policy.js';
+import { evaluateGpuErrors } from '../src/gpu-errors.js';
+import { evaluateFlagVerification, verifyLaunchFlags } from '../src/flag-verification.js';
+import { buildCodecMatrix, compareWithVideoAcceleration } from '../src/media-probe.js';
+import { summarizeBenchmarks } from '../src/gpu-benchmark.js';
+import { evaluateLimitVerification } from '../src/limit-verification.js';
+import { classifyGpuIssues } from '../src/known-issues.js';
+import { getHostFingerprint } from '../src/redaction.js';
+import { recommendRenderingTier } from '../src/rendering-tier.js';
+import { compareWorkerScopes } from '../src/worker-probe.js';
+import {
+  REPORT_SCHEMA_PATH,
+  REPORT_SCHEMA_VERSION,
+  createGpuReport,
+  finalizeGpuReport,
+  getReportOutputPath,
+  summarizeGpuData,
+  writeGpuReport
+} from '../src/gpu-report.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'chrome-gpu');
+const gpuData = parseGpuHtml(readFileSync(path.join(fixturesDir, 'linux-nvidia-vulkan.html'), 'utf8'));
+
+const schema = JSON.parse(readFileSync(REPORT_SCHEMA_PATH, 'utf8'));
+const validate = new Ajv2020({ allErrors: true, validateFormats: false }).compile(schema);
+
+const webgl = {
+  webgl1: { available: true, vendor: 'WebKit', renderer: 'WebKit WebGL', unmaskedVendor: null, unmaskedRenderer: null, limits: { MAX_TEXTURE_SIZE: 16384 }, extensions: [] },
+  webgl2: { available: false, error: "getContext('webgl2') returned null" }
+};
+
+function expectValid(report) {
+  expect(validate(report), JSON.stringify(validate.errors)).toBe(true);
+}
+
+function sampleReport() {
+  return createGpuReport({
+    test: {
+      title: 'should verify GPU acceleration and performance',
+      titlePath: ['Comprehensive GPU Testing Suite', 'should verify GPU acceleration and performance'],
+      project: 'chromium',
+      file: 'tests/gpu-comprehensive.test.js'
+    },
+    environment: {
+      browserName: 'chromium',
+      browserVersion: '124.0.6367.207',
+      launchFlags: ['--use-angle=vulkan', '--enable-unsafe-webgpu']
+    }
+  });
+}
+
+// A fixture per report section; each is validated in a report of its own,
+// so a schema failure names the section that broke
+const SECTION_FIXTURES = {
+  gpu: () => ({
+    ...gpuData,
+    sources: {
+      'features.WebGL': { from: 'dom', reportedBy: ['dom', 'cdp'] },
+      'videoAcceleration.decode.av1 profile main': { from: 'cdp', reportedBy: ['cdp'] }
+    }
+  }),
+  summary: () => summarizeGpuData(gpuData),
+  acceleration: () => getAccelerationStatus(gpuData),
+  policy: () => evaluatePolicy(loadProfile('lab-nvidia-vulkan'), { gpuData }),
+  webgl: () => webgl,
+  webgpu: () => ({
+    probe: { supported: true, wgslLanguageFeatures: [], adapters: [{ name: 'default', available: true, info: {}, limits: { maxBufferSize: 268435456 }, features: ['shader-f16'] }] },
+    findings: [{ type: 'missing-in-js', request: 'default', feature: 'timestamp-query', message: 'missing' }]
+  }),
+  rendering: () => ({
+    verdict: true,
+    scenes: { supported: true, passed: true, scenes: [] },
+    frames: {
+      thresholds: { frames: 2 },
+      frames: [{ uniformRatio: 0.62, entropy: 3.1 }, { uniformRatio: 0.61, entropy: 3.2 }],
+      pairs: [{ changedPixels: 812, changedRatio: 0.0124, meanDelta: 1.7 }],
+      maxChangedRatio: 0.0124,
+      meanColourDelta: 1.7,
+      animated: true,
+      hasContent: true
+    }
+  }),
+  drift: () => ({
+    baselinePath: 'baselines/lab-01/lab-nvidia-vulkan.json',
+    baselineUpdated: false,
+    passed: true,
+    changes: [{ category: 'version-bump', key: 'version:driverVersion', before: '535.171.04', after: '550.54.14', message: 'Driver version changed', severity: 'info' }]
+  }),
+  errors: () => evaluateGpuErrors([
+    { source: 'device-lost', errorType: 'GPUDeviceLostInfo', reason: 'unknown', message: 'GPU process crashed', url: null, timestamp: 1700000000000 }
+  ]),
+  flags: () => evaluateFlagVerification(verifyLaunchFlags(['--use-angle=vulkan', '--enable-features=WebGPU,Vulkan', '--disable-vulkan-surface'], gpuData)),
+  media: () => {
+    const mediaProbe = {
+      api: { videoDecoder: true, videoEncoder: true, mediaCapabilities: true },
+      results: [{
+        codec: 'h264',
+        resolution: '1080p',
+        width: 1920,
+        height: 1080,
+        decode: { hardware: true, software: true, mediaCapabilities: { supported: true, smooth: true, powerEfficient: true } },
+        encode: { hardware: false, software: true, mediaCapabilities: { supported: true, smooth: true, powerEfficient: false } }
+      }],
+      roundTrips: { h264: { hardwareAcceleration: 'prefer-software', frames: 10, encodedFrames: 10, decodedFrames: 10, passed: true, error: null } }
+    };
+    const matrix = buildCodecMatrix(mediaProbe);
+    return { probe: mediaProbe, matrix, findings: compareWithVideoAcceleration(matrix, gpuData) };
+  },
+  benchmarks: () => summarizeBenchmarks({
+    supported: true,
+    adapter: { vendor: 'nvidia', architecture: 'ampere' },
+    timing: 'wall-clock',
+    warmup: 1,
+    iterations: 2,
+    benchmarks: [
+      { name: 'saxpy', unit: 'GB/s', work: 0.05, samples: [0.4, 0.5], verified: true, error: null },
+      { name: 'matmul', unit: null, work: null, samples: [], verified: false, error: 'Device lost' }
+    ]
+  }),
+  limits: () => evaluateLimitVerification({
+    budgetMs: 20000,
+    elapsedMs: 812,
+    webgpu: {
+      supported: true,
+      error: null,
+      checks: [
+        { api: 'webgpu', limit: 'requiredLimits', advertised: null, outcome: 'verified', checksum: { expected: 0, actual: 0 }, error: null, durationMs: 3 },
+        { api: 'webgpu', limit: 'maxBufferSize', advertised: 4294967296, outcome: 'failed', checksum: null, error: 'Out of memory', durationMs: 640 }
+      ]
+    },
+    webgl: { supported: false, contextType: null, error: 'WebGL is not available', checks: [] }
+  }),
+  wgsl: () => ({
+    supported: true,
+    adapter: { vendor: 'nvidia', architecture: 'ampere' },
+    languageFeatures: ['packed_4x8_integer_dot_product'],
+    cases: [
+      { name: 'shader-f16', kind: 'feature', status: 'pass', stage: null, error: null, messages: [], durationMs: 8 },
+      {
+        name: 'packed_4x8_integer_dot_product',
+        kind: 'language',
+        status: 'fail',
+        stage: 'compile',
+        error: '6:15 unresolved call target',
+        messages: [{ type: 'error', line: 6, column: 15, message: 'unresolved call target' }],
+        durationMs: 2
+      },
+      { name: 'clip-distances', kind: 'feature', status: 'unsupported', stage: null, error: null, messages: [], durationMs: 0 }
+    ]
+  }),
+  gpuSources: () => ({
+    disagreements: [{ field: 'features.Video Encode', values: { dom: 'Hardware accelerated', cdp: 'Software only. Hardware acceleration disabled' } }],
+    featureStates: { WebGPU: true, Vulkan: null },
+    errors: {}
+  }),
+  issues: () => classifyGpuIssues(gpuData),
+  hostFingerprint: () => getHostFingerprint(gpuData),
+  renderingTier: () => recommendRenderingTier({ webgpu: { supported: false, error: 'navigator.gpu is not available', adapters: [] }, webgl }),
+  workers: () => {
+    const workerProbe = {
+      size: 8,
+      contexts: ['webgpu', '2d'],
+      scopes: [
+        { scope: 'main', supported: true, error: null, navigatorGpu: false, offscreenCanvas: true, contexts: { webgpu: { available: false, renderer: null, error: 'navigator.gpu is not available', verified: false, mismatches: [] }, '2d': { available: true, renderer: null, error: null, verified: true, mismatches: [] } } },
+        { scope: 'service', supported: false, error: 'navigator.serviceWorker is not available', navigatorGpu: null, offscreenCanvas: null, contexts: {} }
+      ]
+    };
+    return { probe: workerProbe, findings: compareWorkerScopes(workerProbe) };
+  }
+};
+
+test.describe('GPU report', () => {
+
+  test('should create an empty report that matches the schema', () => {
+    const report = sampleReport();
+
+    expect(report.schemaVersion).toBe(REPORT_SCHEMA_VERSION);
+    expect(report.gpu).toBeNull();
+    expectValid(report);
+  });
+
+  for (const [section, build] of Object.entries(SECTION_FIXTURES)) {
+    test(`should validate the ${section} section`, () => {
+      const report = sampleReport();
+      report[section] = build();
+
+      expectValid(report);
+    });
+  }
+
+  test('should summarise the Chrome version', () => {
+    expect(summarizeGpuData(gpuData).chromeVersion).toBe('Chrome/124.0.6367.207');
+  });
+
+  test('should validate a finalized report', () => {
+    const report = sampleReport();
+    finalizeGpuReport(report, { status: 'failed', duration: 1234 });
+
+    expectValid(report);
+    expect(report.test).toMatchObject({ status: 'failed', durationMs: 1234 });
+  });
+
+  test('should reject reports from another major schema version or with unknown sections', () => {
+    const otherMajor = { ...sampleReport(), schemaVersion: '2.0.0' };
+    const extraSection = { ...sampleReport(), screenshots: [] };
+
+    expect(validate(otherMajor)).toBe(false);
+    expect(validate(extraSection)).toBe(false);
+  });
+
+  test('should derive a stable output path from project and title', () => {
+    const outputPath = getReportOutputPath(
+      { project: 'chromium', titlePath: ['Comprehensive GPU Testing Suite', 'should test WebGPU rendering functionality'] },
+      'out'
+    );
+
+    expect(outputPath).toBe(path.join('out', 'chromium', 'comprehensive-gpu-testing-suite-should-test-webgpu-rendering-functionality.json'));
+  });
+
+  test('should write the report as formatted JSON', async () => {
+    const dir = mkdtempSync(path.join(os.tmpdir(), 'gpu-report-'));
+    try {
+      const report = sampleReport();
+      const filePath = await writeGpuReport(report, path.join(dir, 'nested', 'report.json'));
+
+      expect(JSON.parse(readFileSync(filePath, 'utf8'))).toEqual(report);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
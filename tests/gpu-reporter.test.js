@@ -0,0 +1,138 @@
+import { test, expect } from '@playwright/test';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseGpuText } from '../src/chrome-gpu-parser.js';
+import { loadProfile, evaluatePolicy } from '../src/gpu-policy.js';
+import { createGpuReport, finalizeGpuReport } from '../src/gpu-report.js';
+import { classifyGpuIssues } from '../src/known-issues.js';
+import GpuReporter, {
+  getCapabilityLists,
+  getFeatureGrid,
+  getGpuArtifactPaths,
+  renderGpuDashboard,
+  renderGpuJUnit,
+  renderGpuMarkdown
+} from '../src/gpu-reporter.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'chrome-gpu');
+const gpuData = parseGpuText(readFileSync(path.join(fixturesDir, 'linux-vulkan-fallback.txt'), 'utf8'));
+
+function extractionReport() {
+  const report = createGpuReport({
+    test: { title: 'should extract comprehensive GPU information from chrome://gpu', project: 'chromium' },
+    environment: { browserName: 'chromium', browserVersion: '124.0.6367.207', platform: 'linux', arch: 'x64' }
+  });
+  report.gpu = gpuData;
+  report.issues = classifyGpuIssues(gpuData);
+  report.policy = evaluatePolicy(loadProfile('hardware-accelerated'), { gpuData });
+  return finalizeGpuReport(report, { status: 'failed', duration: 2100 });
+}
+
+function probeReport() {
+  const report = createGpuReport({
+    test: { title: 'should cross-check live WebGPU adapters against Dawn Info', project: 'chromium' },
+    environment: { browserName: 'chromium', browserVersion: '124.0.6367.207', platform: 'linux', arch: 'x64' }
+  });
+  report.webgpu = {
+    probe: { supported: true, adapters: [{ name: 'default', available: true, info: {}, limits: {}, features: ['timestamp-query', 'shader-f16'] }] },
+    findings: []
+  };
+  return finalizeGpuReport(report, { status: 'passed', duration: 900 });
+}
+
+const sampleResult = () => ({
+  project: 'chromium',
+  tests: [
+    { title: 'Suite › extract', status: 'failed', durationMs: 2100, report: extractionReport(), screenshots: [{ name: 'shot.png', dataUrl: 'data:image/png;base64,iVBORw0KGgo=' }] },
+    { title: 'Suite › probe <webgpu>', status: 'passed', durationMs: 900, report: probeReport(), screenshots: [] }
+  ]
+});
+
+test.describe('GPU reporter', () => {
+
+  test('should name artifacts per project inside the output directory', () => {
+    expect(getGpuArtifactPaths('test-results', 'chromium-angle-vulkan')).toEqual({
+      html: path.join('test-results', 'gpu-chromium-angle-vulkan-dashboard.html'),
+      junit: path.join('test-results', 'gpu-chromium-angle-vulkan-junit.xml'),
+      markdown: path.join('test-results', 'gpu-chromium-angle-vulkan-summary.md')
+    });
+  });
+
+  test('should grade features against the policy and merge capability lists', () => {
+    const { tests } = sampleResult();
+    const grid = getFeatureGrid(tests);
+
+    expect(grid.find((entry) => entry.feature === 'WebGL')).toEqual({ feature: 'WebGL', status: 'Software only, hardware acceleration unavailable', outcome: 'violation' });
+    expect(grid.find((entry) => entry.feature === 'Canvas')).toMatchObject({ outcome: 'ok' });
+    expect(getCapabilityLists(tests)['WebGPU features (default)']).toEqual(['shader-f16', 'timestamp-query']);
+    expect(getFeatureGrid([tests[1]])).toEqual([]);
+  });
+
+  test('should render a self-contained, escaped HTML dashboard', () => {
+    const html = renderGpuDashboard(sampleResult());
+
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).not.toMatch(/<(script|link)\b/);
+    expect(html).toContain('<div class="feature warn violation" title="policy: violation"><b>WebGL</b>Software only, hardware acceleration unavailable</div>');
+    expect(html).toContain('Suite › probe &lt;webgpu&gt;');
+    expect(html).toContain('No usable Vulkan driver, so Chrome falls back to SwiftShader');
+    expect(html).toContain('<img alt="shot.png" src="data:image/png;base64,iVBORw0KGgo=">');
+  });
+
+  test('should write one JUnit testcase per checked feature', () => {
+    const xml = renderGpuJUnit(sampleResult());
+    const featureCount = Object.keys(gpuData.features).length;
+
+    expect(xml).toContain(`<testsuites name="GPU features: chromium" tests="${featureCount + 1}"`);
+    expect(xml.match(/<testcase /g)).toHaveLength(featureCount + 1);
+    expect(xml).toMatch(/<testcase name="WebGL" classname="chromium.Suite › extract">\n\s+<failure message="WebGL is &quot;Software only/);
+    expect(xml).toMatch(/<testcase name="Canvas" classname="chromium.Suite › extract">\n\s+<system-out>/);
+    expect(xml).not.toContain('probe');
+  });
+
+  test('should summarise the project as Markdown', () => {
+    const markdown = renderGpuMarkdown(sampleResult());
+
+    expect(markdown.startsWith('## GPU summary: chromium\n\nchromium 124.0.6367.207 on linux/x64 · 1 failed, 1 passed\n')).toBe(true);
+    expect(markdown).toContain('| Suite › extract | ❌ failed | 2.1 s |');
+    expect(markdown).toContain('| WebGL | Software only, hardware acceleration unavailable | ❌ violation |');
+    expect(markdown).toContain('- 🔴 **high** No usable Vulkan driver, so Chrome falls back to SwiftShader');
+    expect(markdown).toMatch(/^- ❌ \*\*policy\*\* features: WebGL is "Software only/m);
+  });
+
+  test('should write artifacts only for projects with GPU reports', async () => {
+    const dir = mkdtempSync(path.join(os.tmpdir(), 'gpu-reporter-'));
+    const project = (name) => ({ name, outputDir: path.join(dir, name) });
+    const testCase = (id, projectName, title) => ({
+      id,
+      parent: { project: () => project(projectName) },
+      titlePath: () => ['', projectName, 'gpu-comprehensive.test.js', 'Comprehensive GPU Testing Suite', title]
+    });
+    const result = (report, attachments = []) => ({
+      status: 'passed',
+      duration: 1500,
+      attachments: [...(report ? [{ name: 'gpu-report.json', contentType: 'application/json', body: Buffer.from(JSON.stringify(report)) }] : []), ...attachments]
+    });
+
+    try {
+      const reporter = new GpuReporter();
+      reporter.onTestEnd(testCase('a', 'chromium', 'extract'), result(extractionReport(), [
+        { name: 'frame.png', contentType: 'image/png', body: Buffer.from('png') },
+        { name: 'missing.png', contentType: 'image/png', path: path.join(dir, 'missing.png') }
+      ]));
+      reporter.onTestEnd(testCase('b', 'unit', 'parses'), result(null));
+      await reporter.onEnd({ status: 'passed' });
+
+      const paths = getGpuArtifactPaths(path.join(dir, 'chromium'), 'chromium');
+      expect(readFileSync(paths.html, 'utf8')).toContain(`src="data:image/png;base64,${Buffer.from('png').toString('base64')}"`);
+      expect(readFileSync(paths.html, 'utf8')).toContain('Comprehensive GPU Testing Suite › extract');
+      expect(readFileSync(paths.junit, 'utf8')).toContain('classname="chromium.Comprehensive GPU Testing Suite › extract"');
+      expect(existsSync(paths.markdown)).toBe(true);
+      expect(existsSync(path.join(dir, 'unit'))).toBe(false);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,61 @@
+// Shared test fixtures: `gpuReport` gives every test a report document to
+// fill and publishes it, redacted (see src/redaction.js), when the test
+// finishes, pass or fail. `gpuErrors` collects GPU errors from before the
+// first navigation. `policyProfile` is the expectation profile: the
+// project's `policyProfileName` option, else GPU_POLICY_PROFILE, else the
+// policy's default.
+import path from 'node:path';
+import { test as base, expect } from '@playwright/test';
+import {
+  createGpuReport,
+  finalizeGpuReport,
+  getReportOutputPath,
+  writeGpuReport
+} from '../src/gpu-report.js';
+import { installGpuErrorCollector } from '../src/gpu-errors.js';
+import { loadProfile } from '../src/gpu-policy.js';
+import { getHostFingerprint, redactReport } from '../src/redaction.js';
+
+export const test = base.extend({
+  policyProfileName: [null, { option: true }],
+
+  policyProfile: async ({ policyProfileName }, use) => {
+    await use(loadProfile(policyProfileName));
+  },
+
+  gpuReport: async ({ browser, browserName, launchOptions }, use, testInfo) => {
+    const titlePath = testInfo.titlePath.slice(1);
+    const report = createGpuReport({
+      test: {
+        title: testInfo.title,
+        titlePath,
+        project: testInfo.project.name,
+        file: path.relative(testInfo.config.rootDir, testInfo.file)
+      },
+      environment: {
+        browserName,
+        browserVersion: browser.version(),
+        launchFlags: launchOptions.args || []
+      }
+    });
+
+    await use(report);
+
+    finalizeGpuReport(report, testInfo);
+    if (report.gpu) report.hostFingerprint = getHostFingerprint(report.gpu);
+    const shared = redactReport(report);
+    await testInfo.attach('gpu-report.json', {
+      body: JSON.stringify(shared, null, 2),
+      contentType: 'application/json'
+    });
+    await writeGpuReport(shared, getReportOutputPath({ project: testInfo.project.name, titlePath }));
+  },
+
+  gpuErrors: async ({ page }, use) => {
+    const collector = await installGpuErrorCollector(page);
+    await use(collector);
+    collector.dispose();
+  }
+});
+
+export { expect };
@@ -0,0 +1,66 @@
+import { test, expect } from '@playwright/test';
+import { HARNESS_ORIGIN, routeHarness } from '../src/harness-server.js';
+
+// Minimal stand-in for a Playwright page: records the route handler and lets
+// the tests feed it requests without launching a browser.
+async function createRoutedTarget() {
+  const target = {
+    route: async (pattern, handler) => {
+      target.pattern = pattern;
+      target.handler = handler;
+    }
+  };
+  await routeHarness(target);
+  return target;
+}
+
+async function fetchThroughRoute(target, url) {
+  let response = null;
+  await target.handler({
+    request: () => ({ url: () => url }),
+    fulfill: async (options) => { response = options; }
+  });
+  return response;
+}
+
+test.describe('harness server', () => {
+
+  test('should route only the harness origin', async () => {
+    const target = await createRoutedTarget();
+    expect(target.pattern).toBe(`${HARNESS_ORIGIN}/**`);
+  });
+
+  test('should serve harness files with a matching content type', async () => {
+    const target = await createRoutedTarget();
+
+    const page = await fetchThroughRoute(target, `${HARNESS_ORIGIN}/webgpu-render.html`);
+    expect(page.status).toBe(200);
+    expect(page.contentType).toBe('text/html; charset=utf-8');
+    expect(page.body.toString()).toContain('webgpu-render.js');
+
+    const script = await fetchThroughRoute(target, `${HARNESS_ORIGIN}/webgpu-render.js`);
+    expect(script.contentType).toBe('text/javascript; charset=utf-8');
+    expect(script.body.toString()).toContain('copyTextureToBuffer');
+
+    // Service workers refuse scripts without a JavaScript MIME type
+    const worker = await fetchThroughRoute(target, `${HARNESS_ORIGIN}/worker-probe-worker.js`);
+    expect(worker.contentType).toBe('text/javascript; charset=utf-8');
+  });
+
+  test('should serve library modules from src/ next to the harness', async () => {
+    const target = await createRoutedTarget();
+
+    const library = await fetchThroughRoute(target, `${HARNESS_ORIGIN}/src/rendering-tier.js`);
+    expect(library.status).toBe(200);
+    expect(library.contentType).toBe('text/javascript; charset=utf-8');
+    expect(library.body.toString()).toContain('export async function detectRenderingTier');
+    expect((await fetchThroughRoute(target, `${HARNESS_ORIGIN}/src/..%2f..%2fpackage.json`)).status).toBe(404);
+  });
+
+  test('should answer 404 for missing files and paths outside the harness', async () => {
+    const target = await createRoutedTarget();
+
+    expect((await fetchThroughRoute(target, `${HARNESS_ORIGIN}/missing.html`)).status).toBe(404);
+    expect((await fetchThroughRoute(target, `${HARNESS_ORIGIN}/..%2fpackage.json`)).status).toBe(404);
+  });
+});
@@ -0,0 +1,88 @@
+import { test, expect } from '@playwright/test';
+import { mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createEmptyGpuData, parseGpuInfo } from '../src/chrome-gpu-parser.js';
+import { classifyGpuIssues, formatGpuIssues, KnownIssueError, loadKnownIssues } from '../src/known-issues.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'chrome-gpu');
+const readFixture = (name) => readFileSync(path.join(fixturesDir, name), 'utf8');
+
+function withDatabase(database, callback) {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'known-issues-'));
+  try {
+    const file = path.join(dir, 'known-issues.json');
+    writeFileSync(file, JSON.stringify(database));
+    return callback(file);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const issue = (fields) => ({ id: 'webgpu-disabled', kind: 'problem', pattern: '^WebGPU', impact: 'high', ...fields });
+
+test.describe('Known-issue database', () => {
+
+  test('should know every problem and workaround in the chrome://gpu fixtures', async () => {
+    const database = loadKnownIssues();
+    expect(database.version).toMatch(/^\d{4}\.\d+\.\d+$/);
+
+    for (const name of readdirSync(fixturesDir)) {
+      const result = classifyGpuIssues(await parseGpuInfo(readFixture(name)), database);
+      expect(result.triage, name).toEqual([]);
+    }
+  });
+
+  test('should classify problems and workarounds, most severe first', async () => {
+    const gpuData = await parseGpuInfo(readFixture('linux-vulkan-fallback.txt'));
+    const result = classifyGpuIssues(gpuData);
+
+    expect(result.counts).toEqual({ high: 2, medium: 0, low: 4, unknown: 0 });
+    expect(result.entries.map((entry) => `${entry.kind}:${entry.issueId}`)).toEqual([
+      'problem:vulkan-init-failed',
+      'problem:webgpu-disabled',
+      'problem:texsubimage-context-lost',
+      'workaround:clear-uniforms-before-first-program-use',
+      'workaround:exit-on-context-lost',
+      'workaround:disable-discard-framebuffer'
+    ]);
+    expect(result.entries[1]).toMatchObject({
+      impact: 'high',
+      features: ['WebGPU'],
+      remediation: [{ type: 'flag', action: 'Launch with --enable-unsafe-webgpu --enable-features=WebGPU' }],
+      triage: false
+    });
+    expect(result.entries[2].bugs).toEqual(['crbug.com/1183145']);
+  });
+
+  test('should flag unknown entries for triage and keep their crbug links', () => {
+    const gpuData = createEmptyGpuData();
+    gpuData.problems = ['Some Mali drivers corrupt YUV textures: (http://crbug.com/4242) Applied Workarounds: disable_yuv_sampling'];
+    gpuData.driverBugWorkarounds = ['disable_chromium_framebuffer_multisample', 'disable_yuv_sampling'];
+
+    const result = classifyGpuIssues(gpuData);
+    expect(result.triage).toEqual([gpuData.problems[0], 'disable_yuv_sampling']);
+    expect(result.counts).toEqual({ high: 1, medium: 0, low: 0, unknown: 2 });
+    expect(result.entries[1]).toMatchObject({ issueId: null, impact: 'unknown', bugs: ['crbug.com/4242'], triage: true });
+    expect(formatGpuIssues(result)).toEqual([
+      `🩺 Known issues (database ${result.databaseVersion}): 1 high, 0 medium, 0 low, 2 need triage`,
+      '   🔴 This workaround disables WebGL MSAA on your driver; impact high (affects WebGL, WebGL2)',
+      '      ↳ driver-upgrade: Update the GPU driver',
+      `   ❓ Unknown problem, needs triage: ${gpuData.problems[0]}`,
+      '   ❓ Unknown workaround, needs triage: disable_yuv_sampling'
+    ]);
+    expect(formatGpuIssues(classifyGpuIssues(createEmptyGpuData()))).toEqual(['🩺 Known issues: no problems or workarounds reported']);
+  });
+
+  test('should reject malformed databases with a KnownIssueError', () => {
+    expect(() => loadKnownIssues('/nonexistent/known-issues.json')).toThrow(KnownIssueError);
+    expect(() => withDatabase({ version: '1' }, loadKnownIssues)).toThrow(/has no "issues" list/);
+    expect(() => withDatabase({ issues: [issue({ kind: 'bug' })] }, loadKnownIssues)).toThrow(/unknown kind "bug"/);
+    expect(() => withDatabase({ issues: [issue({ impact: 'critical' })] }, loadKnownIssues)).toThrow(/unknown impact "critical"/);
+    expect(() => withDatabase({ issues: [issue({ remediation: [{ type: 'reboot', action: 'Reboot' }] })] }, loadKnownIssues)).toThrow(/unknown remediation type/);
+    expect(() => withDatabase({ issues: [issue({ pattern: '(' })] }, loadKnownIssues)).toThrow(/invalid pattern/);
+    expect(() => withDatabase({ issues: [issue(), issue()] }, loadKnownIssues)).toThrow(/defined twice/);
+    expect(withDatabase({ issues: [issue()] }, loadKnownIssues)).toMatchObject({ version: null, issues: [{ id: 'webgpu-disabled', features: [], bugs: [] }] });
+  });
+});
@@ -0,0 +1,323 @@
+import { test, expect } from '@playwright/test';
+import {
+  DEFAULT_LIMIT_BUDGET_MS,
+  verifyAdvertisedLimits,
+  runLimitVerification,
+  evaluateLimitVerification,
+  formatLimitVerification
+} from '../src/limit-verification.js';
+import { PolicyError } from '../src/gpu-policy.js';
+
+const GIB = 2 ** 30;
+
+// Fake WebGPU with sparse memory. Allocations above `capacity` bytes raise an
+// out-of-memory error, texels at or beyond `backedDimension` are silently
+// dropped (a driver that advertises more than it has), and `hangMapping`
+// leaves mapAsync pending forever.
+function installWebGPU({ limits, capacity = Infinity, backedDimension = Infinity, hangMapping = false, rejectDevice = false }) {
+  const created = [];
+  const scopes = [];
+  const state = { created, destroyed: false, requiredLimits: null };
+
+  const report = (filter, message) => {
+    const scope = [...scopes].reverse().find((entry) => entry.filter === filter);
+    if (scope && !scope.error) scope.error = { message };
+  };
+  const createMemory = (size) => {
+    const resource = { size, bytes: new Map(), destroyed: false, destroy() { this.destroyed = true; } };
+    created.push(resource);
+    if (size > capacity) report('out-of-memory', `Failed to allocate ${size} bytes`);
+    return resource;
+  };
+  const read = (memory, offset, length) => Array.from({ length }, (_, index) => memory.bytes.get(offset + index) ?? 0);
+
+  const device = {
+    queue: {
+      writeBuffer(buffer, offset, data, dataOffset, size) {
+        for (let index = 0; index < size; index++) buffer.bytes.set(offset + index, data[dataOffset + index]);
+      },
+      writeTexture({ texture, origin: [x, y] }, data, { offset }, [width]) {
+        if (y >= backedDimension || x + width > backedDimension) return;
+        for (let index = 0; index < width; index++) texture.bytes.set(y * texture.dimension + x + index, data[offset + index]);
+      },
+      submit(commandBuffers) {
+        commandBuffers.flat().forEach((command) => command());
+      }
+    },
+    pushErrorScope(filter) { scopes.push({ filter, error: null }); },
+    async popErrorScope() { return scopes.pop().error; },
+    createBuffer({ size }) {
+      const buffer = createMemory(size);
+      buffer.mapAsync = () => (hangMapping ? new Promise(() => {}) : Promise.resolve());
+      buffer.getMappedRange = () => Uint8Array.from(read(buffer, 0, size)).buffer;
+      buffer.unmap = () => {};
+      return buffer;
+    },
+    createTexture({ size: [dimension], format }) {
+      const texture = createMemory(dimension * dimension);
+      return Object.assign(texture, { dimension, format });
+    },
+    createShaderModule: ({ code }) => ({ code }),
+    createComputePipeline: () => ({ getBindGroupLayout: () => ({}) }),
+    createBindGroup: ({ entries }) => ({ buffer: entries[0].resource.buffer }),
+    createCommandEncoder() {
+      const commands = [];
+      return {
+        copyBufferToBuffer(source, sourceOffset, target, targetOffset, size) {
+          commands.push(() => device.queue.writeBuffer(target, targetOffset, read(source, sourceOffset, size), 0, size));
+        },
+        copyTextureToBuffer({ texture, origin: [x, y] }, { buffer, offset }, [width]) {
+          commands.push(() => device.queue.writeBuffer(buffer, offset, read(texture, y * texture.dimension + x, width), 0, width));
+        },
+        beginComputePass() {
+          let bindGroup;
+          return {
+            setPipeline() {},
+            setBindGroup(index, group) { bindGroup = group; },
+            // What the verification shader writes: a marker first, the index last
+            dispatchWorkgroups() {
+              commands.push(() => {
+                const { buffer } = bindGroup;
+                const last = buffer.size / 4 - 1;
+                const words = new Uint8Array(new Uint32Array([0x9e3779b9, (last ^ 0x9e3779b9) >>> 0]).buffer);
+                device.queue.writeBuffer(buffer, 0, words, 0, 4);
+                device.queue.writeBuffer(buffer, last * 4, words, 4, 4);
+              });
+            },
+            end() {}
+          };
+        },
+        finish: () => commands
+      };
+    },
+    destroy() { state.destroyed = true; }
+  };
+
+  globalThis.GPUBufferUsage = { MAP_READ: 0x1, COPY_SRC: 0x4, COPY_DST: 0x8, STORAGE: 0x80 };
+  globalThis.GPUTextureUsage = { COPY_SRC: 0x1, COPY_DST: 0x2 };
+  globalThis.GPUMapMode = { READ: 0x1 };
+  globalThis.navigator = {
+    gpu: {
+      requestAdapter: async () => ({
+        limits,
+        requestDevice: async ({ requiredLimits }) => {
+          if (rejectDevice) throw new Error('Limit maxBufferSize exceeds the device limit');
+          state.requiredLimits = requiredLimits;
+          return device;
+        }
+      })
+    }
+  };
+  return state;
+}
+
+// Fake WebGL2 context backed by per-texel maps. Allocations above
+// `maxAllocation` pixels raise GL_OUT_OF_MEMORY.
+function installWebGL({ maxTextureSize, maxRenderbufferSize, maxAllocation = Infinity }) {
+  const state = { lost: false, deleted: 0 };
+  let error = 0;
+  let bound = null;
+  let attached = null;
+  let clearColor = [0, 0, 0, 0];
+  let scissor = null;
+
+  const gl = {
+    NO_ERROR: 0, OUT_OF_MEMORY: 0x505, FRAMEBUFFER_COMPLETE: 0x8cd5,
+    MAX_TEXTURE_SIZE: 'MAX_TEXTURE_SIZE', MAX_RENDERBUFFER_SIZE: 'MAX_RENDERBUFFER_SIZE',
+    RED: 'RED', RGBA: 'RGBA', R8: 'R8', RGBA8: 'RGBA8',
+    getParameter: (name) => ({ MAX_TEXTURE_SIZE: maxTextureSize, MAX_RENDERBUFFER_SIZE: maxRenderbufferSize })[name],
+    getError() { const current = error; error = 0; return current; },
+    getExtension: (name) => (name === 'WEBGL_lose_context' ? { loseContext() { state.lost = true; } } : null),
+    createTexture: () => ({ texels: new Map() }),
+    createRenderbuffer: () => ({ texels: new Map() }),
+    createFramebuffer: () => ({}),
+    bindTexture(target, texture) { bound = texture; },
+    bindRenderbuffer(target, renderbuffer) { bound = renderbuffer; },
+    bindFramebuffer() {},
+    deleteTexture() { state.deleted++; },
+    deleteRenderbuffer() { state.deleted++; },
+    deleteFramebuffer() { state.deleted++; },
+    texStorage2D(target, levels, format, width, height) {
+      if (width * height > maxAllocation) error = gl.OUT_OF_MEMORY;
+    },
+    renderbufferStorage(target, format, width, height) {
+      if (width * height > maxAllocation) error = gl.OUT_OF_MEMORY;
+    },
+    pixelStorei() {},
+    texSubImage2D(target, level, x, y, width, height, format, type, data) {
+      for (let index = 0; index < width * height; index++) {
+        bound.texels.set(`${x + (index % width)},${y + Math.floor(index / width)}`, [data[index], 0, 0, 255]);
+      }
+    },
+    framebufferTexture2D(target, attachment, textarget, texture) { attached = texture; },
+    framebufferRenderbuffer(target, attachment, renderbuffertarget, renderbuffer) { attached = renderbuffer; },
+    checkFramebufferStatus: () => gl.FRAMEBUFFER_COMPLETE,
+    enable() {},
+    disable() {},
+    scissor(x, y, width, height) { scissor = [x, y, width, height]; },
+    clearColor(...colour) { clearColor = colour; },
+    clear() {
+      const [x, y, width, height] = scissor;
+      for (let index = 0; index < width * height; index++) {
+        attached.texels.set(`${x + (index % width)},${y + Math.floor(index / width)}`, clearColor.map((value) => value * 255));
+      }
+    },
+    readPixels(x, y, width, height, format, type, out) {
+      for (let index = 0; index < width * height; index++) {
+        out.set(attached.texels.get(`${x + (index % width)},${y + Math.floor(index / width)}`) || [0, 0, 0, 0], index * 4);
+      }
+    }
+  };
+
+  globalThis.document = {
+    createElement: () => ({ getContext: (type) => (type === 'webgl2' ? gl : null) })
+  };
+  return state;
+}
+
+const LIMITS = { maxBufferSize: 4 * GIB, maxStorageBufferBindingSize: 2 * GIB - 4, maxTextureDimension2D: 16384, maxBindGroups: 4 };
+
+test.describe('Advertised limit verification', () => {
+  const globals = ['navigator', 'document', 'GPUBufferUsage', 'GPUTextureUsage', 'GPUMapMode'];
+  let saved;
+
+  test.beforeEach(() => {
+    saved = Object.fromEntries(globals.map((name) => [name, globalThis[name]]));
+  });
+
+  test.afterEach(() => {
+    for (const name of globals) {
+      if (saved[name] === undefined) delete globalThis[name];
+      else globalThis[name] = saved[name];
+    }
+  });
+
+  test('should verify limits that hold and tear everything down', async () => {
+    const gpu = installWebGPU({ limits: LIMITS });
+    const gl = installWebGL({ maxTextureSize: 16384, maxRenderbufferSize: 16384 });
+    const result = await verifyAdvertisedLimits({ budgetMs: 10000 });
+
+    expect(gpu.requiredLimits).toEqual(LIMITS);
+    expect(result.webgpu.checks.map(({ limit, advertised, outcome }) => [limit, advertised, outcome])).toEqual([
+      ['requiredLimits', null, 'verified'],
+      ['maxBufferSize', 4 * GIB, 'verified'],
+      ['maxStorageBufferBindingSize', 2 * GIB - 4, 'verified'],
+      ['maxTextureDimension2D', 16384, 'verified']
+    ]);
+    expect(result.webgl).toMatchObject({ supported: true, contextType: 'webgl2' });
+    expect(result.webgl.checks.map(({ api, limit, outcome }) => [api, limit, outcome])).toEqual([
+      ['webgl2', 'MAX_TEXTURE_SIZE', 'verified'],
+      ['webgl2', 'MAX_RENDERBUFFER_SIZE', 'verified']
+    ]);
+    expect(result.webgpu.checks[1].checksum.expected).toBeGreaterThan(0);
+
+    expect(gpu.destroyed).toBe(true);
+    expect(gpu.created.every((resource) => resource.destroyed)).toBe(true);
+    expect(gl.lost).toBe(true);
+    expect(gl.deleted).toBe(4);
+  });
+
+  test('should fail limits that cannot be allocated or lose data', async () => {
+    installWebGPU({ limits: LIMITS, capacity: 3 * GIB, backedDimension: 8192 });
+    installWebGL({ maxTextureSize: 16384, maxRenderbufferSize: 16384, maxAllocation: 8192 * 8192 });
+    const result = await verifyAdvertisedLimits({ budgetMs: 10000 });
+
+    expect(result.webgpu.checks.slice(1).map(({ limit, outcome, error }) => [limit, outcome, error])).toEqual([
+      ['maxBufferSize', 'failed', `Failed to allocate ${4 * GIB} bytes`],
+      ['maxStorageBufferBindingSize', 'verified', null],
+      ['maxTextureDimension2D', 'failed', 'Read-back checksum mismatch']
+    ]);
+    expect(result.webgl.checks.map(({ outcome, error }) => [outcome, error])).toEqual([
+      ['failed', 'Texture allocation failed with GL error 0x505'],
+      ['failed', 'Renderbuffer allocation failed with GL error 0x505']
+    ]);
+  });
+
+  test('should record a device that refuses the adapter limits', async () => {
+    installWebGPU({ limits: LIMITS, rejectDevice: true });
+    const result = await verifyAdvertisedLimits({ budgetMs: 10000, webgl: false });
+
+    expect(result.webgl).toBeNull();
+    expect(result.webgpu.checks).toEqual([expect.objectContaining({
+      limit: 'requiredLimits',
+      outcome: 'failed',
+      error: 'Limit maxBufferSize exceeds the device limit'
+    })]);
+  });
+
+  test('should skip checks once the time budget is spent', async () => {
+    const gpu = installWebGPU({ limits: LIMITS, hangMapping: true });
+    const result = await verifyAdvertisedLimits({ budgetMs: 50, webgl: false });
+
+    expect(result.webgpu.checks.map(({ limit, outcome }) => [limit, outcome])).toEqual([
+      ['requiredLimits', 'verified'],
+      ['maxBufferSize', 'skipped'],
+      ['maxStorageBufferBindingSize', 'skipped'],
+      ['maxTextureDimension2D', 'skipped']
+    ]);
+    expect(result.webgpu.checks[1].error).toBe('time budget exhausted');
+    expect(gpu.destroyed).toBe(true);
+  });
+
+  test('should report missing APIs instead of checks', async () => {
+    globalThis.navigator = {};
+    globalThis.document = { createElement: () => ({ getContext: () => null }) };
+    const result = await verifyAdvertisedLimits({ budgetMs: 1000 });
+
+    expect(result.webgpu).toEqual({ supported: false, error: 'navigator.gpu is not available', checks: [] });
+    expect(result.webgl).toEqual({ supported: false, contextType: null, error: 'WebGL is not available', checks: [] });
+    expect(evaluateLimitVerification(result)).toMatchObject({ passed: true, unavailable: ['navigator.gpu is not available', 'WebGL is not available'] });
+  });
+
+  test('should pass the budget to the page', async () => {
+    const calls = [];
+    const page = { evaluate: async (fn, options) => calls.push([fn.name, options]) };
+
+    await runLimitVerification(page);
+    await runLimitVerification(page, { budgetMs: 500, webgl: false });
+    expect(calls).toEqual([
+      ['verifyAdvertisedLimits', { budgetMs: DEFAULT_LIMIT_BUDGET_MS, webgpu: true, webgl: true }],
+      ['verifyAdvertisedLimits', { budgetMs: 500, webgpu: true, webgl: false }]
+    ]);
+  });
+
+  const verification = {
+    budgetMs: 10000,
+    elapsedMs: 4200,
+    webgpu: {
+      supported: true,
+      error: null,
+      checks: [
+        { api: 'webgpu', limit: 'maxBufferSize', advertised: 4 * GIB, outcome: 'failed', checksum: null, error: 'Out of memory', durationMs: 900 },
+        { api: 'webgpu', limit: 'maxTextureDimension2D', advertised: 16384, outcome: 'skipped', checksum: null, error: 'time budget exhausted', durationMs: 0 }
+      ]
+    },
+    webgl: {
+      supported: true,
+      contextType: 'webgl2',
+      error: null,
+      checks: [{ api: 'webgl2', limit: 'MAX_TEXTURE_SIZE', advertised: 16384, outcome: 'verified', checksum: { expected: 7, actual: 7 }, error: null, durationMs: 300 }]
+    }
+  };
+
+  test('should assign severities from the profile', () => {
+    const strict = evaluateLimitVerification(verification);
+    expect(strict.passed).toBe(false);
+    expect(strict.checks.map((entry) => entry.severity)).toEqual(['error', 'warn', 'info']);
+
+    const relaxed = evaluateLimitVerification(verification, { budgetMs: 10000, failed: 'warn', skipped: 'ignore' });
+    expect(relaxed.passed).toBe(true);
+    expect(relaxed.checks.map((entry) => entry.limit)).toEqual(['maxBufferSize', 'MAX_TEXTURE_SIZE']);
+
+    expect(() => evaluateLimitVerification(verification, { failed: 'fatal' })).toThrow(PolicyError);
+  });
+
+  test('should render one line per limit', () => {
+    expect(formatLimitVerification(evaluateLimitVerification(verification))).toEqual([
+      '🧱 Advertised limits: ❌ 1 not met (4200 of 10000 ms budget)',
+      `   ❌ [webgpu] maxBufferSize = ${4 * GIB} (failed): Out of memory`,
+      '   ⏭️  [webgpu] maxTextureDimension2D = 16384 (skipped): time budget exhausted',
+      '   ✅ [webgl2] MAX_TEXTURE_SIZE = 16384 (verified)'
+    ]);
+  });
+});
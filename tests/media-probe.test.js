@@ -0,0 +1,221 @@
+import { test, expect } from '@playwright/test';
+import {
+  MEDIA_CODECS,
+  probeMediaCodecs,
+  classifyCodecSupport,
+  buildCodecMatrix,
+  compareWithVideoAcceleration,
+  formatMediaResult
+} from '../src/media-probe.js';
+import { evaluatePolicy, PolicyError } from '../src/gpu-policy.js';
+
+const RESOLUTIONS = [
+  { name: '720p', width: 1280, height: 720 },
+  { name: '2160p', width: 3840, height: 2160 }
+];
+
+// Fake WebCodecs: `support` maps "<codec>/<hardwareAcceleration>" to the
+// largest supported width. Encoders emit one chunk per frame, decoders one
+// frame per chunk unless `brokenDecoders` lists the codec.
+function installWebCodecs({ support, brokenDecoders = [] }) {
+  const isConfigSupported = async (config) => {
+    if (!config.codec) throw new TypeError('codec is required');
+    const width = config.width ?? config.codedWidth;
+    const maxWidth = support[`${config.codec}/${config.hardwareAcceleration}`] ?? 0;
+    return { supported: width <= maxWidth, config };
+  };
+
+  globalThis.VideoEncoder = class {
+    static isConfigSupported = isConfigSupported;
+    constructor({ output }) { this.output = output; }
+    configure(config) { this.config = config; }
+    encode(frame, { keyFrame }) {
+      this.output({ type: keyFrame ? 'key' : 'delta', timestamp: frame.timestamp }, keyFrame ? { decoderConfig: { codec: this.config.codec } } : undefined);
+    }
+    async flush() {}
+    close() {}
+  };
+  globalThis.VideoDecoder = class {
+    static isConfigSupported = isConfigSupported;
+    constructor({ output, error }) { Object.assign(this, { output, error }); }
+    configure(config) { this.config = config; }
+    decode(chunk) {
+      if (!brokenDecoders.includes(this.config.codec)) this.output({ timestamp: chunk.timestamp, close() {} });
+    }
+    async flush() {
+      if (brokenDecoders.includes(this.config.codec)) throw new Error('Decoder failure');
+    }
+    close() {}
+  };
+  globalThis.VideoFrame = class {
+    constructor(source, { timestamp }) { this.timestamp = timestamp; }
+    close() {}
+  };
+  globalThis.OffscreenCanvas = class {
+    getContext() { return { fillRect() {} }; }
+  };
+}
+
+test.describe('Media codec probe', () => {
+  const globals = ['VideoEncoder', 'VideoDecoder', 'VideoFrame', 'OffscreenCanvas', 'navigator'];
+  let saved;
+
+  test.beforeEach(() => {
+    saved = Object.fromEntries(globals.map((name) => [name, globalThis[name]]));
+  });
+
+  test.afterEach(() => {
+    for (const name of globals) {
+      if (saved[name] === undefined) delete globalThis[name];
+      else globalThis[name] = saved[name];
+    }
+  });
+
+  test('should classify each codec and resolution from WebCodecs', async () => {
+    installWebCodecs({
+      support: {
+        'avc1.640034/prefer-hardware': 3840,
+        'avc1.640034/prefer-software': 1920,
+        'vp09.00.51.08/prefer-software': 3840
+      }
+    });
+    const codecs = MEDIA_CODECS.filter((codec) => ['h264', 'vp9', 'hevc'].includes(codec.name));
+    const probe = await probeMediaCodecs({ codecs, resolutions: RESOLUTIONS });
+
+    expect(probe.api).toEqual({ videoDecoder: true, videoEncoder: true, mediaCapabilities: false });
+    expect(probe.results).toHaveLength(6);
+    expect(probe.results[0]).toMatchObject({
+      codec: 'h264',
+      resolution: '720p',
+      decode: { hardware: true, software: true, mediaCapabilities: null },
+      encode: { hardware: true, software: true, mediaCapabilities: null }
+    });
+    expect(probe.roundTrips).toEqual({});
+
+    expect(buildCodecMatrix(probe)).toEqual({
+      h264: {
+        decode: { support: 'hardware', resolutions: { '720p': 'hardware', '2160p': 'hardware' } },
+        encode: { support: 'hardware', resolutions: { '720p': 'hardware', '2160p': 'hardware' } },
+        roundTrip: null
+      },
+      vp9: {
+        decode: { support: 'software', resolutions: { '720p': 'software', '2160p': 'software' } },
+        encode: { support: 'software', resolutions: { '720p': 'software', '2160p': 'software' } },
+        roundTrip: null
+      },
+      hevc: {
+        decode: { support: 'unsupported', resolutions: { '720p': 'unsupported', '2160p': 'unsupported' } },
+        encode: { support: 'unsupported', resolutions: { '720p': 'unsupported', '2160p': 'unsupported' } },
+        roundTrip: null
+      }
+    });
+  });
+
+  test('should encode and decode generated frames when asked to', async () => {
+    installWebCodecs({
+      support: {
+        'avc1.640034/prefer-hardware': 3840,
+        'vp8/prefer-software': 3840
+      },
+      brokenDecoders: ['vp8']
+    });
+    const codecs = MEDIA_CODECS.filter((codec) => ['h264', 'vp8', 'av1'].includes(codec.name));
+    const probe = await probeMediaCodecs({ codecs, resolutions: RESOLUTIONS.slice(0, 1), roundTrip: { frames: 4, width: 64, height: 48 } });
+
+    expect(probe.roundTrips.h264).toEqual({
+      hardwareAcceleration: 'prefer-hardware',
+      frames: 4,
+      encodedFrames: 4,
+      decodedFrames: 4,
+      passed: true,
+      error: null
+    });
+    expect(probe.roundTrips.vp8).toMatchObject({ hardwareAcceleration: 'prefer-software', encodedFrames: 4, passed: false, error: 'Decoder failure' });
+    expect(probe.roundTrips.av1).toBeNull();
+  });
+
+  test('should fall back to MediaCapabilities without WebCodecs', async () => {
+    globalThis.navigator = {
+      mediaCapabilities: {
+        decodingInfo: async ({ video }) => ({ supported: video.contentType.includes('vp8'), smooth: true, powerEfficient: false }),
+        encodingInfo: async () => { throw new TypeError('Unsupported type'); }
+      }
+    };
+    const codecs = MEDIA_CODECS.filter((codec) => codec.name === 'vp8');
+    const probe = await probeMediaCodecs({ codecs, resolutions: RESOLUTIONS.slice(0, 1), roundTrip: { frames: 2, width: 16, height: 16 } });
+
+    expect(probe.api).toEqual({ videoDecoder: false, videoEncoder: false, mediaCapabilities: true });
+    expect(probe.results[0].decode).toEqual({ hardware: null, software: null, mediaCapabilities: { supported: true, smooth: true, powerEfficient: false } });
+    expect(probe.results[0].encode.mediaCapabilities).toMatchObject({ supported: false, error: 'Unsupported type' });
+    expect(probe.roundTrips).toEqual({});
+    expect(buildCodecMatrix(probe).vp8).toMatchObject({ decode: { support: 'software' }, encode: { support: 'unsupported' } });
+  });
+
+  test('should take powerEfficient as the hardware hint only when WebCodecs is missing', () => {
+    const capabilities = { supported: true, smooth: true, powerEfficient: true };
+    expect(classifyCodecSupport({ hardware: null, software: null, mediaCapabilities: capabilities })).toBe('hardware');
+    expect(classifyCodecSupport({ hardware: false, software: true, mediaCapabilities: capabilities })).toBe('software');
+    expect(classifyCodecSupport({ hardware: false, software: false, mediaCapabilities: capabilities })).toBe('unsupported');
+  });
+
+  test('should cross-check the matrix against chrome://gpu video profiles', () => {
+    const support = (decode, encode) => ({
+      decode: { support: decode, resolutions: {} },
+      encode: { support: encode, resolutions: {} },
+      roundTrip: null
+    });
+    const matrix = { h264: support('hardware', 'software'), vp9: support('software', 'software'), av1: support('hardware', 'unsupported') };
+    const gpuData = {
+      videoAcceleration: {
+        decode: [{ profile: 'h264 high', codec: 'h264' }, { profile: 'vp9 profile0', codec: 'vp9' }],
+        encode: [{ profile: 'h264 baseline', codec: 'h264' }]
+      }
+    };
+
+    expect(compareWithVideoAcceleration(matrix, gpuData).map(({ type, codec, direction }) => [type, codec, direction])).toEqual([
+      ['missing-in-webcodecs', 'h264', 'encode'],
+      ['missing-in-webcodecs', 'vp9', 'decode'],
+      ['missing-in-gpu-info', 'av1', 'decode']
+    ]);
+  });
+
+  test('should enforce minimum codec tiers and round trips from the policy profile', () => {
+    const matrix = {
+      h264: {
+        decode: { support: 'software', resolutions: {} },
+        encode: { support: 'hardware', resolutions: {} },
+        roundTrip: { hardwareAcceleration: 'prefer-hardware', frames: 4, encodedFrames: 4, decodedFrames: 1, passed: false, error: null }
+      }
+    };
+    const profile = { name: 'media-test', media: { decode: { h264: 'hardware', av1: 'software' }, encode: { h264: 'software' }, roundTrip: true } };
+    const result = evaluatePolicy(profile, { gpuData: {}, mediaMatrix: matrix }, { checks: ['media'] });
+
+    expect(result.violations.map((violation) => violation.message)).toEqual([
+      'h264 decode is software, expected hardware',
+      'av1 decode is not probed, expected software',
+      'h264 encode/decode round trip failed: 1 of 4 frames decoded'
+    ]);
+    expect(evaluatePolicy(profile, { gpuData: {} }, { checks: ['media'] }).violations).toEqual([]);
+    expect(() => evaluatePolicy({ media: { decode: { h264: 'fast' } } }, { gpuData: {}, mediaMatrix: matrix }, { checks: ['media'] })).toThrow(PolicyError);
+  });
+
+  test('should render the matrix with round trips and findings', () => {
+    const lines = formatMediaResult({
+      probe: { api: { videoDecoder: true, videoEncoder: false, mediaCapabilities: true } },
+      matrix: {
+        vp9: {
+          decode: { support: 'hardware', resolutions: {} },
+          encode: { support: 'unsupported', resolutions: {} },
+          roundTrip: { frames: 10, decodedFrames: 10, passed: true, error: null }
+        }
+      },
+      findings: [{ type: 'missing-in-gpu-info', message: 'WebCodecs reports hardware vp9 decode but chrome://gpu lists no vp9 decode profile' }]
+    });
+
+    expect(lines).toEqual([
+      '🎬 Media codecs (not available: videoEncoder):',
+      '   vp9   decode ✅ hardware, encode ❌ unsupported, round trip ✅ 10/10 frames',
+      '   ⚠️  [missing-in-gpu-info] WebCodecs reports hardware vp9 decode but chrome://gpu lists no vp9 decode profile'
+    ]);
+  });
+});
@@ -0,0 +1,165 @@
+import { test, expect } from '@playwright/test';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseGpuHtml, parseGpuText } from '../src/chrome-gpu-parser.js';
+import { createGpuReport, getReportOutputPath, summarizeGpuData, writeGpuReport } from '../src/gpu-report.js';
+import { getLaunchArgs, getPresetPolicyProfile, MATRIX_PRESETS, parsePresetList, WEBGPU_DEVELOPER_FLAGS } from '../src/launch-flags.js';
+import { comparePresets, formatComparisonMarkdown, loadProjectReports, mergeReports, writeComparison } from '../src/preset-comparison.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'chrome-gpu');
+const nvidia = parseGpuHtml(readFileSync(path.join(fixturesDir, 'linux-nvidia-vulkan.html'), 'utf8'));
+const swiftshader = parseGpuText(readFileSync(path.join(fixturesDir, 'linux-swiftshader.txt'), 'utf8'));
+
+function projectReport(project, title, sections) {
+  const report = createGpuReport({
+    test: { title, titlePath: ['Comprehensive GPU Testing Suite', title], project },
+    environment: { browserName: 'chromium', launchFlags: [] }
+  });
+  return Object.assign(report, sections);
+}
+
+const byProject = {
+  'chromium-angle-vulkan': [
+    projectReport('chromium-angle-vulkan', 'extract', { gpu: nvidia, summary: summarizeGpuData(nvidia) }),
+    projectReport('chromium-angle-vulkan', 'cross-check', { webgpu: { probe: { supported: true, adapters: [{ name: 'default', available: true, info: { vendor: 'nvidia', architecture: 'lovelace' } }] }, findings: [] } }),
+    projectReport('chromium-angle-vulkan', 'media', {
+      media: {
+        probe: { api: {}, results: [], roundTrips: {} },
+        matrix: { h264: { decode: { support: 'hardware', resolutions: {} }, encode: { support: 'software', resolutions: {} }, roundTrip: null } },
+        findings: []
+      }
+    }),
+    projectReport('chromium-angle-vulkan', 'workers', {
+      workers: {
+        probe: {
+          size: 8,
+          contexts: ['webgpu', 'webgl2', '2d'],
+          scopes: [
+            {
+              scope: 'dedicated',
+              supported: true,
+              error: null,
+              navigatorGpu: true,
+              offscreenCanvas: true,
+              contexts: {
+                webgpu: { available: true, renderer: 'nvidia lovelace', error: null, verified: true, mismatches: [] },
+                webgl2: { available: true, renderer: 'ANGLE (NVIDIA)', error: null, verified: false, mismatches: [] },
+                '2d': { available: false, renderer: null, error: 'getContext("2d") returned null', verified: false, mismatches: [] }
+              }
+            },
+            { scope: 'service', supported: false, error: 'No answer within 10000 ms', navigatorGpu: null, offscreenCanvas: null, contexts: {} }
+          ]
+        },
+        findings: []
+      }
+    })
+  ],
+  'chromium-angle-swiftshader': [
+    projectReport('chromium-angle-swiftshader', 'extract', { gpu: swiftshader, summary: summarizeGpuData(swiftshader) }),
+    projectReport('chromium-angle-swiftshader', 'cross-check', { webgpu: { probe: { supported: false, adapters: [] }, findings: [] } }),
+    projectReport('chromium-angle-swiftshader', 'limits', {
+      limits: {
+        passed: true,
+        budgetMs: 10000,
+        elapsedMs: 2100,
+        unavailable: ['navigator.gpu is not available'],
+        checks: [{ api: 'webgl2', limit: 'MAX_TEXTURE_SIZE', advertised: 8192, outcome: 'failed', checksum: null, error: 'Out of memory', durationMs: 2000, severity: 'warn' }]
+      },
+      wgsl: {
+        supported: true,
+        languageFeatures: [],
+        cases: [{ name: 'shader-f16', kind: 'feature', status: 'fail', stage: 'run', error: 'Device lost', messages: [], durationMs: 40 }]
+      }
+    })
+  ]
+};
+
+test.describe('Flag preset matrix', () => {
+
+  test('should resolve preset lists from GPU_PRESETS', () => {
+    expect(parsePresetList(undefined)).toEqual([]);
+    expect(parsePresetList('all')).toEqual(MATRIX_PRESETS);
+    expect(MATRIX_PRESETS).toEqual(['angle-swiftshader', 'angle-vulkan', 'angle-gl', 'webgpu-off', 'disable-gpu']);
+    expect(parsePresetList(' angle-gl, disable-gpu,angle-gl ')).toEqual(['angle-gl', 'disable-gpu']);
+    expect(() => parsePresetList('angle-gl,amiga')).toThrow(/Unknown flag preset "amiga"/);
+  });
+
+  test('should only add WebGPU developer flags to presets with WebGPU on', () => {
+    expect(getLaunchArgs('angle-gl')).toEqual(expect.arrayContaining(['--use-angle=gl', ...WEBGPU_DEVELOPER_FLAGS]));
+    expect(getLaunchArgs('disable-gpu')).toEqual(['--disable-gpu']);
+    expect(getLaunchArgs('webgpu-off')).not.toContain('--enable-webgpu');
+    expect(getPresetPolicyProfile('angle-swiftshader')).toBe('ci-swiftshader');
+    expect(getPresetPolicyProfile('angle-vulkan')).toBeNull();
+  });
+
+  test('should merge the sections of a project\'s reports', () => {
+    const merged = mergeReports(byProject['chromium-angle-vulkan']);
+    expect(merged.gpu).toBe(nvidia);
+    expect(merged.webgpu.probe.supported).toBe(true);
+    expect(merged.rendering).toBeNull();
+  });
+
+  test('should line up status, features, WebGPU capabilities, codecs, limits, WGSL and worker results per preset', () => {
+    const comparison = comparePresets(byProject);
+    expect(comparison.projects).toEqual(['chromium-angle-swiftshader', 'chromium-angle-vulkan']);
+    expect(comparison.sections.map((section) => section.title)).toEqual(['Status', 'Graphics Feature Status', 'WebGPU Features', 'Media Codecs', 'Advertised Limits', 'WGSL Conformance', 'Worker Rendering']);
+
+    const status = Object.fromEntries(comparison.sections[0].rows.map((row) => [row.label, row.values]));
+    expect(status.Browser).toEqual(['chromium', 'chromium']);
+    expect(status['ANGLE backend']).toEqual(['swiftshader', 'vulkan']);
+    expect(status['navigator.gpu']).toEqual(['unavailable', 'nvidia lovelace']);
+    expect(status['Rendering verdict']).toEqual([null, null]);
+
+    const shaderF16 = comparison.sections[2].rows.find((row) => row.label === 'shader-f16');
+    expect(shaderF16.values).toEqual(['no', 'yes']);
+
+    expect(comparison.sections[3].rows).toEqual([
+      { label: 'h264 decode', values: [null, 'hardware'] },
+      { label: 'h264 encode', values: [null, 'software'] }
+    ]);
+    expect(comparison.sections[4].rows).toEqual([
+      { label: 'MAX_TEXTURE_SIZE', values: ['8192 (failed)', null] }
+    ]);
+    expect(comparison.sections[5].rows).toEqual([
+      { label: 'shader-f16', values: ['fail', null] }
+    ]);
+    expect(comparison.sections[6].rows.map((row) => [row.label, row.values[1]])).toEqual([
+      ['dedicated webgpu', 'rendered'],
+      ['dedicated webgl2', 'wrong pixels'],
+      ['dedicated 2d', 'unavailable'],
+      ['service webgpu', 'scope unavailable'],
+      ['service webgl2', 'scope unavailable'],
+      ['service 2d', 'scope unavailable']
+    ]);
+  });
+
+  test('should render a Markdown table that marks differing rows', () => {
+    const markdown = formatComparisonMarkdown(comparePresets(byProject));
+    expect(markdown).toContain('| | chromium-angle-swiftshader | chromium-angle-vulkan |\n| --- | --- | --- |');
+    expect(markdown).toContain('| ⚡ ANGLE backend | swiftshader | vulkan |');
+    expect(markdown).toContain('| Rendering verdict | – | – |');
+  });
+
+  test('should load only this run\'s reports from the report directory', async () => {
+    const dir = mkdtempSync(path.join(os.tmpdir(), 'gpu-presets-'));
+    try {
+      const stale = projectReport('chromium-angle-gl', 'extract', { gpu: nvidia });
+      stale.generatedAt = '2020-01-01T00:00:00.000Z';
+      for (const report of [...Object.values(byProject).flat(), stale]) {
+        await writeGpuReport(report, getReportOutputPath(report.test, dir));
+      }
+
+      const loaded = loadProjectReports(dir, { since: '2021-01-01T00:00:00.000Z' });
+      expect(Object.keys(loaded).sort()).toEqual(['chromium-angle-swiftshader', 'chromium-angle-vulkan']);
+      expect(loaded['chromium-angle-vulkan']).toHaveLength(4);
+
+      const filePath = await writeComparison(comparePresets(loaded), path.join(dir, 'preset-comparison.md'));
+      expect(readFileSync(filePath, 'utf8')).toContain('# GPU Flag Preset Comparison');
+      expect(loadProjectReports(path.join(dir, 'missing'))).toEqual({});
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,169 @@
+import { test, expect } from '@playwright/test';
+import { mkdtempSync, readFileSync, rmSync, statSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createEmptyGpuData, parseGpuHtml, parseGpuText } from '../src/chrome-gpu-parser.js';
+import { createGpuReport } from '../src/gpu-report.js';
+import { getHostFingerprint, getInstallSalt, loadRedactionConfig, redactPage, redactReport, redactText, RedactionError } from '../src/redaction.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'chrome-gpu');
+const nvidia = parseGpuHtml(readFileSync(path.join(fixturesDir, 'linux-nvidia-vulkan.html'), 'utf8'));
+const windows = parseGpuText(readFileSync(path.join(fixturesDir, 'windows-amd-d3d11.txt'), 'utf8'));
+
+const IDENTITIES = [{ kind: 'user', value: 'dev' }, { kind: 'host', value: 'build-box-7' }];
+
+// Loads a config from a temporary file so the tests do not depend on the
+// checked-in gpu-redaction.json, the install salt or the machine's user and
+// host name
+function withConfig(config, overrides = {}) {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'gpu-redaction-'));
+  try {
+    const file = path.join(dir, 'gpu-redaction.json');
+    writeFileSync(file, JSON.stringify(config));
+    return loadRedactionConfig(file, { identities: IDENTITIES, saltFile: path.join(dir, 'gpu-redaction.salt'), ...overrides });
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const hashConfig = withConfig({ mode: 'hash', salt: 'team-a', allow: { switches: ['enable-features'] } });
+
+test.describe('Report redaction', () => {
+
+  test('should hash command-line values except allowlisted and preset switches', () => {
+    const counts = {};
+    const line = '/opt/google/chrome/chrome --use-angle=vulkan --enable-features=Vulkan --user-data-dir=/tmp/profile-x --remote-debugging-pipe --trace-config-file="a b.json"';
+    const redacted = redactText(line, hashConfig, counts);
+
+    expect(redacted).toMatch(/^<path:[0-9a-f]{8}> --use-angle=vulkan --enable-features=Vulkan --user-data-dir=<value:[0-9a-f]{8}> --remote-debugging-pipe --trace-config-file=<value:[0-9a-f]{8}>$/);
+    expect(counts).toEqual({ path: 1, value: 2 });
+    // Hashing is stable for equal values and depends on the salt
+    expect(redactText(line, hashConfig)).toBe(redacted);
+    expect(redactText(line, withConfig({ mode: 'hash', salt: 'team-b' }))).not.toBe(redacted);
+  });
+
+  test('should replace paths, user and host names but keep links, versions and dates', () => {
+    const config = withConfig({ mode: 'strip' });
+
+    expect(redactText('Profile at /home/dev/.config/chromium and ~/snap/chromium', config)).toBe('Profile at <path> and <path>');
+    expect(redactText('"C:\\Users\\dev\\AppData\\Local\\Temp\\profile" (copy)', config)).toBe('"<path>" (copy)');
+    expect(redactText('Opened file:///home/dev/report.html', config)).toBe('Opened <path>');
+    expect(redactText('Logged in as dev on build-box-7.local', config)).toBe('Logged in as <user> on <host>.local');
+    expect(redactText('developer devtools', config)).toBe('developer devtools');
+
+    const kept = 'See https://crbug.com/1234/detail, Chrome/124.0.6367.207, 2026/10/18, H.264/AVC';
+    expect(redactText(kept, config)).toBe(kept);
+  });
+
+  test('should hash device identifiers', () => {
+    const config = withConfig({ mode: 'strip' });
+
+    expect(redactText('VENDOR= 0x1002, DEVICE=0x73bf, SUBSYS=0x0e3a1002, REV=193, LUID={0,70541}', config))
+      .toBe('VENDOR= 0x1002, DEVICE=0x73bf, SUBSYS=<id>, REV=193, LUID=<id>');
+    expect(redactText('Adapter 4c2a9c7e-1f0b-4d3a-9e2f-0123456789ab, serial number: ABC123', config)).toBe('Adapter <id>, serial number: <id>');
+  });
+
+  test('should redact a whole report and record what it replaced', () => {
+    const report = createGpuReport({ test: { title: 'extract', project: 'chromium' }, environment: { browserName: 'chromium', platform: 'win32' } });
+    report.gpu = windows;
+    report.hostFingerprint = getHostFingerprint(windows);
+    report.webgpu = { probe: { adapters: [{ name: 'default', info: { vendor: 'amd', deviceUuid: 'abcd' } }] }, findings: [] };
+
+    const redacted = redactReport(report, hashConfig);
+
+    expect(redacted.gpu.versionInfo['Command Line']).toMatch(/^"<path:[0-9a-f]{8}>" --use-angle=d3d11 --enable-features=WebGPU .* --user-data-dir=<value:[0-9a-f]{8}> --flag-switches-begin/);
+    expect(redacted.gpu.driverInfo.GPU0).toMatch(/SUBSYS=<id:[0-9a-f]{8}>, REV=193, LUID=<id:[0-9a-f]{8}>, DRIVER_VERSION=31\.0\.24027\.1012/);
+    expect(redacted.webgpu.probe.adapters[0].info).toEqual({ vendor: 'amd', deviceUuid: expect.stringMatching(/^<id:[0-9a-f]{8}>$/) });
+    expect(redacted.hostFingerprint).toEqual(report.hostFingerprint);
+    expect(redacted.redaction).toEqual({ mode: 'hash', counts: { value: 1, path: 1, user: 0, host: 0, id: 3 } });
+    // The input report is left untouched
+    expect(report.gpu.versionInfo['Command Line']).toContain('C:\\Users\\dev');
+
+    const allowed = withConfig({ allow: { fields: ['gpu.versionInfo.Command Line'] } });
+    expect(redactReport(report, allowed).gpu.versionInfo['Command Line']).toBe(report.gpu.versionInfo['Command Line']);
+
+    const off = redactReport(report, withConfig({ mode: 'off' }));
+    expect(off.gpu).toBe(report.gpu);
+    expect(off.redaction).toEqual({ mode: 'off', counts: { value: 0, path: 0, user: 0, host: 0, id: 0 } });
+    expect(redactText('/home/dev/x', withConfig({ mode: 'off' }))).toBe('/home/dev/x');
+  });
+
+  test('should rewrite only the page text nodes that change', async () => {
+    const texts = ['GPU0 VENDOR=0x10de', '--user-data-dir=/tmp/playwright_chromiumdev_profile-1', 'Driver 535.171.04'];
+    const calls = [];
+    const page = {
+      evaluate: async (fn, replacements) => {
+        calls.push(replacements);
+        return replacements ? replacements.length : texts;
+      }
+    };
+
+    expect(await redactPage(page, withConfig({ mode: 'strip' }))).toBe(1);
+    expect(calls).toEqual([null, [[1, '--user-data-dir=<value>']]]);
+    expect(await redactPage(page, withConfig({ mode: 'off' }))).toBe(0);
+    expect(calls).toHaveLength(2);
+  });
+
+  test('should take the mode from the environment and reject unknown modes', () => {
+    const previous = process.env.GPU_REDACTION;
+    process.env.GPU_REDACTION = 'strip';
+    try {
+      expect(withConfig({ mode: 'hash' }).mode).toBe('strip');
+      expect(withConfig({ mode: 'hash' }, { mode: 'off' }).mode).toBe('off');
+    } finally {
+      if (previous === undefined) delete process.env.GPU_REDACTION;
+      else process.env.GPU_REDACTION = previous;
+    }
+
+    expect(() => withConfig({ mode: 'blur' })).toThrow(RedactionError);
+    expect(() => loadRedactionConfig(path.join(os.tmpdir(), 'missing-gpu-redaction.json'))).toThrow(/Could not read redaction config/);
+    // The checked-in config loads and keeps the preset switches
+    expect(loadRedactionConfig(undefined, { identities: [], salt: 'checked-in' }).allowSwitches.has('use-angle')).toBe(true);
+  });
+
+  test('should never hash without a salt', () => {
+    const dir = mkdtempSync(path.join(os.tmpdir(), 'gpu-redaction-salt-'));
+    try {
+      const saltFile = path.join(dir, 'nested', 'gpu-redaction.salt');
+      const salt = getInstallSalt(saltFile);
+
+      expect(salt).toMatch(/^[0-9a-f]{64}$/);
+      expect(statSync(saltFile).mode & 0o777).toBe(0o600);
+      expect(getInstallSalt(saltFile)).toBe(salt);
+      expect(getInstallSalt(path.join(dir, 'other.salt'))).not.toBe(salt);
+
+      // An empty configured salt falls back to the install salt
+      expect(withConfig({ mode: 'hash', salt: '' }, { saltFile }).salt).toBe(salt);
+      expect(withConfig({ mode: 'hash', salt: 'team-a' }, { saltFile }).salt).toBe('team-a');
+      expect(withConfig({ mode: 'strip' }).salt).toBeNull();
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+test.describe('Host fingerprint', () => {
+
+  test('should identify the active GPU by vendor, device and driver bucket', () => {
+    expect(getHostFingerprint(windows)).toEqual({
+      id: expect.stringMatching(/^gpu-[0-9a-f]{12}$/),
+      vendor: 'AMD',
+      vendorId: '0x1002',
+      deviceId: '0x73bf',
+      driverVendor: expect.anything(),
+      driverBucket: '31.0'
+    });
+    expect(getHostFingerprint(nvidia)).toMatchObject({ vendor: 'NVIDIA', vendorId: '0x10de', driverBucket: '535.171' });
+    expect(getHostFingerprint(nvidia).id).not.toBe(getHostFingerprint(windows).id);
+    expect(getHostFingerprint(createEmptyGpuData())).toBeNull();
+  });
+
+  test('should group driver patch releases of the same hardware', () => {
+    const patched = { ...nvidia, driverInfo: { ...nvidia.driverInfo, 'Driver version': '535.171.99' } };
+    const upgraded = { ...nvidia, driverInfo: { ...nvidia.driverInfo, 'Driver version': '550.54.14' } };
+
+    expect(getHostFingerprint(patched).id).toBe(getHostFingerprint(nvidia).id);
+    expect(getHostFingerprint(upgraded).id).not.toBe(getHostFingerprint(nvidia).id);
+  });
+});
@@ -0,0 +1,96 @@
+import { test, expect } from '@playwright/test';
+import { evaluatePolicy, PolicyError } from '../src/gpu-policy.js';
+import { formatRenderingTier, isSoftwareRenderer, recommendRenderingTier } from '../src/rendering-tier.js';
+
+const NVIDIA_RENDERER = 'ANGLE (NVIDIA, Vulkan 1.3.277 (NVIDIA GeForce RTX 4070 (0x00002786)), NVIDIA-535.171.4.0)';
+const SWIFTSHADER_RENDERER = 'ANGLE (Google, Vulkan 1.3.0 (SwiftShader Device (Subzero) (0x0000C0DE)), SwiftShader driver)';
+
+function webglProfile(unmaskedRenderer, { maxTextureSize = 16384, extensions = ['EXT_color_buffer_float'] } = {}) {
+  return { available: true, renderer: 'WebKit WebGL', unmaskedRenderer, limits: { MAX_TEXTURE_SIZE: maxTextureSize }, extensions };
+}
+
+function adapterProbe(info, features = ['shader-f16']) {
+  return {
+    supported: true,
+    adapters: [{ name: 'default', available: true, info: { vendor: '', architecture: '', description: '', isFallbackAdapter: false, ...info }, limits: {}, features }]
+  };
+}
+
+const hardware = {
+  webgpu: adapterProbe({ vendor: 'nvidia', architecture: 'lovelace' }),
+  webgl: { webgl1: webglProfile(NVIDIA_RENDERER), webgl2: webglProfile(NVIDIA_RENDERER) },
+  caveats: { webgl1: false, webgl2: false }
+};
+
+const swiftshader = {
+  webgpu: adapterProbe({ vendor: 'google', architecture: 'swiftshader', isFallbackAdapter: true }),
+  webgl: { webgl1: webglProfile(SWIFTSHADER_RENDERER), webgl2: webglProfile(SWIFTSHADER_RENDERER) },
+  caveats: { webgl1: true, webgl2: true }
+};
+
+test.describe('Rendering tier recommendation', () => {
+
+  test('should recognise software renderer strings', () => {
+    expect(isSoftwareRenderer(SWIFTSHADER_RENDERER)).toBe(true);
+    expect(isSoftwareRenderer('llvmpipe (LLVM 15.0.7, 256 bits)')).toBe(true);
+    expect(isSoftwareRenderer('Microsoft Basic Render Driver')).toBe(true);
+    expect(isSoftwareRenderer(NVIDIA_RENDERER)).toBe(false);
+    expect(isSoftwareRenderer(null)).toBe(false);
+  });
+
+  test('should pick WebGPU on a hardware adapter', () => {
+    const result = recommendRenderingTier(hardware);
+
+    expect(result).toMatchObject({ tier: 'WebGPU', software: false, renderer: 'nvidia lovelace', reasons: ['WebGPU: hardware adapter "nvidia lovelace"'] });
+    expect(result.candidates.map((candidate) => candidate.usable)).toEqual([true, true, true, true]);
+  });
+
+  test('should fall back tier by tier with a reason for each', () => {
+    const noWebGPU = { ...hardware, webgpu: { supported: false, error: 'navigator.gpu is not available', adapters: [] } };
+    expect(recommendRenderingTier(noWebGPU).reasons).toEqual([
+      'WebGPU: navigator.gpu is not available',
+      `WebGL2: hardware renderer "${NVIDIA_RENDERER}"`
+    ]);
+
+    const smallTextures = { ...noWebGPU, webgl: { ...hardware.webgl, webgl2: webglProfile(NVIDIA_RENDERER, { maxTextureSize: 2048 }) } };
+    expect(recommendRenderingTier(smallTextures)).toMatchObject({ tier: 'WebGL1', reasons: ['WebGPU: navigator.gpu is not available', 'WebGL2: MAX_TEXTURE_SIZE 2048 is below 4096', expect.any(String)] });
+
+    const requiringF32 = recommendRenderingTier(hardware, { requiredFeatures: { WebGPU: ['float32-filterable'], WebGL2: ['OES_texture_float_linear'] } });
+    expect(requiringF32.tier).toBe('WebGL1');
+    expect(requiringF32.reasons.slice(0, 2)).toEqual(['WebGPU: adapter lacks float32-filterable', 'WebGL2: missing extension OES_texture_float_linear']);
+  });
+
+  test('should skip software renderers unless they are allowed', () => {
+    expect(recommendRenderingTier(swiftshader)).toEqual({
+      tier: 'Canvas2D',
+      software: null,
+      renderer: null,
+      reasons: [
+        'WebGPU: the default adapter is a fallback (software) adapter',
+        `WebGL2: renderer "${SWIFTSHADER_RENDERER}" is a software renderer`,
+        `WebGL1: renderer "${SWIFTSHADER_RENDERER}" is a software renderer`,
+        'Canvas2D: no GPU tier is usable'
+      ],
+      candidates: expect.any(Array)
+    });
+
+    // A masked renderer string cannot tell, the performance caveat can
+    const masked = { webgpu: null, webgl: { webgl1: webglProfile(null), webgl2: webglProfile(null) }, caveats: { webgl1: false, webgl2: true } };
+    expect(recommendRenderingTier(masked).reasons.slice(1)).toEqual(['WebGL2: context creation fails with failIfMajorPerformanceCaveat', 'WebGL1: hardware renderer "WebKit WebGL"']);
+
+    const allowed = recommendRenderingTier(swiftshader, { allowSoftware: true });
+    expect(allowed).toMatchObject({ tier: 'WebGPU', software: true, reasons: ['WebGPU: software adapter "google swiftshader"'] });
+    expect(formatRenderingTier(allowed)).toEqual(['🎯 Recommended rendering tier: WebGPU (software renderer)', '   • WebGPU: software adapter "google swiftshader"']);
+  });
+
+  test('should check the recommendation against the profile tier policy', () => {
+    const profile = { name: 'lab', tier: { allowed: ['WebGPU'] } };
+    const result = evaluatePolicy(profile, { gpuData: {}, renderingTier: recommendRenderingTier(swiftshader) }, { checks: ['tier'] });
+
+    expect(result.violations).toEqual([expect.objectContaining({ check: 'tier', expected: ['WebGPU'], actual: 'Canvas2D' })]);
+    expect(result.violations[0].message).toMatch(/^Recommended rendering tier is Canvas2D \(WebGPU: the default adapter is a fallback/);
+    expect(evaluatePolicy(profile, { gpuData: {}, renderingTier: recommendRenderingTier(hardware) }, { checks: ['tier'] }).passed).toBe(true);
+    expect(evaluatePolicy(profile, { gpuData: {} }, { checks: ['tier'] }).passed).toBe(true);
+    expect(() => evaluatePolicy({ tier: { allowed: ['WebGL3'] } }, { gpuData: {}, renderingTier: recommendRenderingTier(hardware) }, { checks: ['tier'] })).toThrow(PolicyError);
+  });
+});
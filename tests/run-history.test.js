@@ -0,0 +1,168 @@
+import { test, expect } from '@playwright/test';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseGpuHtml, parseGpuText } from '../src/chrome-gpu-parser.js';
+import { UsageError } from '../src/gpu-detect.js';
+import { createGpuReport, finalizeGpuReport } from '../src/gpu-report.js';
+import {
+  appendHistory,
+  compareVersions,
+  createHistoryRecord,
+  filterHistory,
+  formatHistoryResult,
+  HistoryError,
+  parseHistoryArgs,
+  queryBenchmarkTrend,
+  queryFeatureTransitions,
+  queryFirstVersion,
+  readHistory,
+  runHistoryQuery
+} from '../src/run-history.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'chrome-gpu');
+const nvidia = parseGpuHtml(readFileSync(path.join(fixturesDir, 'linux-nvidia-vulkan.html'), 'utf8'));
+const swiftshader = parseGpuText(readFileSync(path.join(fixturesDir, 'linux-swiftshader.txt'), 'utf8'));
+
+function benchmarkRun(median) {
+  return {
+    supported: true,
+    timing: 'timestamp-query',
+    benchmarks: [{ name: 'matmul', unit: 'GFLOP', work: 1, samples: [median], verified: true, error: null, stats: { runs: 1, median, p95: median + 1 }, throughput: 1000 / median }]
+  };
+}
+
+// One run of the chromium project: a GPU report plus a benchmark report
+function runReports({ gpu, browserVersion, median, adapterFeatures = [] }) {
+  const environment = { browserName: 'chromium', browserVersion, platform: 'linux', arch: 'x64' };
+  const extract = createGpuReport({ test: { title: 'extract', project: 'chromium' }, environment });
+  extract.gpu = gpu;
+  const probe = createGpuReport({ test: { title: 'probe', project: 'chromium' }, environment });
+  probe.webgpu = { probe: { supported: true, adapters: [{ name: 'default', available: true, info: {}, limits: {}, features: adapterFeatures }] }, findings: [] };
+  probe.benchmarks = benchmarkRun(median);
+  return [finalizeGpuReport(extract, { status: 'passed', duration: 10 }), finalizeGpuReport(probe, { status: 'failed', duration: 10 })];
+}
+
+function history() {
+  const runs = [
+    { gpu: nvidia, browserVersion: '123.0.6312.58', median: 10 },
+    { gpu: nvidia, browserVersion: '124.0.6367.207', median: 12, adapterFeatures: ['texture-formats-tier1'] },
+    { gpu: swiftshader, browserVersion: '124.0.6367.207', median: 40 }
+  ];
+  return runs.map((run, index) => ({
+    ...createHistoryRecord(runReports(run), { host: 'ci-linux', flagPreset: 'linux' }),
+    recordedAt: `2026-10-0${index + 1}T12:00:00.000Z`
+  }));
+}
+
+test.describe('Run history', () => {
+
+  test('should record the normalized profile and benchmark medians of a run', () => {
+    const record = createHistoryRecord(runReports({ gpu: nvidia, browserVersion: '124.0.6367.207', median: 12 }), { host: 'ci-linux', flagPreset: 'linux', runStartedAt: '2026-10-01T11:59:00.000Z' });
+
+    expect(record).toMatchObject({
+      historyVersion: 1,
+      runStartedAt: '2026-10-01T11:59:00.000Z',
+      host: 'ci-linux',
+      project: 'chromium',
+      flagPreset: 'linux',
+      browserName: 'chromium',
+      browserVersion: '124.0.6367.207',
+      driverVersion: '535.171.04',
+      tests: { passed: 1, failed: 1 },
+      adapterFeatures: [],
+      benchmarkTiming: 'timestamp-query',
+      benchmarks: { matmul: { unit: 'GFLOP', medianMs: 12, p95Ms: 13, verified: true } }
+    });
+    expect(record.profile.features.WebGPU).toBe('Hardware accelerated');
+    expect(record.profile).not.toHaveProperty('baselineVersion');
+  });
+
+  test('should append JSONL records and read them back oldest first', async () => {
+    const dir = mkdtempSync(path.join(os.tmpdir(), 'run-history-'));
+    try {
+      const file = path.join(dir, 'nested', 'history.jsonl');
+      expect(readHistory(file)).toEqual([]);
+
+      const [first, second, third] = history();
+      await appendHistory([third], file);
+      await appendHistory([first, second], file);
+      expect(readFileSync(file, 'utf8').trim().split('\n')).toHaveLength(3);
+      expect(readHistory(file).map((record) => record.recordedAt)).toEqual([first.recordedAt, second.recordedAt, third.recordedAt]);
+
+      writeFileSync(file, '{"recordedAt": "x"}\nnot json\n');
+      expect(() => readHistory(file)).toThrow(HistoryError);
+      expect(() => readHistory(file)).toThrow(/history\.jsonl:2 is not valid JSON/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should answer when a feature changed status', () => {
+    const records = history();
+    const transitions = queryFeatureTransitions(records, 'WebGPU', { status: 'software only' });
+
+    expect(transitions).toEqual([{
+      recordedAt: '2026-10-03T12:00:00.000Z',
+      host: 'ci-linux',
+      project: 'chromium',
+      browserVersion: '124.0.6367.207',
+      driverVersion: '5.0.0',
+      from: 'Hardware accelerated',
+      to: 'Software only, hardware acceleration unavailable'
+    }]);
+    expect(queryFeatureTransitions(records, 'WebGPU', { status: 'Disabled' })).toEqual([]);
+    expect(queryFeatureTransitions(filterHistory(records, { host: 'other' }), 'WebGPU')).toEqual([]);
+  });
+
+  test('should summarise a benchmark over the most recent runs', () => {
+    const trend = queryBenchmarkTrend(history(), 'matmul', { last: 2 });
+
+    expect(trend.runs.map((run) => run.medianMs)).toEqual([12, 40]);
+    expect(trend.stats).toMatchObject({ runs: 2, median: 26, min: 12, max: 40 });
+    expect(formatHistoryResult({ query: 'benchmark', args: ['matmul'] }, trend)[0]).toBe('📈 matmul: median 26.00 ms over the last 2 run(s) (min 12.00 ms, max 40.00 ms)');
+    expect(queryBenchmarkTrend(history(), 'missing').stats).toBeNull();
+  });
+
+  test('should find the first browser version that reported a feature', () => {
+    expect(compareVersions('124.0.6367.207', '124.0.6367.60')).toBeGreaterThan(0);
+    expect(compareVersions('99.0', '124.0')).toBeLessThan(0);
+
+    expect(queryFirstVersion(history(), 'texture-formats-tier1')).toEqual([{ browserName: 'chromium', feature: 'texture-formats-tier1', version: '124.0.6367.207', previousVersion: '123.0.6312.58' }]);
+    expect(queryFirstVersion(history(), 'WebGPU')).toEqual([{ browserName: 'chromium', feature: 'WebGPU', version: '123.0.6312.58', previousVersion: null }]);
+    expect(formatHistoryResult({ query: 'first-version', args: ['texture-formats-tier1'] }, queryFirstVersion(history(), 'texture-formats-tier1'))).toEqual(['🔎 texture-formats-tier1 first appeared in chromium 124.0.6367.207 (missing in 123.0.6312.58)']);
+    expect(queryFirstVersion(history(), 'unknown-feature')).toEqual([]);
+  });
+
+  test('should parse gpu-history arguments and run queries against a file', async () => {
+    expect(parseHistoryArgs([])).toMatchObject({ query: 'runs', args: [], last: null, json: false });
+    expect(parseHistoryArgs(['transitions', 'WebGPU', 'Software only', '--host', 'ci-linux', '-n', '5'])).toMatchObject({
+      query: 'transitions',
+      args: ['WebGPU', 'Software only'],
+      filter: { host: 'ci-linux', project: null, preset: null, browser: null },
+      last: 5
+    });
+    expect(parseHistoryArgs(['--help'])).toEqual({ help: true });
+    expect(() => parseHistoryArgs(['forecast'])).toThrow(UsageError);
+    expect(() => parseHistoryArgs(['benchmark'])).toThrow(/needs a benchmark name/);
+    expect(() => parseHistoryArgs(['runs', '--last', '0'])).toThrow(/positive whole number/);
+
+    const dir = mkdtempSync(path.join(os.tmpdir(), 'run-history-'));
+    try {
+      const file = path.join(dir, 'history.jsonl');
+      await appendHistory(history(), file);
+      const options = parseHistoryArgs(['transitions', 'WebGPU', '--file', file, '--preset', 'linux']);
+      const result = runHistoryQuery(options);
+
+      expect(result).toHaveLength(1);
+      expect(formatHistoryResult(options, result)).toEqual([
+        '🕒 WebGPU changed status 1 time(s):',
+        '   2026-10-03T12:00:00.000Z ci-linux/chromium: Hardware accelerated → Software only, hardware acceleration unavailable (browser 124.0.6367.207, driver 5.0.0)'
+      ]);
+      expect(runHistoryQuery(parseHistoryArgs(['--file', file, '-n', '1']))).toHaveLength(1);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
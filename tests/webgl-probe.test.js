@@ -0,0 +1,111 @@
+import { test, expect } from '@playwright/test';
+import { probeWebGLCapabilities } from '../src/webgl-probe.js';
+
+// A tiny stand-in for a WebGL context: every GL enum is its own name, and
+// getParameter answers from a table. Enough to exercise the probe in Node.
+function createFakeContext(contextType, { extensions = [], parameters = {} } = {}) {
+  const gl = new Proxy({}, {
+    get(target, property) {
+      if (property in target) return target[property];
+      return typeof property === 'string' && /^[A-Z0-9_]+$/.test(property) ? property : undefined;
+    }
+  });
+
+  Object.assign(gl, {
+    getSupportedExtensions: () => extensions,
+    getExtension: (name) => {
+      if (!extensions.includes(name) && name !== 'WEBGL_lose_context') return null;
+      if (name === 'WEBGL_debug_renderer_info') {
+        return { UNMASKED_VENDOR_WEBGL: 'UNMASKED_VENDOR_WEBGL', UNMASKED_RENDERER_WEBGL: 'UNMASKED_RENDERER_WEBGL' };
+      }
+      if (name === 'EXT_texture_filter_anisotropic') {
+        return { MAX_TEXTURE_MAX_ANISOTROPY_EXT: 'MAX_TEXTURE_MAX_ANISOTROPY_EXT' };
+      }
+      return { loseContext: () => { gl.lost = true; } };
+    },
+    getParameter: (name) => (name in parameters ? parameters[name] : 0),
+    getContextAttributes: () => ({ antialias: true, alpha: true }),
+    getShaderPrecisionFormat: (shaderType, precision) => (
+      precision.endsWith('FLOAT')
+        ? { rangeMin: 127, rangeMax: 127, precision: 23 }
+        : { rangeMin: 31, rangeMax: 30, precision: 0 }
+    ),
+    getInternalformatParameter: (target, format) => (format === 'RGBA8' ? new Int32Array([8, 4, 2]) : null)
+  });
+
+  if (contextType === 'webgl') {
+    // WebGL1 contexts do not expose WebGL2 enums
+    return new Proxy(gl, {
+      get(target, property) {
+        return property === 'MAX_SAMPLES' || property === 'MAX_3D_TEXTURE_SIZE' ? undefined : target[property];
+      }
+    });
+  }
+  return gl;
+}
+
+test.describe('WebGL capability probe', () => {
+  let originalDocument;
+
+  test.beforeEach(() => {
+    originalDocument = globalThis.document;
+  });
+
+  test.afterEach(() => {
+    globalThis.document = originalDocument;
+  });
+
+  function installCanvas(contexts) {
+    globalThis.document = {
+      createElement: () => ({ getContext: (type) => contexts[type] ?? null })
+    };
+  }
+
+  test('should build full WebGL1 and WebGL2 profiles', () => {
+    const parameters = {
+      VENDOR: 'WebKit',
+      RENDERER: 'WebKit WebGL',
+      VERSION: 'WebGL 2.0',
+      UNMASKED_VENDOR_WEBGL: 'Google Inc. (NVIDIA Corporation)',
+      UNMASKED_RENDERER_WEBGL: 'ANGLE (NVIDIA Corporation, NVIDIA GeForce RTX 3080, Vulkan 1.3.260)',
+      MAX_TEXTURE_SIZE: 16384,
+      MAX_VIEWPORT_DIMS: new Int32Array([32767, 32767]),
+      MAX_SAMPLES: 8,
+      MAX_3D_TEXTURE_SIZE: 2048,
+      MAX_TEXTURE_MAX_ANISOTROPY_EXT: 16,
+      SAMPLES: 4
+    };
+    const extensions = ['WEBGL_debug_renderer_info', 'EXT_texture_filter_anisotropic', 'OES_texture_float'];
+    const webgl1 = createFakeContext('webgl', { extensions, parameters });
+    const webgl2 = createFakeContext('webgl2', { extensions, parameters });
+    installCanvas({ webgl: webgl1, webgl2 });
+
+    const profile = probeWebGLCapabilities();
+
+    expect(profile.webgl1.available).toBe(true);
+    expect(profile.webgl1.unmaskedRenderer).toContain('RTX 3080');
+    expect(profile.webgl1.limits.MAX_TEXTURE_SIZE).toBe(16384);
+    expect(profile.webgl1.limits.MAX_VIEWPORT_DIMS).toEqual([32767, 32767]);
+    expect(profile.webgl1.limits.MAX_TEXTURE_MAX_ANISOTROPY_EXT).toBe(16);
+    expect(profile.webgl1.limits).not.toHaveProperty('MAX_3D_TEXTURE_SIZE');
+    expect(profile.webgl1.extensions).toEqual(['EXT_texture_filter_anisotropic', 'OES_texture_float', 'WEBGL_debug_renderer_info']);
+    expect(profile.webgl1.shaderPrecision.FRAGMENT_SHADER.HIGH_FLOAT).toEqual({ rangeMin: 127, rangeMax: 127, precision: 23 });
+    expect(profile.webgl1.msaa).toEqual({ antialias: true, samples: 4, maxSamples: null, formatSamples: {} });
+
+    expect(profile.webgl2.limits.MAX_3D_TEXTURE_SIZE).toBe(2048);
+    expect(profile.webgl2.msaa.maxSamples).toBe(8);
+    expect(profile.webgl2.msaa.formatSamples.RGBA8).toEqual([8, 4, 2]);
+    expect(profile.webgl2.msaa.formatSamples.RGBA32F).toEqual([]);
+    expect(webgl2.lost).toBe(true);
+  });
+
+  test('should report unavailable contexts without throwing', () => {
+    installCanvas({ webgl: createFakeContext('webgl', { parameters: { VERSION: 'WebGL 1.0' } }) });
+
+    const profile = probeWebGLCapabilities();
+
+    expect(profile.webgl1.available).toBe(true);
+    expect(profile.webgl1.unmaskedVendor).toBeNull();
+    expect(profile.webgl2).toEqual({ available: false, error: "getContext('webgl2') returned null" });
+  });
+});
@@ -0,0 +1,75 @@
+import { test, expect } from '@playwright/test';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseGpuHtml, parseGpuText } from '../src/chrome-gpu-parser.js';
+import { compareWithDawnInfo, matchDawnAdapter } from '../src/webgpu-probe.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'chrome-gpu');
+const readFixture = (name) => readFileSync(path.join(fixturesDir, name), 'utf8');
+
+function adapterResult(name, features, info = {}) {
+  return {
+    name,
+    available: true,
+    info: { vendor: '', architecture: '', device: '', description: '', isFallbackAdapter: false, ...info },
+    limits: { maxTextureDimension2D: 8192 },
+    features
+  };
+}
+
+test.describe('WebGPU adapter probe', () => {
+
+  test('should match adapters by description, fallback flag or first hardware adapter', () => {
+    const { dawnInfo } = parseGpuHtml(readFixture('linux-nvidia-vulkan.html'));
+    const [nvidia, swiftshader] = dawnInfo.adapters;
+
+    expect(matchDawnAdapter(adapterResult('default', []), dawnInfo.adapters)).toBe(nvidia);
+    expect(matchDawnAdapter(adapterResult('fallback', [], { isFallbackAdapter: true }), dawnInfo.adapters)).toBe(swiftshader);
+    expect(matchDawnAdapter(adapterResult('default', [], { description: 'SwiftShader Device (Subzero)' }), dawnInfo.adapters)).toBe(swiftshader);
+  });
+
+  test('should report no findings when Dawn and navigator.gpu agree', () => {
+    const gpuData = parseGpuHtml(readFixture('linux-nvidia-vulkan.html'));
+    const features = [...gpuData.dawnInfo.adapters[0].sections['Adapter Supported Features']];
+    const probe = { supported: true, wgslLanguageFeatures: [], adapters: [adapterResult('default', features)] };
+
+    expect(compareWithDawnInfo(probe, gpuData)).toEqual([]);
+  });
+
+  test('should flag features missing on either side', () => {
+    const gpuData = parseGpuHtml(readFixture('linux-nvidia-vulkan.html'));
+    const features = gpuData.dawnInfo.adapters[0].sections['Adapter Supported Features']
+      .filter(feature => feature !== 'shader-f16')
+      .concat('chromium-experimental-timestamp-query-inside-passes');
+    const probe = { supported: true, wgslLanguageFeatures: [], adapters: [adapterResult('high-performance', features)] };
+
+    const findings = compareWithDawnInfo(probe, gpuData);
+
+    expect(findings.map(({ type, request, feature }) => ({ type, request, feature }))).toEqual([
+      { type: 'status-mismatch', request: 'default', feature: undefined },
+      { type: 'missing-in-js', request: 'high-performance', feature: 'shader-f16' },
+      { type: 'missing-in-dawn', request: 'high-performance', feature: 'chromium-experimental-timestamp-query-inside-passes' }
+    ]);
+  });
+
+  test('should flag a status mismatch when Dawn is blocklisted but an adapter is returned', () => {
+    const gpuData = parseGpuText(readFixture('linux-intel-angle-gl.txt'));
+    const probe = { supported: true, wgslLanguageFeatures: [], adapters: [adapterResult('default', ['depth-clip-control'])] };
+
+    const findings = compareWithDawnInfo(probe, gpuData);
+
+    expect(findings[0].type).toBe('status-mismatch');
+    expect(findings[0].message).toContain('Blocklisted');
+    expect(findings[1].type).toBe('adapter-unmatched');
+  });
+
+  test('should flag a status mismatch when navigator.gpu is missing', () => {
+    const gpuData = parseGpuText(readFixture('linux-swiftshader.txt'));
+    const probe = { supported: false, error: 'navigator.gpu is not available', wgslLanguageFeatures: [], adapters: [] };
+
+    expect(compareWithDawnInfo(probe, gpuData)).toEqual([
+      expect.objectContaining({ type: 'status-mismatch', message: expect.stringContaining('navigator.gpu is not available') })
+    ]);
+  });
+});
@@ -0,0 +1,102 @@
+import { test, expect } from '@playwright/test';
+import { existsSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { WGSL_CASES } from '../harness/wgsl-conformance.js';
+import { runWgslConformance, summarizeWgslConformance, formatWgslConformance } from '../src/wgsl-conformance.js';
+import { evaluatePolicy } from '../src/gpu-policy.js';
+
+const wgslDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'harness', 'wgsl');
+
+const run = {
+  supported: true,
+  adapter: { vendor: 'apple', architecture: 'metal-3' },
+  languageFeatures: ['packed_4x8_integer_dot_product', 'pointer_composite_access'],
+  cases: [
+    { name: 'shader-f16', kind: 'feature', status: 'pass', stage: null, error: null, messages: [], durationMs: 12 },
+    { name: 'subgroups', kind: 'feature', status: 'fail', stage: 'verify', error: 'Unexpected output', messages: [], durationMs: 9 },
+    { name: 'clip-distances', kind: 'feature', status: 'unsupported', stage: null, error: null, messages: [], durationMs: 0 },
+    {
+      name: 'pointer_composite_access',
+      kind: 'language',
+      status: 'fail',
+      stage: 'compile',
+      error: '16:14 invalid member accessor expression',
+      messages: [{ type: 'error', line: 16, column: 14, message: 'invalid member accessor expression' }],
+      durationMs: 3
+    }
+  ]
+};
+
+test.describe('WGSL feature conformance', () => {
+
+  test('should ship one module per case with the matching enable or requires directive', () => {
+    for (const testCase of WGSL_CASES) {
+      const file = path.join(wgslDir, `${testCase.name}.wgsl`);
+      expect(existsSync(file), testCase.name).toBe(true);
+      expect(readFileSync(file, 'utf8')).toMatch(testCase.kind === 'feature' ? /^enable \w+;$/m : new RegExp(`^requires ${testCase.name};$`, 'm'));
+    }
+  });
+
+  test('should accept only the expected outputs', () => {
+    const expected = {
+      'shader-f16': [0, 0, 3375, 4500, 65504],
+      subgroups: [...Array(128).fill(32), ...Array(128).fill(32)],
+      'dual-source-blending': [128, 63, 128, 255],
+      'clip-distances': [0, 0, 0, 0, 0, 0, 0, 0, 255, 255, 255, 255, 255, 255, 255, 255],
+      packed_4x8_integer_dot_product: [0, 0, 10, 0xfffffffc, 0x04030201, 0xffffffff],
+      pointer_composite_access: [5, 12, 7],
+      unrestricted_pointer_parameters: [5, 50],
+      readonly_and_readwrite_storage_textures: [41, 42]
+    };
+
+    for (const testCase of WGSL_CASES) {
+      const ArrayType = testCase.compute ? Uint32Array : Uint8Array;
+      const good = ArrayType.from(expected[testCase.name]);
+      const bad = good.map((value, index) => (index === good.length - 1 ? value ^ 0x40 : value));
+      expect(testCase.verify(good), testCase.name).toBe(true);
+      expect(testCase.verify(bad), testCase.name).toBe(false);
+    }
+    expect(WGSL_CASES.find((testCase) => testCase.name === 'subgroups').verify(Uint32Array.from({ length: 256 }, () => 12))).toBe(false);
+  });
+
+  test('should pass the case filter to the harness page', async () => {
+    const calls = [];
+    const page = {
+      waitForFunction: async () => calls.push('wait'),
+      evaluate: async (fn, options) => calls.push(options)
+    };
+
+    await runWgslConformance(page);
+    await runWgslConformance(page, { only: ['subgroups'] });
+    expect(calls).toEqual(['wait', { only: null }, 'wait', { only: ['subgroups'] }]);
+  });
+
+  test('should render a pass / fail / unsupported table', () => {
+    expect(summarizeWgslConformance(run)).toEqual({ pass: 1, fail: 2, unsupported: 1 });
+    expect(formatWgslConformance(run)).toEqual([
+      '🧪 WGSL conformance: 1 pass, 2 fail, 1 unsupported',
+      '   ✅ shader-f16                feature   pass',
+      '   ❌ subgroups                 feature   fail at verify: Unexpected output',
+      '   ➖ clip-distances            feature   unsupported',
+      '   ❌ pointer_composite_access  language  fail at compile: 16:14 invalid member accessor expression'
+    ]);
+    expect(formatWgslConformance({ supported: false, error: 'navigator.gpu is not available', languageFeatures: [], cases: [] })).toEqual([
+      '🧪 WGSL conformance: ❌ navigator.gpu is not available'
+    ]);
+  });
+
+  test('should fail advertised-but-broken and missing required cases', () => {
+    const profile = { name: 'wgsl', wgsl: { required: ['shader-f16', 'subgroups', 'clip-distances', 'dual-source-blending'] } };
+    const result = evaluatePolicy(profile, { gpuData: {}, wgslConformance: run }, { checks: ['wgsl'] });
+
+    expect(result.violations.map((violation) => violation.message)).toEqual([
+      'subgroups is advertised but fails at verify: Unexpected output',
+      'pointer_composite_access is advertised but fails at compile: 16:14 invalid member accessor expression',
+      'Required WGSL case clip-distances is unsupported',
+      'Required WGSL case dual-source-blending is not run'
+    ]);
+    expect(evaluatePolicy({ name: 'none' }, { gpuData: {}, wgslConformance: run }, { checks: ['wgsl'] }).violations).toEqual([]);
+    expect(evaluatePolicy(profile, { gpuData: {} }, { checks: ['wgsl'] }).violations).toEqual([]);
+  });
+});
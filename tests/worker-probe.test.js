@@ -0,0 +1,131 @@
+import { test, expect } from '@playwright/test';
+import { renderOffscreenScenes, sceneTransferables } from '../harness/offscreen-scene.js';
+import { compareWorkerScopes, describeWorkerContext, formatWorkerProbe, runWorkerProbe } from '../src/worker-probe.js';
+
+const RED = [255, 0, 0, 255];
+const BLUE = [0, 0, 255, 255];
+
+function rendered(renderer = null) {
+  return { available: true, renderer, error: null, verified: true, mismatches: [] };
+}
+
+function unavailable(error) {
+  return { available: false, renderer: null, error, verified: false, mismatches: [] };
+}
+
+function scope(name, contexts, overrides = {}) {
+  return { scope: name, supported: true, error: null, navigatorGpu: true, offscreenCanvas: true, contexts, ...overrides };
+}
+
+// Main thread with everything, a dedicated worker without WebGL2, a shared
+// worker with a bad 2D render and a service worker that never answered
+const probe = {
+  size: 8,
+  contexts: ['webgpu', 'webgl2', '2d'],
+  scopes: [
+    scope('main', { webgpu: rendered('nvidia lovelace'), webgl2: rendered('ANGLE (NVIDIA)'), '2d': rendered() }),
+    scope('dedicated', { webgpu: rendered('nvidia lovelace'), webgl2: unavailable('getContext("webgl2") returned null'), '2d': rendered() }),
+    scope('shared', {
+      webgpu: rendered('nvidia lovelace'),
+      webgl2: rendered('ANGLE (NVIDIA)'),
+      '2d': { ...rendered(), verified: false, mismatches: [{ x: 4, y: 0, expected: BLUE, actual: RED, passed: false }] }
+    }),
+    scope('service', {}, { supported: false, error: 'No answer within 10000 ms', navigatorGpu: null, offscreenCanvas: null })
+  ]
+};
+
+test.describe('Worker GPU probe', () => {
+  let savedCanvas;
+
+  test.beforeEach(() => {
+    savedCanvas = globalThis.OffscreenCanvas;
+  });
+
+  test.afterEach(() => {
+    if (savedCanvas === undefined) delete globalThis.OffscreenCanvas;
+    else globalThis.OffscreenCanvas = savedCanvas;
+  });
+
+  test('should render the scene per context type and hand back bitmaps', async () => {
+    const fills = [];
+    globalThis.OffscreenCanvas = class {
+      constructor(width, height) { Object.assign(this, { width, height }); }
+      getContext(type) {
+        if (type !== '2d') return null;
+        const context = { fillStyle: null, fillRect: (...rect) => fills.push([context.fillStyle, ...rect]) };
+        return context;
+      }
+      transferToImageBitmap() { return { width: this.width, height: this.height }; }
+    };
+
+    const result = await renderOffscreenScenes({ size: 4 });
+
+    expect(result.offscreenCanvas).toBe(true);
+    expect(result.contexts.webgpu).toEqual({ available: false, renderer: null, error: 'navigator.gpu is not available', bitmap: null });
+    expect(result.contexts.webgl2.error).toBe('getContext("webgl2") returned null');
+    expect(result.contexts['2d']).toEqual({ available: true, renderer: null, error: null, bitmap: { width: 4, height: 4 } });
+    expect(fills).toEqual([['#0000ff', 0, 0, 4, 4], ['#ff0000', 0, 0, 2, 4]]);
+    expect(sceneTransferables(result)).toEqual([{ width: 4, height: 4 }]);
+
+    delete globalThis.OffscreenCanvas;
+    expect((await renderOffscreenScenes({ contexts: ['2d'] })).contexts['2d'].error).toBe('OffscreenCanvas is not available');
+  });
+
+  test('should report every difference from the main thread', () => {
+    expect(compareWorkerScopes(probe)).toEqual([
+      {
+        type: 'missing-in-worker',
+        scope: 'dedicated',
+        context: 'webgl2',
+        message: 'webgl2 works on the main thread but not in the dedicated worker: getContext("webgl2") returned null'
+      },
+      {
+        type: 'pixel-mismatch',
+        scope: 'shared',
+        context: '2d',
+        message: '2d in the shared worker rendered wrong pixels: (4, 0) is 255,0,0,255 instead of 0,0,255,255'
+      },
+      { type: 'scope-unavailable', scope: 'service', context: null, message: 'The service worker could not run the probe: No answer within 10000 ms' }
+    ]);
+
+    const workerOnly = {
+      ...probe,
+      scopes: [
+        scope('main', { webgpu: unavailable('requestAdapter() returned null') }),
+        scope('transferred', { webgpu: rendered('google swiftshader') })
+      ]
+    };
+    expect(compareWorkerScopes(workerOnly)).toEqual([expect.objectContaining({
+      type: 'worker-only',
+      message: 'webgpu works in the dedicated worker (transferControlToOffscreen) but not on the main thread: requestAdapter() returned null'
+    })]);
+  });
+
+  test('should describe each scope on one line', () => {
+    expect(describeWorkerContext(probe.scopes[2], '2d')).toBe('wrong pixels');
+    expect(describeWorkerContext(probe.scopes[3], '2d')).toBeNull();
+
+    expect(formatWorkerProbe({ probe, findings: compareWorkerScopes(probe).slice(0, 1) })).toEqual([
+      '🧵 Offscreen rendering by scope:',
+      '   main       webgpu ✅  webgl2 ✅  2d ✅  (navigator.gpu present)',
+      '   dedicated  webgpu ✅  webgl2 ❌  2d ✅  (navigator.gpu present)',
+      '   shared     webgpu ✅  webgl2 ✅  2d 🟡  (navigator.gpu present)',
+      '   service    ❌ No answer within 10000 ms',
+      '   ⚠️  [missing-in-worker] webgl2 works on the main thread but not in the dedicated worker: getContext("webgl2") returned null'
+    ]);
+  });
+
+  test('should run the probe through the harness page', async () => {
+    const calls = [];
+    const page = {
+      waitForFunction: async (fn) => calls.push(['wait', typeof fn]),
+      evaluate: async (fn, options) => {
+        calls.push(['evaluate', options]);
+        return probe;
+      }
+    };
+
+    expect(await runWorkerProbe(page, { scopes: ['main', 'dedicated'] })).toBe(probe);
+    expect(calls).toEqual([['wait', 'function'], ['evaluate', { scopes: ['main', 'dedicated'] }]]);
+  });
+});